@@ -1,6 +1,14 @@
 // config/config.js - Production-ready configuration management
 
-const requiredEnvVars = ["DATABASE_URL", "LIFF_ID"];
+const requiredEnvVars = [
+  "DATABASE_URL",
+  "LIFF_ID",
+  "JWT_SECRET",
+  "PIN_SUBJECT_SALT",
+];
+
+// HMAC keys shorter than the hash output weaken every token and hash they key
+const MIN_SECRET_BYTES = 32;
 
 const config = {
   // Database
@@ -13,26 +21,112 @@ const config = {
   // LINE Configuration
   line: {
     liffId: process.env.LIFF_ID,
+    // LINE Login channel that owns the LIFF app; ID tokens carry it as "aud"
+    channelId:
+      process.env.LINE_LOGIN_CHANNEL_ID ||
+      (process.env.LIFF_ID || "").split("-")[0],
+    loginChannelSecret: process.env.LINE_LOGIN_CHANNEL_SECRET,
+    issuer: "https://access.line.me",
     verifyUrl: "https://api.line.me/oauth2/v2.1/verify",
+    jwksUrl: "https://api.line.me/oauth2/v2.1/certs",
+    // "local" verifies signatures against the cached JWKS, "remote" calls verifyUrl
+    idTokenVerifyMode: process.env.LINE_ID_TOKEN_VERIFY_MODE || "local",
+    jwksCacheTtl: parseInt(process.env.LINE_JWKS_CACHE_TTL) || 60 * 60 * 1000, // 1 hour
     // เพิ่ม configuration สำหรับ LIFF
     channelAccessToken: process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN,
     channelSecret: process.env.LINE_CHANNEL_SECRET,
+    messagingApiUrl:
+      process.env.LINE_MESSAGING_API_URL || "https://api.line.me/v2/bot",
+    // Content uploads (rich menu images) go to a separate host
+    messagingDataApiUrl:
+      process.env.LINE_MESSAGING_DATA_API_URL ||
+      "https://api-data.line.me/v2/bot",
+    messagingTransport: process.env.LINE_MESSAGING_TRANSPORT || "http", // http | stub
+    messagingMaxRetries: parseInt(process.env.LINE_MESSAGING_MAX_RETRIES) || 3,
+    messagingRetryDelay:
+      parseInt(process.env.LINE_MESSAGING_RETRY_DELAY) || 1000,
+    richMenuCacheTtl:
+      parseInt(process.env.LINE_RICH_MENU_CACHE_TTL) || 5 * 60 * 1000, // 5 minutes
   },
 
   // Security
   security: {
-    jwtSecret:
-      process.env.JWT_SECRET || "default-jwt-secret-change-in-production",
+    jwtSecret: process.env.JWT_SECRET,
+    jwtIssuer: "prima789-liff",
+    accessTokenTtl: parseInt(process.env.JWT_ACCESS_TTL) || 15 * 60, // 15 minutes (seconds)
+    refreshTokenTtl: parseInt(process.env.JWT_REFRESH_TTL) || 30 * 24 * 60 * 60, // 30 days (seconds)
     rateLimitRequests: parseInt(process.env.API_RATE_LIMIT) || 100,
     rateLimitWindow: parseInt(process.env.API_RATE_WINDOW) || 15 * 60 * 1000, // 15 minutes
+    rateLimitAlgorithm: process.env.API_RATE_ALGORITHM || "sliding-window", // sliding-window | token-bucket
+    // memory counts per function instance; postgres shares counts between instances
+    rateLimitStore:
+      process.env.API_RATE_STORE ||
+      (process.env.NODE_ENV === "production" ? "postgres" : "memory"),
+    // X-Admin-Key for /admin/* endpoints; unset disables them
+    adminApiKey: process.env.ADMIN_API_KEY,
+    // Keys erasure receipt subject hashes; changing it orphans existing receipts
+    erasureSubjectSalt: process.env.ERASURE_SUBJECT_SALT,
+    // Keys PIN attempt subject hashes; changing it clears every PIN lockout
+    pinSubjectSalt: process.env.PIN_SUBJECT_SALT,
+  },
+
+  // Persisted IP blocklist, allowlist and suspicious activity
+  ipRules: {
+    cacheTtl: parseInt(process.env.IP_RULES_CACHE_TTL) || 60 * 1000, // how long an instance uses its copy of the lists
+    autoBlockDuration:
+      parseInt(process.env.IP_AUTO_BLOCK_DURATION) || 24 * 60 * 60 * 1000, // 24 hours
+    suspectDuration:
+      parseInt(process.env.IP_SUSPECT_DURATION) || 60 * 60 * 1000, // 1 hour after the last flag
   },
 
   // Prima789 Integration
   prima789: {
     apiUrl: process.env.PRIMA789_API_URL || "https://prima789.net",
+    socketPath: process.env.PRIMA789_SOCKET_PATH || "/socket.io/",
     timeout: parseInt(process.env.PRIMA789_TIMEOUT) || 20000,
     retryAttempts: parseInt(process.env.PRIMA789_RETRY_ATTEMPTS) || 3,
     retryDelay: parseInt(process.env.PRIMA789_RETRY_DELAY) || 1000,
+    transport: process.env.PRIMA789_TRANSPORT || "socketio", // socketio | fake
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.PRIMA789_BREAKER_FAILURES) || 5,
+      resetTimeout: parseInt(process.env.PRIMA789_BREAKER_RESET_MS) || 30000,
+      halfOpenMaxCalls:
+        parseInt(process.env.PRIMA789_BREAKER_HALF_OPEN_CALLS) || 1,
+    },
+    bulkhead: {
+      maxConcurrent: parseInt(process.env.PRIMA789_MAX_CONCURRENT) || 10,
+      maxQueue: parseInt(process.env.PRIMA789_MAX_QUEUE) || 0,
+      queueTimeout: parseInt(process.env.PRIMA789_QUEUE_TIMEOUT) || 5000,
+    },
+    fake: {
+      scenario: process.env.PRIMA789_FAKE_SCENARIO || "success",
+      dialect: process.env.PRIMA789_FAKE_DIALECT || "cus_return",
+      latency: parseInt(process.env.PRIMA789_FAKE_LATENCY) || 20,
+    },
+  },
+
+  // Member tier rules (member_tiers table)
+  tiers: {
+    cacheTtl: parseInt(process.env.TIER_CACHE_TTL) || 60 * 1000, // 1 minute
+  },
+
+  // Balance and tier change notifications (LINE push)
+  notifications: {
+    dedupWindow:
+      parseInt(process.env.NOTIFICATION_DEDUP_WINDOW) || 24 * 60 * 60 * 1000, // 24 hours
+    flushLimit: parseInt(process.env.NOTIFICATION_FLUSH_LIMIT) || 100,
+  },
+
+  // PIN brute-force protection, per phone number and per LINE user
+  pinAttempts: {
+    freeFailures: parseInt(process.env.PIN_FREE_FAILURES) || 2, // failures before delays start
+    retryDelay: parseInt(process.env.PIN_RETRY_DELAY) || 5000, // first delay, doubles per failure (ms)
+    maxFailures: parseInt(process.env.PIN_MAX_FAILURES) || 5, // failures that lock PIN entry
+    lockoutDuration:
+      parseInt(process.env.PIN_LOCKOUT_DURATION) || 15 * 60 * 1000, // 15 minutes, doubles per further failure
+    maxLockout: parseInt(process.env.PIN_MAX_LOCKOUT) || 24 * 60 * 60 * 1000, // 24 hours
+    failureWindow:
+      parseInt(process.env.PIN_FAILURE_WINDOW) || 24 * 60 * 60 * 1000, // failures older than this are forgotten
   },
 
   // Application
@@ -81,6 +175,17 @@ function validateConfig() {
     );
   }
 
+  for (const [name, value] of [
+    ["JWT_SECRET", config.security.jwtSecret],
+    ["PIN_SUBJECT_SALT", config.security.pinSubjectSalt],
+  ]) {
+    if (Buffer.byteLength(value) < MIN_SECRET_BYTES) {
+      throw new Error(
+        `${name} must be at least ${MIN_SECRET_BYTES} bytes (e.g. openssl rand -hex 32)`
+      );
+    }
+  }
+
   // ตรวจสอบ LINE credentials สำหรับ production
   if (config.app.environment === "production") {
     if (!config.line.channelAccessToken) {
@@ -89,6 +194,26 @@ function validateConfig() {
     if (!config.line.channelSecret) {
       console.warn("⚠️  LINE_CHANNEL_SECRET is not set");
     }
+    if (!config.security.erasureSubjectSalt) {
+      console.warn(
+        "⚠️  ERASURE_SUBJECT_SALT is not set, member data erasure is refused"
+      );
+    }
+    if (config.security.rateLimitStore === "memory") {
+      console.warn(
+        "⚠️  API_RATE_STORE is 'memory', rate limits are counted per function instance"
+      );
+    }
+    if (config.line.messagingTransport === "stub") {
+      console.warn(
+        "⚠️  LINE_MESSAGING_TRANSPORT is 'stub', LINE messages are not delivered"
+      );
+    }
+    if (config.prima789.transport === "fake") {
+      console.warn(
+        "⚠️  PRIMA789_TRANSPORT is 'fake', member logins are not checked against Prima789"
+      );
+    }
   }
 
   console.log("✅ Configuration validation passed");
@@ -111,6 +236,14 @@ try {
       process.env.DATABASE_URL ? "✅ Set" : "❌ Missing"
     );
     console.error("- LIFF_ID:", process.env.LIFF_ID ? "✅ Set" : "❌ Missing");
+    console.error(
+      "- JWT_SECRET:",
+      process.env.JWT_SECRET ? "✅ Set" : "❌ Missing"
+    );
+    console.error(
+      "- PIN_SUBJECT_SALT:",
+      process.env.PIN_SUBJECT_SALT ? "✅ Set" : "❌ Missing"
+    );
     console.error("- NODE_ENV:", process.env.NODE_ENV || "development");
   }
 
@@ -0,0 +1,6 @@
+-- 001_initial_schema: drops every member and session record
+
+DROP TRIGGER IF EXISTS update_user_accounts_updated_at ON user_accounts;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP TABLE IF EXISTS session_logs;
+DROP TABLE IF EXISTS user_accounts;
@@ -0,0 +1,56 @@
+-- 001_initial_schema: canonical member and session tables
+--
+-- Tables created by the old setup scripts are upgraded in place, so this
+-- migration is safe to run against databases set up before the runner existed.
+
+CREATE TABLE IF NOT EXISTS user_accounts (
+  id SERIAL PRIMARY KEY,
+  line_user_id VARCHAR(255) UNIQUE,
+  line_display_name VARCHAR(255),
+  prima_username VARCHAR(255) NOT NULL,
+  prima_phone VARCHAR(20),
+  first_name VARCHAR(255),
+  last_name VARCHAR(255),
+  member_tier VARCHAR(50) DEFAULT 'Standard',
+  credit_balance DECIMAL(15,2) DEFAULT 0.00,
+  is_active BOOLEAN DEFAULT true,
+  last_sync TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE user_accounts ALTER COLUMN line_user_id DROP NOT NULL;
+ALTER TABLE user_accounts ADD COLUMN IF NOT EXISTS first_name VARCHAR(255);
+ALTER TABLE user_accounts ADD COLUMN IF NOT EXISTS last_name VARCHAR(255);
+ALTER TABLE user_accounts ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS session_logs (
+  id SERIAL PRIMARY KEY,
+  line_user_id VARCHAR(255) NOT NULL,
+  action VARCHAR(100) NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_accounts_line_user_id ON user_accounts(line_user_id);
+CREATE INDEX IF NOT EXISTS idx_user_accounts_prima_username ON user_accounts(prima_username);
+CREATE INDEX IF NOT EXISTS idx_user_accounts_prima_phone ON user_accounts(prima_phone);
+CREATE INDEX IF NOT EXISTS idx_user_accounts_member_tier ON user_accounts(member_tier);
+CREATE INDEX IF NOT EXISTS idx_session_logs_line_user_id ON session_logs(line_user_id);
+CREATE INDEX IF NOT EXISTS idx_session_logs_created_at ON session_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_session_logs_action ON session_logs(action);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_user_accounts_updated_at ON user_accounts;
+CREATE TRIGGER update_user_accounts_updated_at
+  BEFORE UPDATE ON user_accounts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,11 @@
+-- 002_merge_user_mappings: restores the legacy table name only; imported
+-- rows stay in user_accounts because they may have been updated since.
+
+DO $$
+BEGIN
+  IF to_regclass('public.user_mappings_backup') IS NOT NULL
+     AND to_regclass('public.user_mappings') IS NULL THEN
+    ALTER TABLE user_mappings_backup RENAME TO user_mappings;
+  END IF;
+END
+$$;
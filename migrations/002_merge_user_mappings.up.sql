@@ -0,0 +1,16 @@
+-- 002_merge_user_mappings: import the original LINE -> Prima789 mapping table
+--
+-- Replaces migrateFromOldSchema in the old setup-database-enhanced.js script.
+
+DO $$
+BEGIN
+  IF to_regclass('public.user_mappings') IS NOT NULL THEN
+    INSERT INTO user_accounts (line_user_id, prima_username, created_at, updated_at)
+    SELECT line_user_id, prima_username, created_at, updated_at
+    FROM user_mappings
+    ON CONFLICT (line_user_id) DO NOTHING;
+
+    ALTER TABLE user_mappings RENAME TO user_mappings_backup;
+  END IF;
+END
+$$;
@@ -0,0 +1,11 @@
+-- 003_merge_legacy_users: restores the legacy table name only; merged rows
+-- stay in user_accounts because they may have been updated since.
+
+DO $$
+BEGIN
+  IF to_regclass('public.users_backup') IS NOT NULL
+     AND to_regclass('public.users') IS NULL THEN
+    ALTER TABLE users_backup RENAME TO users;
+  END IF;
+END
+$$;
@@ -0,0 +1,46 @@
+-- 003_merge_legacy_users: merge the phone-keyed users table into user_accounts
+--
+-- Rows are matched on prima_phone (digits only). Matched accounts take the
+-- newer balance; unmatched phones become unlinked accounts that /user/sync
+-- can claim later.
+
+DO $$
+BEGIN
+  IF to_regclass('public.users') IS NOT NULL THEN
+    UPDATE user_accounts ua
+    SET
+      first_name = COALESCE(ua.first_name, u.first_name),
+      last_name = COALESCE(ua.last_name, u.last_name),
+      credit_balance = CASE
+        WHEN u.updated_at > COALESCE(ua.last_sync, ua.updated_at)
+        THEN u.credit_balance ELSE ua.credit_balance END,
+      last_sync = GREATEST(ua.last_sync, u.updated_at)
+    FROM users u
+    WHERE regexp_replace(ua.prima_phone, '\D', '', 'g')
+      = regexp_replace(u.phone, '\D', '', 'g');
+
+    INSERT INTO user_accounts (
+      prima_phone, prima_username, first_name, last_name,
+      credit_balance, is_active, last_sync, created_at
+    )
+    SELECT DISTINCT ON (regexp_replace(u.phone, '\D', '', 'g'))
+      regexp_replace(u.phone, '\D', '', 'g'),
+      COALESCE(u.prima_username, u.phone),
+      u.first_name,
+      u.last_name,
+      COALESCE(u.credit_balance, 0),
+      COALESCE(u.is_active, true),
+      u.updated_at,
+      u.updated_at
+    FROM users u
+    WHERE NOT EXISTS (
+      SELECT 1 FROM user_accounts ua
+      WHERE regexp_replace(ua.prima_phone, '\D', '', 'g')
+        = regexp_replace(u.phone, '\D', '', 'g')
+    )
+    ORDER BY regexp_replace(u.phone, '\D', '', 'g'), u.updated_at DESC;
+
+    ALTER TABLE users RENAME TO users_backup;
+  END IF;
+END
+$$;
@@ -0,0 +1,3 @@
+-- 004_refresh_tokens
+
+DROP TABLE IF EXISTS refresh_tokens;
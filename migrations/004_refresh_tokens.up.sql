@@ -0,0 +1,20 @@
+-- 004_refresh_tokens: rotating refresh tokens for our own session JWTs
+--
+-- Only a hash of each token is stored. Tokens issued from one LINE login share
+-- a family_id so reuse of a rotated token can revoke the whole chain.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  line_user_id VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  family_id VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  replaced_by INTEGER REFERENCES refresh_tokens(id),
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_line_user_id ON refresh_tokens(line_user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
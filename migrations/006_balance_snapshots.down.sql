@@ -0,0 +1,4 @@
+-- 006_balance_snapshots
+
+DROP TABLE IF EXISTS balance_snapshots;
+DROP FUNCTION IF EXISTS prevent_balance_snapshot_update();
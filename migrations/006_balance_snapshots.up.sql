@@ -0,0 +1,29 @@
+-- 006_balance_snapshots: append-only credit balance history
+--
+-- One row per successful Prima789 sync (member sync, verify or background
+-- refresh). Rows are never updated; they are only removed together with the
+-- account.
+
+CREATE TABLE IF NOT EXISTS balance_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES user_accounts(id) ON DELETE CASCADE,
+  credit_balance DECIMAL(15,2) NOT NULL,
+  member_tier VARCHAR(50),
+  source VARCHAR(20) NOT NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_balance_snapshots_account_recorded
+  ON balance_snapshots(account_id, recorded_at);
+
+CREATE OR REPLACE FUNCTION prevent_balance_snapshot_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'balance_snapshots is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS balance_snapshots_append_only ON balance_snapshots;
+CREATE TRIGGER balance_snapshots_append_only
+  BEFORE UPDATE ON balance_snapshots
+  FOR EACH ROW EXECUTE FUNCTION prevent_balance_snapshot_update();
@@ -0,0 +1,5 @@
+-- 007_member_tiers
+
+ALTER TABLE user_accounts DROP COLUMN IF EXISTS tier_below_since;
+
+DROP TABLE IF EXISTS member_tiers;
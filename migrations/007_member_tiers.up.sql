@@ -0,0 +1,34 @@
+-- 007_member_tiers: configurable member tier rules
+--
+-- Each tier is reached when the member's qualifying balance is at least
+-- min_balance. With rolling_window_days > 0 the qualifying balance is the
+-- average of the balance snapshots in that window (including the balance
+-- being synced) rather than the current balance alone. A member who falls
+-- below their tier keeps it for downgrade_grace_days, counted from
+-- user_accounts.tier_below_since.
+--
+-- The seed rows reproduce the thresholds that were previously hard-coded,
+-- without windows or grace periods.
+
+CREATE TABLE IF NOT EXISTS member_tiers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  min_balance DECIMAL(15,2) UNIQUE NOT NULL,
+  rolling_window_days INTEGER NOT NULL DEFAULT 0 CHECK (rolling_window_days >= 0),
+  downgrade_grace_days INTEGER NOT NULL DEFAULT 0 CHECK (downgrade_grace_days >= 0),
+  badge_color VARCHAR(7) NOT NULL DEFAULT '#fbbf24',
+  text_color VARCHAR(7) NOT NULL DEFAULT '#111827',
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO member_tiers (name, min_balance, badge_color, text_color)
+VALUES
+  ('Standard', 0, '#6b7280', '#f9fafb'),
+  ('Silver', 10000, '#d1d5db', '#111827'),
+  ('Gold', 50000, '#fbbf24', '#111827'),
+  ('Platinum', 100000, '#e0e7ff', '#312e81')
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE user_accounts ADD COLUMN IF NOT EXISTS tier_below_since TIMESTAMP;
@@ -0,0 +1,3 @@
+-- 008_tier_history
+
+DROP TABLE IF EXISTS tier_history;
@@ -0,0 +1,19 @@
+-- 008_tier_history: member tier changes
+--
+-- One row per upgrade or downgrade applied by the tier rules engine, with the
+-- balance that triggered it. Shown in the member's activity feed.
+
+CREATE TABLE IF NOT EXISTS tier_history (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES user_accounts(id) ON DELETE CASCADE,
+  from_tier VARCHAR(50),
+  to_tier VARCHAR(50) NOT NULL,
+  direction VARCHAR(10) NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  credit_balance DECIMAL(15,2) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tier_history_account_changed
+  ON tier_history(account_id, changed_at);
@@ -0,0 +1,3 @@
+-- 009_line_followers
+
+DROP TABLE IF EXISTS line_followers;
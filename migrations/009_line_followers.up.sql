@@ -0,0 +1,15 @@
+-- 009_line_followers: follow state of the LINE official account
+--
+-- Updated from follow/unfollow webhook events. Followers need not be linked
+-- members, so this is keyed by line_user_id rather than user_accounts.id.
+-- last_event_at guards against LINE delivering events out of order.
+
+CREATE TABLE IF NOT EXISTS line_followers (
+  line_user_id VARCHAR(255) PRIMARY KEY,
+  is_following BOOLEAN NOT NULL,
+  followed_at TIMESTAMP,
+  unfollowed_at TIMESTAMP,
+  last_event_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
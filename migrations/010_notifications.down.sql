@@ -0,0 +1,4 @@
+-- 010_notifications
+
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS notification_preferences;
@@ -0,0 +1,52 @@
+-- 010_notifications: member notification preferences and delivery log
+--
+-- notification_preferences holds one optional row per member; members
+-- without one get the defaults (enabled, tier changes on, no balance
+-- thresholds, no quiet hours). Quiet hours are Asia/Bangkok wall-clock times
+-- and may wrap past midnight (22:00-08:00).
+--
+-- notification_deliveries records every notification the dispatcher
+-- produced, including the ones it held back, so support can see what a
+-- member was sent and why something was not:
+--   sent        - LINE accepted the push
+--   failed      - LINE refused the push (error says why)
+--   deferred    - waiting for quiet hours to end (deliver_after)
+--   pending     - being sent right now
+--   duplicate   - same dedup_key already sent within the dedup window
+--   unreachable - the member has blocked the official account
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  account_id INTEGER PRIMARY KEY REFERENCES user_accounts(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  balance_below DECIMAL(15,2),
+  balance_above DECIMAL(15,2),
+  tier_upgrade BOOLEAN NOT NULL DEFAULT true,
+  tier_downgrade BOOLEAN NOT NULL DEFAULT true,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES user_accounts(id) ON DELETE CASCADE,
+  line_user_id VARCHAR(255) NOT NULL,
+  type VARCHAR(30) NOT NULL,
+  dedup_key VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  messages JSONB,
+  deliver_after TIMESTAMP,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_dedup
+  ON notification_deliveries(account_id, dedup_key, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_line_user
+  ON notification_deliveries(line_user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_deferred
+  ON notification_deliveries(deliver_after)
+  WHERE status = 'deferred';
@@ -0,0 +1,3 @@
+-- 011_rich_menus
+
+DROP TABLE IF EXISTS rich_menus;
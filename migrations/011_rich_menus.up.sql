@@ -0,0 +1,12 @@
+-- 011_rich_menus: rich menus deployed to the LINE official account
+--
+-- One row per menu defined in richmenus/ (linked, unlinked) with the ID LINE
+-- assigned and a hash of the definition and image, so a deploy only
+-- re-uploads the menus that changed.
+
+CREATE TABLE IF NOT EXISTS rich_menus (
+  name VARCHAR(50) PRIMARY KEY,
+  rich_menu_id VARCHAR(100) NOT NULL,
+  definition_hash CHAR(64) NOT NULL,
+  deployed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
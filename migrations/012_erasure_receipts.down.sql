@@ -0,0 +1,3 @@
+-- 012_erasure_receipts
+
+DROP TABLE IF EXISTS erasure_receipts;
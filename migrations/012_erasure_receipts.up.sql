@@ -0,0 +1,17 @@
+-- 012_erasure_receipts: receipts for member data erasure (PDPA deletion)
+--
+-- One row per erased member. The receipt holds no personal data: the member
+-- is identified only by a salted hash of the LINE User ID, so support can
+-- confirm an erasure for a user who quotes it without the table linking back
+-- to them. items records what was deleted or anonymized.
+
+CREATE TABLE IF NOT EXISTS erasure_receipts (
+  receipt_id UUID PRIMARY KEY,
+  subject_hash CHAR(64) NOT NULL,
+  requested_via VARCHAR(20) NOT NULL,
+  items JSONB NOT NULL,
+  erased_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_receipts_subject_hash
+  ON erasure_receipts(subject_hash);
@@ -0,0 +1,3 @@
+-- 013_rate_limits
+
+DROP TABLE IF EXISTS rate_limits;
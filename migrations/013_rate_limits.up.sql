@@ -0,0 +1,16 @@
+-- 013_rate_limits: rate limiter state shared by all function instances
+--
+-- One row per client and bucket (e.g. "default:203.0.113.7-1a2b3c"). state
+-- is the algorithm's JSON state; version is bumped on every write so
+-- concurrent instances update a row with compare-and-set instead of
+-- overwriting each other. Rows past expires_at are ignored and deleted
+-- from time to time.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  state JSONB NOT NULL,
+  version INTEGER NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits(expires_at);
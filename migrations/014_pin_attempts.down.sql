@@ -0,0 +1,4 @@
+-- 014_pin_attempts
+
+DROP TABLE IF EXISTS pin_lockouts;
+DROP TABLE IF EXISTS pin_attempts;
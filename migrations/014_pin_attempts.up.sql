@@ -0,0 +1,31 @@
+-- 014_pin_attempts: failed Prima789 PIN attempts and lockouts
+--
+-- pin_attempts counts PIN attempts per subject (a phone number or a LINE
+-- user) since the last correct PIN, to delay and then lock further attempts;
+-- pin_lockouts is the audit trail of every lockout. Subjects are stored as salted hashes, with the
+-- masked phone number kept on lockouts for support.
+
+CREATE TABLE IF NOT EXISTS pin_attempts (
+  subject_hash CHAR(64) PRIMARY KEY,
+  subject_type VARCHAR(20) NOT NULL,
+  failures INTEGER NOT NULL,
+  last_attempt_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS pin_lockouts (
+  id SERIAL PRIMARY KEY,
+  subject_hash CHAR(64) NOT NULL,
+  subject_type VARCHAR(20) NOT NULL,
+  subject_label VARCHAR(20),
+  failures INTEGER NOT NULL,
+  locked_until TIMESTAMP NOT NULL,
+  route VARCHAR(20) NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pin_lockouts_subject_hash
+  ON pin_lockouts(subject_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_pin_lockouts_created_at
+  ON pin_lockouts(created_at);
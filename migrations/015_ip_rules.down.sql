@@ -0,0 +1,3 @@
+-- 015_ip_rules
+
+DROP TABLE IF EXISTS ip_rules;
@@ -0,0 +1,25 @@
+-- 015_ip_rules: persisted IP reputation, blocklist and allowlist
+--
+-- One row per address range (cidr) and list: "block" refuses requests,
+-- "allow" exempts them from blocking, "suspect" records suspicious activity
+-- for review. source is "auto" for entries the security middleware made and
+-- "admin" for entries added through the admin API or CLI; automatic updates
+-- never overwrite an admin entry. hits counts matching requests (blocked
+-- requests for "block", flagged ones for "suspect"). A row past expires_at
+-- no longer applies; NULL never expires.
+
+CREATE TABLE IF NOT EXISTS ip_rules (
+  id SERIAL PRIMARY KEY,
+  cidr CIDR NOT NULL,
+  list VARCHAR(10) NOT NULL CHECK (list IN ('block', 'allow', 'suspect')),
+  reason TEXT,
+  source VARCHAR(10) NOT NULL DEFAULT 'admin',
+  hits INTEGER NOT NULL DEFAULT 0,
+  first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  UNIQUE (cidr, list)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ip_rules_list_expires_at
+  ON ip_rules(list, expires_at);
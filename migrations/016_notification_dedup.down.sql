@@ -0,0 +1,4 @@
+-- 016_notification_dedup
+
+DROP INDEX IF EXISTS idx_notification_deliveries_dedup_claim;
+ALTER TABLE notification_deliveries DROP COLUMN IF EXISTS dedup_bucket;
@@ -0,0 +1,15 @@
+-- 016_notification_dedup: atomic notification dedup claims
+--
+-- dedup_bucket numbers the dedup window a notification was produced in
+-- (milliseconds since the epoch divided by NOTIFICATION_DEDUP_WINDOW). The
+-- unique index lets only one open notification (sent, deferred or pending)
+-- per account, dedup key and window exist, so two instances handling the
+-- same sync cannot both send it. Rows from before this migration have no
+-- bucket and never conflict.
+
+ALTER TABLE notification_deliveries
+  ADD COLUMN IF NOT EXISTS dedup_bucket BIGINT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_deliveries_dedup_claim
+  ON notification_deliveries(account_id, dedup_key, dedup_bucket)
+  WHERE status IN ('sent', 'deferred', 'pending');
@@ -0,0 +1,7 @@
+-- 017_unique_prima_phone
+--
+-- Normalized numbers and the numbers removed from duplicate rows are not
+-- restored.
+
+DROP INDEX IF EXISTS idx_user_accounts_prima_phone_unique;
+CREATE INDEX IF NOT EXISTS idx_user_accounts_prima_phone ON user_accounts(prima_phone);
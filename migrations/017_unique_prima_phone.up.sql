@@ -0,0 +1,50 @@
+-- 017_unique_prima_phone: one account per Prima789 phone number
+--
+-- Stored numbers are rewritten to the 10-digit local form the API stores
+-- (0XXXXXXXXX) so differently typed copies of a number compare equal. Where
+-- a number is on several rows, it stays on the linked row synced most
+-- recently (the newest unlinked row if none is linked); the other rows keep
+-- their data but lose the number, so their LINE users must link again.
+
+UPDATE user_accounts ua
+SET prima_phone = normalized.phone
+FROM (
+  SELECT
+    id,
+    NULLIF(
+      regexp_replace(
+        regexp_replace(
+          regexp_replace(prima_phone, '\D', '', 'g'),
+          '^66(\d{9})$', '0\1'
+        ),
+        '^([1-9])', '0\1'
+      ),
+      ''
+    ) AS phone
+  FROM user_accounts
+  WHERE prima_phone IS NOT NULL
+) normalized
+WHERE ua.id = normalized.id
+  AND ua.prima_phone IS DISTINCT FROM normalized.phone;
+
+UPDATE user_accounts ua
+SET prima_phone = NULL
+FROM (
+  SELECT
+    id,
+    ROW_NUMBER() OVER (
+      PARTITION BY prima_phone
+      ORDER BY
+        (line_user_id IS NOT NULL) DESC,
+        COALESCE(last_sync, updated_at) DESC NULLS LAST,
+        id DESC
+    ) AS position
+  FROM user_accounts
+  WHERE prima_phone IS NOT NULL
+) ranked
+WHERE ua.id = ranked.id
+  AND ranked.position > 1;
+
+DROP INDEX IF EXISTS idx_user_accounts_prima_phone;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_accounts_prima_phone_unique
+  ON user_accounts(prima_phone);
@@ -0,0 +1,3 @@
+-- 018_drop_legacy_backups
+--
+-- The dropped rows are not restored; 002 and 003 roll back without them.
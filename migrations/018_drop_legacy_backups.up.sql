@@ -0,0 +1,9 @@
+-- 018_drop_legacy_backups: drop the tables left by the legacy merges
+--
+-- 002_merge_user_mappings and 003_merge_legacy_users kept the original tables
+-- as user_mappings_backup and users_backup. Both hold LINE User IDs, phone
+-- numbers and names that member erasure cannot reach, so an erased member
+-- would live on in them. Everything they held is in user_accounts.
+
+DROP TABLE IF EXISTS user_mappings_backup;
+DROP TABLE IF EXISTS users_backup;
@@ -0,0 +1,25 @@
+// netlify/functions/send-notifications.js - Scheduled delivery of deferred
+// notifications
+//
+// Notifications produced during a member's quiet hours wait in
+// notification_deliveries; this sends the ones whose quiet hours have ended.
+// The schedule is set in netlify.toml. Run locally with
+// `npm run notifications:flush`.
+
+const notificationService = require("../../services/notificationService");
+const logger = require("../../utils/logger");
+
+exports.handler = async () => {
+  try {
+    const summary = await notificationService.flushDeferred();
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    logger.error("Deferred notification flush failed", {
+      error: error.message,
+    });
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: { message: error.message } }),
+    };
+  }
+};
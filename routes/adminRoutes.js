@@ -0,0 +1,169 @@
+// routes/adminRoutes.js - Operator endpoints, authenticated with X-Admin-Key
+
+const ipReputationService = require("../services/ipReputationService");
+const {
+  parseJsonBody,
+  validateRequest,
+  requireAdmin,
+} = require("../utils/middleware");
+const { createResponse } = require("../utils/router");
+const { AppError } = require("../utils/errors");
+const { timestamp, errorResponse } = require("./schemas");
+
+// Lists an operator can add to; "suspect" entries are only made automatically
+const MANAGED_LISTS = ["block", "allow"];
+
+// ipReputationService.fromRow()
+const ipRule = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    cidr: { type: "string", example: "203.0.113.0/24" },
+    list: { type: "string", enum: ["block", "allow", "suspect"] },
+    reason: { type: "string", nullable: true },
+    source: { type: "string", enum: ["admin", "auto"] },
+    hits: { type: "integer" },
+    firstSeenAt: timestamp,
+    lastSeenAt: timestamp,
+    expiresAt: { ...timestamp, description: "null: never expires" },
+  },
+};
+
+const ipRuleResponse = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    rule: ipRule,
+  },
+};
+
+/**
+ * GET /admin/ip-rules - Blocklist, allowlist and suspicious IPs
+ * Query: list (block | allow | suspect), includeExpired (true)
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} { rules }
+ */
+async function listIpRules(ctx) {
+  const rules = await ipReputationService.list({
+    list: ctx.query.list || null,
+    includeExpired: ctx.query.includeExpired,
+  });
+
+  return createResponse(200, { success: true, rules });
+}
+
+/**
+ * POST /admin/ip-rules - Block or allowlist an address or CIDR range
+ * Body: { cidr, list: "block" | "allow", reason, expiresAt }
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} 201 with the rule
+ */
+async function addIpRule(ctx) {
+  const { cidr, list, reason, expiresAt } = ctx.body;
+
+  const options = {
+    reason,
+    expiresAt: ipReputationService.parseExpiry(expiresAt),
+  };
+  const rule =
+    list === "block"
+      ? await ipReputationService.block(cidr, options)
+      : await ipReputationService.allow(cidr, options);
+
+  return createResponse(201, { success: true, rule });
+}
+
+/**
+ * DELETE /admin/ip-rules/:id - Remove a rule (unblock)
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} The removed rule, 404 if there was none
+ */
+async function removeIpRule(ctx) {
+  const rule = await ipReputationService.remove(ctx.params.id);
+
+  if (!rule) {
+    throw new AppError("IP rule not found", 404, "IP_RULE_NOT_FOUND");
+  }
+
+  return createResponse(200, { success: true, rule });
+}
+
+module.exports = [
+  {
+    method: "GET",
+    path: "/admin/ip-rules",
+    summary: "List IP rules",
+    middleware: [requireAdmin, validateRequest],
+    handler: listIpRules,
+    schema: {
+      query: {
+        type: "object",
+        properties: {
+          list: { type: "string", enum: ["block", "allow", "suspect"] },
+          includeExpired: { type: "boolean", default: false },
+        },
+      },
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            rules: { type: "array", items: ipRule },
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "POST",
+    path: "/admin/ip-rules",
+    summary: "Block or allowlist an address or range",
+    middleware: [requireAdmin, parseJsonBody, validateRequest],
+    handler: addIpRule,
+    schema: {
+      body: {
+        type: "object",
+        required: ["cidr", "list"],
+        properties: {
+          cidr: {
+            type: "string",
+            maxLength: 64,
+            description: "IPv4 or IPv6 address or CIDR range",
+            example: "203.0.113.0/24",
+          },
+          list: { type: "string", enum: MANAGED_LISTS },
+          reason: {
+            type: "string",
+            nullable: true,
+            maxLength: 200,
+            default: null,
+          },
+          expiresAt: {
+            type: "string",
+            format: "date-time",
+            nullable: true,
+            description: "Leave out to never expire",
+          },
+        },
+      },
+      response: { 201: ipRuleResponse },
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/admin/ip-rules/:id",
+    summary: "Remove an IP rule",
+    middleware: [requireAdmin, validateRequest],
+    handler: removeIpRule,
+    schema: {
+      params: {
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: { type: "integer", minimum: 1 },
+        },
+      },
+      response: { 200: ipRuleResponse, 404: errorResponse },
+    },
+  },
+];
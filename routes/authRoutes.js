@@ -0,0 +1,102 @@
+// routes/authRoutes.js - Session token endpoints
+
+const sessionService = require("../services/sessionService");
+const databaseService = require("../services/databaseService");
+const {
+  parseJsonBody,
+  validateRequest,
+  authenticateLine,
+} = require("../utils/middleware");
+const { createResponse } = require("../utils/router");
+const { tokens, refreshTokenBody } = require("./schemas");
+
+/**
+ * POST /auth/token - Exchange a verified LINE ID Token for a session
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Access and refresh token pair
+ */
+async function issueToken(ctx) {
+  const tokens = await sessionService.issueSession(ctx.lineProfile, {
+    ipAddress: ctx.ip,
+    userAgent: ctx.userAgent,
+  });
+
+  await databaseService.logSession(
+    ctx.lineUserId,
+    "session_start",
+    ctx.ip,
+    ctx.userAgent
+  );
+
+  return createResponse(200, tokens);
+}
+
+/**
+ * POST /auth/refresh - Rotate a refresh token
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} New access and refresh token pair
+ */
+async function refreshToken(ctx) {
+  const tokens = await sessionService.refreshSession(ctx.body.refreshToken, {
+    ipAddress: ctx.ip,
+    userAgent: ctx.userAgent,
+  });
+
+  return createResponse(200, tokens);
+}
+
+/**
+ * POST /auth/logout - Revoke a refresh token
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Revocation result
+ */
+async function logout(ctx) {
+  const revoked = await sessionService.revokeRefreshToken(
+    ctx.body.refreshToken
+  );
+
+  return createResponse(200, { success: true, revoked });
+}
+
+module.exports = [
+  {
+    method: "POST",
+    path: "/auth/token",
+    summary: "Exchange a LINE ID Token for a session",
+    middleware: [authenticateLine],
+    handler: issueToken,
+    schema: {
+      response: { 200: tokens },
+    },
+  },
+  {
+    method: "POST",
+    path: "/auth/refresh",
+    summary: "Rotate a refresh token",
+    middleware: [parseJsonBody, validateRequest],
+    handler: refreshToken,
+    schema: {
+      body: refreshTokenBody,
+      response: { 200: tokens },
+    },
+  },
+  {
+    method: "POST",
+    path: "/auth/logout",
+    summary: "Revoke a refresh token",
+    middleware: [parseJsonBody, validateRequest],
+    handler: logout,
+    schema: {
+      body: refreshTokenBody,
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            revoked: { type: "boolean" },
+          },
+        },
+      },
+    },
+  },
+];
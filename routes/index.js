@@ -0,0 +1,15 @@
+// routes/index.js - Route table for the API function
+
+const systemRoutes = require("./systemRoutes");
+const authRoutes = require("./authRoutes");
+const userRoutes = require("./userRoutes");
+const lineRoutes = require("./lineRoutes");
+const adminRoutes = require("./adminRoutes");
+
+module.exports = [
+  ...systemRoutes,
+  ...authRoutes,
+  ...userRoutes,
+  ...lineRoutes,
+  ...adminRoutes,
+];
@@ -0,0 +1,59 @@
+// routes/lineRoutes.js - LINE Messaging API webhook
+
+const lineWebhookService = require("../services/lineWebhookService");
+const {
+  parseJsonBody,
+  validateRequest,
+  verifyLineSignature,
+} = require("../utils/middleware");
+const { createResponse } = require("../utils/router");
+
+/**
+ * POST /line/webhook - Events from the LINE official account
+ * The signature is checked against the raw body before it is parsed.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} 200 with event counts (LINE only checks the status)
+ */
+async function receiveWebhook(ctx) {
+  const summary = await lineWebhookService.dispatch(ctx.body.events);
+
+  return createResponse(200, { success: true, ...summary });
+}
+
+module.exports = [
+  {
+    method: "POST",
+    path: "/line/webhook",
+    summary: "LINE Messaging API webhook",
+    middleware: [verifyLineSignature, parseJsonBody, validateRequest],
+    handler: receiveWebhook,
+    schema: {
+      body: {
+        type: "object",
+        properties: {
+          destination: { type: "string", description: "Bot user ID" },
+          events: {
+            type: "array",
+            default: [],
+            // Event objects are read by lineWebhookService as LINE sends them
+            items: { type: "object", additionalProperties: true },
+          },
+        },
+      },
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            handled: { type: "integer" },
+            failed: { type: "integer" },
+            ignored: { type: "integer" },
+          },
+        },
+      },
+    },
+    // LINE delivers every member's events from a few shared IPs; requests
+    // are authenticated by signature instead of limited per client
+    rateLimit: false,
+  },
+];
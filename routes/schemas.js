@@ -0,0 +1,143 @@
+// routes/schemas.js - Schema pieces shared by the route definitions
+//
+// Each route declares `schema: { params, query, body, response }`; request
+// parts are enforced by validateRequest() and responses are checked outside
+// production (see utils/router.js), and utils/openapi.js publishes them as the
+// OpenAPI document. Syntax: utils/schema.js.
+
+const phone = {
+  type: "string",
+  format: "thai-mobile",
+  description: "Thai mobile number; +66, spaces and dashes are accepted",
+  example: "081-234-5678",
+};
+
+const pin = {
+  type: "string",
+  format: "pin",
+  description: "4-digit Prima789 PIN",
+  example: "1234",
+};
+
+const timestamp = {
+  type: "string",
+  format: "date-time",
+  nullable: true,
+};
+
+const retryAfter = {
+  type: "integer",
+  nullable: true,
+  description: "Seconds until Prima789 is tried again",
+};
+
+const tier = {
+  type: "object",
+  properties: {
+    name: { type: "string", nullable: true },
+    badgeColor: { type: "string", nullable: true },
+    textColor: { type: "string", nullable: true },
+    downgradeAt: timestamp,
+  },
+};
+
+// memberCardService.toCardPayload()
+const cardProperties = {
+  username: { type: "string", nullable: true },
+  name: { type: "string", nullable: true },
+  phone: { type: "string", nullable: true },
+  level: { type: "string", nullable: true },
+  tier,
+  balance: { type: "number" },
+  lastUpdated: timestamp,
+  source: { type: "string" },
+};
+
+const card = {
+  type: "object",
+  properties: cardProperties,
+};
+
+// Card plus the names returned when an account is linked or verified
+const member = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    ...cardProperties,
+    firstName: { type: "string", nullable: true },
+    lastName: { type: "string", nullable: true },
+    fullName: { type: "string", nullable: true },
+    isActive: { type: "boolean", nullable: true },
+  },
+};
+
+// The credentials tried against Prima789 by /user/sync and /user/verify
+const credentials = {
+  type: "object",
+  required: ["phone", "pin"],
+  properties: { phone, pin },
+};
+
+const tokens = {
+  type: "object",
+  properties: {
+    accessToken: { type: "string" },
+    tokenType: { type: "string", enum: ["Bearer"] },
+    expiresIn: { type: "integer", description: "Seconds" },
+    refreshToken: { type: "string" },
+    refreshExpiresIn: { type: "integer", description: "Seconds" },
+  },
+};
+
+const refreshTokenBody = {
+  type: "object",
+  properties: {
+    refreshToken: { type: "string", maxLength: 512 },
+  },
+};
+
+// createErrorResponse(); fields other than message and code only when set
+const errorResponse = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      required: ["message", "code"],
+      properties: {
+        message: { type: "string" },
+        code: { type: "string", example: "VALIDATION_ERROR" },
+        field: {
+          type: "string",
+          description: "Path of the invalid field",
+          example: "quietHours.start",
+        },
+        retryAfter: { type: "integer", description: "Seconds" },
+        unlockAt: { type: "string", format: "date-time" },
+        attemptsRemaining: { type: "integer" },
+        stack: { type: "string", description: "Development only" },
+      },
+    },
+  },
+};
+
+const success = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+  },
+};
+
+module.exports = {
+  phone,
+  pin,
+  timestamp,
+  retryAfter,
+  tier,
+  card,
+  member,
+  credentials,
+  tokens,
+  refreshTokenBody,
+  errorResponse,
+  success,
+};
@@ -0,0 +1,172 @@
+// routes/systemRoutes.js - Health, statistics and client configuration endpoints
+
+const config = require("../config/config");
+const databaseService = require("../services/databaseService");
+const prima789Service = require("../services/prima789Service");
+const { createResponse } = require("../utils/router");
+const { buildOpenApiSpec } = require("../utils/openapi");
+const { timestamp, retryAfter, errorResponse } = require("./schemas");
+
+// Built on first request; the route table does not change while running
+let openApiSpec = null;
+
+const health = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["ok", "degraded"] },
+    environment: { type: "string" },
+    services: {
+      type: "object",
+      properties: {
+        database: { type: "string", enum: ["connected", "unavailable"] },
+        prima789: {
+          type: "object",
+          description: "Protocol, circuit breaker and bulkhead state",
+          properties: {
+            available: { type: "boolean" },
+            retryAfter,
+          },
+          additionalProperties: true,
+        },
+      },
+    },
+    timestamp,
+  },
+};
+
+/**
+ * GET /health - System health check
+ * @returns {Promise<Object>} Health status response
+ */
+async function getHealth() {
+  const databaseHealthy = await databaseService.healthCheck();
+
+  return createResponse(databaseHealthy ? 200 : 503, {
+    status: databaseHealthy ? "ok" : "degraded",
+    environment: config.app.environment,
+    services: {
+      database: databaseHealthy ? "connected" : "unavailable",
+      prima789: {
+        ...prima789Service.getProtocolInfo(),
+        ...prima789Service.getAvailability(),
+      },
+    },
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * GET /stats - Member statistics
+ * @returns {Promise<Object>} Statistics response
+ */
+async function getStats() {
+  const statistics = await databaseService.getStatistics();
+
+  return createResponse(200, {
+    ...statistics,
+    lastUpdated: new Date().toISOString(),
+  });
+}
+
+/**
+ * GET /liff/config - Settings the LIFF pages need before liff.init(), so
+ * the LIFF ID is configured once, in LIFF_ID
+ * @returns {Promise<Object>} { liffId }
+ */
+async function getLiffConfig() {
+  return createResponse(
+    200,
+    { liffId: config.line.liffId },
+    { "Cache-Control": "public, max-age=300" }
+  );
+}
+
+/**
+ * GET /openapi.json - OpenAPI 3 description of this API, generated from
+ * the route table and its schemas
+ * @returns {Promise<Object>} OpenAPI document
+ */
+async function getOpenApiSpec() {
+  // Required here: routes/index.js includes this file
+  openApiSpec =
+    openApiSpec ||
+    buildOpenApiSpec(require("./index"), { errorSchema: errorResponse });
+
+  return createResponse(200, openApiSpec, {
+    "Cache-Control": "public, max-age=300",
+  });
+}
+
+module.exports = [
+  {
+    method: "GET",
+    path: "/health",
+    summary: "Service health check",
+    tag: "system",
+    handler: getHealth,
+    schema: {
+      response: { 200: health, 503: health },
+    },
+  },
+  {
+    method: "GET",
+    path: "/stats",
+    summary: "Member statistics",
+    tag: "system",
+    handler: getStats,
+    schema: {
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            totalUsers: { type: "integer" },
+            recentUsers: { type: "integer", description: "Last 24 hours" },
+            recentSessions: { type: "integer", description: "Last 24 hours" },
+            tierDistribution: {
+              type: "object",
+              description: "Members per tier name",
+              additionalProperties: { type: "integer" },
+            },
+            lastUpdated: timestamp,
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "GET",
+    path: "/liff/config",
+    summary: "LIFF app settings for the pages",
+    tag: "system",
+    handler: getLiffConfig,
+    schema: {
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            liffId: { type: "string", example: "1234567890-abcdefgh" },
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "GET",
+    path: "/openapi.json",
+    summary: "OpenAPI description of this API",
+    tag: "system",
+    handler: getOpenApiSpec,
+    schema: {
+      response: {
+        200: {
+          type: "object",
+          description: "OpenAPI 3.0 document",
+          properties: {
+            openapi: { type: "string", example: "3.0.3" },
+          },
+          additionalProperties: true,
+        },
+      },
+    },
+  },
+];
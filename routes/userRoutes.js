@@ -0,0 +1,666 @@
+// routes/userRoutes.js - Member endpoints
+
+const databaseService = require("../services/databaseService");
+const prima789Service = require("../services/prima789Service");
+const balanceHistoryService = require("../services/balanceHistoryService");
+const tierService = require("../services/tierService");
+const activityService = require("../services/activityService");
+const memberCardService = require("../services/memberCardService");
+const notificationService = require("../services/notificationService");
+const erasureService = require("../services/erasureService");
+const pinAttemptService = require("../services/pinAttemptService");
+const {
+  parseJsonBody,
+  validateRequest,
+  authenticate,
+} = require("../utils/middleware");
+const { eventBus, EVENTS } = require("../utils/events");
+const { createResponse } = require("../utils/router");
+const { AppError, ServiceUnavailableError } = require("../utils/errors");
+const {
+  timestamp,
+  retryAfter,
+  card,
+  member,
+  credentials,
+  errorResponse,
+  success,
+} = require("./schemas");
+
+// Requests that try a Prima789 PIN, counted together for sync and verify
+const PIN_RATE_LIMIT = { bucket: "pin", limit: 10, windowMs: 15 * 60 * 1000 };
+
+const amount = {
+  type: "number",
+  minimum: 0,
+  nullable: true,
+  description: "Baht; null turns the alert off",
+};
+
+const quietHours = {
+  type: "object",
+  nullable: true,
+  description: "Bangkok time; null: no quiet hours",
+  required: ["start", "end"],
+  "x-distinct": ["start", "end"],
+  properties: {
+    start: { type: "string", format: "time", example: "22:00" },
+    end: { type: "string", format: "time", example: "08:00" },
+  },
+};
+
+// Fields left out of an update keep their current value
+const preferenceFields = {
+  enabled: { type: "boolean" },
+  balanceBelow: amount,
+  balanceAbove: amount,
+  tierUpgrade: { type: "boolean" },
+  tierDowngrade: { type: "boolean" },
+  quietHours,
+};
+
+const preferences = {
+  type: "object",
+  properties: preferenceFields,
+};
+
+const notLinked = {
+  ...errorResponse,
+  description: "USER_NOT_FOUND: the LINE account is not linked",
+};
+
+const memberResponse = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    user: member,
+  },
+};
+
+/**
+ * Linked account of the authenticated LINE user
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} user_accounts row
+ * @throws {AppError} USER_NOT_FOUND when the LINE user is not linked
+ */
+async function requireLinkedAccount(ctx) {
+  const account = await databaseService.findUserMapping(ctx.lineUserId);
+
+  if (!account) {
+    throw new AppError(
+      "User profile not found. Please sync your account first.",
+      404,
+      "USER_NOT_FOUND"
+    );
+  }
+  return account;
+}
+
+/**
+ * GET /user/profile - Member card for the authenticated LINE user
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Card response, 404 when the account is not linked
+ */
+async function getProfile(ctx) {
+  const account = await requireLinkedAccount(ctx);
+
+  await databaseService.logSession(
+    ctx.lineUserId,
+    "profile_view",
+    ctx.ip,
+    ctx.userAgent
+  );
+
+  const { available, retryAfter } = prima789Service.getAvailability();
+
+  return createResponse(200, {
+    ...(await memberCardService.toCardPayload(account)),
+    prima789: { available, retryAfter },
+  });
+}
+
+/**
+ * 503 response for a sync refused while Prima789 is unavailable, carrying
+ * the last balance stored in user_accounts so the card can still show it
+ * @param {Object} ctx - Request context
+ * @param {ServiceUnavailableError} error - Circuit breaker / bulkhead error
+ * @returns {Promise<Object>} Unavailable response with cached card data
+ */
+async function unavailableResponse(ctx, error) {
+  const account = await databaseService.findUserMapping(ctx.lineUserId);
+
+  return createResponse(
+    503,
+    {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter,
+      },
+      cached: account ? await memberCardService.toCardPayload(account) : null,
+    },
+    error.retryAfter ? { "Retry-After": String(error.retryAfter) } : {}
+  );
+}
+
+/**
+ * POST /user/sync - Link the authenticated LINE user to a Prima789 account
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Linked member consumed by showSuccessView()
+ */
+async function syncUser(ctx) {
+  const { phone, pin } = ctx.body;
+
+  let primaData;
+  try {
+    primaData = await pinAttemptService.authenticate({
+      phone,
+      pin,
+      lineUserId: ctx.lineUserId,
+      route: "sync",
+      ip: ctx.ip,
+      userAgent: ctx.userAgent,
+    });
+  } catch (error) {
+    await databaseService.logSession(
+      ctx.lineUserId,
+      "sync_failed",
+      ctx.ip,
+      ctx.userAgent
+    );
+    if (error instanceof ServiceUnavailableError) {
+      return unavailableResponse(ctx, error);
+    }
+    throw error;
+  }
+
+  const linked = await databaseService.upsertUserMappingWithData({
+    line_user_id: ctx.lineUserId,
+    line_display_name: ctx.lineProfile.name,
+    prima_username: primaData.primaUsername,
+    prima_phone: phone,
+    first_name: primaData.firstName,
+    last_name: primaData.lastName,
+    credit_balance: primaData.balance,
+  });
+
+  const { account } = await tierService.assignTier(
+    linked,
+    primaData.balance,
+    "sync"
+  );
+
+  await balanceHistoryService.recordSnapshot(account.id, {
+    balance: primaData.balance,
+    memberTier: account.member_tier,
+    source: "sync",
+  });
+
+  await databaseService.logSession(
+    ctx.lineUserId,
+    "sync_success",
+    ctx.ip,
+    ctx.userAgent
+  );
+
+  // Every successful sync; subscribers (rich menu) must be idempotent
+  await eventBus.publish(EVENTS.MEMBER_LINKED, {
+    accountId: account.id,
+    lineUserId: ctx.lineUserId,
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: "Account synchronized successfully",
+    user: {
+      ...(await memberCardService.toCardPayload(account)),
+      firstName: account.first_name,
+      lastName: account.last_name,
+      fullName: primaData.fullName,
+      source: "prima789",
+    },
+  });
+}
+
+/**
+ * POST /user/verify - Verify Prima789 credentials and store the member
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Member response
+ */
+async function verifyUser(ctx) {
+  const { phone, pin } = ctx.body;
+
+  // Validates phone and PIN format before connecting; counted per phone
+  const primaData = await pinAttemptService.authenticate({
+    phone,
+    pin,
+    route: "verify",
+    ip: ctx.ip,
+    userAgent: ctx.userAgent,
+  });
+
+  const verified = await databaseService.upsertMemberByPhone({
+    prima_phone: phone,
+    prima_username: primaData.primaUsername,
+    first_name: primaData.firstName,
+    last_name: primaData.lastName,
+    credit_balance: primaData.balance,
+  });
+
+  const { account } = await tierService.assignTier(
+    verified,
+    primaData.balance,
+    "verify"
+  );
+
+  await balanceHistoryService.recordSnapshot(account.id, {
+    balance: primaData.balance,
+    memberTier: account.member_tier,
+    source: "verify",
+  });
+
+  return createResponse(200, {
+    success: true,
+    message: "เข้าสู่ระบบสำเร็จ",
+    user: {
+      id: account.id,
+      ...(await memberCardService.toCardPayload(account)),
+      firstName: account.first_name,
+      lastName: account.last_name,
+      isActive: account.is_active,
+      source: "prima789",
+    },
+  });
+}
+
+/**
+ * GET /user/balance-history - Balance trend for the authenticated LINE user
+ * Query: period=daily|weekly (default daily), days=1..366
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Aggregated balance points, oldest first
+ */
+async function getBalanceHistory(ctx) {
+  const { period } = ctx.query;
+  const days = ctx.query.days ?? balanceHistoryService.defaultDays(period);
+  const account = await requireLinkedAccount(ctx);
+
+  const points = await balanceHistoryService.getTrend(account.id, {
+    period,
+    days,
+  });
+
+  return createResponse(200, {
+    period,
+    days,
+    current: {
+      balance: parseFloat(account.credit_balance) || 0,
+      lastUpdated: account.last_sync || account.updated_at,
+    },
+    points,
+  });
+}
+
+/**
+ * GET /user/activity - Recent syncs and tier changes for the authenticated
+ * LINE user
+ * Query: limit=1..50 (default 20)
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Feed entries, newest first
+ */
+async function getActivity(ctx) {
+  const account = await requireLinkedAccount(ctx);
+
+  const entries = await activityService.getFeed(account, ctx.query.limit);
+
+  return createResponse(200, { entries });
+}
+
+/**
+ * GET /user/notifications/preferences - Notification preferences of the
+ * authenticated LINE user
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Stored preferences, or the defaults
+ */
+async function getNotificationPreferences(ctx) {
+  const account = await requireLinkedAccount(ctx);
+  const preferences = await notificationService.getPreferences(account.id);
+
+  return createResponse(200, { preferences });
+}
+
+/**
+ * PUT /user/notifications/preferences - Update notification preferences;
+ * fields left out keep their current value
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Preferences after the update
+ */
+async function updateNotificationPreferences(ctx) {
+  const account = await requireLinkedAccount(ctx);
+  const current = await notificationService.getPreferences(account.id);
+  const preferences = await notificationService.savePreferences(
+    account.id,
+    notificationService.mergePreferences(ctx.body, current)
+  );
+
+  return createResponse(200, { success: true, preferences });
+}
+
+/**
+ * POST /user/card/push - Send the member card to the user's LINE chat
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} 200 once LINE accepted the push, 404 when the
+ *   account is not linked
+ */
+async function pushCard(ctx) {
+  await memberCardService.pushCard(ctx.lineUserId);
+
+  await databaseService.logSession(
+    ctx.lineUserId,
+    "card_push",
+    ctx.ip,
+    ctx.userAgent
+  );
+
+  return createResponse(200, { success: true });
+}
+
+/**
+ * DELETE /user/link - Unlink the Prima789 account and erase the member's
+ * data (PDPA deletion request). The body must be { "confirm": true }.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object>} Erasure receipt, 404 when nothing is stored
+ *   about the user
+ */
+async function unlinkAccount(ctx) {
+  // Nothing is logged for this request: the session is erased with the rest
+  const receipt = await erasureService.eraseMember(ctx.lineUserId, {
+    requestedVia: "member",
+  });
+
+  return createResponse(200, { success: true, receipt });
+}
+
+module.exports = [
+  {
+    method: "GET",
+    path: "/user/profile",
+    summary: "Member card of the signed-in LINE user",
+    middleware: [authenticate],
+    handler: getProfile,
+    schema: {
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            ...card.properties,
+            prima789: {
+              type: "object",
+              properties: {
+                available: { type: "boolean" },
+                retryAfter,
+              },
+            },
+          },
+        },
+        404: notLinked,
+      },
+    },
+  },
+  {
+    method: "GET",
+    path: "/user/balance-history",
+    summary: "Balance trend",
+    middleware: [authenticate, validateRequest],
+    handler: getBalanceHistory,
+    schema: {
+      query: {
+        type: "object",
+        properties: {
+          period: {
+            type: "string",
+            enum: ["daily", "weekly"],
+            default: "daily",
+          },
+          days: {
+            type: "integer",
+            minimum: 1,
+            maximum: 366,
+            description: "Default 30 (daily) or 84 (weekly)",
+          },
+        },
+      },
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            period: { type: "string", enum: ["daily", "weekly"] },
+            days: { type: "integer" },
+            current: {
+              type: "object",
+              properties: {
+                balance: { type: "number" },
+                lastUpdated: timestamp,
+              },
+            },
+            points: {
+              type: "array",
+              description: "Oldest first",
+              items: {
+                type: "object",
+                properties: {
+                  periodStart: {
+                    type: "string",
+                    format: "date",
+                    description: "First day of the period (Asia/Bangkok)",
+                  },
+                  open: { type: "number" },
+                  close: { type: "number" },
+                  min: { type: "number" },
+                  max: { type: "number" },
+                  average: { type: "number" },
+                  samples: { type: "integer" },
+                },
+              },
+            },
+          },
+        },
+        404: notLinked,
+      },
+    },
+  },
+  {
+    method: "GET",
+    path: "/user/activity",
+    summary: "Recent syncs and tier changes",
+    middleware: [authenticate, validateRequest],
+    handler: getActivity,
+    schema: {
+      query: {
+        type: "object",
+        properties: {
+          limit: { type: "integer", minimum: 1, maximum: 50, default: 20 },
+        },
+      },
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            entries: {
+              type: "array",
+              description: "Newest first",
+              items: {
+                type: "object",
+                properties: {
+                  type: {
+                    type: "string",
+                    example: "sync_success",
+                    description:
+                      "sync_success, sync_failed, tier_upgrade or tier_downgrade",
+                  },
+                  occurredAt: timestamp,
+                  from: { type: "string", nullable: true },
+                  to: { type: "string", nullable: true },
+                  reason: { type: "string", nullable: true },
+                  balance: { type: "number", nullable: true },
+                },
+              },
+            },
+          },
+        },
+        404: notLinked,
+      },
+    },
+  },
+  {
+    method: "GET",
+    path: "/user/notifications/preferences",
+    summary: "Notification preferences",
+    middleware: [authenticate],
+    handler: getNotificationPreferences,
+    schema: {
+      response: {
+        200: {
+          type: "object",
+          properties: { preferences },
+        },
+        404: notLinked,
+      },
+    },
+  },
+  {
+    method: "PUT",
+    path: "/user/notifications/preferences",
+    summary: "Update notification preferences",
+    middleware: [authenticate, parseJsonBody, validateRequest],
+    handler: updateNotificationPreferences,
+    schema: {
+      body: preferences,
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            preferences,
+          },
+        },
+        404: notLinked,
+      },
+    },
+  },
+  {
+    method: "POST",
+    path: "/user/card/push",
+    summary: "Send the member card to the LINE chat",
+    middleware: [authenticate],
+    handler: pushCard,
+    rateLimit: {
+      limit: 5,
+      windowMs: 60 * 1000,
+      algorithm: "token-bucket",
+    },
+    schema: {
+      response: { 200: success, 404: notLinked },
+    },
+  },
+  {
+    method: "POST",
+    path: "/user/sync",
+    summary: "Link the LINE user to a Prima789 account",
+    middleware: [authenticate, parseJsonBody, validateRequest],
+    handler: syncUser,
+    rateLimit: PIN_RATE_LIMIT,
+    schema: {
+      body: credentials,
+      response: {
+        200: memberResponse,
+        409: {
+          ...errorResponse,
+          description:
+            "PHONE_ALREADY_LINKED: another LINE user has linked the phone",
+        },
+        503: {
+          type: "object",
+          description: "Prima789 unavailable; the last stored card is returned",
+          properties: {
+            success: { type: "boolean" },
+            error: {
+              type: "object",
+              properties: {
+                message: { type: "string" },
+                code: { type: "string" },
+                retryAfter,
+              },
+            },
+            cached: { ...card, nullable: true },
+          },
+        },
+      },
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/user/link",
+    summary: "Unlink the account and erase member data",
+    middleware: [authenticate, parseJsonBody, validateRequest],
+    handler: unlinkAccount,
+    rateLimit: { limit: 5, windowMs: 60 * 60 * 1000 },
+    schema: {
+      body: {
+        type: "object",
+        required: ["confirm"],
+        properties: {
+          confirm: {
+            type: "boolean",
+            enum: [true],
+            description: "Must be true: erasing the account cannot be undone",
+          },
+        },
+      },
+      response: {
+        200: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            receipt: {
+              type: "object",
+              properties: {
+                receiptId: { type: "string", format: "uuid" },
+                erasedAt: timestamp,
+                requestedVia: { type: "string" },
+                items: {
+                  type: "object",
+                  description: "Rows erased or anonymized per kind of data",
+                  additionalProperties: { type: "integer" },
+                },
+                richMenuReverted: { type: "boolean" },
+              },
+            },
+          },
+        },
+        404: {
+          ...errorResponse,
+          description: "USER_NOT_FOUND: nothing is stored for the LINE user",
+        },
+        503: {
+          ...errorResponse,
+          description:
+            "ERASURE_NOT_CONFIGURED: ERASURE_SUBJECT_SALT is not set",
+        },
+      },
+    },
+  },
+  {
+    method: "POST",
+    path: "/user/verify",
+    summary: "Verify Prima789 credentials",
+    middleware: [parseJsonBody, validateRequest],
+    handler: verifyUser,
+    rateLimit: PIN_RATE_LIMIT,
+    schema: {
+      body: credentials,
+      response: { 200: memberResponse },
+    },
+  },
+];
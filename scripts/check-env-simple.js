@@ -26,8 +26,8 @@ try {
 }
 
 // Check required variables
-const required = ['DATABASE_URL', 'LIFF_ID'];
-const optional = ['JWT_SECRET', 'NODE_ENV', 'PRIMA789_API_URL'];
+const required = ['DATABASE_URL', 'LIFF_ID', 'JWT_SECRET', 'PIN_SUBJECT_SALT'];
+const optional = ['NODE_ENV', 'PRIMA789_API_URL'];
 
 console.log('📋 Required Variables:');
 let missingRequired = 0;
@@ -57,13 +57,37 @@ class EnvironmentChecker {
         validator: (value) => value && /^\d{10}-[a-zA-Z0-9]+$/.test(value),
         example: "1234567890-abcdefgh",
       },
+      {
+        name: "JWT_SECRET",
+        description: "Session token signing secret, at least 32 bytes",
+        validator: (value) => value && Buffer.byteLength(value) >= 32,
+        example: "64 hex characters from openssl rand -hex 32",
+      },
+      {
+        name: "PIN_SUBJECT_SALT",
+        description:
+          "Key for PIN attempt subject hashes, at least 32 bytes (changing it clears PIN lockouts)",
+        validator: (value) => value && Buffer.byteLength(value) >= 32,
+        example: "64 hex characters from openssl rand -hex 32",
+      },
     ];
 
     const optional = [
       {
-        name: "JWT_SECRET",
-        description: "JWT signing secret (auto-generated if not provided)",
-        default: "auto-generated",
+        name: "LINE_LOGIN_CHANNEL_ID",
+        description: "LINE Login channel ID expected as ID Token audience",
+        default: "derived from LIFF_ID",
+      },
+      {
+        name: "LINE_LOGIN_CHANNEL_SECRET",
+        description: "LINE Login channel secret (needed for HS256 ID Tokens)",
+        default: "ES256 tokens only",
+      },
+      {
+        name: "LINE_ID_TOKEN_VERIFY_MODE",
+        description: "ID Token verification mode",
+        default: "local",
+        values: ["local", "remote"],
       },
       {
         name: "NODE_ENV",
@@ -89,6 +113,17 @@ class EnvironmentChecker {
         default: "20000",
         validator: (value) => !value || (!isNaN(value) && parseInt(value) > 0),
       },
+      {
+        name: "ERASURE_SUBJECT_SALT",
+        description: "Key for erasure receipt subject hashes (never change)",
+        default: "erasure refused",
+      },
+      {
+        name: "PRIMA789_TRANSPORT",
+        description: "Prima789 connection transport",
+        default: "socketio",
+        values: ["socketio", "fake"],
+      },
       {
         name: "ALLOWED_ORIGINS",
         description: "CORS allowed origins (comma-separated)",
@@ -170,14 +205,18 @@ class EnvironmentChecker {
       `);
 
       const tableNames = tables.rows.map((row) => row.table_name);
-      const requiredTables = ["user_mappings", "session_logs"];
+      const requiredTables = [
+        "schema_migrations",
+        "user_accounts",
+        "session_logs",
+      ];
       const missingTables = requiredTables.filter(
         (table) => !tableNames.includes(table)
       );
 
       if (missingTables.length > 0) {
         this.log(`Missing tables: ${missingTables.join(", ")}`, "warning");
-        this.log("Run: npm run setup-db", "warning");
+        this.log("Run: npm run db:migrate", "warning");
       } else {
         this.log("Required tables: ✓ All present", "success");
       }
@@ -22,9 +22,13 @@ class EnhancedDeployment {
         "public/prima789-liff-member-card.html",
         "prima789-integration.html",
       ],
-      requiredEnvVars: ["DATABASE_URL", "LIFF_ID"],
-      optionalEnvVars: [
+      requiredEnvVars: [
+        "DATABASE_URL",
+        "LIFF_ID",
         "JWT_SECRET",
+        "PIN_SUBJECT_SALT",
+      ],
+      optionalEnvVars: [
         "LINE_BOT_CHANNEL_ACCESS_TOKEN",
         "LINE_CHANNEL_SECRET",
         "PRIMA789_API_URL",
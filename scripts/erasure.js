@@ -0,0 +1,69 @@
+// scripts/erasure.js - Member data erasure for PDPA requests made to support
+//
+// Usage:
+//   node scripts/erasure.js erase <lineUserId>     Unlink and erase a member, print the receipt
+//   node scripts/erasure.js receipt <receiptId>    Show an erasure receipt
+//   node scripts/erasure.js find <lineUserId>      Receipts issued for a LINE user
+
+require("dotenv").config();
+
+const erasureService = require("../services/erasureService");
+const richMenuService = require("../services/richMenuService");
+const databaseService = require("../services/databaseService");
+
+function printReceipt(receipt) {
+  console.log(`\n🧾 ERASURE RECEIPT ${receipt.receiptId}`);
+  console.log("=".repeat(50));
+  console.log(`   Erased at:     ${new Date(receipt.erasedAt).toISOString()}`);
+  console.log(`   Requested via: ${receipt.requestedVia}`);
+  Object.entries(receipt.items).forEach(([name, count]) => {
+    console.log(`   ${name.padEnd(25)} ${count}`);
+  });
+  if (receipt.richMenuReverted !== undefined) {
+    console.log(
+      `   Rich menu:     ${receipt.richMenuReverted ? "reverted" : "FAILED"}`
+    );
+  }
+  console.log("=".repeat(50));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    if (args[0] === "erase" && args[1]) {
+      richMenuService.listen();
+      printReceipt(
+        await erasureService.eraseMember(args[1], { requestedVia: "support" })
+      );
+    } else if (args[0] === "receipt" && args[1]) {
+      const receipt = await erasureService.getReceipt(args[1]);
+      if (!receipt) {
+        console.log(`❌ No erasure receipt ${args[1]}`);
+        process.exitCode = 1;
+      } else {
+        printReceipt(receipt);
+      }
+    } else if (args[0] === "find" && args[1]) {
+      const receipts = await erasureService.findReceipts(args[1]);
+      if (receipts.length === 0) {
+        console.log(`No erasure receipts for ${args[1]}`);
+      }
+      receipts.forEach(printReceipt);
+    } else {
+      console.log("Usage:");
+      console.log("  node scripts/erasure.js erase <lineUserId>");
+      console.log("  node scripts/erasure.js receipt <receiptId>");
+      console.log("  node scripts/erasure.js find <lineUserId>");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
+    process.exit();
+  }
+}
+
+main();
@@ -0,0 +1,113 @@
+// scripts/ip-rules.js - IP blocklist, allowlist and suspicious IPs
+//
+// Usage:
+//   node scripts/ip-rules.js list [block|allow|suspect] [--all]   Live entries (--all: with expired)
+//   node scripts/ip-rules.js block <ip|cidr> [reason] [--hours N] Block (for N hours, default never)
+//   node scripts/ip-rules.js allow <ip|cidr> [reason] [--hours N] Allowlist
+//   node scripts/ip-rules.js remove <id>                          Remove an entry (unblock)
+//   node scripts/ip-rules.js purge [days]                         Delete entries expired more than N days ago (30)
+
+require("dotenv").config();
+
+const ipReputationService = require("../services/ipReputationService");
+const databaseService = require("../services/databaseService");
+
+const formatTime = (time) => (time ? new Date(time).toISOString() : "never");
+
+function printRule(rule) {
+  console.log(
+    `#${String(rule.id).padEnd(5)} ${rule.list.padEnd(8)} ${rule.cidr.padEnd(
+      20
+    )} ${rule.source.padEnd(6)} hits ${String(rule.hits).padEnd(
+      6
+    )} last ${formatTime(rule.lastSeenAt)}  expires ${formatTime(
+      rule.expiresAt
+    )}  ${rule.reason || ""}`
+  );
+}
+
+/**
+ * Split arguments into positionals and --hours / --all options
+ * @param {Array<string>} args - Command arguments
+ * @returns {Object} { positional, hours, all }
+ */
+function parseArgs(args) {
+  const positional = [];
+  let hours = null;
+  let all = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--hours") {
+      hours = parseFloat(args[++i]);
+    } else if (args[i] === "--all") {
+      all = true;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, hours, all };
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, hours, all } = parseArgs(rest);
+
+  try {
+    if (command === "list") {
+      const rules = await ipReputationService.list({
+        list: positional[0] || null,
+        includeExpired: all,
+      });
+      if (rules.length === 0) {
+        console.log("No IP rules");
+      }
+      rules.forEach(printRule);
+    } else if ((command === "block" || command === "allow") && positional[0]) {
+      const options = {
+        reason: positional.slice(1).join(" ") || null,
+        expiresAt: ipReputationService.parseExpiry(
+          hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null
+        ),
+      };
+      const rule = await ipReputationService[command](positional[0], options);
+      console.log(`✅ ${command === "block" ? "Blocked" : "Allowlisted"}:`);
+      printRule(rule);
+    } else if (command === "remove" && positional[0]) {
+      const rule = await ipReputationService.remove(positional[0]);
+      if (!rule) {
+        console.log(`❌ No IP rule #${positional[0]}`);
+        process.exitCode = 1;
+      } else {
+        console.log("✅ Removed:");
+        printRule(rule);
+      }
+    } else if (command === "purge") {
+      const deleted = await ipReputationService.purgeExpired(
+        parseInt(positional[0]) || 30
+      );
+      console.log(`✅ Deleted ${deleted} expired IP rules`);
+    } else {
+      console.log("Usage:");
+      console.log(
+        "  node scripts/ip-rules.js list [block|allow|suspect] [--all]"
+      );
+      console.log(
+        "  node scripts/ip-rules.js block <ip|cidr> [reason] [--hours N]"
+      );
+      console.log(
+        "  node scripts/ip-rules.js allow <ip|cidr> [reason] [--hours N]"
+      );
+      console.log("  node scripts/ip-rules.js remove <id>");
+      console.log("  node scripts/ip-rules.js purge [days]");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
+    process.exit();
+  }
+}
+
+main();
@@ -0,0 +1,371 @@
+// scripts/migrate.js - Versioned SQL migration runner
+//
+// Usage:
+//   node scripts/migrate.js up [--to <version>]   Apply pending migrations
+//   node scripts/migrate.js down [steps]          Roll back applied migrations (default 1)
+//   node scripts/migrate.js status                Show applied and pending migrations
+//   node scripts/migrate.js create <name>         Scaffold a new up/down pair
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Pool } = require("@neondatabase/serverless");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every deploy so only one runner migrates at a time
+const ADVISORY_LOCK_KEY = 789001;
+
+class MigrationRunner {
+  /**
+   * @param {Object} options
+   * @param {string} options.connectionString - Database URL
+   * @param {string} options.dir - Migrations directory
+   * @param {Object} options.pool - Pool to use instead of connecting
+   */
+  constructor({ connectionString = process.env.DATABASE_URL, dir, pool } = {}) {
+    this.dir = dir || MIGRATIONS_DIR;
+    this.connectionString = connectionString;
+    this.pool = pool || null;
+  }
+
+  getPool() {
+    if (!this.pool) {
+      this.pool = new Pool({
+        connectionString: this.connectionString,
+        connectionTimeoutMillis: 30000,
+      });
+    }
+    return this.pool;
+  }
+
+  log(message, type = "info") {
+    const icons = {
+      info: "📋",
+      success: "✅",
+      warning: "⚠️",
+      error: "❌",
+      migration: "🔄",
+    };
+    console.log(`${icons[type]} ${message}`);
+  }
+
+  /**
+   * Read migration files from disk
+   * @returns {Array<Object>} Migrations sorted by version
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      if (!migrations.has(version)) {
+        migrations.set(version, { version, name });
+      }
+      migrations.get(version)[direction] = fs.readFileSync(
+        path.join(this.dir, file),
+        "utf8"
+      );
+    }
+
+    return [...migrations.values()]
+      .map((migration) => {
+        if (!migration.up || !migration.down) {
+          throw new Error(
+            `Migration ${migration.version}_${migration.name} needs both up and down files`
+          );
+        }
+        return { ...migration, checksum: this.checksum(migration.up) };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  checksum(sql) {
+    return crypto.createHash("sha256").update(sql).digest("hex");
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  async getApplied(client) {
+    const result = await client.query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return new Map(result.rows.map((row) => [row.version, row]));
+  }
+
+  /**
+   * Run a callback on one connection holding the migration advisory lock
+   * @param {Function} fn - Callback receiving the locked client
+   * @returns {Promise<any>} Callback result
+   */
+  async withLock(fn) {
+    if (!this.pool && !this.connectionString) {
+      throw new Error("DATABASE_URL environment variable is required");
+    }
+
+    const client = await this.getPool().connect();
+
+    try {
+      this.log("Waiting for migration lock...");
+      await client.query("SELECT pg_advisory_lock($1)", [ADVISORY_LOCK_KEY]);
+      await this.ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      try {
+        await client.query("SELECT pg_advisory_unlock($1)", [
+          ADVISORY_LOCK_KEY,
+        ]);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Run one migration file and record the result in a single transaction
+   * @param {Object} client - Locked database client
+   * @param {Object} migration - Migration loaded from disk
+   * @param {string} direction - "up" or "down"
+   */
+  async runMigration(client, migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    this.log(
+      `${direction === "up" ? "Applying" : "Reverting"} ${label}`,
+      "migration"
+    );
+
+    try {
+      await client.query("BEGIN");
+      await client.query(migration[direction]);
+
+      if (direction === "up") {
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version,
+        ]);
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(
+        `Migration ${label} (${direction}) failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options
+   * @param {string} options.to - Stop after this version
+   * @returns {Promise<number>} Number of migrations applied
+   * @throws {Error} If an applied migration's up file has changed since
+   */
+  async up({ to } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+
+      // What ran is no longer what is on disk; a new migration must change it
+      const modified = migrations.filter(
+        (migration) =>
+          applied.has(migration.version) &&
+          applied.get(migration.version).checksum !== migration.checksum
+      );
+      if (modified.length > 0) {
+        throw new Error(
+          `Applied migrations were changed after they ran: ${modified
+            .map((migration) => `${migration.version}_${migration.name}`)
+            .join(", ")}. Restore them and add a new migration instead`
+        );
+      }
+
+      const pending = migrations.filter(
+        (migration) =>
+          !applied.has(migration.version) &&
+          (!to || Number(migration.version) <= Number(to))
+      );
+
+      if (pending.length === 0) {
+        this.log("Database is up to date", "success");
+        return 0;
+      }
+
+      for (const migration of pending) {
+        await this.runMigration(client, migration, "up");
+      }
+
+      this.log(`Applied ${pending.length} migration(s)`, "success");
+      return pending.length;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {number} steps - Number of migrations to roll back
+   * @returns {Promise<number>} Number of migrations rolled back
+   */
+  async down(steps = 1) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const targets = [...applied.keys()]
+        .sort((a, b) => Number(b) - Number(a))
+        .slice(0, steps);
+
+      if (targets.length === 0) {
+        this.log("No applied migrations to roll back", "warning");
+        return 0;
+      }
+
+      for (const version of targets) {
+        const migration = migrations.find((m) => m.version === version);
+        if (!migration) {
+          throw new Error(`Migration files for version ${version} are missing`);
+        }
+        await this.runMigration(client, migration, "down");
+      }
+
+      this.log(`Rolled back ${targets.length} migration(s)`, "success");
+      return targets.length;
+    });
+  }
+
+  /**
+   * Describe applied and pending migrations
+   * @returns {Promise<Array<Object>>} Status rows
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const rows = migrations.map((migration) => {
+        const record = applied.get(migration.version);
+        let state = "pending";
+        if (record) {
+          state =
+            record.checksum === migration.checksum ? "applied" : "modified";
+        }
+        return {
+          version: migration.version,
+          name: migration.name,
+          state,
+          appliedAt: record ? record.applied_at : null,
+        };
+      });
+
+      // Versions recorded in the database without files on disk
+      for (const [version, record] of applied.entries()) {
+        if (!migrations.some((migration) => migration.version === version)) {
+          rows.push({
+            version,
+            name: record.name,
+            state: "missing",
+            appliedAt: record.applied_at,
+          });
+        }
+      }
+
+      return rows;
+    });
+  }
+
+  /**
+   * Scaffold an empty up/down migration pair
+   * @param {string} name - Migration name
+   * @returns {Array<string>} Created file paths
+   */
+  create(name) {
+    const slug = String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "");
+    if (!slug) {
+      throw new Error("Migration name is required");
+    }
+
+    const versions = this.loadMigrations().map((m) => Number(m.version));
+    const next = String(
+      (versions.length ? Math.max(...versions) : 0) + 1
+    ).padStart(3, "0");
+
+    return ["up", "down"].map((direction) => {
+      const file = path.join(this.dir, `${next}_${slug}.${direction}.sql`);
+      fs.writeFileSync(file, `-- ${next}_${slug} (${direction})\n`);
+      return file;
+    });
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+  }
+}
+
+async function main() {
+  require("dotenv").config();
+  const [command = "status", ...args] = process.argv.slice(2);
+
+  const runner = new MigrationRunner();
+
+  try {
+    if (command === "create") {
+      runner
+        .create(args.join(" "))
+        .forEach((file) => runner.log(`Created ${file}`, "success"));
+    } else if (command === "up") {
+      const toIndex = args.indexOf("--to");
+      await runner.up({ to: toIndex >= 0 ? args[toIndex + 1] : undefined });
+    } else if (command === "down") {
+      await runner.down(parseInt(args[0]) || 1);
+    } else if (command === "status") {
+      const rows = await runner.status();
+      console.log("\n📊 MIGRATION STATUS");
+      console.log("=".repeat(50));
+      rows.forEach((row) => {
+        const appliedAt = row.appliedAt
+          ? new Date(row.appliedAt).toISOString()
+          : "-";
+        console.log(
+          `   ${row.version}  ${row.state.padEnd(8)}  ${row.name}  ${appliedAt}`
+        );
+      });
+      console.log("=".repeat(50));
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    runner.log(error.message, "error");
+    process.exitCode = 1;
+  } finally {
+    await runner.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = MigrationRunner;
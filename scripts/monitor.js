@@ -32,8 +32,8 @@ class HealthMonitor {
         critical: true,
       },
       {
-        path: "/api/status",
-        name: "Status Endpoint",
+        path: "/api/user/profile",
+        name: "Member Profile",
         critical: false,
         requiresAuth: true,
       },
@@ -142,7 +142,7 @@ class HealthMonitor {
             result.healthData = healthData;
 
             // Check if all critical services are healthy
-            if (healthData.status === "unhealthy") {
+            if (healthData.status !== "ok") {
               result.success = false;
               result.error = "Service unhealthy";
             }
@@ -0,0 +1,67 @@
+// scripts/notifications.js - Notification delivery log and deferred sends
+//
+// Usage:
+//   node scripts/notifications.js log <lineUserId> [limit]   Recent deliveries for support
+//   node scripts/notifications.js flush [--limit <n>]       Send deferred notifications now
+
+require("dotenv").config();
+
+const notificationService = require("../services/notificationService");
+const databaseService = require("../services/databaseService");
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? parseInt(args[index + 1]) || undefined : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    if (args[0] === "log" && args[1]) {
+      const deliveries = await notificationService.getDeliveries(
+        args[1],
+        parseInt(args[2]) || undefined
+      );
+      console.log(`\n📨 NOTIFICATIONS FOR ${args[1]} (${deliveries.length})`);
+      console.log("=".repeat(50));
+      deliveries.forEach((delivery) => {
+        const sentAt = delivery.sent_at
+          ? new Date(delivery.sent_at).toISOString()
+          : delivery.deliver_after
+          ? `after ${new Date(delivery.deliver_after).toISOString()}`
+          : "-";
+        console.log(
+          `   ${new Date(
+            delivery.created_at
+          ).toISOString()}  ${delivery.type.padEnd(
+            15
+          )}  ${delivery.status.padEnd(11)}  ${sentAt}${
+            delivery.error ? `  (${delivery.error})` : ""
+          }`
+        );
+      });
+      console.log("=".repeat(50));
+    } else if (args[0] === "flush") {
+      const summary = await notificationService.flushDeferred({
+        limit: option(args, "--limit"),
+      });
+      console.log(
+        `✅ Deferred notifications: ${summary.sent} sent, ${summary.failed} failed`
+      );
+    } else {
+      console.log("Usage:");
+      console.log("  node scripts/notifications.js log <lineUserId> [limit]");
+      console.log("  node scripts/notifications.js flush [--limit <n>]");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
+    process.exit();
+  }
+}
+
+main();
@@ -0,0 +1,75 @@
+// scripts/pin-attempts.js - PIN lockouts for support
+//
+// Usage:
+//   node scripts/pin-attempts.js lockouts [limit]                Recent lockouts, newest first
+//   node scripts/pin-attempts.js status <phone|lineUserId>       Attempt counter and lockout
+//   node scripts/pin-attempts.js unlock <phone|lineUserId>       Clear the counter (ends a lockout)
+
+require("dotenv").config();
+
+const pinAttemptService = require("../services/pinAttemptService");
+const databaseService = require("../services/databaseService");
+
+// LINE User IDs are "U" followed by 32 hex digits; anything else is a phone
+function subjectFromArg(arg) {
+  return /^U[0-9a-f]{32}$/.test(arg) ? { lineUserId: arg } : { phone: arg };
+}
+
+const formatTime = (time) => (time ? new Date(time).toISOString() : "-");
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    if (args[0] === "lockouts") {
+      const lockouts = await pinAttemptService.getLockouts({
+        limit: parseInt(args[1]) || 50,
+      });
+      if (lockouts.length === 0) {
+        console.log("No PIN lockouts");
+      }
+      lockouts.forEach((lockout) => {
+        console.log(
+          `${formatTime(lockout.created_at)}  ${lockout.subject_type.padEnd(
+            9
+          )} ${(lockout.subject_label || "-").padEnd(12)} ${
+            lockout.failures
+          } failures  until ${formatTime(lockout.locked_until)}  ${
+            lockout.route
+          }  ${lockout.ip_address || "-"}`
+        );
+      });
+    } else if (args[0] === "status" && args[1]) {
+      const status = await pinAttemptService.getStatus(subjectFromArg(args[1]));
+      if (!status) {
+        console.log(`No recent PIN attempts for ${args[1]}`);
+      } else {
+        console.log(`   Attempts:     ${status.failures}`);
+        console.log(`   Last attempt: ${formatTime(status.lastAttemptAt)}`);
+        console.log(`   Locked until: ${formatTime(status.lockedUntil)}`);
+        console.log(`   Retry at:     ${formatTime(status.retryAt)}`);
+      }
+    } else if (args[0] === "unlock" && args[1]) {
+      const cleared = await pinAttemptService.unlock(subjectFromArg(args[1]));
+      console.log(
+        cleared
+          ? `✅ PIN entry unlocked for ${args[1]}`
+          : `No PIN attempts to clear for ${args[1]}`
+      );
+    } else {
+      console.log("Usage:");
+      console.log("  node scripts/pin-attempts.js lockouts [limit]");
+      console.log("  node scripts/pin-attempts.js status <phone|lineUserId>");
+      console.log("  node scripts/pin-attempts.js unlock <phone|lineUserId>");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
+    process.exit();
+  }
+}
+
+main();
@@ -59,8 +59,13 @@ try {
 
 // Test 2: Check Environment
 console.log("\n3️⃣ Environment Check:");
-const requiredEnvs = ["DATABASE_URL", "LIFF_ID"];
-const optionalEnvs = ["JWT_SECRET", "NODE_ENV", "PRIMA789_API_URL"];
+const requiredEnvs = [
+  "DATABASE_URL",
+  "LIFF_ID",
+  "JWT_SECRET",
+  "PIN_SUBJECT_SALT",
+];
+const optionalEnvs = ["NODE_ENV", "PRIMA789_API_URL"];
 
 requiredEnvs.forEach((env) => {
   if (process.env[env]) {
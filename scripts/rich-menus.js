@@ -0,0 +1,70 @@
+// scripts/rich-menus.js - Deploy and inspect the LINE rich menus
+//
+// Usage:
+//   node scripts/rich-menus.js deploy [--force]    Upload changed menus from richmenus/
+//   node scripts/rich-menus.js status              Deployed menu IDs
+//   node scripts/rich-menus.js link <lineUserId>   Show the linked menu to a member
+//   node scripts/rich-menus.js unlink <lineUserId> Return a member to the default menu
+
+require("dotenv").config();
+
+const richMenuService = require("../services/richMenuService");
+const databaseService = require("../services/databaseService");
+
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+
+  try {
+    if (command === "deploy") {
+      const results = await richMenuService.deploy({
+        force: process.argv.includes("--force"),
+      });
+      results.forEach((result) => {
+        console.log(
+          `✅ ${result.name.padEnd(10)} ${result.status.padEnd(10)} ${
+            result.richMenuId
+          }${result.relinked ? `  (${result.relinked} members linked)` : ""}`
+        );
+      });
+    } else if (command === "status") {
+      const menus = await richMenuService.getDeployed();
+      console.log("\n📋 RICH MENUS");
+      console.log("=".repeat(50));
+      if (Object.keys(menus).length === 0) {
+        console.log("   Not deployed yet (npm run richmenu:deploy)");
+      }
+      Object.entries(menus).forEach(([name, menu]) => {
+        console.log(
+          `   ${name.padEnd(10)} ${menu.richMenuId}  ${new Date(
+            menu.deployedAt
+          ).toISOString()}`
+        );
+      });
+      console.log("=".repeat(50));
+    } else if ((command === "link" || command === "unlink") && argument) {
+      const switched =
+        command === "link"
+          ? await richMenuService.linkMember(argument)
+          : await richMenuService.unlinkMember(argument);
+      console.log(
+        switched
+          ? `✅ ${argument}: ${command}ed`
+          : "⚠️  Rich menus are not deployed yet"
+      );
+    } else {
+      console.log("Usage:");
+      console.log("  node scripts/rich-menus.js deploy [--force]");
+      console.log("  node scripts/rich-menus.js status");
+      console.log("  node scripts/rich-menus.js link|unlink <lineUserId>");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseService.close();
+    process.exit();
+  }
+}
+
+main();
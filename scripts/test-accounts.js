@@ -0,0 +1,179 @@
+// scripts/test-accounts.js - Linking LINE users to Prima789 phone numbers
+//
+// Calls POST /user/verify and POST /user/sync through the API handler
+// against user_accounts in the test database, with logins answered by the
+// fake Prima789 server, and runs 017_unique_prima_phone on a database
+// holding the duplicates it resolves.
+
+const {
+  runCases,
+  request,
+  memberHeaders,
+  createMember,
+  createDatabase,
+  TestPool,
+  query,
+} = require("./lib/test-harness");
+const MigrationRunner = require("./migrate");
+const databaseService = require("../services/databaseService");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+
+const LINE_USER = "U00000000000000000000000000000001";
+const OTHER_USER = "U00000000000000000000000000000002";
+const PHONE = "0812345678";
+const NEW_PHONE = "0898765432";
+
+const sync = (lineUserId, phone) =>
+  request("POST", "/user/sync", {
+    body: { phone, pin: "1234" },
+    headers: memberHeaders(lineUserId),
+  });
+
+const verify = (phone) =>
+  request("POST", "/user/verify", { body: { phone, pin: "1234" } });
+
+async function accounts() {
+  const result = await query(
+    "SELECT id, line_user_id, prima_phone FROM user_accounts ORDER BY id"
+  );
+  return result.rows;
+}
+
+const cases = [
+  {
+    name: "A phone linked to one LINE user is refused to another",
+    run: async () => {
+      const first = await sync(LINE_USER, PHONE);
+      const second = await sync(OTHER_USER, "+66 81 234 5678");
+      const rows = await accounts();
+
+      return (
+        first.status === 200 &&
+        second.status === 409 &&
+        second.body.error.code === "PHONE_ALREADY_LINKED" &&
+        rows.length === 1 &&
+        rows[0].line_user_id === LINE_USER
+      );
+    },
+  },
+  {
+    name: "Linking claims the verified row; a new phone leaves the old one unlinked",
+    run: async () => {
+      await verify(PHONE);
+      await sync(LINE_USER, PHONE);
+      const claimed = await accounts();
+
+      await verify(NEW_PHONE);
+      const moved = await sync(LINE_USER, NEW_PHONE);
+      const rows = await accounts();
+
+      return (
+        claimed.length === 1 &&
+        claimed[0].line_user_id === LINE_USER &&
+        moved.status === 200 &&
+        rows.length === 2 &&
+        rows[0].prima_phone === PHONE &&
+        rows[0].line_user_id === null &&
+        rows[1].prima_phone === NEW_PHONE &&
+        rows[1].line_user_id === LINE_USER
+      );
+    },
+  },
+  {
+    name: "Verifying a phone again updates its row instead of adding one",
+    run: async () => {
+      const responses = await Promise.all([verify(PHONE), verify(PHONE)]);
+      await sync(LINE_USER, PHONE);
+      const again = await verify("081-234-5678");
+      const rows = await accounts();
+
+      return (
+        responses.every((response) => response.status === 200) &&
+        again.status === 200 &&
+        rows.length === 1 &&
+        rows[0].line_user_id === LINE_USER
+      );
+    },
+  },
+  {
+    name: "A link that fails part-way leaves both rows as they were",
+    run: async () => {
+      await sync(LINE_USER, PHONE);
+      await verify(NEW_PHONE);
+      const before = await accounts();
+
+      let failed = false;
+      try {
+        await databaseService.upsertUserMappingWithData({
+          line_user_id: LINE_USER,
+          prima_username: "DEV5678",
+          prima_phone: NEW_PHONE,
+          credit_balance: "not-a-number",
+        });
+      } catch (error) {
+        failed = true;
+      }
+      const after = await accounts();
+
+      return (
+        failed &&
+        JSON.stringify(after) === JSON.stringify(before) &&
+        after[0].line_user_id === LINE_USER &&
+        after[1].line_user_id === null
+      );
+    },
+  },
+  {
+    name: "The database refuses a second row for a phone",
+    run: async () => {
+      await createMember({ line_user_id: LINE_USER });
+      try {
+        await createMember({ line_user_id: OTHER_USER });
+        return "second row inserted";
+      } catch (error) {
+        return error.code === "23505";
+      }
+    },
+  },
+  {
+    name: "The migration normalizes phones and keeps each on one row",
+    run: async () => {
+      const db = await createDatabase();
+      const runner = new MigrationRunner({ pool: new TestPool({ db }) });
+      runner.log = () => {};
+      await runner.up({ to: "016" });
+
+      await db.query(
+        `INSERT INTO user_accounts (
+           line_user_id, prima_username, prima_phone, last_sync
+         )
+         VALUES
+           (NULL, 'A', '081-234-5678', '2026-01-03'),
+           ('${LINE_USER}', 'A', '+66812345678', '2026-01-01'),
+           ('${OTHER_USER}', 'A', '0812345678', '2026-01-02'),
+           (NULL, 'B', '898765432', '2026-01-01'),
+           (NULL, 'B', '0898765432', '2026-01-02')`
+      );
+      await runner.up();
+
+      const { rows } = await db.query(
+        "SELECT line_user_id, prima_phone FROM user_accounts ORDER BY id"
+      );
+      await db.close();
+
+      return (
+        rows.map((row) => row.prima_phone).join() ===
+          ",,0812345678,,0898765432" && rows[2].line_user_id === OTHER_USER
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "account linking",
+  results: "Account",
+  beforeEach: () => {
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
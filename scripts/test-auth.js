@@ -0,0 +1,419 @@
+// scripts/test-auth.js - LINE ID Token verification and sessions
+//
+// Calls the auth endpoints and a member endpoint through the API handler,
+// with refresh tokens in the test database. LINE's JWKS endpoint is
+// answered with keys generated here, so ID Tokens are signed the way LINE
+// signs them (ES256) and checked by the local verifier.
+
+const {
+  runCases,
+  request,
+  createMember,
+  query,
+} = require("./lib/test-harness");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+const lineAuthService = require("../services/lineAuthService");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+
+const LINE_USER = "U00000000000000000000000000000001";
+
+/**
+ * An ES256 key pair published under a key ID
+ * @param {string} kid - Key ID
+ * @returns {Object} { kid, privateKey, jwk }
+ */
+function createSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "ES256" },
+  };
+}
+
+const LINE_KEY = createSigningKey("line-key-1");
+const ROTATED_KEY = createSigningKey("line-key-2");
+const FORGER_KEY = createSigningKey("line-key-1");
+
+let published;
+let fetches;
+let remoteCalls;
+
+lineAuthService.httpClient.get = async () => {
+  fetches++;
+  return { data: { keys: published.map((key) => key.jwk) } };
+};
+lineAuthService.httpClient.post = async () => {
+  remoteCalls++;
+  throw new Error("LINE's verify endpoint is not called by these tests");
+};
+
+/**
+ * An ID Token as LINE issues it, with claims overridden as given
+ * @param {Object} options
+ * @param {Object} options.key - Signing key (default: LINE's)
+ * @param {Object} options.claims - Claims to add or replace
+ * @returns {string} Signed ID Token
+ */
+function idToken({ key = LINE_KEY, claims = {} } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign(
+    {
+      iss: config.line.issuer,
+      sub: LINE_USER,
+      aud: config.line.channelId,
+      iat: now,
+      exp: now + 3600,
+      name: "Somchai",
+      ...claims,
+    },
+    key.privateKey,
+    { algorithm: "ES256", keyid: key.kid }
+  );
+}
+
+/**
+ * A token with the given header, unsigned
+ * @param {Object} header - JWT header
+ * @returns {string} Token
+ */
+function unsignedToken(header) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode(header)}.${encode({
+    iss: config.line.issuer,
+    sub: LINE_USER,
+    aud: config.line.channelId,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+  })}.`;
+}
+
+/**
+ * A token with claims changed after signing
+ * @param {string} token - Signed token
+ * @param {Object} claims - Claims to add or replace
+ * @returns {string} Token whose signature no longer matches
+ */
+function withClaims(token, claims) {
+  const [header, payload, signature] = token.split(".");
+  const changed = {
+    ...JSON.parse(Buffer.from(payload, "base64url")),
+    ...claims,
+  };
+  return [
+    header,
+    Buffer.from(JSON.stringify(changed)).toString("base64url"),
+    signature,
+  ].join(".");
+}
+
+const login = (token) =>
+  request("POST", "/auth/token", {
+    headers: { authorization: `Bearer ${token}` },
+  });
+
+const refresh = (refreshToken) =>
+  request("POST", "/auth/refresh", { body: { refreshToken } });
+
+const profile = (accessToken) =>
+  request("GET", "/user/profile", {
+    headers: { authorization: `Bearer ${accessToken}` },
+  });
+
+/**
+ * Start a session the way the LIFF app does
+ * @returns {Promise<Object>} Access and refresh token pair
+ */
+async function startSession() {
+  const response = await login(idToken());
+  if (response.status !== 200) {
+    throw new Error(`POST /auth/token answered ${response.status}`);
+  }
+  return response.body;
+}
+
+async function refreshTokens() {
+  const result = await query(
+    `SELECT id, family_id, revoked_at, replaced_by
+     FROM refresh_tokens ORDER BY id`
+  );
+  return result.rows;
+}
+
+const cases = [
+  {
+    name: "An ID Token signed with LINE's key starts a session",
+    run: async () => {
+      const response = await login(idToken());
+
+      return (
+        response.status === 200 &&
+        typeof response.body.accessToken === "string" &&
+        typeof response.body.refreshToken === "string" &&
+        fetches === 1 &&
+        remoteCalls === 0
+      );
+    },
+  },
+  {
+    name: "Forged ID Tokens are refused",
+    run: async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const responses = await Promise.all([
+        // Signed with another key under LINE's key ID
+        login(idToken({ key: FORGER_KEY })),
+        // Signed with our session secret, as if it were LINE's
+        login(
+          jwt.sign(
+            {
+              iss: config.line.issuer,
+              sub: LINE_USER,
+              aud: config.line.channelId,
+              exp: now + 3600,
+            },
+            config.security.jwtSecret,
+            { algorithm: "HS256" }
+          )
+        ),
+        login(unsignedToken({ alg: "none", kid: LINE_KEY.kid })),
+        // LINE's signature over a changed payload
+        login(
+          withClaims(idToken(), { sub: "U00000000000000000000000000000002" })
+        ),
+      ]);
+
+      return (
+        responses.every((response) => response.status === 401) &&
+        remoteCalls === 0
+      );
+    },
+  },
+  {
+    name: "Expired ID Tokens and tokens for another channel are refused",
+    run: async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const expired = await login(
+        idToken({ claims: { iat: now - 7200, exp: now - 60 } })
+      );
+      const otherChannel = await login(
+        idToken({ claims: { aud: "9999999999" } })
+      );
+      const otherIssuer = await login(
+        idToken({ claims: { iss: "https://example.com" } })
+      );
+      const withinLeeway = await login(idToken({ claims: { exp: now - 2 } }));
+
+      return (
+        expired.status === 401 &&
+        expired.body.error.message === "Invalid or expired ID Token" &&
+        otherChannel.status === 401 &&
+        /audience/.test(otherChannel.body.error.message) &&
+        otherIssuer.status === 401 &&
+        withinLeeway.status === 200
+      );
+    },
+  },
+  {
+    name: "LINE's keys are fetched once, and at most once a minute for unknown keys",
+    run: async () => {
+      const first = await Promise.all([
+        login(idToken()),
+        login(idToken()),
+        login(idToken()),
+      ]);
+      const afterFirst = fetches;
+
+      // Unknown key IDs within the minute do not reach LINE
+      const unknown = await Promise.all([
+        login(idToken({ key: ROTATED_KEY })),
+        login(idToken({ key: createSigningKey("made-up") })),
+      ]);
+      const afterUnknown = fetches;
+
+      // A minute later LINE has rotated: the new key is fetched and accepted
+      published = [LINE_KEY, ROTATED_KEY];
+      lineAuthService.keysFetchedAt -= 61 * 1000;
+      const rotated = await login(idToken({ key: ROTATED_KEY }));
+
+      return (
+        first.every((response) => response.status === 200) &&
+        afterFirst === 1 &&
+        unknown.every((response) => response.status === 401) &&
+        afterUnknown === 1 &&
+        rotated.status === 200 &&
+        fetches === 2 &&
+        remoteCalls === 0
+      );
+    },
+  },
+  {
+    name: "A refresh token is exchanged once for a new pair",
+    run: async () => {
+      await createMember({ line_user_id: LINE_USER });
+      const session = await startSession();
+
+      const rotated = await refresh(session.refreshToken);
+      const [first, second] = await refreshTokens();
+      const member = await profile(rotated.body.accessToken);
+
+      return (
+        rotated.status === 200 &&
+        rotated.body.refreshToken !== session.refreshToken &&
+        first.revoked_at !== null &&
+        first.replaced_by === second.id &&
+        second.family_id === first.family_id &&
+        second.revoked_at === null &&
+        member.status === 200
+      );
+    },
+  },
+  {
+    name: "Reusing a rotated refresh token revokes every token of that login",
+    run: async () => {
+      const session = await startSession();
+      const other = await startSession();
+      const second = await refresh(session.refreshToken);
+      const third = await refresh(second.body.refreshToken);
+
+      const reused = await refresh(session.refreshToken);
+      const latest = await refresh(third.body.refreshToken);
+      const otherLogin = await refresh(other.refreshToken);
+      const rows = await refreshTokens();
+      const live = rows.filter((row) => row.revoked_at === null);
+
+      return (
+        third.status === 200 &&
+        reused.status === 401 &&
+        reused.body.error.code === "INVALID_REFRESH_TOKEN" &&
+        latest.status === 401 &&
+        otherLogin.status === 200 &&
+        live.length === 1 &&
+        live[0].family_id !== rows[0].family_id
+      );
+    },
+  },
+  {
+    name: "Expired, logged-out and unknown refresh tokens are refused",
+    run: async () => {
+      const expiring = await startSession();
+      const loggedOut = await startSession();
+      await query(
+        `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 second'
+         WHERE id = (SELECT MIN(id) FROM refresh_tokens)`
+      );
+      const logout = await request("POST", "/auth/logout", {
+        body: { refreshToken: loggedOut.refreshToken },
+      });
+
+      const responses = await Promise.all([
+        refresh(expiring.refreshToken),
+        refresh(loggedOut.refreshToken),
+        refresh("not-a-token-we-issued"),
+      ]);
+
+      return (
+        logout.body.revoked === true &&
+        responses.every(
+          (response) =>
+            response.status === 401 &&
+            response.body.error.code === "INVALID_REFRESH_TOKEN"
+        )
+      );
+    },
+  },
+  {
+    name: "Expired and forged access tokens are refused",
+    run: async () => {
+      await createMember({ line_user_id: LINE_USER });
+      const now = Math.floor(Date.now() / 1000);
+      const sign = (secret, expiresAt) =>
+        jwt.sign(
+          {
+            typ: "access",
+            sub: LINE_USER,
+            iss: config.security.jwtIssuer,
+            aud: "prima789-api",
+            exp: expiresAt,
+          },
+          secret,
+          { algorithm: "HS256" }
+        );
+
+      const expired = await profile(sign(config.security.jwtSecret, now - 1));
+      const forged = await profile(
+        sign("another-secret-of-at-least-32-bytes!", now + 600)
+      );
+      const valid = await profile(sign(config.security.jwtSecret, now + 600));
+
+      return (
+        expired.status === 401 &&
+        expired.body.error.code === "TOKEN_EXPIRED" &&
+        forged.status === 401 &&
+        valid.status === 200
+      );
+    },
+  },
+  {
+    name: "An X-LINE-User-ID naming someone else is refused and flagged",
+    run: async () => {
+      await createMember({ line_user_id: LINE_USER });
+      const session = await startSession();
+      const withHeader = (authorization, lineUserId, ip) =>
+        request("GET", "/user/profile", {
+          headers: {
+            authorization: `Bearer ${authorization}`,
+            "x-line-user-id": lineUserId,
+            "x-nf-client-connection-ip": ip,
+          },
+        });
+
+      const sessionMismatch = await withHeader(
+        session.accessToken,
+        "U00000000000000000000000000000002",
+        "198.51.100.31"
+      );
+      const idTokenMismatch = await withHeader(
+        idToken(),
+        "U00000000000000000000000000000002",
+        "198.51.100.32"
+      );
+      const matching = await withHeader(
+        session.accessToken,
+        LINE_USER,
+        "198.51.100.33"
+      );
+      const suspects = await query(
+        "SELECT cidr, reason FROM ip_rules WHERE list = 'suspect' ORDER BY cidr"
+      );
+
+      return (
+        sessionMismatch.status === 403 &&
+        sessionMismatch.body.error.code === "IDENTITY_MISMATCH" &&
+        idTokenMismatch.status === 403 &&
+        idTokenMismatch.body.error.code === "IDENTITY_MISMATCH" &&
+        matching.status === 200 &&
+        suspects.rows.map((row) => `${row.cidr} ${row.reason}`).join() ===
+          "198.51.100.31/32 IDENTITY_HEADER_MISMATCH," +
+            "198.51.100.32/32 IDENTITY_HEADER_MISMATCH"
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "LINE authentication and sessions",
+  results: "Auth",
+  beforeEach: () => {
+    published = [LINE_KEY];
+    fetches = 0;
+    remoteCalls = 0;
+    lineAuthService.signingKeys = new Map();
+    lineAuthService.keysFetchedAt = 0;
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
@@ -0,0 +1,245 @@
+// scripts/test-balance-history.js - Balance snapshots and trends
+//
+// Records snapshots and reads the daily and weekly trend from balance_snapshots
+// in the test database, directly and through GET /user/balance-history.
+// Snapshot times are written relative to today, in Bangkok time.
+
+const {
+  runCases,
+  request,
+  memberHeaders,
+  createMember,
+  query,
+} = require("./lib/test-harness");
+const logger = require("../utils/logger");
+const balanceHistoryService = require("../services/balanceHistoryService");
+const { eventBus, EVENTS } = require("../utils/events");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+let warnings = [];
+logger.warn = (message, meta) => warnings.push({ message, meta });
+
+/**
+ * A Bangkok calendar day relative to today
+ * @param {number} daysAgo - Days before today
+ * @returns {string} YYYY-MM-DD
+ */
+function bangkokDay(daysAgo) {
+  return new Date(Date.now() + BANGKOK_OFFSET_MS - daysAgo * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Insert a snapshot recorded at a Bangkok wall-clock time
+ * @param {number} accountId - user_accounts ID
+ * @param {string} day - Bangkok day (YYYY-MM-DD)
+ * @param {string} time - Bangkok time (HH:MM)
+ * @param {number} balance - Credit balance
+ */
+async function snapshot(accountId, day, time, balance) {
+  // recorded_at holds UTC without a time zone
+  const recordedAt = new Date(`${day}T${time}:00+07:00`)
+    .toISOString()
+    .replace("T", " ")
+    .slice(0, 19);
+  await query(
+    `INSERT INTO balance_snapshots (account_id, credit_balance, source, recorded_at)
+     VALUES ($1, $2, 'sync', $3)`,
+    [accountId, balance, recordedAt]
+  );
+}
+
+const summary = (points) =>
+  points
+    .map(
+      (point) =>
+        `${point.periodStart} ${point.open}/${point.close}` +
+        ` ${point.min}-${point.max} ~${point.average} x${point.samples}`
+    )
+    .join("; ");
+
+const cases = [
+  {
+    name: "Daily points follow Bangkok days, not UTC days",
+    run: async () => {
+      const member = await createMember();
+      const before = bangkokDay(3);
+      const day = bangkokDay(2);
+      // 23:30 and 00:30 in Bangkok fall on the same UTC day
+      await snapshot(member.id, before, "23:30", 1000);
+      await snapshot(member.id, day, "00:30", 2000);
+      await snapshot(member.id, day, "03:00", 1500);
+      await snapshot(member.id, day, "22:00", 1800);
+
+      const points = await balanceHistoryService.getTrend(member.id, {
+        period: "daily",
+        days: 30,
+      });
+
+      return (
+        summary(points) ===
+          `${before} 1000/1000 1000-1000 ~1000 x1; ` +
+            `${day} 2000/1800 1500-2000 ~1766.67 x3` || summary(points)
+      );
+    },
+  },
+  {
+    name: "Weekly points start on Monday in Bangkok",
+    run: async () => {
+      const member = await createMember();
+      const weekAgo = bangkokDay(7);
+      const weekday = new Date(`${weekAgo}T00:00:00Z`).getUTCDay();
+      const monday = addDays(weekAgo, -((weekday + 6) % 7));
+      await snapshot(member.id, addDays(monday, -1), "23:30", 1000);
+      await snapshot(member.id, monday, "00:30", 2000);
+
+      const points = await balanceHistoryService.getTrend(member.id, {
+        period: "weekly",
+        days: 30,
+      });
+
+      return (
+        points.map((point) => point.periodStart).join() ===
+          `${addDays(monday, -7)},${monday}` || summary(points)
+      );
+    },
+  },
+  {
+    name: "Snapshots before the requested days are left out",
+    run: async () => {
+      const member = await createMember();
+      await snapshot(member.id, bangkokDay(40), "12:00", 1000);
+      await snapshot(member.id, bangkokDay(10), "12:00", 2000);
+
+      const recent = await balanceHistoryService.getTrend(member.id, {
+        period: "daily",
+        days: 30,
+      });
+      const longer = await balanceHistoryService.getTrend(member.id, {
+        period: "daily",
+        days: 60,
+      });
+
+      return (
+        recent.length === 1 && recent[0].close === 2000 && longer.length === 2
+      );
+    },
+  },
+  {
+    name: "The endpoint returns each period's first day as a date",
+    run: async () => {
+      const member = await createMember();
+      await snapshot(member.id, bangkokDay(2), "09:00", 1200);
+      await snapshot(member.id, bangkokDay(1), "00:05", 1500);
+
+      const response = await request("GET", "/user/balance-history", {
+        headers: memberHeaders(member.line_user_id),
+        query: { period: "daily", days: "7" },
+      });
+      const { points } = response.body;
+
+      return (
+        response.status === 200 &&
+        points.map((point) => point.periodStart).join() ===
+          `${bangkokDay(2)},${bangkokDay(1)}` &&
+        warnings.length === 0
+      );
+    },
+  },
+  {
+    name: "Trend queries get their defaults and limits from the route schema",
+    run: async () => {
+      const member = await createMember();
+      const history = (query) =>
+        request("GET", "/user/balance-history", {
+          headers: memberHeaders(member.line_user_id),
+          query,
+        });
+
+      const defaulted = await history();
+      const weekly = await history({ period: "weekly" });
+      const badPeriod = await history({ period: "monthly" });
+      const tooFew = await history({ days: "0" });
+      const tooMany = await history({ days: "367" });
+
+      return (
+        `${defaulted.body.period} ${defaulted.body.days}` === "daily 30" &&
+        `${weekly.body.period} ${weekly.body.days}` === "weekly 84" &&
+        badPeriod.status === 400 &&
+        badPeriod.body.error.field === "period" &&
+        [tooFew, tooMany].every(
+          (response) =>
+            response.status === 400 && response.body.error.field === "days"
+        )
+      );
+    },
+  },
+  {
+    name: "Recording a snapshot publishes the previous balance; snapshots cannot change",
+    run: async () => {
+      const member = await createMember();
+      const events = [];
+      const unsubscribe = eventBus.subscribe(EVENTS.BALANCE_SYNCED, (event) =>
+        events.push(event)
+      );
+      try {
+        await balanceHistoryService.recordSnapshot(member.id, {
+          balance: 1000,
+          memberTier: "Standard",
+          source: "verify",
+        });
+        await balanceHistoryService.recordSnapshot(member.id, {
+          balance: 1500,
+          memberTier: "Standard",
+          source: "sync",
+        });
+      } finally {
+        unsubscribe();
+      }
+
+      let message = null;
+      try {
+        await query(
+          "UPDATE balance_snapshots SET credit_balance = 0 WHERE account_id = $1",
+          [member.id]
+        );
+      } catch (error) {
+        message = error.message;
+      }
+      const rows = await query(
+        `SELECT credit_balance, source FROM balance_snapshots
+         WHERE account_id = $1 ORDER BY id`,
+        [member.id]
+      );
+
+      return (
+        events.map((event) => event.previousBalance).join() === ",1000" &&
+        events[1].balance === 1500 &&
+        /append-only/.test(message) &&
+        rows.rows
+          .map((row) => `${parseFloat(row.credit_balance)} ${row.source}`)
+          .join() === "1000 verify,1500 sync"
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "balance history",
+  results: "Balance History",
+  beforeEach: () => {
+    warnings = [];
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
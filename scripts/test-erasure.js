@@ -0,0 +1,447 @@
+// scripts/test-erasure.js - Account unlink and member data erasure
+//
+// Calls DELETE /user/link through the API handler against a member and the
+// data stored about them in the test database, with the rich menu switch
+// answered by the Messaging API stub.
+
+process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN = "test-access-token";
+
+const {
+  runCases,
+  request,
+  memberHeaders,
+  createMember,
+  createDatabase,
+  TestPool,
+  query,
+} = require("./lib/test-harness");
+const crypto = require("crypto");
+const config = require("../config/config");
+const MigrationRunner = require("./migrate");
+const databaseService = require("../services/databaseService");
+const lineMessagingService = require("../services/lineMessagingService");
+const richMenuService = require("../services/richMenuService");
+const erasureService = require("../services/erasureService");
+const pinAttemptService = require("../services/pinAttemptService");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+
+const LINE_USER = "U00000000000000000000000000000001";
+const OTHER_USER = "U00000000000000000000000000000002";
+const LINKED_MENU = "richmenu-linked";
+
+const stub = lineMessagingService.stub;
+
+/**
+ * A linked member with some of everything erasure removes
+ * @param {string} lineUserId - LINE User ID
+ * @returns {Promise<Object>} user_accounts row
+ */
+async function seedMember(lineUserId) {
+  const account = await createMember({
+    line_user_id: lineUserId,
+    prima_username: `DEV${lineUserId.slice(-4)}`,
+    prima_phone: `08${lineUserId.slice(-8)}`,
+  });
+
+  await query(
+    `INSERT INTO balance_snapshots (account_id, credit_balance, source)
+     SELECT $1, 1000 * n, 'sync' FROM generate_series(1, 3) AS n`,
+    [account.id]
+  );
+  await query(
+    `INSERT INTO tier_history (
+       account_id, from_tier, to_tier, direction, reason, credit_balance, source
+     )
+     VALUES ($1, NULL, 'Standard', 'upgrade', 'initial', 1000, 'sync'),
+            ($1, 'Standard', 'Silver', 'upgrade', 'threshold_reached', 3000, 'sync')`,
+    [account.id]
+  );
+  await query(
+    `INSERT INTO notification_preferences (account_id, balance_below)
+     VALUES ($1, 500)`,
+    [account.id]
+  );
+  await query(
+    `INSERT INTO notification_deliveries (
+       account_id, line_user_id, type, dedup_key, status
+     )
+     VALUES ($1, $2, 'balance_below', 'balance_below:500', 'sent'),
+            ($1, $2, 'tier_upgrade', 'tier_upgrade:Silver', 'sent')`,
+    [account.id, lineUserId]
+  );
+  await query(
+    `INSERT INTO refresh_tokens (line_user_id, token_hash, family_id, expires_at)
+     SELECT $1::text, md5($1::text || n) || md5($1::text || n), 'family', NOW() + INTERVAL '1 day'
+     FROM generate_series(1, 2) AS n`,
+    [lineUserId]
+  );
+  await query(
+    `INSERT INTO line_followers (line_user_id, is_following, last_event_at)
+     VALUES ($1, true, NOW())`,
+    [lineUserId]
+  );
+  await query(
+    `INSERT INTO session_logs (line_user_id, action, ip_address, user_agent)
+     SELECT $1, 'profile_view', '203.0.113.7', 'Mozilla/5.0 Line/13.0'
+     FROM generate_series(1, 4)`,
+    [lineUserId]
+  );
+
+  const lineSubject = pinAttemptService.subjectOf({ lineUserId });
+  const phoneSubject = pinAttemptService.subjectOf({
+    phone: account.prima_phone,
+  });
+  await query(
+    `INSERT INTO pin_attempts (subject_hash, subject_type, failures, last_attempt_at)
+     VALUES ($1, 'line_user', 2, NOW()), ($2, 'phone', 2, NOW())`,
+    [lineSubject.hash, phoneSubject.hash]
+  );
+  await query(
+    `INSERT INTO pin_lockouts (
+       subject_hash, subject_type, subject_label, failures, locked_until,
+       route, ip_address, user_agent
+     )
+     VALUES ($1, 'line_user', NULL, 5, NOW(), 'sync', '203.0.113.7', 'Line/13.0'),
+            ($2, 'phone', $3, 5, NOW(), 'sync', '203.0.113.7', 'Line/13.0')`,
+    [lineSubject.hash, phoneSubject.hash, phoneSubject.label]
+  );
+  return account;
+}
+
+/**
+ * Rows still stored about a LINE user, by table
+ * @param {string} lineUserId - LINE User ID
+ * @returns {Promise<Object>} Row counts
+ */
+async function remaining(lineUserId) {
+  const result = await query(
+    `WITH account AS (
+       SELECT id FROM user_accounts WHERE line_user_id = $1
+     )
+     SELECT
+       (SELECT COUNT(*) FROM account) AS account,
+       (SELECT COUNT(*) FROM balance_snapshots
+        WHERE account_id IN (SELECT id FROM account)) AS snapshots,
+       (SELECT COUNT(*) FROM notification_deliveries
+        WHERE line_user_id = $1) AS deliveries,
+       (SELECT COUNT(*) FROM refresh_tokens WHERE line_user_id = $1) AS tokens,
+       (SELECT COUNT(*) FROM line_followers WHERE line_user_id = $1) AS followers,
+       (SELECT COUNT(*) FROM session_logs WHERE line_user_id = $1) AS logs,
+       (SELECT COUNT(*) FROM pin_attempts WHERE subject_hash = $2) AS pins,
+       (SELECT COUNT(*) FROM pin_lockouts WHERE subject_hash = $2) AS lockouts`,
+    [lineUserId, pinAttemptService.subjectOf({ lineUserId }).hash]
+  );
+  return Object.values(result.rows[0]).map(Number);
+}
+
+/**
+ * Tables and text columns of a database that hold a value
+ * @param {PGlite} db - Database
+ * @param {string} value - Value to look for
+ * @returns {Promise<Array<string>>} table.column names
+ */
+async function columnsHolding(db, value) {
+  const columns = await db.query(
+    `SELECT table_name, column_name FROM information_schema.columns
+     WHERE table_schema = 'public'
+       AND data_type IN ('text', 'character varying', 'character', 'jsonb')`
+  );
+  const found = [];
+  for (const { table_name: table, column_name: column } of columns.rows) {
+    const result = await db.query(
+      `SELECT 1 FROM "${table}" WHERE "${column}"::text LIKE $1 LIMIT 1`,
+      [`%${value}%`]
+    );
+    if (result.rows.length > 0) found.push(`${table}.${column}`);
+  }
+  return found;
+}
+
+async function receiptCount() {
+  const result = await query("SELECT COUNT(*) AS count FROM erasure_receipts");
+  return Number(result.rows[0].count);
+}
+
+const unlink = (body, lineUserId = LINE_USER) =>
+  request("DELETE", "/user/link", { body, headers: memberHeaders(lineUserId) });
+
+const cases = [
+  {
+    name: "Unlink without confirm: true is refused",
+    run: async () => {
+      await seedMember(LINE_USER);
+      const missing = await unlink(undefined);
+      const wrong = await unlink({ confirm: "yes" });
+
+      return (
+        missing.status === 400 &&
+        missing.body.error.field === "confirm" &&
+        wrong.status === 400 &&
+        wrong.body.error.field === "confirm" &&
+        (await receiptCount()) === 0 &&
+        (await remaining(LINE_USER))[0] === 1
+      );
+    },
+  },
+  {
+    name: "Unlinking a LINE user with nothing stored returns 404",
+    run: async () => {
+      const response = await unlink({ confirm: true }, OTHER_USER);
+
+      return (
+        response.status === 404 &&
+        response.body.error.code === "USER_NOT_FOUND" &&
+        stub.requests.length === 0 &&
+        (await receiptCount()) === 0
+      );
+    },
+  },
+  {
+    name: "A LINE user without an account is still erased, with a receipt",
+    run: async () => {
+      const account = await seedMember(LINE_USER);
+      await query("DELETE FROM user_accounts WHERE id = $1", [account.id]);
+      const response = await unlink({ confirm: true });
+      const { items } = response.body.receipt;
+
+      return (
+        response.status === 200 &&
+        items.account === 0 &&
+        items.refreshTokens === 2 &&
+        items.followState === 1 &&
+        items.sessionLogsAnonymized === 4 &&
+        items.pinAttempts === 1 &&
+        items.pinLockouts === 1 &&
+        items.pinLockoutsAnonymized === 0 &&
+        (await remaining(LINE_USER)).join() === "0,0,0,0,0,0,0,0" &&
+        (await receiptCount()) === 1
+      );
+    },
+  },
+  {
+    name: "Unlink erases in one statement and returns the receipt",
+    run: async () => {
+      await seedMember(LINE_USER);
+      await seedMember(OTHER_USER);
+      stub.userRichMenus.set(LINE_USER, LINKED_MENU);
+      const response = await unlink({ confirm: true });
+      const { receipt } = response.body;
+
+      return (
+        response.status === 200 &&
+        /^[0-9a-f-]{36}$/.test(receipt.receiptId) &&
+        receipt.requestedVia === "member" &&
+        Object.entries({
+          account: 1,
+          balanceSnapshots: 3,
+          tierHistory: 2,
+          notificationPreferences: 1,
+          notificationDeliveries: 2,
+          refreshTokens: 2,
+          followState: 1,
+          sessionLogsAnonymized: 4,
+          pinAttempts: 1,
+          pinLockouts: 1,
+          pinLockoutsAnonymized: 1,
+        }).every(([item, count]) => receipt.items[item] === count) &&
+        receipt.richMenuReverted === true &&
+        stub.richMenuOf(LINE_USER) === null &&
+        (await remaining(LINE_USER)).join() === "0,0,0,0,0,0,0,0" &&
+        (await remaining(OTHER_USER)).join() === "1,3,2,2,1,4,1,1"
+      );
+    },
+  },
+  {
+    name: "Receipt, logs and PIN lockouts carry no personal data",
+    run: async () => {
+      await seedMember(LINE_USER);
+      await unlink({ confirm: true });
+      const receipts = await query("SELECT * FROM erasure_receipts");
+      const logs = await query(
+        `SELECT line_user_id, ip_address, user_agent FROM session_logs`
+      );
+      const lockouts = await query(
+        `SELECT subject_type, subject_label, failures, ip_address, user_agent
+         FROM pin_lockouts`
+      );
+      const counters = await query("SELECT subject_type FROM pin_attempts");
+
+      return (
+        receipts.rows.length === 1 &&
+        /^[0-9a-f]{64}$/.test(receipts.rows[0].subject_hash) &&
+        !JSON.stringify(receipts.rows).includes(LINE_USER) &&
+        logs.rows.length === 4 &&
+        logs.rows.every(
+          (row) =>
+            row.line_user_id === "erased" &&
+            row.ip_address === null &&
+            row.user_agent === null
+        ) &&
+        JSON.stringify(lockouts.rows) ===
+          JSON.stringify([
+            {
+              subject_type: "phone",
+              subject_label: null,
+              failures: 5,
+              ip_address: null,
+              user_agent: null,
+            },
+          ]) &&
+        counters.rows.map((row) => row.subject_type).join() === "phone"
+      );
+    },
+  },
+  {
+    name: "Second unlink returns 404 instead of another receipt",
+    run: async () => {
+      await seedMember(LINE_USER);
+      const first = await unlink({ confirm: true });
+      const second = await unlink({ confirm: true });
+
+      return (
+        first.status === 200 &&
+        second.status === 404 &&
+        (await receiptCount()) === 1
+      );
+    },
+  },
+  {
+    name: "Failed rich menu revert is reported, the erasure stands",
+    run: async () => {
+      await seedMember(LINE_USER);
+      stub.userRichMenus.set(LINE_USER, LINKED_MENU);
+      stub.failNext(1, { status: 500 });
+      const response = await unlink({ confirm: true });
+
+      return (
+        response.status === 200 &&
+        response.body.receipt.richMenuReverted === false &&
+        (await remaining(LINE_USER))[0] === 0
+      );
+    },
+  },
+  {
+    name: "Subject hash is stable per user and receipts can be looked up",
+    run: async () => {
+      await seedMember(LINE_USER);
+      const receipt = await erasureService.eraseMember(LINE_USER, {
+        requestedVia: "support",
+      });
+      const found = await erasureService.getReceipt(receipt.receiptId);
+      const [listed] = await erasureService.findReceipts(LINE_USER);
+
+      let rejected = false;
+      try {
+        await erasureService.getReceipt("not-a-receipt");
+      } catch (error) {
+        rejected = error.field === "receiptId";
+      }
+
+      return (
+        erasureService.subjectHash(LINE_USER) ===
+          erasureService.subjectHash(LINE_USER) &&
+        erasureService.subjectHash(LINE_USER) !==
+          erasureService.subjectHash(OTHER_USER) &&
+        erasureService.subjectHash(LINE_USER) ===
+          crypto
+            .createHmac("sha256", process.env.ERASURE_SUBJECT_SALT)
+            .update(LINE_USER)
+            .digest("hex") &&
+        found.receiptId === receipt.receiptId &&
+        found.requestedVia === "support" &&
+        found.items.tierHistory === 2 &&
+        listed.receiptId === receipt.receiptId &&
+        rejected
+      );
+    },
+  },
+  {
+    name: "Erasure is refused without ERASURE_SUBJECT_SALT",
+    run: async () => {
+      await seedMember(LINE_USER);
+      const salt = config.security.erasureSubjectSalt;
+      config.security.erasureSubjectSalt = undefined;
+      try {
+        const response = await unlink({ confirm: true });
+        return (
+          response.status === 503 &&
+          response.body.error.code === "ERASURE_NOT_CONFIGURED" &&
+          (await remaining(LINE_USER))[0] === 1
+        );
+      } finally {
+        config.security.erasureSubjectSalt = salt;
+      }
+    },
+  },
+  {
+    name: "No copy of an erased member is left in the legacy backup tables",
+    run: async () => {
+      const db = await createDatabase();
+      const pool = new TestPool({ db });
+      const runner = new MigrationRunner({ pool });
+      runner.log = () => {};
+      await runner.up({ to: "001" });
+
+      // The tables 002 and 003 merge and used to keep as *_backup
+      await db.exec(
+        `CREATE TABLE user_mappings (
+           line_user_id VARCHAR(255), prima_username VARCHAR(255),
+           created_at TIMESTAMP DEFAULT NOW(), updated_at TIMESTAMP DEFAULT NOW()
+         );
+         CREATE TABLE users (
+           phone VARCHAR(20), prima_username VARCHAR(255),
+           first_name VARCHAR(100), last_name VARCHAR(100),
+           credit_balance DECIMAL(15,2), is_active BOOLEAN,
+           updated_at TIMESTAMP DEFAULT NOW()
+         );
+         INSERT INTO user_mappings (line_user_id, prima_username)
+         VALUES ('${LINE_USER}', 'DEV0001');
+         INSERT INTO users (phone, prima_username, first_name, last_name)
+         VALUES ('081-234-5678', 'DEV0001', 'Somchai', 'Jaidee');`
+      );
+      await runner.up();
+      const before = await columnsHolding(db, LINE_USER);
+
+      const shared = databaseService.pool;
+      databaseService.pool = pool;
+      try {
+        await erasureService.eraseMember(LINE_USER);
+      } finally {
+        databaseService.pool = shared;
+      }
+      const after = await columnsHolding(db, LINE_USER);
+      const backups = await db.query(
+        `SELECT to_regclass('user_mappings_backup') AS mappings,
+                to_regclass('users_backup') AS users`
+      );
+      await db.close();
+
+      if (before.join() !== "user_accounts.line_user_id") {
+        return `before erasure found in ${before.join()}`;
+      }
+      if (after.length > 0) return `after erasure found in ${after.join()}`;
+      return (
+        backups.rows[0].mappings === null && backups.rows[0].users === null
+      );
+    },
+  },
+];
+
+richMenuService.listen();
+
+runCases(cases, {
+  title: "account erasure",
+  results: "Erasure",
+  beforeEach: async () => {
+    stub.reset();
+    // DELETE /user/link allows 5 requests per hour per client
+    rateLimiter.store = new MemoryRateLimitStore();
+    richMenuService.clearCache();
+    await query(
+      `INSERT INTO rich_menus (name, rich_menu_id, definition_hash)
+       VALUES ('linked', $1, $2)`,
+      [LINKED_MENU, "0".repeat(64)]
+    );
+  },
+});
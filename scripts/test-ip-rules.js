@@ -0,0 +1,338 @@
+// scripts/test-ip-rules.js - Persisted IP blocklist, allowlist and reputation
+//
+// Runs the security middleware and the admin endpoints through the API
+// handler against ip_rules in the test database. Clearing the service's
+// cache stands in for a cold start: only what is in the table survives.
+// Requests are matched in the instance (net.BlockList); Postgres stores and
+// normalizes the ranges, and is the reference the matching is checked against.
+
+process.env.ADMIN_API_KEY = "test-admin-key";
+
+const { runCases, query, request: call } = require("./lib/test-harness");
+const config = require("../config/config");
+const ipReputationService = require("../services/ipReputationService");
+const securityUtils = require("../utils/security");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+
+const BROWSER = "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0";
+const LIFF = "Mozilla/5.0 (iPhone) Line/13.0 LIFF";
+
+async function rules() {
+  const result = await query("SELECT * FROM ip_rules ORDER BY id");
+  return result.rows;
+}
+
+const request = (
+  method,
+  path,
+  { ip = "198.51.100.1", userAgent = BROWSER, headers = {}, query, body } = {}
+) =>
+  call(method, path, {
+    query,
+    body,
+    headers: {
+      "x-forwarded-for": ip,
+      "x-nf-client-connection-ip": ip,
+      "user-agent": userAgent,
+      ...headers,
+    },
+  });
+
+const admin = (method, path, body, query) =>
+  request(method, path, {
+    headers: { "x-admin-key": "test-admin-key" },
+    body,
+    query,
+  });
+
+const cases = [
+  {
+    name: "Addresses and CIDR ranges are validated",
+    run: async () => {
+      const valid = ["203.0.113.0/24", "203.0.113.7", "2001:db8::/32"].map(
+        (value) => ipReputationService.parseCidr(value)
+      );
+      const invalid = ["1.2.3.4/33", "abc", "1.2.3.4/", "1.2.3.4/8/1"].filter(
+        (value) => {
+          try {
+            ipReputationService.parseCidr(value);
+            return false;
+          } catch (error) {
+            return error.field === "cidr";
+          }
+        }
+      );
+
+      return (
+        valid[0].prefix === 24 &&
+        valid[1].prefix === 32 &&
+        valid[2].family === "ipv6" &&
+        invalid.length === 4
+      );
+    },
+  },
+  {
+    name: "Ranges match in the instance exactly as Postgres matches them",
+    run: async () => {
+      const ranges = ["203.0.113.0/24", "10.0.0.0/8", "2001:db8::/32"];
+      for (const cidr of ranges) {
+        await ipReputationService.block(cidr);
+      }
+      const ips = [
+        "203.0.113.0",
+        "203.0.113.255",
+        "203.0.114.1",
+        "10.255.255.255",
+        "11.0.0.0",
+        "::ffff:203.0.113.7",
+        "2001:db8:ffff::1",
+        "2001:db9::1",
+      ];
+
+      const mismatched = [];
+      for (const ip of ips) {
+        const address = ipReputationService.normalizeIp(ip);
+        const { blockRule } = await ipReputationService.check(ip);
+        const stored = await query(
+          "SELECT cidr FROM ip_rules WHERE $1::INET <<= cidr",
+          [address]
+        );
+        const expected = stored.rows[0]?.cidr || null;
+        if ((blockRule?.cidr || null) !== expected) {
+          mismatched.push(`${ip}: ${blockRule?.cidr} != ${expected}`);
+        }
+      }
+
+      return mismatched.length === 0 || mismatched.join("; ");
+    },
+  },
+  {
+    name: "A blocked range refuses every address in it, after a cold start too",
+    run: async () => {
+      await ipReputationService.block("203.0.113.0/24", { reason: "abuse" });
+      ipReputationService.clearCache();
+
+      const blocked = await request("GET", "/health", { ip: "203.0.113.9" });
+      const liff = await request("GET", "/health", {
+        ip: "203.0.113.200",
+        userAgent: LIFF,
+      });
+      const outside = await request("GET", "/health", { ip: "203.0.114.9" });
+
+      const [row] = await rules();
+
+      return (
+        row.cidr === "203.0.113.0/24" &&
+        blocked.status === 403 &&
+        blocked.body.error.code === "SECURITY_VIOLATION" &&
+        liff.status === 403 &&
+        outside.status === 200
+      );
+    },
+  },
+  {
+    name: "The allowlist wins over blocks and automatic blocking",
+    run: async () => {
+      await ipReputationService.block("203.0.113.0/24");
+      await ipReputationService.allow("203.0.113.9", { reason: "office" });
+
+      const allowed = await request("GET", "/health", { ip: "203.0.113.9" });
+      const scanner = await request("GET", "/health", {
+        ip: "203.0.113.9",
+        userAgent: "sqlmap/1.7",
+      });
+      const neighbour = await request("GET", "/health", { ip: "203.0.113.8" });
+
+      return (
+        allowed.status === 200 &&
+        scanner.status === 200 &&
+        neighbour.status === 403 &&
+        (await rules()).length === 2
+      );
+    },
+  },
+  {
+    name: "Attacks block the IP automatically, with expiry and hit counts",
+    run: async () => {
+      const before = Date.now();
+      const attack = await request("GET", "/health", {
+        ip: "192.0.2.5",
+        userAgent: "sqlmap/1.7",
+      });
+      const next = await request("GET", "/health", { ip: "192.0.2.5" });
+
+      // The next reload writes the hits counted in memory
+      ipReputationService.clearCache();
+      await ipReputationService.check("198.51.100.1");
+      const [row] = await rules();
+
+      return (
+        attack.status === 403 &&
+        next.status === 403 &&
+        row.cidr === "192.0.2.5/32" &&
+        row.list === "block" &&
+        row.source === "auto" &&
+        row.reason === "ATTACK_PATTERN" &&
+        row.expires_at.getTime() >= before + config.ipRules.autoBlockDuration &&
+        row.hits === 2
+      );
+    },
+  },
+  {
+    name: "Automatic updates keep a live admin entry; expired rules do not apply",
+    run: async () => {
+      await ipReputationService.block("192.0.2.5", { reason: "manual" });
+      await ipReputationService.autoBlock("192.0.2.5", "SQL_INJECTION");
+      await query(
+        `INSERT INTO ip_rules (cidr, list, reason, source, expires_at)
+         VALUES ('192.0.2.77/32', 'block', 'old', 'admin', $1)`,
+        [new Date(Date.now() - 1000)]
+      );
+      ipReputationService.clearCache();
+
+      const expired = await request("GET", "/health", { ip: "192.0.2.77" });
+      const [row] = await rules();
+
+      return (
+        row.reason === "manual" &&
+        row.source === "admin" &&
+        row.expires_at === null &&
+        row.hits === 1 &&
+        expired.status === 200
+      );
+    },
+  },
+  {
+    name: "Security events flag the IP as suspect, once per cache period",
+    run: async () => {
+      await securityUtils.logSecurityEvent("IDENTITY_HEADER_MISMATCH", {
+        ip: "198.51.100.23",
+      });
+      await securityUtils.logSecurityEvent("IDENTITY_HEADER_MISMATCH", {
+        ip: "198.51.100.23",
+      });
+      const response = await request("GET", "/health", { ip: "198.51.100.23" });
+      const suspects = await ipReputationService.list({ list: "suspect" });
+
+      return (
+        suspects.length === 1 &&
+        suspects[0].hits === 1 &&
+        suspects[0].reason === "IDENTITY_HEADER_MISMATCH" &&
+        suspects[0].expiresAt instanceof Date &&
+        response.status === 200
+      );
+    },
+  },
+  {
+    name: "A spoofed X-Forwarded-For entry is neither blocked nor flagged",
+    run: async () => {
+      const spoofed = (ip, options) =>
+        call("GET", "/admin/ip-rules", {
+          ...options,
+          headers: {
+            "x-forwarded-for": `203.0.113.66, ${ip}`,
+            "x-nf-client-connection-ip": ip,
+            ...options.headers,
+          },
+        });
+      const attack = await spoofed("198.51.100.7", {
+        headers: { "user-agent": "sqlmap/1.7" },
+      });
+      const wrongKey = await spoofed("198.51.100.8", {
+        headers: { "user-agent": BROWSER, "x-admin-key": "wrong" },
+      });
+      // Without Netlify's header the hop the proxy appended counts
+      const proxied = await call("GET", "/health", {
+        headers: {
+          "x-forwarded-for": "203.0.113.66, 198.51.100.9",
+          "user-agent": "sqlmap/1.7",
+        },
+      });
+      const victim = await request("GET", "/health", { ip: "203.0.113.66" });
+      const listed = (await rules()).map((row) => `${row.list} ${row.cidr}`);
+
+      return (
+        attack.status === 403 &&
+        wrongKey.status === 401 &&
+        proxied.status === 403 &&
+        victim.status === 200 &&
+        listed.sort().join() ===
+          "block 198.51.100.7/32,block 198.51.100.9/32,suspect 198.51.100.8/32"
+      );
+    },
+  },
+  {
+    name: "Admin endpoints need the admin key and manage rules",
+    run: async () => {
+      const noKey = await request("GET", "/admin/ip-rules");
+      const wrongKey = await request("GET", "/admin/ip-rules", {
+        headers: { "x-admin-key": "guess" },
+      });
+
+      const added = await admin("POST", "/admin/ip-rules", {
+        cidr: "192.0.2.128/25",
+        list: "block",
+        reason: "credential stuffing",
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+      const badCidr = await admin("POST", "/admin/ip-rules", {
+        cidr: "192.0.2.128/40",
+        list: "block",
+      });
+      const badList = await admin("POST", "/admin/ip-rules", {
+        cidr: "192.0.2.128/25",
+        list: "suspect",
+      });
+      const pastExpiry = await admin("POST", "/admin/ip-rules", {
+        cidr: "192.0.2.128/25",
+        list: "block",
+        expiresAt: "2020-01-01T00:00:00Z",
+      });
+      const listed = await admin("GET", "/admin/ip-rules", null, {
+        list: "block",
+      });
+      const blocked = await request("GET", "/health", { ip: "192.0.2.200" });
+
+      const { id } = added.body.rule;
+      const removed = await admin("DELETE", `/admin/ip-rules/${id}`);
+      const again = await admin("DELETE", `/admin/ip-rules/${id}`);
+      const unblocked = await request("GET", "/health", {
+        ip: "192.0.2.200",
+      });
+
+      const adminApiKey = config.security.adminApiKey;
+      config.security.adminApiKey = undefined;
+      const disabled = await admin("GET", "/admin/ip-rules");
+      config.security.adminApiKey = adminApiKey;
+
+      return (
+        noKey.status === 401 &&
+        wrongKey.body.error.code === "INVALID_ADMIN_KEY" &&
+        added.status === 201 &&
+        added.body.rule.cidr === "192.0.2.128/25" &&
+        added.body.rule.source === "admin" &&
+        badCidr.body.error.field === "cidr" &&
+        badList.body.error.field === "list" &&
+        pastExpiry.body.error.field === "expiresAt" &&
+        listed.body.rules.length === 1 &&
+        blocked.status === 403 &&
+        removed.status === 200 &&
+        again.status === 404 &&
+        unblocked.status === 200 &&
+        disabled.status === 404
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "IP rules",
+  results: "IP Rules",
+  beforeEach: () => {
+    ipReputationService.clearCache();
+    ipReputationService.pendingHits.clear();
+    ipReputationService.recentFlags.clear();
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
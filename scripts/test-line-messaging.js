@@ -0,0 +1,228 @@
+// scripts/test-line-messaging.js - Flex member card and Messaging API client
+//
+// Runs the client against the in-process Messaging API stub
+// (LINE_MESSAGING_TRANSPORT=stub), so nothing is sent to LINE.
+
+process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN = "test-access-token";
+process.env.LINE_MESSAGING_MAX_RETRIES = "2";
+
+const { runCases } = require("./lib/test-harness");
+const databaseService = require("../services/databaseService");
+const sessionService = require("../services/sessionService");
+const tierService = require("../services/tierService");
+const lineMessagingService = require("../services/lineMessagingService");
+const memberCardService = require("../services/memberCardService");
+const api = require("../netlify/functions/api");
+
+const LINKED_USER = "U00000000000000000000000000000001";
+const NEW_USER = "U00000000000000000000000000000002";
+
+const ACCOUNT = {
+  prima_username: "DEV0001",
+  first_name: "Somchai",
+  last_name: "Jaidee",
+  prima_phone: "0812345678",
+  member_tier: "Gold",
+  credit_balance: "12345.67",
+  last_sync: new Date("2024-05-01T03:00:00Z"),
+};
+
+const stub = lineMessagingService.stub;
+let waits = [];
+
+databaseService.findUserMapping = async (lineUserId) =>
+  lineUserId === LINKED_USER ? { ...ACCOUNT } : null;
+databaseService.logSession = async () => {};
+tierService.getTiers = async () => [
+  {
+    name: "Gold",
+    minBalance: 50000,
+    rollingWindowDays: null,
+    downgradeGraceDays: null,
+    badgeColor: "#fbbf24",
+    textColor: "#111827",
+  },
+];
+lineMessagingService.delay = async (ms) => {
+  waits.push(ms);
+};
+
+// All text nodes of a Flex component tree
+function texts(node) {
+  if (!node || typeof node !== "object") return [];
+  return [
+    ...(node.type === "text" ? [node.text] : []),
+    ...Object.values(node).flatMap((value) =>
+      Array.isArray(value) ? value.flatMap(texts) : texts(value)
+    ),
+  ];
+}
+
+async function rejectsWith(promise, code) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+async function pushRequest() {
+  const token = sessionService.signAccessToken(LINKED_USER, { name: "A" });
+  const response = await api.handler({
+    httpMethod: "POST",
+    path: "/.netlify/functions/api/user/card/push",
+    headers: {
+      authorization: `Bearer ${token}`,
+      "user-agent": "Mozilla/5.0 Line/13.0",
+    },
+  });
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const cases = [
+  {
+    name: "Phone numbers are masked",
+    run: () =>
+      memberCardService.maskPhone("081-234-5678") === "081-XXX-5678" &&
+      memberCardService.maskPhone("") === "-",
+  },
+  {
+    name: "Flex card shows name, masked phone, tier badge, balance and date",
+    run: async () => {
+      const card = await memberCardService.toCardPayload(ACCOUNT);
+      const message = memberCardService.renderFlexMessage(card);
+      const all = texts(message.contents).join("\n");
+      const badge = message.contents.body.contents[0].contents[1];
+      return (
+        message.type === "flex" &&
+        message.contents.type === "bubble" &&
+        message.altText.length <= 400 &&
+        all.includes("Somchai Jaidee") &&
+        all.includes("081-XXX-5678") &&
+        !all.includes("0812345678") &&
+        all.includes("฿12,345.67") &&
+        all.includes("อัพเดทล่าสุด") &&
+        badge.backgroundColor === "#fbbf24" &&
+        badge.contents[0].text === "Gold" &&
+        message.contents.footer.contents[0].action.uri ===
+          "https://liff.line.me/1234567890-test"
+      );
+    },
+  },
+  {
+    name: "Pushing the card sends one Flex message with a retry key",
+    run: async () => {
+      await memberCardService.pushCard(LINKED_USER);
+      const pushes = stub.sent("push");
+      return (
+        pushes.length === 1 &&
+        pushes[0].to === LINKED_USER &&
+        pushes[0].messages[0].type === "flex" &&
+        Boolean(pushes[0].retryKey)
+      );
+    },
+  },
+  {
+    name: "Pushing to an unlinked user is refused",
+    run: async () =>
+      (await rejectsWith(
+        memberCardService.pushCard(NEW_USER),
+        "USER_NOT_FOUND"
+      )) && stub.sent().length === 0,
+  },
+  {
+    name: "429 is retried with backoff, honouring Retry-After",
+    run: async () => {
+      stub.failNext(1);
+      stub.failNext(1, { retryAfter: 3 });
+      await memberCardService.pushCard(LINKED_USER);
+      return (
+        stub.sent("push").length === 1 &&
+        waits.length === 2 &&
+        waits[0] === 1000 &&
+        waits[1] === 3000
+      );
+    },
+  },
+  {
+    name: "Giving up after the last retry reports LINE_RATE_LIMITED",
+    run: async () => {
+      stub.failNext(3);
+      return (
+        (await rejectsWith(
+          lineMessagingService.push(LINKED_USER, [{ type: "text", text: "x" }]),
+          "LINE_RATE_LIMITED"
+        )) &&
+        waits.length === 2 &&
+        stub.sent().length === 0
+      );
+    },
+  },
+  {
+    name: "Other errors are not retried",
+    run: async () => {
+      stub.failNext(1, { status: 500 });
+      return (
+        (await rejectsWith(
+          lineMessagingService.push(LINKED_USER, [{ type: "text", text: "x" }]),
+          "LINE_API_ERROR"
+        )) && waits.length === 0
+      );
+    },
+  },
+  {
+    name: "A push LINE already accepted (409 on retry key) counts as sent",
+    run: async () => {
+      const body = { to: LINKED_USER, messages: [{ type: "text", text: "x" }] };
+      const headers = { "X-Line-Retry-Key": "retry-key-1" };
+      await lineMessagingService.send("/message/push", body, headers);
+      await lineMessagingService.send("/message/push", body, headers);
+      return stub.sent("push").length === 1;
+    },
+  },
+  {
+    name: "Reply tokens can only be used once",
+    run: async () => {
+      const messages = await memberCardService.buildMessages(ACCOUNT);
+      await lineMessagingService.reply("reply-token-1", messages);
+      return (
+        (await rejectsWith(
+          lineMessagingService.reply("reply-token-1", messages),
+          "LINE_API_ERROR"
+        )) && stub.sent("reply").length === 1
+      );
+    },
+  },
+  {
+    name: "More than 5 messages are rejected by the stub",
+    run: async () =>
+      rejectsWith(
+        lineMessagingService.push(
+          LINKED_USER,
+          Array.from({ length: 6 }, () => ({ type: "text", text: "x" }))
+        ),
+        "LINE_API_ERROR"
+      ),
+  },
+  {
+    name: "POST /user/card/push sends the card to the signed-in user",
+    run: async () => {
+      const response = await pushRequest();
+      return (
+        response.status === 200 &&
+        response.body.success === true &&
+        stub.sent("push")[0]?.messages[0].type === "flex"
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "LINE Flex card and messaging client",
+  results: "LINE Messaging",
+  beforeEach: () => {
+    stub.reset();
+    waits = [];
+  },
+});
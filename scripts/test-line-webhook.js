@@ -0,0 +1,180 @@
+// scripts/test-line-webhook.js - LINE webhook signature and event dispatch
+//
+// Sends signed webhook requests through the API function with the database
+// and the Messaging API client stubbed out.
+
+process.env.LINE_CHANNEL_SECRET = "test-channel-secret";
+process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN = "test-access-token";
+
+const { runCases } = require("./lib/test-harness");
+const crypto = require("crypto");
+const databaseService = require("../services/databaseService");
+const lineMessagingService = require("../services/lineMessagingService");
+const api = require("../netlify/functions/api");
+
+const LINKED_USER = "U00000000000000000000000000000001";
+const NEW_USER = "U00000000000000000000000000000002";
+
+let queries = [];
+let replies = [];
+
+databaseService.query = async (sql, params) => {
+  queries.push({ sql, params });
+  return { rows: [] };
+};
+databaseService.findUserMapping = async (lineUserId) =>
+  lineUserId === LINKED_USER
+    ? {
+        prima_username: "DEV0001",
+        member_tier: "Gold",
+        credit_balance: "12345.67",
+        last_sync: new Date(),
+      }
+    : null;
+lineMessagingService.reply = async (replyToken, messages) => {
+  replies.push({ replyToken, messages });
+};
+
+function sign(body) {
+  return crypto
+    .createHmac("sha256", process.env.LINE_CHANNEL_SECRET)
+    .update(body)
+    .digest("base64");
+}
+
+async function post(events, signature) {
+  const body = JSON.stringify({ destination: "Utest", events });
+  const response = await api.handler({
+    httpMethod: "POST",
+    path: "/.netlify/functions/api/line/webhook",
+    headers: {
+      "content-type": "application/json",
+      "user-agent": "LineBotWebhook/2.0",
+      "x-line-signature": signature === undefined ? sign(body) : signature,
+    },
+    body,
+  });
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const event = (type, userId, extra = {}) => ({
+  type,
+  timestamp: Date.now(),
+  source: { type: "user", userId },
+  replyToken: `reply-${type}`,
+  webhookEventId: `event-${type}`,
+  ...extra,
+});
+
+const cases = [
+  {
+    name: "Request without a signature is rejected",
+    run: async () => {
+      const response = await post([], null);
+      return (
+        response.status === 401 &&
+        response.body.error.code === "INVALID_SIGNATURE"
+      );
+    },
+  },
+  {
+    name: "Request with a wrong signature is rejected",
+    run: async () => {
+      const response = await post([], sign("something else"));
+      return response.status === 401 && replies.length === 0;
+    },
+  },
+  {
+    name: "Webhook URL verification (no events) succeeds",
+    run: async () => {
+      const response = await post([]);
+      return response.status === 200 && response.body.handled === 0;
+    },
+  },
+  {
+    name: "follow records the follow and prompts an unlinked user to link",
+    run: async () => {
+      const response = await post([event("follow", NEW_USER)]);
+      return (
+        response.status === 200 &&
+        queries.some(
+          ({ sql, params }) =>
+            sql.includes("line_followers") &&
+            params[0] === NEW_USER &&
+            params[1] === true
+        ) &&
+        replies.length === 1 &&
+        replies[0].messages[0].text.includes("liff.line.me")
+      );
+    },
+  },
+  {
+    name: "unfollow records the unfollow without replying",
+    run: async () => {
+      const response = await post([event("unfollow", NEW_USER)]);
+      return (
+        response.body.handled === 1 &&
+        queries.some(({ params }) => params[1] === false) &&
+        replies.length === 0
+      );
+    },
+  },
+  {
+    name: '"balance" replies with the member card',
+    run: async () => {
+      await post([
+        event("message", LINKED_USER, {
+          message: { type: "text", text: " Balance " },
+        }),
+        event("message", LINKED_USER, {
+          message: { type: "text", text: "hello" },
+        }),
+      ]);
+      return (
+        replies.length === 1 &&
+        replies[0].messages[0].type === "flex" &&
+        replies[0].messages[0].altText.includes("12,345.67") &&
+        JSON.stringify(replies[0].messages[0].contents).includes("DEV0001")
+      );
+    },
+  },
+  {
+    name: "action=balance postback replies with the member card",
+    run: async () => {
+      await post([
+        event("postback", LINKED_USER, {
+          postback: { data: "action=balance" },
+        }),
+      ]);
+      return replies.length === 1;
+    },
+  },
+  {
+    name: "A failing event does not fail the batch; unknown types are ignored",
+    run: async () => {
+      lineMessagingService.reply = async () => {
+        throw new Error("LINE down");
+      };
+      const response = await post([
+        event("follow", LINKED_USER),
+        event("beacon", LINKED_USER),
+        event("unfollow", LINKED_USER),
+      ]);
+      return (
+        response.status === 200 &&
+        response.body.handled === 1 &&
+        response.body.failed === 1 &&
+        response.body.ignored === 1
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "LINE webhook",
+  results: "LINE Webhook",
+  beforeEach: () => {
+    queries = [];
+    replies = [];
+  },
+});
@@ -0,0 +1,209 @@
+// scripts/test-migrations.js - Versioned SQL migration runner
+//
+// Runs MigrationRunner on a fresh in-process database per case, with
+// migrations written to a temporary directory, and checks the repository's
+// own migrations apply and roll back cleanly.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runCases, createDatabase, TestPool } = require("./lib/test-harness");
+const MigrationRunner = require("./migrate");
+
+const directories = [];
+
+/**
+ * Write migration files to a new temporary directory
+ * @param {Object} files - File name to SQL
+ * @returns {string} Directory
+ */
+function writeMigrations(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  directories.push(dir);
+  for (const [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+  return dir;
+}
+
+/**
+ * A runner on a fresh database that records every statement it sends
+ * @param {string} dir - Migrations directory (default: the repository's)
+ * @returns {Promise<Object>} { runner, db, statements }
+ */
+async function createRunner(dir) {
+  const db = await createDatabase();
+  const pool = new TestPool({ db });
+  const statements = [];
+  const query = pool.query.bind(pool);
+  pool.query = (sql, params) => {
+    statements.push(sql.trim().split("\n")[0]);
+    return query(sql, params);
+  };
+
+  const runner = new MigrationRunner({ pool, dir });
+  runner.log = () => {};
+  return { runner, db, statements };
+}
+
+async function versions(db) {
+  const result = await db.query(
+    "SELECT version FROM schema_migrations ORDER BY version"
+  );
+  return result.rows.map((row) => row.version).join();
+}
+
+async function tableExists(db, name) {
+  const result = await db.query("SELECT to_regclass($1) AS name", [name]);
+  return result.rows[0].name !== null;
+}
+
+// Version 10 needs version 2's table, so a text sort would fail
+const ORDERED = {
+  "1_first.up.sql": "CREATE TABLE runs (id SERIAL, name TEXT);",
+  "1_first.down.sql": "DROP TABLE runs;",
+  "2_second.up.sql":
+    "CREATE TABLE second (id INT); INSERT INTO runs (name) VALUES ('2');",
+  "2_second.down.sql": "DROP TABLE second;",
+  "10_tenth.up.sql":
+    "INSERT INTO second VALUES (10); INSERT INTO runs (name) VALUES ('10');",
+  "10_tenth.down.sql": "DELETE FROM second WHERE id = 10;",
+};
+
+const cases = [
+  {
+    name: "Migrations apply in numeric order and roll back newest first",
+    run: async () => {
+      const { runner, db } = await createRunner(writeMigrations(ORDERED));
+
+      const first = await runner.up({ to: "2" });
+      const rest = await runner.up();
+      const again = await runner.up();
+      const runs = await db.query("SELECT name FROM runs ORDER BY id");
+      const applied = await versions(db);
+
+      const rolledBack = await runner.down(2);
+      const remaining = await versions(db);
+
+      return (
+        first === 2 &&
+        rest === 1 &&
+        again === 0 &&
+        runs.rows.map((row) => row.name).join() === "2,10" &&
+        applied === "1,10,2" &&
+        rolledBack === 2 &&
+        remaining === "1" &&
+        !(await tableExists(db, "second"))
+      );
+    },
+  },
+  {
+    name: "The advisory lock is held around the work and released after a failure",
+    run: async () => {
+      const dir = writeMigrations({
+        ...ORDERED,
+        "3_broken.up.sql": "SELECT * FROM missing_table;",
+        "3_broken.down.sql": "SELECT 1;",
+      });
+      const { runner, statements } = await createRunner(dir);
+      await runner.up().catch(() => {});
+
+      const lock = statements.indexOf("SELECT pg_advisory_lock($1)");
+      const unlock = statements.indexOf("SELECT pg_advisory_unlock($1)");
+      const begins = statements
+        .map((sql, index) => (sql === "BEGIN" ? index : -1))
+        .filter((index) => index >= 0);
+
+      return (
+        lock === 0 &&
+        unlock === statements.length - 1 &&
+        begins.length === 3 &&
+        begins.every((index) => index > lock && index < unlock)
+      );
+    },
+  },
+  {
+    name: "A failing migration is rolled back and stops the run",
+    run: async () => {
+      const dir = writeMigrations({
+        "1_first.up.sql": "CREATE TABLE first (id INT);",
+        "1_first.down.sql": "DROP TABLE first;",
+        "2_broken.up.sql":
+          "CREATE TABLE half_done (id INT); SELECT * FROM missing_table;",
+        "2_broken.down.sql": "DROP TABLE half_done;",
+        "3_later.up.sql": "CREATE TABLE later (id INT);",
+        "3_later.down.sql": "DROP TABLE later;",
+      });
+      const { runner, db } = await createRunner(dir);
+
+      let message = null;
+      try {
+        await runner.up();
+      } catch (error) {
+        message = error.message;
+      }
+
+      return (
+        /^Migration 2_broken \(up\) failed/.test(message) &&
+        (await versions(db)) === "1" &&
+        (await tableExists(db, "first")) &&
+        !(await tableExists(db, "half_done")) &&
+        !(await tableExists(db, "later"))
+      );
+    },
+  },
+  {
+    name: "A migration edited after it ran stops up and shows as modified",
+    run: async () => {
+      const dir = writeMigrations(ORDERED);
+      const { runner, db } = await createRunner(dir);
+      await runner.up({ to: "2" });
+
+      fs.appendFileSync(path.join(dir, "1_first.up.sql"), "\n-- edited\n");
+      let message = null;
+      try {
+        await runner.up();
+      } catch (error) {
+        message = error.message;
+      }
+      const status = await runner.status();
+
+      return (
+        /changed after they ran: 1_first\./.test(message) &&
+        (await versions(db)) === "1,2" &&
+        status.map((row) => row.state).join() === "modified,applied,pending"
+      );
+    },
+  },
+  {
+    name: "The repository's migrations apply, roll back and apply again",
+    run: async () => {
+      const { runner, db } = await createRunner();
+      const count = runner.loadMigrations().length;
+
+      const applied = await runner.up();
+      const rolledBack = await runner.down(count);
+      const tables = await db.query(
+        `SELECT table_name FROM information_schema.tables
+         WHERE table_schema = 'public' AND table_name <> 'schema_migrations'`
+      );
+      const reapplied = await runner.up();
+
+      return (
+        applied === count &&
+        rolledBack === count &&
+        tables.rows.length === 0 &&
+        reapplied === count
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "migration runner",
+  results: "Migration",
+  afterAll: () =>
+    directories.forEach((dir) =>
+      fs.rmSync(dir, { recursive: true, force: true })
+    ),
+});
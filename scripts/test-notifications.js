@@ -0,0 +1,334 @@
+// scripts/test-notifications.js - Balance and tier change notifications
+//
+// Publishes sync and tier events for a member in the test database, with
+// pushes answered by the Messaging API stub.
+
+process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN = "test-access-token";
+
+const {
+  runCases,
+  request,
+  memberHeaders,
+  createMember,
+  query,
+} = require("./lib/test-harness");
+const notificationService = require("../services/notificationService");
+const lineMessagingService = require("../services/lineMessagingService");
+const { eventBus, EVENTS } = require("../utils/events");
+
+const LINE_USER = "U00000000000000000000000000000001";
+
+const stub = lineMessagingService.stub;
+let member;
+
+async function setPreferences(row) {
+  const columns = Object.keys(row);
+  await query(
+    `INSERT INTO notification_preferences (account_id, ${columns.join(", ")})
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(", ")})`,
+    [member.id, ...Object.values(row)]
+  );
+}
+
+async function deliveries() {
+  const result = await query(
+    `SELECT status, error FROM notification_deliveries
+     WHERE account_id = $1 ORDER BY id`,
+    [member.id]
+  );
+  return result.rows;
+}
+
+const preferences = (overrides) => ({
+  enabled: true,
+  balance_below: "5000.00",
+  balance_above: null,
+  tier_upgrade: true,
+  tier_downgrade: false,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  ...overrides,
+});
+
+const synced = (previousBalance, balance) =>
+  eventBus.publish(EVENTS.BALANCE_SYNCED, {
+    accountId: member.id,
+    previousBalance,
+    balance,
+    source: "sync",
+  });
+
+const statuses = async () =>
+  (await deliveries()).map((delivery) => delivery.status).join();
+
+const preferencesRequest = (method, body) =>
+  request(method, "/user/notifications/preferences", {
+    body,
+    headers: memberHeaders(LINE_USER),
+  });
+
+async function rejectsField(body, field) {
+  const response = await preferencesRequest("PUT", body);
+  return response.status === 400 && response.body.error.field === field;
+}
+
+const cases = [
+  {
+    name: "Balance thresholds fire only when crossed",
+    run: () => {
+      const prefs = notificationService.fromRow(
+        preferences({ balance_above: "20000" })
+      );
+      const types = (previous, balance) =>
+        notificationService
+          .balanceNotifications(prefs, { previousBalance: previous, balance })
+          .map((notification) => notification.type)
+          .join();
+      return (
+        types(6000, 4000) === "balance_below" &&
+        types(4500, 4000) === "" &&
+        types(5000, 5000) === "" &&
+        types(19000, 25000) === "balance_above" &&
+        types(null, 100) === "" &&
+        notificationService.balanceNotifications(
+          { ...prefs, enabled: false },
+          { previousBalance: 6000, balance: 4000 }
+        ).length === 0
+      );
+    },
+  },
+  {
+    name: "Tier notifications follow preferences and skip the initial tier",
+    run: () => {
+      const prefs = notificationService.fromRow(preferences());
+      const change = {
+        from: "Silver",
+        to: "Gold",
+        reason: "threshold_reached",
+      };
+      return (
+        notificationService.tierNotification(prefs, {
+          ...change,
+          direction: "upgrade",
+        })?.type === "tier_upgrade" &&
+        notificationService.tierNotification(prefs, {
+          ...change,
+          direction: "upgrade",
+          reason: "initial",
+        }) === null &&
+        notificationService.tierNotification(prefs, {
+          ...change,
+          direction: "downgrade",
+        }) === null
+      );
+    },
+  },
+  {
+    name: "Quiet hours are Bangkok time and may wrap past midnight",
+    run: () => {
+      const overnight = { start: "22:00", end: "08:00" };
+      const lunch = { start: "12:00", end: "13:00" };
+      return (
+        // 23:10 Bangkok -> ends 08:00 Bangkok (01:00Z)
+        notificationService
+          .quietHoursEnd(overnight, new Date("2024-05-01T16:10:30Z"))
+          ?.toISOString() === "2024-05-02T01:00:00.000Z" &&
+        // 07:59 Bangkok
+        notificationService
+          .quietHoursEnd(overnight, new Date("2024-05-01T00:59:00Z"))
+          ?.toISOString() === "2024-05-01T01:00:00.000Z" &&
+        // 08:00 Bangkok is outside
+        notificationService.quietHoursEnd(
+          overnight,
+          new Date("2024-05-01T01:00:00Z")
+        ) === null &&
+        notificationService
+          .quietHoursEnd(lunch, new Date("2024-05-01T05:30:00Z"))
+          ?.toISOString() === "2024-05-01T06:00:00.000Z" &&
+        notificationService.quietHoursEnd(null) === null
+      );
+    },
+  },
+  {
+    name: "Invalid preferences are rejected with the field",
+    run: async () =>
+      (await rejectsField({ enabled: "yes" }, "enabled")) &&
+      (await rejectsField({ balanceBelow: -1 }, "balanceBelow")) &&
+      (await rejectsField({ balanceAbove: "100" }, "balanceAbove")) &&
+      (await rejectsField(
+        { quietHours: { start: "25:00" } },
+        "quietHours.start"
+      )) &&
+      (await rejectsField(
+        { quietHours: { start: "22:00", end: "22:00" } },
+        "quietHours.end"
+      )) &&
+      (await preferencesRequest("GET")).body.preferences.quietHours === null,
+  },
+  {
+    name: "Balance dropping below the threshold pushes text and card",
+    run: async () => {
+      await setPreferences(preferences());
+      await synced(6000, 4000);
+      const pushes = stub.sent("push");
+      return (
+        pushes.length === 1 &&
+        pushes[0].to === LINE_USER &&
+        pushes[0].messages[0].text.includes("฿5,000.00") &&
+        pushes[0].messages[1].type === "flex" &&
+        (await statuses()) === "sent"
+      );
+    },
+  },
+  {
+    name: "The same notification within the dedup window is not sent again",
+    run: async () => {
+      await setPreferences(preferences());
+      await synced(6000, 4000);
+      await synced(5500, 4500);
+      return (
+        stub.sent("push").length === 1 &&
+        (await statuses()) === "sent,duplicate"
+      );
+    },
+  },
+  {
+    name: "Concurrent deliveries of one notification push it once",
+    run: async () => {
+      await setPreferences(preferences());
+      await Promise.all([synced(6000, 4000), synced(6000, 4000)]);
+
+      // The index itself refuses a second open row in the same window
+      let refused = false;
+      try {
+        await query(
+          `INSERT INTO notification_deliveries (
+             account_id, line_user_id, type, dedup_key, dedup_bucket, status
+           )
+           SELECT account_id, line_user_id, type, dedup_key, dedup_bucket, 'pending'
+           FROM notification_deliveries WHERE status = 'sent'`
+        );
+      } catch (error) {
+        refused = error.code === "23505";
+      }
+      return (
+        refused &&
+        stub.sent("push").length === 1 &&
+        (await statuses()) === "sent,duplicate"
+      );
+    },
+  },
+  {
+    name: "A failed push is logged and does not block the next attempt",
+    run: async () => {
+      await setPreferences(preferences());
+      stub.failNext(1, { status: 500 });
+      await synced(6000, 4000);
+      await synced(6000, 4000);
+      const [failed] = await deliveries();
+      return (
+        (await statuses()) === "failed,sent" &&
+        failed.error.includes("LINE") &&
+        stub.sent("push").length === 1
+      );
+    },
+  },
+  {
+    name: "Quiet hours defer the push until they end",
+    run: async () => {
+      // Quiet all day except the minute after now
+      const now = new Date(Date.now() + 7 * 60 * 60 * 1000);
+      const hhmm = (date) => date.toISOString().slice(11, 16);
+      await setPreferences(
+        preferences({
+          quiet_hours_start: `${hhmm(new Date(now.getTime() + 120000))}:00`,
+          quiet_hours_end: `${hhmm(new Date(now.getTime() + 60000))}:00`,
+        })
+      );
+      await synced(6000, 4000);
+      const deferred = (await statuses()) === "deferred";
+
+      const early = await notificationService.flushDeferred();
+      const late = await notificationService.flushDeferred({
+        now: new Date(Date.now() + 2 * 60 * 1000),
+      });
+      return (
+        deferred &&
+        early.sent === 0 &&
+        late.sent === 1 &&
+        stub.sent("push").length === 1 &&
+        (await statuses()) === "sent"
+      );
+    },
+  },
+  {
+    name: "Members who blocked the official account are not pushed",
+    run: async () => {
+      await setPreferences(preferences());
+      await query(
+        `INSERT INTO line_followers (line_user_id, is_following, last_event_at)
+         VALUES ($1, false, NOW())`,
+        [LINE_USER]
+      );
+      await synced(6000, 4000);
+      return (
+        stub.sent("push").length === 0 && (await statuses()) === "unreachable"
+      );
+    },
+  },
+  {
+    name: "A tier upgrade event pushes a congratulation",
+    run: async () => {
+      await eventBus.publish(EVENTS.TIER_CHANGED, {
+        accountId: member.id,
+        lineUserId: LINE_USER,
+        from: "Silver",
+        to: "Gold",
+        direction: "upgrade",
+        reason: "threshold_reached",
+      });
+      const pushes = stub.sent("push");
+      return pushes.length === 1 && pushes[0].messages[0].text.includes("Gold");
+    },
+  },
+  {
+    name: "Preferences API validates, stores and returns preferences",
+    run: async () => {
+      const invalid = await preferencesRequest("PUT", {
+        quietHours: { start: "7:00" },
+      });
+      const defaults = await preferencesRequest("GET");
+      const updated = await preferencesRequest("PUT", {
+        balanceBelow: 1000,
+        quietHours: { start: "22:00", end: "08:00" },
+      });
+      const stored = await preferencesRequest("GET");
+      return (
+        invalid.status === 400 &&
+        invalid.body.error.field === "quietHours.start" &&
+        defaults.body.preferences.enabled === true &&
+        defaults.body.preferences.balanceBelow === null &&
+        updated.status === 200 &&
+        stored.body.preferences.balanceBelow === 1000 &&
+        stored.body.preferences.tierUpgrade === true &&
+        stored.body.preferences.quietHours.end === "08:00"
+      );
+    },
+  },
+];
+
+notificationService.listen();
+
+runCases(cases, {
+  title: "notifications",
+  results: "Notification",
+  beforeEach: async () => {
+    stub.reset();
+    member = await createMember({
+      line_user_id: LINE_USER,
+      prima_username: "DEV0001",
+      member_tier: "Gold",
+      credit_balance: "4000.00",
+    });
+  },
+});
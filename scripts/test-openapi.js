@@ -0,0 +1,430 @@
+// scripts/test-openapi.js - OpenAPI document and spec drift
+//
+// Calls every route through the API handler with the services behind it
+// stubbed and fails when a response differs from the schema the spec
+// publishes for it (the router logs those differences outside production).
+// Also checks the served spec, the copy bundled in api-docs.html and the API
+// paths the pages and scripts call.
+
+process.env.ADMIN_API_KEY = "test-admin-key";
+
+const { runCases, request, memberHeaders } = require("./lib/test-harness");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const databaseService = require("../services/databaseService");
+const sessionService = require("../services/sessionService");
+const lineAuthService = require("../services/lineAuthService");
+const lineWebhookService = require("../services/lineWebhookService");
+const pinAttemptService = require("../services/pinAttemptService");
+const tierService = require("../services/tierService");
+const balanceHistoryService = require("../services/balanceHistoryService");
+const activityService = require("../services/activityService");
+const notificationService = require("../services/notificationService");
+const memberCardService = require("../services/memberCardService");
+const erasureService = require("../services/erasureService");
+const richMenuService = require("../services/richMenuService");
+const ipReputationService = require("../services/ipReputationService");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+const { ServiceUnavailableError } = require("../utils/errors");
+const { findProblems } = require("../utils/schema");
+const { Router } = require("../utils/router");
+const { toOpenApiPath } = require("../utils/openapi");
+const { errorResponse } = require("../routes/schemas");
+const { readBundledSpec } = require("./openapi");
+const routes = require("../routes");
+
+const LINE_USER = "U00000000000000000000000000000001";
+
+const ACCOUNT = {
+  id: 7,
+  prima_username: "DEV5678",
+  prima_phone: "0812345678",
+  first_name: "Somchai",
+  last_name: "Jaidee",
+  member_tier: "Gold",
+  credit_balance: "1500.00",
+  is_active: true,
+  last_sync: new Date(),
+};
+
+const RULE = {
+  id: 3,
+  cidr: "203.0.113.0/24",
+  list: "block",
+  reason: "abuse",
+  source: "admin",
+  hits: 0,
+  firstSeenAt: new Date(),
+  lastSeenAt: new Date(),
+  expiresAt: null,
+};
+
+let warnings;
+
+logger.warn = (message, meta) => warnings.push({ message, meta });
+
+// The services behind every route, answering as they would for a member
+databaseService.query = async () => ({ rows: [] });
+databaseService.healthCheck = async () => true;
+databaseService.logSession = async () => {};
+databaseService.getStatistics = async () => ({
+  totalUsers: 12,
+  recentUsers: 2,
+  recentSessions: 30,
+  tierDistribution: { Silver: 8, Gold: 4 },
+});
+databaseService.findUserMapping = async () => ACCOUNT;
+databaseService.upsertUserMappingWithData = async () => ACCOUNT;
+databaseService.upsertMemberByPhone = async () => ACCOUNT;
+lineAuthService.verifyRequest = async () => ({
+  lineUserId: LINE_USER,
+  name: "Somchai",
+});
+sessionService.issueSession = async () => tokens();
+sessionService.refreshSession = async () => tokens();
+sessionService.revokeRefreshToken = async () => true;
+lineWebhookService.verifySignature = () => true;
+pinAttemptService.authenticate = async () => ({
+  primaUsername: "DEV5678",
+  firstName: "Somchai",
+  lastName: "Jaidee",
+  fullName: "Somchai Jaidee",
+  balance: 1500,
+});
+tierService.assignTier = async (account) => ({ account });
+tierService.describe = async (account) => ({
+  name: account.member_tier,
+  badgeColor: "#fbbf24",
+  textColor: "#111827",
+  downgradeAt: null,
+});
+balanceHistoryService.recordSnapshot = async () => {};
+balanceHistoryService.getTrend = async () => [
+  {
+    periodStart: "2026-10-01",
+    open: 1000,
+    close: 1500,
+    min: 900,
+    max: 1600,
+    average: 1250.5,
+    samples: 4,
+  },
+];
+activityService.getFeed = async () => [
+  { type: "sync_success", occurredAt: new Date().toISOString() },
+  {
+    type: "tier_upgrade",
+    occurredAt: new Date().toISOString(),
+    from: "Silver",
+    to: "Gold",
+    reason: "threshold_reached",
+    balance: 1500,
+  },
+];
+notificationService.savePreferences = async (accountId, preferences) =>
+  preferences;
+memberCardService.pushCard = async () => {};
+erasureService.eraseMember = async () => ({
+  receiptId: "5d7c4f0e-6f1a-4b8e-9a43-2f1f4f6b7c11",
+  erasedAt: new Date(),
+  requestedVia: "member",
+  items: { account: 1, balanceSnapshots: 12 },
+  richMenuReverted: true,
+});
+richMenuService.getDeployed = async () => ({});
+ipReputationService.list = async () => [RULE];
+ipReputationService.block = async () => RULE;
+ipReputationService.allow = async () => ({ ...RULE, list: "allow" });
+ipReputationService.remove = async () => RULE;
+
+function tokens() {
+  return sessionService.formatTokens(
+    sessionService.signAccessToken(LINE_USER, { name: "Somchai" }),
+    "refresh-token"
+  );
+}
+
+const MEMBER = () => memberHeaders(LINE_USER);
+const ADMIN = () => ({ "x-admin-key": "test-admin-key" });
+const LINE_ID_TOKEN = () => ({ authorization: "Bearer line-id-token" });
+const SIGNED = () => ({ "x-line-signature": "signed" });
+
+// One successful call per route: [method, path, status, request options]
+const CALLS = [
+  ["GET", "/health", 200],
+  ["GET", "/stats", 200],
+  ["GET", "/liff/config", 200],
+  ["GET", "/openapi.json", 200],
+  ["POST", "/auth/token", 200, { headers: LINE_ID_TOKEN }],
+  ["POST", "/auth/refresh", 200, { body: { refreshToken: "refresh-token" } }],
+  ["POST", "/auth/logout", 200, { body: { refreshToken: "refresh-token" } }],
+  ["GET", "/user/profile", 200, { headers: MEMBER }],
+  [
+    "GET",
+    "/user/balance-history",
+    200,
+    { headers: MEMBER, query: { period: "weekly" } },
+  ],
+  ["GET", "/user/activity", 200, { headers: MEMBER, query: { limit: "5" } }],
+  ["GET", "/user/notifications/preferences", 200, { headers: MEMBER }],
+  [
+    "PUT",
+    "/user/notifications/preferences",
+    200,
+    {
+      headers: MEMBER,
+      body: { balanceBelow: 500, quietHours: { start: "22:00", end: "08:00" } },
+    },
+  ],
+  ["POST", "/user/card/push", 200, { headers: MEMBER }],
+  [
+    "POST",
+    "/user/sync",
+    200,
+    { headers: MEMBER, body: { phone: "081-234-5678", pin: "1234" } },
+  ],
+  ["DELETE", "/user/link", 200, { headers: MEMBER, body: { confirm: true } }],
+  [
+    "POST",
+    "/user/verify",
+    200,
+    { body: { phone: "+66812345678", pin: "1234" } },
+  ],
+  [
+    "POST",
+    "/line/webhook",
+    200,
+    { headers: SIGNED, body: { destination: "Ubot", events: [] } },
+  ],
+  ["GET", "/admin/ip-rules", 200, { headers: ADMIN, query: { list: "block" } }],
+  [
+    "POST",
+    "/admin/ip-rules",
+    201,
+    { headers: ADMIN, body: { cidr: "203.0.113.0/24", list: "block" } },
+  ],
+  ["DELETE", "/admin/ip-rules/3", 200, { headers: ADMIN }],
+];
+
+async function call([method, route, , options = {}]) {
+  return request(method, route, {
+    ...options,
+    headers: options.headers && options.headers(),
+  });
+}
+
+// Files that call the API, and how they write its paths
+const CLIENTS = [
+  "index.html",
+  "prima789-liff-member-card.html",
+  "prima789-integration.html",
+  "scripts/monitor.js",
+  "scripts/test.js",
+];
+const CLIENT_PATH =
+  /(?:\/\.netlify\/functions\/api|["'`]\/api|API_BASE_URL\}|apiFetch\(["'`])(\/[a-z][\w/.-]*)/g;
+
+const cases = [
+  {
+    name: "Every route answers as its spec says",
+    run: async () => {
+      const router = new Router().addAll(routes);
+      const covered = new Set();
+      const failures = [];
+
+      for (const entry of CALLS) {
+        const [method, route, status] = entry;
+        const { route: matched } = router.match(method, route);
+        if (matched) covered.add(`${matched.method} ${matched.path}`);
+
+        warnings = [];
+        const response = await call(entry);
+        if (response.status !== status) {
+          failures.push(`${method} ${route}: ${response.status}`);
+        }
+        warnings.forEach(({ meta }) =>
+          failures.push(`${meta.route}: ${meta.problems.join("; ")}`)
+        );
+      }
+
+      routes
+        .map((route) => `${route.method} ${route.path}`)
+        .filter((name) => !covered.has(name))
+        .forEach((name) => failures.push(`${name}: not called`));
+
+      failures.forEach((failure) => console.log(`     ${failure}`));
+      return failures.length === 0;
+    },
+  },
+  {
+    name: "A Prima789 outage answers with the documented 503",
+    run: async () => {
+      const authenticate = pinAttemptService.authenticate;
+      pinAttemptService.authenticate = async () => {
+        throw new ServiceUnavailableError("Prima789", 30, "circuit_open");
+      };
+      try {
+        const response = await call(
+          CALLS.find(([, route]) => route === "/user/sync")
+        );
+        return (
+          response.status === 503 &&
+          response.body.cached.username === "DEV5678" &&
+          warnings.length === 0
+        );
+      } finally {
+        pinAttemptService.authenticate = authenticate;
+      }
+    },
+  },
+  {
+    name: "A handler that drifts from its spec fails the check",
+    run: async () => {
+      const toCardPayload = memberCardService.toCardPayload;
+      memberCardService.toCardPayload = async (account) => ({
+        ...(await toCardPayload.call(memberCardService, account)),
+        balance: "1500.00",
+        pin: "1234",
+      });
+      try {
+        await call(CALLS.find(([, route]) => route === "/user/profile"));
+      } finally {
+        memberCardService.toCardPayload = toCardPayload;
+      }
+
+      const [warning] = warnings;
+      return (
+        warnings.length === 1 &&
+        warning.meta.route === "GET /user/profile" &&
+        warning.meta.problems.join() ===
+          "balance must be a number,pin is not in the schema"
+      );
+    },
+  },
+  {
+    name: "The spec documents every route, its security and parameters",
+    run: async () => {
+      const { status, body: spec } = await request("GET", "/openapi.json");
+      const operationIds = new Set();
+      const problems = [];
+
+      for (const route of routes) {
+        const name = `${route.method} ${route.path}`;
+        const operation =
+          spec.paths[toOpenApiPath(route.path)]?.[route.method.toLowerCase()];
+        if (!operation) {
+          problems.push(`${name}: missing`);
+          continue;
+        }
+
+        operationIds.add(operation.operationId);
+        if (!operation.summary) problems.push(`${name}: no summary`);
+        if (!Object.keys(operation.responses).some((s) => s.startsWith("2"))) {
+          problems.push(`${name}: no success response`);
+        }
+        (route.path.match(/:\w+/g) || []).forEach((param) => {
+          const declared = (operation.parameters || []).find(
+            (p) => p.in === "path" && p.name === param.slice(1)
+          );
+          if (!declared) problems.push(`${name}: ${param} not documented`);
+        });
+      }
+
+      const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+      const dangling = refs.filter(
+        (ref) => ref !== '"$ref":"#/components/schemas/Error"'
+      );
+
+      problems.forEach((problem) => console.log(`     ${problem}`));
+      return (
+        status === 200 &&
+        spec.openapi === "3.0.3" &&
+        problems.length === 0 &&
+        operationIds.size === routes.length &&
+        spec.components.schemas.Error !== undefined &&
+        dangling.length === 0 &&
+        spec.paths["/user/profile"].get.security[0].session !== undefined &&
+        spec.paths["/admin/ip-rules"].get.security[0].adminKey !== undefined &&
+        spec.paths["/line/webhook"].post.responses["429"] === undefined &&
+        spec.paths["/user/activity"].get.parameters[0].schema.maximum === 50 &&
+        spec.paths["/user/link"].delete.responses["404"].content[
+          "application/json"
+        ].schema.$ref === "#/components/schemas/Error"
+      );
+    },
+  },
+  {
+    name: "Error responses match the Error schema",
+    run: async () => {
+      const responses = [
+        await request("POST", "/user/verify", { body: { phone: "123" } }),
+        await request("GET", "/user/profile"),
+        await request("GET", "/nowhere"),
+        await request("DELETE", "/user/link", {
+          headers: MEMBER(),
+          body: { confirm: "yes" },
+        }),
+      ];
+
+      return (
+        responses.map((r) => r.status).join() === "400,401,404,400" &&
+        responses.every(
+          (response) => findProblems(errorResponse, response.body).length === 0
+        )
+      );
+    },
+  },
+  {
+    name: "The spec bundled in api-docs.html is up to date",
+    run: async () => {
+      const { body: served } = await request("GET", "/openapi.json");
+      const html = fs.readFileSync(
+        path.join(__dirname, "../api-docs.html"),
+        "utf8"
+      );
+      const bundled = readBundledSpec(html);
+
+      if (JSON.stringify(bundled) !== JSON.stringify(served)) {
+        console.log("     api-docs.html is out of date: run npm run openapi");
+        return false;
+      }
+      return !/<script[^>]+src=|<link[^>]+href="http/.test(html);
+    },
+  },
+  {
+    name: "Pages and scripts only call documented paths",
+    run: async () => {
+      const router = new Router().addAll(routes);
+      const undocumented = [];
+      let found = 0;
+
+      for (const file of CLIENTS) {
+        const source = fs.readFileSync(
+          path.join(__dirname, "..", file),
+          "utf8"
+        );
+        for (const [, clientPath] of source.matchAll(CLIENT_PATH)) {
+          found++;
+          const { route, allowedMethods } = router.match("GET", clientPath);
+          if (!route && allowedMethods.length === 0) {
+            undocumented.push(`${file}: ${clientPath}`);
+          }
+        }
+      }
+
+      undocumented.forEach((entry) => console.log(`     ${entry}`));
+      return found >= 10 && undocumented.length === 0;
+    },
+  },
+];
+
+runCases(cases, {
+  title: "the OpenAPI spec",
+  results: "OpenAPI",
+  beforeEach: () => {
+    warnings = [];
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
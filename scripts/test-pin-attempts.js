@@ -0,0 +1,314 @@
+// scripts/test-pin-attempts.js - PIN brute-force protection
+//
+// Runs pinAttemptService against pin_attempts and pin_lockouts in the test
+// database, with Prima789 answering "1234" as the only correct PIN, and
+// checks the 429 responses of /user/verify and /user/sync through the API
+// handler. Time is moved forward by ageing the stored attempts.
+
+process.env.PIN_FREE_FAILURES = "2";
+process.env.PIN_RETRY_DELAY = "1000";
+process.env.PIN_MAX_FAILURES = "4";
+process.env.PIN_LOCKOUT_DURATION = "60000";
+process.env.PIN_MAX_LOCKOUT = "240000";
+
+const {
+  runCases,
+  request,
+  memberHeaders,
+  query,
+} = require("./lib/test-harness");
+const config = require("../config/config");
+const prima789Service = require("../services/prima789Service");
+const pinAttemptService = require("../services/pinAttemptService");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+const {
+  ExternalAPIError,
+  ServiceUnavailableError,
+} = require("../utils/errors");
+
+const PHONE = "0812345678";
+const LINE_USER = "U00000000000000000000000000000001";
+const CORRECT_PIN = "1234";
+const WRONG_PIN = "9999";
+
+let primaCalls;
+
+// Each attempt yields once, so concurrent attempts interleave
+prima789Service.authenticateUser = async (phone, pin) => {
+  primaCalls++;
+  await null;
+  if (pin !== CORRECT_PIN) {
+    throw new ExternalAPIError(
+      "Invalid phone number or PIN",
+      "Prima789",
+      "PRIMA789_INVALID_CREDENTIALS"
+    );
+  }
+  return { primaUsername: "DEV5678", balance: 100 };
+};
+
+// Moves every counter back in time, as if ms had passed
+function age(ms) {
+  return query(
+    `UPDATE pin_attempts
+     SET last_attempt_at = last_attempt_at - $1 * INTERVAL '1 millisecond'`,
+    [ms]
+  );
+}
+
+async function counters() {
+  const result = await query("SELECT failures FROM pin_attempts");
+  return result.rows;
+}
+
+async function lockouts() {
+  const result = await query(
+    `SELECT subject_type AS type, subject_label AS label, failures,
+            locked_until AS "lockedUntil", route, ip_address, user_agent
+     FROM pin_lockouts
+     ORDER BY id`
+  );
+  return result.rows;
+}
+
+async function attempt(pin, { phone = PHONE, lineUserId = null } = {}) {
+  try {
+    return {
+      user: await pinAttemptService.authenticate({
+        phone,
+        pin,
+        lineUserId,
+        route: "verify",
+        ip: "203.0.113.7",
+        userAgent: "test-agent",
+      }),
+    };
+  } catch (error) {
+    return { error };
+  }
+}
+
+const codeOf = (result) => result.error && result.error.code;
+
+const post = (path, body, headers) => request("POST", path, { body, headers });
+
+const cases = [
+  {
+    name: "Free failures, then a delay that doubles per failure",
+    run: async () => {
+      const first = await attempt(WRONG_PIN);
+      const second = await attempt(WRONG_PIN);
+      const third = await attempt(WRONG_PIN);
+      const before = Date.now();
+      const delayed = await attempt(CORRECT_PIN);
+      const calls = primaCalls;
+
+      await age(1000);
+      const afterDelay = await attempt(CORRECT_PIN);
+
+      return (
+        first.error.attemptsRemaining === 3 &&
+        second.error.attemptsRemaining === 2 &&
+        third.error.attemptsRemaining === 1 &&
+        codeOf(delayed) === "PIN_RETRY_DELAY" &&
+        delayed.error.statusCode === 429 &&
+        delayed.error.unlockAt.getTime() <= before + 1000 &&
+        calls === 3 &&
+        afterDelay.user !== undefined &&
+        pinAttemptService.delayAfter(2) === 0 &&
+        pinAttemptService.delayAfter(3) === 1000 &&
+        pinAttemptService.delayAfter(4) === 2000
+      );
+    },
+  },
+  {
+    name: "maxFailures locks PIN entry, writes the audit trail and escalates",
+    run: async () => {
+      for (let i = 0; i < 3; i++) {
+        await attempt(WRONG_PIN);
+        await age(10000);
+      }
+      const before = Date.now();
+      const locking = await attempt(WRONG_PIN);
+      const refused = await attempt(CORRECT_PIN);
+      const calls = primaCalls;
+
+      await age(60000);
+      const escalated = await attempt(WRONG_PIN);
+      const [first, second] = await lockouts();
+
+      return (
+        codeOf(locking) === "PIN_LOCKED" &&
+        locking.error.unlockAt.getTime() >= before + 60000 &&
+        locking.error.retryAfter >= 59 &&
+        codeOf(refused) === "PIN_LOCKED" &&
+        calls === 4 &&
+        first.failures === 4 &&
+        first.type === "phone" &&
+        first.label === "081-XXX-5678" &&
+        first.route === "verify" &&
+        first.ip_address === "203.0.113.7" &&
+        first.user_agent === "test-agent" &&
+        codeOf(escalated) === "PIN_LOCKED" &&
+        second.failures === 5 &&
+        second.lockedUntil - escalated.error.unlockAt === 0 &&
+        escalated.error.retryAfter >= 119
+      );
+    },
+  },
+  {
+    name: "A correct PIN clears the counters",
+    run: async () => {
+      await attempt(WRONG_PIN, { lineUserId: LINE_USER });
+      await attempt(WRONG_PIN, { lineUserId: LINE_USER });
+      const success = await attempt(CORRECT_PIN, { lineUserId: LINE_USER });
+
+      return (
+        success.user.primaUsername === "DEV5678" &&
+        (await counters()).length === 0 &&
+        (await pinAttemptService.getStatus({ phone: PHONE })) === null
+      );
+    },
+  },
+  {
+    name: "A lockout survives a JWT_SECRET rotation",
+    run: async () => {
+      for (let i = 0; i < 4; i++) {
+        await attempt(WRONG_PIN);
+        await age(10000);
+      }
+
+      const jwtSecret = config.security.jwtSecret;
+      config.security.jwtSecret = "a-rotated-jwt-secret-at-least-32-bytes";
+      try {
+        const status = await pinAttemptService.getStatus({ phone: PHONE });
+        const retried = await attempt(CORRECT_PIN);
+
+        return (
+          status.failures === 4 &&
+          status.lockedUntil instanceof Date &&
+          codeOf(retried) === "PIN_LOCKED"
+        );
+      } finally {
+        config.security.jwtSecret = jwtSecret;
+      }
+    },
+  },
+  {
+    name: "Counted per phone number and per LINE user",
+    run: async () => {
+      const phones = ["0811111111", "0822222222", "0833333333", "0844444444"];
+      for (const phone of phones) {
+        await attempt(WRONG_PIN, { phone, lineUserId: LINE_USER });
+        await age(10000);
+      }
+      const otherPhone = await attempt(CORRECT_PIN, {
+        phone: "0855555555",
+        lineUserId: LINE_USER,
+      });
+      const phoneAlone = await attempt(CORRECT_PIN, { phone: phones[0] });
+      const lineStatus = await pinAttemptService.getStatus({
+        lineUserId: LINE_USER,
+      });
+      const written = await lockouts();
+
+      return (
+        codeOf(otherPhone) === "PIN_LOCKED" &&
+        phoneAlone.user !== undefined &&
+        lineStatus.failures === 4 &&
+        lineStatus.lockedUntil instanceof Date &&
+        written.length === 1 &&
+        written[0].type === "line_user" &&
+        written[0].label === null
+      );
+    },
+  },
+  {
+    name: "Concurrent attempts cannot try more PINs than allowed",
+    run: async () => {
+      const results = await Promise.all(
+        Array.from({ length: 10 }, () => attempt(WRONG_PIN))
+      );
+      const refused = results.filter((r) => r.error.statusCode === 429);
+
+      return (
+        primaCalls <= 3 &&
+        refused.length === 10 - primaCalls &&
+        (await counters())[0].failures === primaCalls
+      );
+    },
+  },
+  {
+    name: "Unchecked PINs are not counted",
+    run: async () => {
+      const malformed = await attempt("12");
+
+      const authenticateUser = prima789Service.authenticateUser;
+      prima789Service.authenticateUser = async () => {
+        throw new ServiceUnavailableError("Prima789", 30, "circuit_open");
+      };
+      let unavailable;
+      try {
+        unavailable = await attempt(WRONG_PIN);
+      } finally {
+        prima789Service.authenticateUser = authenticateUser;
+      }
+
+      const status = await pinAttemptService.getStatus({ phone: PHONE });
+      return (
+        codeOf(malformed) === "VALIDATION_ERROR" &&
+        codeOf(unavailable) === "SERVICE_UNAVAILABLE" &&
+        status.failures === 0
+      );
+    },
+  },
+  {
+    name: "API answers 429 with unlockAt and Retry-After; support can unlock",
+    run: async () => {
+      const wrong = await post("/user/verify", {
+        phone: PHONE,
+        pin: WRONG_PIN,
+      });
+      for (let i = 0; i < 3; i++) {
+        await age(10000);
+        await post("/user/verify", { phone: PHONE, pin: WRONG_PIN });
+      }
+      const locked = await post("/user/verify", {
+        phone: PHONE,
+        pin: CORRECT_PIN,
+      });
+
+      const sync = await post(
+        "/user/sync",
+        { phone: PHONE, pin: CORRECT_PIN },
+        memberHeaders(LINE_USER)
+      );
+
+      const unlocked = await pinAttemptService.unlock({ phone: PHONE });
+      const status = await pinAttemptService.getStatus({ phone: PHONE });
+
+      return (
+        wrong.body.error.code === "PRIMA789_INVALID_CREDENTIALS" &&
+        wrong.body.error.attemptsRemaining === 3 &&
+        locked.status === 429 &&
+        locked.body.error.code === "PIN_LOCKED" &&
+        !isNaN(Date.parse(locked.body.error.unlockAt)) &&
+        parseInt(locked.headers["Retry-After"]) >= 59 &&
+        sync.status === 429 &&
+        sync.body.error.code === "PIN_LOCKED" &&
+        unlocked === true &&
+        status === null
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "PIN attempt limits",
+  results: "PIN Attempt",
+  beforeEach: () => {
+    primaCalls = 0;
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
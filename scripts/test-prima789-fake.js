@@ -0,0 +1,238 @@
+// scripts/test-prima789-fake.js - Prima789 service against the in-process fake server
+//
+// Runs every fake server scenario through prima789Service.authenticateUser,
+// including the circuit breaker and concurrency cap, without network or
+// database access.
+
+process.env.PRIMA789_TIMEOUT = "300";
+process.env.PRIMA789_RETRY_ATTEMPTS = "2";
+process.env.PRIMA789_RETRY_DELAY = "10";
+process.env.PRIMA789_FAKE_LATENCY = "5";
+process.env.PRIMA789_BREAKER_FAILURES = "3";
+process.env.PRIMA789_BREAKER_RESET_MS = "200";
+process.env.PRIMA789_MAX_CONCURRENT = "2";
+
+const { runCases } = require("./lib/test-harness");
+const prima789Service = require("../services/prima789Service");
+const { ExternalAPIError } = require("../utils/errors");
+
+const server = prima789Service.transport.server;
+
+async function login(pin = "1234") {
+  try {
+    return { user: await prima789Service.authenticateUser("0812345678", pin) };
+  } catch (error) {
+    return { error };
+  }
+}
+
+function checkError(error, code) {
+  if (!(error instanceof ExternalAPIError)) {
+    return `expected ExternalAPIError, got ${
+      error ? error.message : "success"
+    }`;
+  }
+  if (error.code !== code) {
+    return `expected ${code}, got ${error.code} (${error.message})`;
+  }
+  return null;
+}
+
+const cases = [
+  {
+    name: "Login succeeds (cus return dialect)",
+    setup: () => server.setScenario("success"),
+    expect: (user) =>
+      user.primaUsername === "DEV5678" &&
+      user.balance === 12345.67 &&
+      user.dialect === "cus_return",
+  },
+  {
+    name: "Login succeeds (customer_data dialect)",
+    setup: () => server.setScenario("success", { dialect: "customer_data" }),
+    expect: (user) =>
+      user.primaUsername === "DEV5678" &&
+      user.balance === 12345.67 &&
+      user.dialect === "customer_data",
+  },
+  {
+    name: "Registered account with correct PIN",
+    setup: () =>
+      server.addAccount({
+        tel: "0812345678",
+        pin: "4321",
+        mm_user: "PM0001",
+        first_name: "สมชาย",
+        last_name: "ใจดี",
+        credit: 75000,
+      }),
+    pin: "4321",
+    expect: (user) => user.primaUsername === "PM0001" && user.balance === 75000,
+  },
+  {
+    name: "Registered account with wrong PIN",
+    pin: "0000",
+    expectError: "PRIMA789_INVALID_CREDENTIALS",
+    expectLogins: 1,
+  },
+  {
+    name: "Wrong PIN scenario is not retried",
+    setup: () => server.setScenario("wrong_pin"),
+    expectError: "PRIMA789_INVALID_CREDENTIALS",
+    expectLogins: 1,
+  },
+  {
+    name: "Wrong PIN (customer_data dialect)",
+    setup: () => server.setScenario("wrong_pin", { dialect: "customer_data" }),
+    expectError: "PRIMA789_INVALID_CREDENTIALS",
+    expectLogins: 1,
+  },
+  {
+    name: "Slow server times out and is retried",
+    setup: () => server.setScenario("slow", { slowDelay: 1000 }),
+    expectError: "PRIMA789_EVENT_MISSING",
+    expectLogins: 2,
+  },
+  {
+    name: "Server disconnects after login",
+    setup: () => server.setScenario("disconnect"),
+    expectError: "PRIMA789_EVENT_MISSING",
+  },
+  {
+    name: "Malformed payloads are rejected",
+    setup: () => server.setScenario("malformed"),
+    expectError: "PRIMA789_MALFORMED_PAYLOAD",
+  },
+  {
+    name: "Malformed payloads are rejected (customer_data dialect)",
+    setup: () => server.setScenario("malformed", { dialect: "customer_data" }),
+    expectError: "PRIMA789_MALFORMED_PAYLOAD",
+  },
+  {
+    name: "Connection refused",
+    setup: () => server.setScenario("connect_error"),
+    expectError: "PRIMA789_CONNECT_FAILED",
+    expectLogins: 0,
+  },
+  {
+    name: "Server never answers",
+    setup: () => server.setScenario("silent"),
+    expectError: "PRIMA789_EVENT_MISSING",
+  },
+  {
+    name: "Circuit opens after repeated failures and fails fast",
+    setup: () => server.setScenario("connect_error"),
+    run: async () => {
+      await login(); // 2 failed attempts
+      await login(); // 3rd attempt opens the circuit
+      const loginsBefore = server.logins.length;
+      const { error } = await login();
+      return (
+        checkError(error, "SERVICE_UNAVAILABLE") ||
+        (!error.retryAfter ? "expected retryAfter" : null) ||
+        (server.logins.length !== loginsBefore
+          ? "open circuit still contacted Prima789"
+          : null)
+      );
+    },
+  },
+  {
+    name: "Half-open trial closes the circuit again",
+    setup: () => server.setScenario("connect_error"),
+    run: async () => {
+      await login();
+      await login();
+      await prima789Service.delay(250);
+      server.setScenario("success");
+      const { error } = await login("4321"); // PIN of the account registered above
+      if (error) return error.message;
+      const { state } = prima789Service.breaker.getState();
+      return state === "closed" ? null : `expected closed, got ${state}`;
+    },
+  },
+  {
+    name: "Rejected logins do not open the circuit",
+    setup: () => server.setScenario("wrong_pin"),
+    run: async () => {
+      for (let i = 0; i < 4; i++) await login();
+      const { state } = prima789Service.breaker.getState();
+      return state === "closed" ? null : `expected closed, got ${state}`;
+    },
+  },
+  {
+    name: "Concurrency cap rejects the third simultaneous login",
+    setup: () => server.setScenario("slow", { slowDelay: 100 }),
+    run: async () => {
+      const results = await Promise.all([login(), login(), login()]);
+      const rejected = results.filter(
+        ({ error }) => error && error.code === "SERVICE_UNAVAILABLE"
+      );
+      return rejected.length === 1
+        ? null
+        : `expected 1 rejected login, got ${rejected.length}`;
+    },
+  },
+  {
+    name: "Logins rejected by the concurrency cap do not open the circuit",
+    setup: () => server.setScenario("slow", { slowDelay: 100 }),
+    run: async () => {
+      const pending = Array.from({ length: 7 }, () => login("4321"));
+      // The cap rejects at once; two logins are still with Prima789
+      await prima789Service.delay(20);
+      const { state, failures } = prima789Service.breaker.getState();
+      const results = await Promise.all(pending);
+      const rejected = results.filter(
+        ({ error }) => error && error.code === "SERVICE_UNAVAILABLE"
+      );
+      if (rejected.length !== 5) {
+        return `expected 5 rejected logins, got ${rejected.length}`;
+      }
+      return state === "closed" && failures === 0
+        ? null
+        : `expected closed with no failures, got ${state} (${failures})`;
+    },
+  },
+];
+
+async function runCase(testCase) {
+  server.logins = [];
+  server.configure({ dialect: "cus_return" });
+  prima789Service.breaker.reset();
+  if (testCase.setup) testCase.setup();
+
+  if (testCase.run) {
+    return testCase.run();
+  }
+
+  const { user, error } = await login(testCase.pin);
+
+  if (testCase.expectError) {
+    const mismatch = checkError(error, testCase.expectError);
+    if (mismatch) return mismatch;
+  } else if (error) {
+    return error.message;
+  } else if (!testCase.expect(user)) {
+    return `unexpected user data ${JSON.stringify(user)}`;
+  }
+
+  if (
+    testCase.expectLogins !== undefined &&
+    server.logins.length !== testCase.expectLogins
+  ) {
+    return `expected ${testCase.expectLogins} login(s), got ${server.logins.length}`;
+  }
+
+  return null;
+}
+
+// runCase resolves the failure reason, or null when the case passed
+runCases(
+  cases.map((testCase) => ({
+    name: testCase.name,
+    run: async () => (await runCase(testCase)) || true,
+  })),
+  {
+    title: "Prima789 service against the fake server",
+    results: "Prima789 Fake Server",
+  }
+);
@@ -0,0 +1,262 @@
+// scripts/test-rate-limiter.js - Rate limit algorithms, stores and per-route limits
+//
+// Runs both algorithms with fixed clocks against the memory store and the
+// Postgres store (rate_limits in the test database), and per-route settings
+// through a router with the rateLimit middleware.
+
+process.env.API_RATE_LIMIT = "5";
+
+const { runCases, query } = require("./lib/test-harness");
+const rateLimiter = require("../utils/rateLimiter");
+const {
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+} = require("../utils/rateLimitStore");
+const { rateLimit } = require("../utils/middleware");
+const { Router, createResponse } = require("../utils/router");
+const routes = require("../routes");
+
+const WINDOW = 1000;
+const T0 = 1700000000000; // a window boundary for WINDOW
+
+async function storedVersion(key) {
+  const result = await query("SELECT version FROM rate_limits WHERE key = $1", [
+    key,
+  ]);
+  return result.rows[0]?.version;
+}
+
+const consumeAt = (options, now, key = "k") =>
+  rateLimiter.consume(key, rateLimiter.resolveOptions(options), now);
+
+async function consumeMany(options, times, now) {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await consumeAt(options, now));
+  }
+  return results;
+}
+
+const router = new Router({ middleware: [rateLimit] }).addAll([
+  {
+    method: "GET",
+    path: "/ping",
+    handler: async () => createResponse(200, {}),
+  },
+  {
+    method: "GET",
+    path: "/strict",
+    handler: async () => createResponse(200, {}),
+    rateLimit: { limit: 2, windowMs: 60 * 1000 },
+  },
+  {
+    method: "POST",
+    path: "/hook",
+    handler: async () => createResponse(200, {}),
+    rateLimit: false,
+  },
+]);
+
+const call = (method, path, ip = "203.0.113.7") =>
+  router.handle({
+    httpMethod: method,
+    path: `/.netlify/functions/api${path}`,
+    headers: { "x-forwarded-for": ip, "user-agent": "test-agent" },
+  });
+
+const cases = [
+  {
+    name: "Sliding window refuses past the limit and weighs the previous window",
+    run: async () => {
+      const options = { limit: 3, windowMs: WINDOW };
+      const first = await consumeMany(options, 4, T0);
+      // Half of the previous window (3 requests) still counts: 1 request
+      const later = await consumeMany(options, 3, T0 + WINDOW * 1.5);
+
+      return (
+        first.map((r) => r.allowed).join() === "true,true,true,false" &&
+        first.map((r) => r.remaining).join() === "2,1,0,0" &&
+        first[3].resetTime === T0 + WINDOW + 1 &&
+        later.map((r) => r.allowed).join() === "true,true,false" &&
+        later[0].remaining === 1
+      );
+    },
+  },
+  {
+    name: "Token bucket refills evenly and allows bursts up to the limit",
+    run: async () => {
+      const options = {
+        limit: 2,
+        windowMs: WINDOW,
+        algorithm: "token-bucket",
+      };
+      const burst = await consumeMany(options, 3, T0);
+      const refilled = await consumeAt(options, T0 + WINDOW / 2);
+      const full = await consumeMany(options, 3, T0 + WINDOW * 10);
+
+      return (
+        burst.map((r) => r.allowed).join() === "true,true,false" &&
+        burst[2].resetTime === T0 + WINDOW / 2 &&
+        refilled.allowed &&
+        refilled.remaining === 0 &&
+        full.map((r) => r.allowed).join() === "true,true,false"
+      );
+    },
+  },
+  {
+    name: "Concurrent requests for one client are all counted",
+    run: async () => {
+      const options = { limit: 10, windowMs: WINDOW };
+      await Promise.all([1, 2, 3, 4].map(() => consumeAt(options, T0)));
+      const next = await consumeAt(options, T0);
+
+      return next.remaining === 10 - 5;
+    },
+  },
+  {
+    name: "Postgres store keeps counts across instances (cold starts)",
+    run: async () => {
+      const options = { limit: 3, windowMs: WINDOW };
+      rateLimiter.store = new PostgresRateLimitStore({ cleanupProbability: 0 });
+      await consumeMany(options, 3, T0);
+
+      // A new function instance starts with an empty process
+      rateLimiter.store = new PostgresRateLimitStore({ cleanupProbability: 0 });
+      const refused = await consumeAt(options, T0);
+      const expired = await consumeAt(options, T0 + WINDOW * 3);
+
+      return (
+        !refused.allowed &&
+        expired.allowed &&
+        expired.remaining === 2 &&
+        (await storedVersion("k")) === 4
+      );
+    },
+  },
+  {
+    name: "Postgres store counts concurrent requests with compare-and-set",
+    run: async () => {
+      const options = { limit: 10, windowMs: WINDOW };
+      rateLimiter.store = new PostgresRateLimitStore({ cleanupProbability: 0 });
+      await Promise.all([1, 2, 3, 4].map(() => consumeAt(options, T0)));
+      const next = await consumeAt(options, T0);
+
+      return next.remaining === 10 - 5 && (await storedVersion("k")) === 5;
+    },
+  },
+  {
+    name: "A request whose count stays contended is refused with Retry-After",
+    run: async () => {
+      const store = new MemoryRateLimitStore();
+      let writes = 0;
+      // Another instance wins every compare-and-set
+      store.compareAndSet = async () => {
+        writes++;
+        return false;
+      };
+      rateLimiter.store = store;
+      const response = await call("GET", "/ping");
+
+      return (
+        writes === 5 &&
+        response.statusCode === 429 &&
+        response.headers["Retry-After"] === "1" &&
+        JSON.parse(response.body).error.code === "RATE_LIMIT_EXCEEDED"
+      );
+    },
+  },
+  {
+    name: "A failing store lets requests through",
+    run: async () => {
+      rateLimiter.store = {
+        get: async () => {
+          throw new Error("connection refused");
+        },
+      };
+      const result = await rateLimiter.isAllowed({ headers: {} });
+
+      return result.allowed && result.limit === 5;
+    },
+  },
+  {
+    name: "Responses carry X-RateLimit-* headers, 429 adds Retry-After",
+    run: async () => {
+      const responses = [];
+      for (let i = 0; i < 6; i++) {
+        responses.push(await call("GET", "/ping"));
+      }
+      const [first] = responses;
+      const limited = responses[5];
+
+      return (
+        first.statusCode === 200 &&
+        first.headers["X-RateLimit-Limit"] === "5" &&
+        first.headers["X-RateLimit-Remaining"] === "4" &&
+        /^\d+$/.test(first.headers["X-RateLimit-Reset"]) &&
+        limited.statusCode === 429 &&
+        limited.headers["X-RateLimit-Remaining"] === "0" &&
+        parseInt(limited.headers["Retry-After"]) >= 1 &&
+        JSON.parse(limited.body).error.code === "RATE_LIMIT_EXCEEDED"
+      );
+    },
+  },
+  {
+    name: "Route limits count separately per client; rateLimit: false is exempt",
+    run: async () => {
+      const strict = [];
+      for (let i = 0; i < 3; i++) {
+        strict.push((await call("GET", "/strict")).statusCode);
+      }
+      const ping = await call("GET", "/ping");
+      const otherClient = await call("GET", "/strict", "198.51.100.1");
+      // A made-up first X-Forwarded-For entry is still the same client
+      const rotated = await call("GET", "/strict", "192.0.2.1, 203.0.113.7");
+
+      const hooks = [];
+      for (let i = 0; i < 8; i++) {
+        hooks.push(await call("POST", "/hook"));
+      }
+
+      return (
+        strict.join() === "200,200,429" &&
+        ping.statusCode === 200 &&
+        ping.headers["X-RateLimit-Remaining"] === "4" &&
+        otherClient.statusCode === 200 &&
+        rotated.statusCode === 429 &&
+        hooks.every((response) => response.statusCode === 200) &&
+        hooks[0].headers["X-RateLimit-Limit"] === undefined
+      );
+    },
+  },
+  {
+    name: "Route table: webhook exempt, PIN routes share a bucket",
+    run: async () => {
+      const route = (method, path) =>
+        routes.find((r) => r.method === method && r.path === path);
+      const sync = route("POST", "/user/sync").rateLimit;
+      const verify = route("POST", "/user/verify").rateLimit;
+
+      let rejected = false;
+      try {
+        rateLimiter.resolveOptions({ algorithm: "leaky" });
+      } catch (error) {
+        rejected = true;
+      }
+
+      return (
+        route("POST", "/line/webhook").rateLimit === false &&
+        sync.bucket === "pin" &&
+        verify.bucket === sync.bucket &&
+        rejected
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "rate limiter",
+  results: "Rate Limiter",
+  beforeEach: () => {
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+});
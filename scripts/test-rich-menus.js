@@ -0,0 +1,192 @@
+// scripts/test-rich-menus.js - Rich menu definitions, deploy and switching
+//
+// Deploys the menus in richmenus/ (with placeholder images) to the Messaging
+// API stub, with rich_menus kept in memory. Cases run in order and build on
+// each other's deploys.
+
+process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN = "test-access-token";
+
+const { runCases } = require("./lib/test-harness");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const databaseService = require("../services/databaseService");
+const lineMessagingService = require("../services/lineMessagingService");
+const richMenuService = require("../services/richMenuService");
+const { eventBus, EVENTS } = require("../utils/events");
+
+const MEMBERS = [
+  "U00000000000000000000000000000001",
+  "U00000000000000000000000000000002",
+];
+const NEW_MEMBER = "U00000000000000000000000000000003";
+
+const stub = lineMessagingService.stub;
+const deployed = new Map();
+
+databaseService.query = async (sql, params = []) => {
+  if (sql.includes("FROM rich_menus")) {
+    return {
+      rows: [...deployed].map(([name, row]) => ({ name, ...row })),
+    };
+  }
+  if (sql.includes("INSERT INTO rich_menus")) {
+    deployed.set(params[0], {
+      rich_menu_id: params[1],
+      definition_hash: params[2],
+      deployed_at: new Date(),
+    });
+    return { rows: [] };
+  }
+  if (sql.includes("SELECT line_user_id FROM user_accounts")) {
+    return { rows: MEMBERS.map((line_user_id) => ({ line_user_id })) };
+  }
+  return { rows: [] };
+};
+
+// Menus from the repo with placeholder images
+const menuDir = fs.mkdtempSync(path.join(os.tmpdir(), "richmenus-"));
+for (const name of ["linked", "unlinked"]) {
+  fs.copyFileSync(
+    path.join(__dirname, "..", "richmenus", `${name}.json`),
+    path.join(menuDir, `${name}.json`)
+  );
+  fs.writeFileSync(path.join(menuDir, `${name}.png`), Buffer.from(name));
+}
+
+const labels = (menu) =>
+  menu.definition.areas.map((area) => area.action.label).join();
+
+async function rejectsWith(run, code) {
+  try {
+    await run();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+const cases = [
+  {
+    name: "Menus in richmenus/ are valid and point at the LIFF app",
+    run: () => {
+      const linked = richMenuService.loadMenu("linked", menuDir);
+      const unlinked = richMenuService.loadMenu("unlinked", menuDir);
+      return (
+        stub.validateRichMenu(linked.definition) === null &&
+        stub.validateRichMenu(unlinked.definition) === null &&
+        labels(linked) === "My Card,History,Refresh" &&
+        labels(unlinked) === "Connect Prima789" &&
+        unlinked.definition.areas[0].action.uri ===
+          "https://liff.line.me/1234567890-test" &&
+        !JSON.stringify(linked.definition).includes("{{")
+      );
+    },
+  },
+  {
+    name: "The images in richmenus/ are PNGs of the size each menu declares",
+    run: () =>
+      ["linked", "unlinked"].every((name) => {
+        const menu = richMenuService.loadMenu(name);
+        const { width, height } = menu.definition.size;
+        // PNG signature, then IHDR with the width and height
+        return (
+          menu.contentType === "image/png" &&
+          menu.image.toString("ascii", 12, 16) === "IHDR" &&
+          menu.image.readUInt32BE(16) === width &&
+          menu.image.readUInt32BE(20) === height &&
+          menu.image.length <= 1024 * 1024
+        );
+      }),
+  },
+  {
+    name: "A menu without an image is refused",
+    run: () =>
+      rejectsWith(
+        () => richMenuService.loadMenu("linked", os.tmpdir()),
+        "RICH_MENU_INVALID"
+      ),
+  },
+  {
+    name: "Switching before the first deploy does nothing",
+    run: async () =>
+      (await richMenuService.linkMember(NEW_MEMBER)) === false &&
+      stub.userRichMenus.size === 0,
+  },
+  {
+    name: "Deploy uploads both menus and links existing members",
+    run: async () => {
+      const results = await richMenuService.deploy({ dir: menuDir });
+      const linkedId = deployed.get("linked").rich_menu_id;
+      return (
+        results.every((result) => result.status === "deployed") &&
+        stub.richMenus.size === 2 &&
+        [...stub.richMenus.values()].every((menu) => menu.image) &&
+        stub.defaultRichMenuId === deployed.get("unlinked").rich_menu_id &&
+        MEMBERS.every((member) => stub.richMenuOf(member) === linkedId) &&
+        stub.richMenuOf(NEW_MEMBER) === stub.defaultRichMenuId
+      );
+    },
+  },
+  {
+    name: "Deploying unchanged menus uploads nothing",
+    run: async () => {
+      const results = await richMenuService.deploy({ dir: menuDir });
+      return (
+        results.every((result) => result.status === "unchanged") &&
+        stub.richMenus.size === 2
+      );
+    },
+  },
+  {
+    name: "A changed menu replaces the old one and keeps members on it",
+    run: async () => {
+      const oldId = deployed.get("linked").rich_menu_id;
+      fs.writeFileSync(path.join(menuDir, "linked.png"), Buffer.from("v2"));
+
+      const results = await richMenuService.deploy({ dir: menuDir });
+      const newId = deployed.get("linked").rich_menu_id;
+      return (
+        results.find((result) => result.name === "linked").status ===
+          "deployed" &&
+        results.find((result) => result.name === "unlinked").status ===
+          "unchanged" &&
+        newId !== oldId &&
+        !stub.richMenus.has(oldId) &&
+        MEMBERS.every((member) => stub.richMenuOf(member) === newId)
+      );
+    },
+  },
+  {
+    name: "Linking switches the member to the linked menu",
+    run: async () => {
+      await eventBus.publish(EVENTS.MEMBER_LINKED, {
+        accountId: 3,
+        lineUserId: NEW_MEMBER,
+      });
+      return (
+        stub.richMenuOf(NEW_MEMBER) === deployed.get("linked").rich_menu_id
+      );
+    },
+  },
+  {
+    name: "Unlinking returns the member to the default menu",
+    run: async () => {
+      await eventBus.publish(EVENTS.MEMBER_UNLINKED, {
+        accountId: 3,
+        lineUserId: NEW_MEMBER,
+      });
+      return (
+        stub.richMenuOf(NEW_MEMBER) === deployed.get("unlinked").rich_menu_id
+      );
+    },
+  },
+];
+
+richMenuService.listen();
+
+runCases(cases, {
+  title: "rich menus",
+  results: "Rich Menu",
+  afterAll: () => fs.rmSync(menuDir, { recursive: true, force: true }),
+});
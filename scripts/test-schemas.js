@@ -0,0 +1,356 @@
+// scripts/test-schemas.js - Request and response schemas
+//
+// Checks utils/schema.js directly, then runs routes through the API handler
+// with the services they call stubbed, collecting the warnings the router
+// logs when a response differs from its schema.
+
+process.env.ADMIN_API_KEY = "test-admin-key";
+
+const { runCases, request, memberHeaders } = require("./lib/test-harness");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const databaseService = require("../services/databaseService");
+const pinAttemptService = require("../services/pinAttemptService");
+const tierService = require("../services/tierService");
+const balanceHistoryService = require("../services/balanceHistoryService");
+const activityService = require("../services/activityService");
+const securityUtils = require("../utils/security");
+const errors = require("../utils/errors");
+const rateLimiter = require("../utils/rateLimiter");
+const { MemoryRateLimitStore } = require("../utils/rateLimitStore");
+const { validate, findProblems } = require("../utils/schema");
+const { Router } = require("../utils/router");
+const { parseJsonBody, validateRequest } = require("../utils/middleware");
+const routes = require("../routes");
+
+const LINE_USER = "U00000000000000000000000000000001";
+
+const ACCOUNT = {
+  id: 7,
+  prima_username: "DEV5678",
+  prima_phone: "0812345678",
+  first_name: "Somchai",
+  last_name: "Jaidee",
+  member_tier: "Gold",
+  credit_balance: "1500.00",
+  is_active: true,
+  last_sync: new Date(),
+};
+
+let state;
+let warnings;
+
+function resetState() {
+  state = { authenticated: [], stored: [], feedLimits: [] };
+  warnings = [];
+}
+
+logger.warn = (message, meta) => warnings.push({ message, meta });
+
+databaseService.query = async () => ({ rows: [] });
+databaseService.healthCheck = async () => true;
+databaseService.logSession = async () => {};
+databaseService.findUserMapping = async () => ACCOUNT;
+databaseService.upsertMemberByPhone = async (data) => {
+  state.stored.push(data);
+  return { ...ACCOUNT, prima_phone: data.prima_phone };
+};
+pinAttemptService.authenticate = async ({ phone, pin }) => {
+  state.authenticated.push({ phone, pin });
+  return {
+    primaUsername: "DEV5678",
+    firstName: "Somchai",
+    lastName: "Jaidee",
+    balance: 1500,
+  };
+};
+tierService.assignTier = async (account) => ({ account });
+tierService.describe = async (account) => ({
+  name: account.member_tier,
+  badgeColor: "#fbbf24",
+  textColor: "#111827",
+  downgradeAt: null,
+});
+balanceHistoryService.recordSnapshot = async () => {};
+activityService.getFeed = async (account, limit) => {
+  state.feedLimits.push(limit);
+  return [
+    { type: "sync_success", occurredAt: new Date().toISOString() },
+    {
+      type: "tier_upgrade",
+      occurredAt: new Date().toISOString(),
+      from: "Silver",
+      to: "Gold",
+      reason: "threshold_reached",
+      balance: 1500,
+    },
+  ];
+};
+
+const member = (method, path, options = {}) =>
+  request(method, path, {
+    ...options,
+    headers: memberHeaders(LINE_USER),
+  });
+
+function fieldOf(fn) {
+  try {
+    fn();
+    return undefined;
+  } catch (error) {
+    return error.field;
+  }
+}
+
+const SAMPLE = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    tags: { type: "array", default: [], items: { type: "string" } },
+    quietHours: {
+      type: "object",
+      nullable: true,
+      required: ["start", "end"],
+      "x-distinct": ["start", "end"],
+      properties: {
+        start: { type: "string", format: "time" },
+        end: { type: "string", format: "time" },
+      },
+    },
+    events: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { type: { type: "string", enum: ["follow"] } },
+      },
+    },
+  },
+};
+
+const cases = [
+  {
+    name: "Errors carry field paths; unknown fields are stripped, defaults filled",
+    run: async () => {
+      const cleaned = validate(SAMPLE, {
+        name: "a",
+        extra: true,
+        quietHours: { start: "22:00", end: "08:00", note: "x" },
+      });
+      const again = validate(SAMPLE, { name: "b" });
+      cleaned.tags.push("changed");
+
+      return (
+        !("extra" in cleaned) &&
+        !("note" in cleaned.quietHours) &&
+        again.tags.length === 0 &&
+        validate(SAMPLE, { name: "a", quietHours: null }).quietHours === null &&
+        fieldOf(() => validate(SAMPLE, {})) === "name" &&
+        fieldOf(() =>
+          validate(SAMPLE, { name: "a", quietHours: { start: "7:00" } })
+        ) === "quietHours.start" &&
+        fieldOf(() =>
+          validate(SAMPLE, { name: "a", quietHours: { start: "07:00" } })
+        ) === "quietHours.end" &&
+        fieldOf(() =>
+          validate(SAMPLE, {
+            name: "a",
+            quietHours: { start: "07:00", end: "07:00" },
+          })
+        ) === "quietHours.end" &&
+        fieldOf(() =>
+          validate(SAMPLE, {
+            name: "a",
+            events: [{ type: "follow" }, { type: "unfollow" }],
+          })
+        ) === "events[1].type" &&
+        fieldOf(() => validate(SAMPLE, { name: 5 })) === "name"
+      );
+    },
+  },
+  {
+    name: "Thai phone formats normalize the same way everywhere",
+    run: async () => {
+      const forms = [
+        "0812345678",
+        "081-234-5678",
+        "+66 81 234 5678",
+        "+66812345678",
+        "66812345678",
+        "(081) 234-5678",
+        "812345678",
+      ];
+      const rejected = ["0512345678", "123", "abc", "+66 51 234 5678", ""];
+
+      return (
+        forms.every(
+          (phone) => errors.normalizePhoneNumber(phone) === "0812345678"
+        ) &&
+        forms.every(
+          (phone) =>
+            errors.validatePhoneNumber(phone) &&
+            securityUtils.validatePhoneNumber(phone)
+        ) &&
+        rejected.every(
+          (phone) =>
+            !errors.validatePhoneNumber(phone) &&
+            !securityUtils.validatePhoneNumber(phone)
+        ) &&
+        securityUtils.sanitizeInput(' <b>"x"</b> ') ===
+          errors.sanitizeInput(' <b>"x"</b> ') &&
+        securityUtils.sanitizeInput(5) === 5
+      );
+    },
+  },
+  {
+    name: "/user/verify gets a normalized phone; bad credentials name the field",
+    run: async () => {
+      const verified = await request("POST", "/user/verify", {
+        body: { phone: "+66 81-234-5678", pin: "1234", isAdmin: true },
+      });
+      const badPhone = await request("POST", "/user/verify", {
+        body: { phone: "0512345678", pin: "1234" },
+      });
+      const noPin = await request("POST", "/user/verify", {
+        body: { phone: "0812345678" },
+      });
+      const [authenticated] = state.authenticated;
+
+      return (
+        verified.status === 200 &&
+        authenticated.phone === "0812345678" &&
+        state.stored[0].prima_phone === "0812345678" &&
+        badPhone.status === 400 &&
+        badPhone.body.error.field === "phone" &&
+        noPin.body.error.field === "pin" &&
+        state.authenticated.length === 1 &&
+        warnings.length === 0
+      );
+    },
+  },
+  {
+    name: "Query strings and path parameters are converted and checked",
+    run: async () => {
+      const limited = await member("GET", "/user/activity", {
+        query: { limit: "5" },
+      });
+      const defaulted = await member("GET", "/user/activity");
+      const notNumber = await member("GET", "/user/activity", {
+        query: { limit: "abc" },
+      });
+      const tooMany = await member("GET", "/user/activity", {
+        query: { limit: "51" },
+      });
+      const badId = await request("DELETE", "/admin/ip-rules/abc", {
+        headers: { "x-admin-key": "test-admin-key" },
+      });
+      const badEncoding = await request("DELETE", "/admin/ip-rules/%E0", {
+        headers: { "x-admin-key": "test-admin-key" },
+      });
+
+      return (
+        limited.status === 200 &&
+        state.feedLimits.join() === "5,20" &&
+        notNumber.status === 400 &&
+        notNumber.body.error.field === "limit" &&
+        tooMany.body.error.field === "limit" &&
+        badId.status === 400 &&
+        badId.body.error.field === "id" &&
+        badEncoding.status === 400 &&
+        badEncoding.body.error.code === "VALIDATION_ERROR" &&
+        badEncoding.body.error.field === "id" &&
+        warnings.length === 0
+      );
+    },
+  },
+  {
+    name: "Every route declares its schemas and validates its request",
+    run: async () => {
+      const problems = routes.flatMap((route) => {
+        const name = `${route.method} ${route.path}`;
+        const { schema } = route;
+        const middleware = route.middleware || [];
+        if (!schema || !schema.response) return [`${name}: no schema`];
+
+        const found = [];
+        const params = (route.path.match(/:\w+/g) || []).map((p) => p.slice(1));
+        if (params.some((param) => !schema.params?.properties?.[param])) {
+          found.push(`${name}: path parameters not declared`);
+        }
+        if (
+          (schema.params || schema.query || schema.body) &&
+          !middleware.includes(validateRequest)
+        ) {
+          found.push(`${name}: validateRequest missing`);
+        }
+        if (
+          schema.body &&
+          middleware.indexOf(parseJsonBody) >
+            middleware.indexOf(validateRequest)
+        ) {
+          found.push(`${name}: body validated before it is parsed`);
+        }
+        return found;
+      });
+
+      problems.forEach((problem) => console.log(`     ${problem}`));
+      return problems.length === 0;
+    },
+  },
+  {
+    name: "Responses that differ from their schema are logged outside production",
+    run: async () => {
+      const router = new Router().add({
+        method: "GET",
+        path: "/drift",
+        handler: async () => ({
+          statusCode: 200,
+          headers: {},
+          body: JSON.stringify({ count: "3", secret: "x" }),
+        }),
+        schema: {
+          response: {
+            200: { type: "object", properties: { count: { type: "integer" } } },
+          },
+        },
+      });
+
+      const event = { httpMethod: "GET", path: "/drift", headers: {} };
+      await router.handle(event, {});
+      const logged = warnings.slice();
+
+      const environment = config.app.environment;
+      config.app.environment = "production";
+      await router.handle(event, {});
+      config.app.environment = environment;
+
+      const direct = findProblems(
+        { type: "array", items: { type: "string" } },
+        ["a", 1]
+      );
+
+      return (
+        logged.length === 1 &&
+        logged[0].meta.route === "GET /drift" &&
+        logged[0].meta.problems.join() ===
+          "count must be an integer,secret is not in the schema" &&
+        warnings.length === 1 &&
+        direct.length === 1 &&
+        direct[0].field === "[1]"
+      );
+    },
+  },
+];
+
+runCases(cases, {
+  title: "request and response schemas",
+  results: "Schema",
+  beforeEach: () => {
+    resetState();
+    rateLimiter.store = new MemoryRateLimitStore();
+  },
+  afterFailure: () =>
+    warnings.forEach((warning) =>
+      console.log(`     ${warning.message}`, warning.meta)
+    ),
+});
@@ -0,0 +1,279 @@
+// scripts/test-tier-rules.js - Member tier rules engine
+//
+// Exercises tierService.evaluate() and describe() against the seeded tier
+// rules plus a rolling window and grace period, and the tier changes and
+// activity feed written to the test database.
+
+const { runCases, createMember, query } = require("./lib/test-harness");
+const tierService = require("../services/tierService");
+const activityService = require("../services/activityService");
+const databaseService = require("../services/databaseService");
+const { eventBus, EVENTS } = require("../utils/events");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-03-01T12:00:00Z");
+
+const tier = (name, minBalance, rollingWindowDays, downgradeGraceDays) => ({
+  name,
+  minBalance,
+  rollingWindowDays,
+  downgradeGraceDays,
+  badgeColor: "#fbbf24",
+  textColor: "#111827",
+});
+
+// Seeded thresholds from 007_member_tiers
+const seeded = [
+  tier("Standard", 0, 0, 0),
+  tier("Silver", 10000, 0, 0),
+  tier("Gold", 50000, 0, 0),
+  tier("Platinum", 100000, 0, 0),
+];
+
+// Gold and Platinum averaged over 30 days, with grace before a downgrade
+const windowed = [
+  tier("Standard", 0, 0, 0),
+  tier("Silver", 10000, 0, 7),
+  tier("Gold", 50000, 30, 14),
+  tier("Platinum", 100000, 30, 30),
+];
+
+const cases = [
+  {
+    name: "Seeded thresholds match the previous hard-coded tiers",
+    run: () =>
+      [
+        [0, "Standard"],
+        [9999.99, "Standard"],
+        [10000, "Silver"],
+        [50000, "Gold"],
+        [250000, "Platinum"],
+      ].every(
+        ([balance, expected]) =>
+          tierService.evaluate({ tiers: seeded, balance, now }).tier.name ===
+          expected
+      ),
+  },
+  {
+    name: "Legacy upper-case tier names are recognised",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: seeded,
+        balance: 20000,
+        currentTier: "SILVER",
+        now,
+      });
+      return result.tier.name === "Silver" && result.reason === "unchanged";
+    },
+  },
+  {
+    name: "Rolling window average is used instead of a one-off spike",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: windowed,
+        balance: 120000,
+        averages: { 30: 30000 },
+        currentTier: "Silver",
+        now,
+      });
+      return result.tier.name === "Silver" && result.reason === "unchanged";
+    },
+  },
+  {
+    name: "Upgrade takes effect immediately",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: windowed,
+        balance: 60000,
+        averages: { 30: 55000 },
+        currentTier: "Silver",
+        belowSince: new Date(now.getTime() - DAY_MS),
+        now,
+      });
+      return (
+        result.tier.name === "Gold" &&
+        result.reason === "upgrade" &&
+        result.belowSince === null
+      );
+    },
+  },
+  {
+    name: "Falling below a tier starts the grace period",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: windowed,
+        balance: 1000,
+        averages: { 30: 20000 },
+        currentTier: "Gold",
+        now,
+      });
+      return (
+        result.tier.name === "Gold" &&
+        result.reason === "grace" &&
+        result.belowSince.getTime() === now.getTime()
+      );
+    },
+  },
+  {
+    name: "Downgrade applies once the grace period has passed",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: windowed,
+        balance: 12000,
+        averages: { 30: 20000 },
+        currentTier: "Gold",
+        belowSince: new Date(now.getTime() - 14 * DAY_MS),
+        now,
+      });
+      return result.tier.name === "Silver" && result.reason === "downgrade";
+    },
+  },
+  {
+    name: "Recovering during the grace period clears it",
+    run: () => {
+      const result = tierService.evaluate({
+        tiers: windowed,
+        balance: 70000,
+        averages: { 30: 52000 },
+        currentTier: "Gold",
+        belowSince: new Date(now.getTime() - 3 * DAY_MS),
+        now,
+      });
+      return result.tier.name === "Gold" && result.belowSince === null;
+    },
+  },
+  {
+    name: "describe() returns colors and the pending downgrade date",
+    run: async () => {
+      tierService.tiers = windowed;
+      tierService.tiersFetchedAt = Date.now();
+
+      const display = await tierService.describe({
+        member_tier: "GOLD",
+        tier_below_since: now.toISOString(),
+      });
+      tierService.clearCache();
+
+      return (
+        display.name === "Gold" &&
+        display.badgeColor === "#fbbf24" &&
+        display.downgradeAt ===
+          new Date(now.getTime() + 14 * DAY_MS).toISOString()
+      );
+    },
+  },
+  {
+    name: "Downgrade is written to tier_history and published",
+    run: async () => {
+      const member = await createMember({ member_tier: "Gold" });
+
+      const events = [];
+      const unsubscribe = eventBus.subscribe(EVENTS.TIER_CHANGED, (event) => {
+        events.push(event);
+      });
+      const { account, change } = await tierService.assignTier(
+        member,
+        12000,
+        "sync"
+      );
+      unsubscribe();
+
+      const stored = await databaseService.findUserMapping(member.line_user_id);
+      const history = await tierService.getHistory(member.id);
+
+      return (
+        account.member_tier === "Silver" &&
+        stored.member_tier === "Silver" &&
+        stored.tier_below_since === null &&
+        history.length === 1 &&
+        history[0].id === change.id &&
+        history[0].from_tier === "Gold" &&
+        history[0].credit_balance === "12000.00" &&
+        events.length === 1 &&
+        events[0] === change &&
+        change.from === "Gold" &&
+        change.to === "Silver" &&
+        change.direction === "downgrade" &&
+        change.reason === "below_threshold" &&
+        change.balance === 12000 &&
+        change.lineUserId === member.line_user_id
+      );
+    },
+  },
+  {
+    name: "Rolling window averages come from recent balance snapshots",
+    run: async () => {
+      const member = await createMember({ member_tier: "Silver" });
+      await query(
+        `INSERT INTO balance_snapshots (account_id, credit_balance, source, recorded_at)
+         VALUES ($1, 60000, 'sync', NOW() - INTERVAL '2 days'),
+                ($1, 40000, 'sync', NOW() - INTERVAL '10 days'),
+                ($1, 900000, 'sync', NOW() - INTERVAL '45 days')`,
+        [member.id]
+      );
+
+      const averages = await tierService.getWindowAverages(
+        member.id,
+        windowed,
+        50000
+      );
+      return averages[30] === 50000 && Object.keys(averages).join() === "30";
+    },
+  },
+  {
+    name: "Activity feed merges syncs and tier changes, newest first",
+    run: async () => {
+      const member = await createMember({ member_tier: "Silver" });
+      await query(
+        `INSERT INTO session_logs (line_user_id, action, created_at)
+         VALUES ($1, 'sync_success', NOW() - INTERVAL '2 hours'),
+                ($1, 'profile_view', NOW() - INTERVAL '1 hour'),
+                ($1, 'sync_failed', NOW() - INTERVAL '3 hours')`,
+        [member.line_user_id]
+      );
+      await query(
+        `INSERT INTO tier_history (
+           account_id, from_tier, to_tier, direction, reason,
+           credit_balance, source, changed_at
+         )
+         VALUES ($1, 'Silver', 'Gold', 'upgrade', 'threshold_reached',
+                 55000, 'sync', NOW() - INTERVAL '90 minutes')`,
+        [member.id]
+      );
+
+      const feed = await activityService.getFeed(member, 3);
+      return (
+        feed.map((entry) => entry.type).join() ===
+          "tier_upgrade,sync_success,sync_failed" &&
+        feed[0].from === "Silver" &&
+        feed[0].balance === 55000
+      );
+    },
+  },
+  {
+    name: "A failing subscriber does not fail the publisher",
+    run: async () => {
+      let delivered = false;
+      const unsubscribeFailing = eventBus.subscribe(
+        EVENTS.TIER_CHANGED,
+        async () => {
+          throw new Error("subscriber down");
+        }
+      );
+      const unsubscribe = eventBus.subscribe(EVENTS.TIER_CHANGED, () => {
+        delivered = true;
+      });
+      const failed = await eventBus.publish(EVENTS.TIER_CHANGED, {});
+      unsubscribeFailing();
+      unsubscribe();
+
+      return failed === 1 && delivered;
+    },
+  },
+];
+
+runCases(cases, {
+  title: "member tier rules",
+  results: "Tier Rules",
+  beforeEach: () => tierService.clearCache(),
+});
@@ -335,13 +335,13 @@ class TestRunner {
       };
 
       // Test normal operation
-      const result1 = rateLimiter.isAllowed(mockEvent);
+      const result1 = await rateLimiter.isAllowed(mockEvent);
       if (!result1.allowed) {
         throw new Error("Rate limiter incorrectly blocked request");
       }
 
       // Test that remaining count decreases
-      const result2 = rateLimiter.isAllowed(mockEvent);
+      const result2 = await rateLimiter.isAllowed(mockEvent);
       if (result2.remaining >= result1.remaining) {
         throw new Error("Rate limiter not tracking requests");
       }
@@ -448,7 +448,7 @@ class TestRunner {
       // Test that handler can be called (mock event)
       const mockEvent = {
         httpMethod: "OPTIONS",
-        path: "/api/test",
+        path: "/api/health",
         headers: {},
         body: null,
       };
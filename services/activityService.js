@@ -0,0 +1,54 @@
+// services/activityService.js - Member activity feed
+//
+// Merges account syncs from session_logs with tier changes from tier_history
+// into one newest-first feed for the member card.
+
+const databaseService = require("./databaseService");
+const tierService = require("./tierService");
+
+// session_logs actions shown to the member; profile views are left out
+const FEED_ACTIONS = ["sync_success", "sync_failed"];
+
+const DEFAULT_LIMIT = 20;
+
+class ActivityService {
+  /**
+   * Recent activity for a linked account, newest first
+   * @param {Object} account - user_accounts row
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array>} Feed entries { type, occurredAt, ... }
+   */
+  async getFeed(account, limit = DEFAULT_LIMIT) {
+    const sessions = await databaseService.query(
+      `SELECT action, created_at
+       FROM session_logs
+       WHERE line_user_id = $1 AND action = ANY($2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [account.line_user_id, FEED_ACTIONS, limit]
+    );
+    const tierChanges = await tierService.getHistory(account.id, limit);
+
+    const entries = [
+      ...sessions.rows.map((row) => ({
+        type: row.action,
+        occurredAt: new Date(row.created_at).toISOString(),
+      })),
+      ...tierChanges.map((row) => ({
+        type: `tier_${row.direction}`,
+        occurredAt: new Date(row.changed_at).toISOString(),
+        from: row.from_tier,
+        to: row.to_tier,
+        reason: row.reason,
+        balance: parseFloat(row.credit_balance),
+      })),
+    ];
+
+    return entries
+      .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt))
+      .slice(0, limit);
+  }
+}
+
+// Export singleton instance
+module.exports = new ActivityService();
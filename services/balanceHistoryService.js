@@ -0,0 +1,108 @@
+// services/balanceHistoryService.js - Credit balance history and trends
+
+const logger = require("../utils/logger");
+const databaseService = require("./databaseService");
+const { eventBus, EVENTS } = require("../utils/events");
+
+// Members and support think in Thai calendar days, not UTC ones
+const TIME_ZONE = "Asia/Bangkok";
+
+const PERIODS = {
+  daily: { unit: "day", defaultDays: 30 },
+  weekly: { unit: "week", defaultDays: 12 * 7 },
+};
+
+class BalanceHistoryService {
+  /**
+   * Append a balance snapshot after a successful Prima789 sync and publish
+   * EVENTS.BALANCE_SYNCED with the balance of the previous snapshot
+   * @param {number} accountId - user_accounts ID
+   * @param {Object} data
+   * @param {number} data.balance - Credit balance reported by Prima789
+   * @param {string} data.memberTier - Member tier at that balance
+   * @param {string} data.source - "sync" or "verify"
+   * @returns {Promise<void>}
+   */
+  async recordSnapshot(accountId, { balance, memberTier, source }) {
+    const result = await databaseService.query(
+      `WITH previous AS (
+         SELECT credit_balance
+         FROM balance_snapshots
+         WHERE account_id = $1
+         ORDER BY recorded_at DESC, id DESC
+         LIMIT 1
+       )
+       INSERT INTO balance_snapshots (account_id, credit_balance, member_tier, source)
+       VALUES ($1, $2, $3, $4)
+       RETURNING recorded_at, (SELECT credit_balance FROM previous) AS previous_balance`,
+      [accountId, balance, memberTier || null, source]
+    );
+
+    logger.debug("Balance snapshot recorded", { accountId, source });
+
+    const snapshot = result.rows[0] || {};
+    await eventBus.publish(EVENTS.BALANCE_SYNCED, {
+      accountId,
+      previousBalance:
+        snapshot.previous_balance == null
+          ? null
+          : parseFloat(snapshot.previous_balance),
+      balance,
+      memberTier: memberTier || null,
+      source,
+      recordedAt: snapshot.recorded_at || new Date(),
+    });
+  }
+
+  /**
+   * Days a trend covers when the client does not ask for a number
+   * @param {string} period - "daily" or "weekly"
+   * @returns {number} Days
+   */
+  defaultDays(period) {
+    return PERIODS[period].defaultDays;
+  }
+
+  /**
+   * Daily or weekly balance aggregates for one account
+   * @param {number} accountId - user_accounts ID
+   * @param {Object} options
+   * @param {string} options.period - "daily" or "weekly"
+   * @param {number} options.days - How far back to look
+   * @returns {Promise<Array>} One point per period with open/close/min/max/average
+   */
+  async getTrend(accountId, { period, days }) {
+    const result = await databaseService.query(
+      `SELECT
+         to_char(
+           date_trunc($2, recorded_at AT TIME ZONE 'UTC' AT TIME ZONE $3),
+           'YYYY-MM-DD'
+         ) AS period_start,
+         (array_agg(credit_balance ORDER BY recorded_at ASC))[1] AS open,
+         (array_agg(credit_balance ORDER BY recorded_at DESC))[1] AS close,
+         MIN(credit_balance) AS min,
+         MAX(credit_balance) AS max,
+         AVG(credit_balance) AS average,
+         COUNT(*) AS samples
+       FROM balance_snapshots
+       WHERE account_id = $1
+         AND recorded_at >= NOW() - ($4 || ' days')::INTERVAL
+       GROUP BY period_start
+       ORDER BY period_start ASC`,
+      [accountId, PERIODS[period].unit, TIME_ZONE, String(days)]
+    );
+
+    return result.rows.map((row) => ({
+      periodStart: row.period_start,
+      open: parseFloat(row.open),
+      close: parseFloat(row.close),
+      min: parseFloat(row.min),
+      max: parseFloat(row.max),
+      average: Math.round(parseFloat(row.average) * 100) / 100,
+      samples: parseInt(row.samples, 10),
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new BalanceHistoryService();
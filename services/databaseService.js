@@ -3,7 +3,25 @@
 const { Pool } = require("@neondatabase/serverless");
 const config = require("../config/config");
 const logger = require("../utils/logger");
-const { DatabaseError, ValidationError } = require("../utils/errors");
+const { AppError, DatabaseError, ValidationError } = require("../utils/errors");
+
+// Columns of the canonical member record returned by every user_accounts query
+const MEMBER_COLUMNS = `
+  id,
+  line_user_id,
+  line_display_name,
+  prima_username,
+  prima_phone,
+  first_name,
+  last_name,
+  member_tier,
+  tier_below_since,
+  credit_balance,
+  is_active,
+  last_sync,
+  created_at,
+  updated_at
+`;
 
 class DatabaseService {
   constructor() {
@@ -93,16 +111,7 @@ class DatabaseService {
     }
 
     const query = `
-      SELECT 
-        id,
-        line_user_id,
-        line_display_name,
-        prima_username,
-        prima_phone,
-        member_tier,
-        credit_balance,
-        created_at,
-        updated_at
+      SELECT ${MEMBER_COLUMNS}
       FROM user_accounts 
       WHERE line_user_id = $1
     `;
@@ -134,8 +143,16 @@ class DatabaseService {
 
   /**
    * Create or update user mapping with enhanced data
+   *
+   * A member that was verified by phone before linking LINE already has an
+   * unlinked row; that row is claimed so the member keeps a single record.
+   * A LINE user moving to such a phone leaves their previous row unlinked.
+   * A phone belongs to one row only, so one linked to another LINE user is
+   * refused.
+   * The stored member_tier is kept unless one is passed; tierService assigns it.
    * @param {Object} mappingData - Complete mapping data
    * @returns {Promise<Object>} Created/updated mapping
+   * @throws {AppError} PHONE_ALREADY_LINKED when another LINE user has the phone
    */
   async upsertUserMappingWithData(mappingData) {
     const {
@@ -143,6 +160,8 @@ class DatabaseService {
       line_display_name,
       prima_username,
       prima_phone,
+      first_name,
+      last_name,
       member_tier,
       credit_balance,
     } = mappingData;
@@ -155,37 +174,80 @@ class DatabaseService {
       throw new ValidationError("Prima username is required");
     }
 
+    // One statement, so a failure or a concurrent link cannot leave a phone
+    // released from one row but not claimed by the other. released is read
+    // by claimed so the old row gives up the LINE User ID first.
     const query = `
-      INSERT INTO user_accounts (
-        line_user_id, 
-        line_display_name, 
-        prima_username, 
-        prima_phone,
-        member_tier,
-        credit_balance,
-        last_sync,
-        updated_at
+      WITH taken AS (
+        SELECT 1 FROM user_accounts
+        WHERE prima_phone = $4::text AND line_user_id <> $1::text
+      ),
+      unlinked AS (
+        SELECT id FROM user_accounts
+        WHERE prima_phone = $4::text
+          AND line_user_id IS NULL
+          AND NOT EXISTS (SELECT 1 FROM taken)
+        ORDER BY updated_at DESC
+        LIMIT 1
+      ),
+      released AS (
+        UPDATE user_accounts
+        SET line_user_id = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE line_user_id = $1::text
+          AND EXISTS (SELECT 1 FROM unlinked)
+        RETURNING id
+      ),
+      claimed AS (
+        UPDATE user_accounts
+        SET
+          line_user_id = $1::text,
+          line_display_name = COALESCE($2::text, line_display_name),
+          prima_username = $3::text,
+          first_name = COALESCE($5::text, first_name),
+          last_name = COALESCE($6::text, last_name),
+          member_tier = COALESCE($7::text, member_tier),
+          credit_balance = $8::numeric,
+          is_active = true,
+          last_sync = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = (SELECT id FROM unlinked)
+          AND (SELECT COUNT(*) FROM released) >= 0
+        RETURNING ${MEMBER_COLUMNS}
+      ),
+      upserted AS (
+        INSERT INTO user_accounts (
+          line_user_id, 
+          line_display_name, 
+          prima_username, 
+          prima_phone,
+          first_name,
+          last_name,
+          member_tier,
+          credit_balance,
+          last_sync,
+          updated_at
+        )
+        SELECT $1::text, $2::text, $3::text, $4::text, $5::text, $6::text,
+          COALESCE($7::text, 'Standard'), $8::numeric, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+        WHERE NOT EXISTS (SELECT 1 FROM taken)
+          AND NOT EXISTS (SELECT 1 FROM unlinked)
+        ON CONFLICT (line_user_id)
+        DO UPDATE SET 
+          line_display_name = COALESCE(EXCLUDED.line_display_name, user_accounts.line_display_name),
+          prima_username = EXCLUDED.prima_username,
+          prima_phone = EXCLUDED.prima_phone,
+          first_name = COALESCE(EXCLUDED.first_name, user_accounts.first_name),
+          last_name = COALESCE(EXCLUDED.last_name, user_accounts.last_name),
+          member_tier = COALESCE($7::text, user_accounts.member_tier),
+          credit_balance = EXCLUDED.credit_balance,
+          is_active = true,
+          last_sync = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING ${MEMBER_COLUMNS}
       )
-      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      ON CONFLICT (line_user_id)
-      DO UPDATE SET 
-        line_display_name = EXCLUDED.line_display_name,
-        prima_username = EXCLUDED.prima_username,
-        prima_phone = EXCLUDED.prima_phone,
-        member_tier = EXCLUDED.member_tier,
-        credit_balance = EXCLUDED.credit_balance,
-        last_sync = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING 
-        id,
-        line_user_id,
-        line_display_name,
-        prima_username,
-        prima_phone,
-        member_tier,
-        credit_balance,
-        created_at,
-        updated_at
+      SELECT * FROM claimed
+      UNION ALL
+      SELECT * FROM upserted
     `;
 
     try {
@@ -194,10 +256,21 @@ class DatabaseService {
         line_display_name || null,
         prima_username,
         prima_phone || null,
-        member_tier || "Standard",
+        first_name || null,
+        last_name || null,
+        member_tier || null,
         credit_balance || "0.00",
       ]);
 
+      // Nothing written: another LINE user has the phone
+      if (result.rows.length === 0) {
+        throw new AppError(
+          "This phone number is linked to another LINE account",
+          409,
+          "PHONE_ALREADY_LINKED"
+        );
+      }
+
       logger.info("User mapping upserted successfully", {
         lineUserId: line_user_id.substring(0, 10) + "***",
         primaUsername: prima_username.replace(/./g, "*"),
@@ -206,11 +279,107 @@ class DatabaseService {
 
       return result.rows[0];
     } catch (error) {
+      if (error.code === "PHONE_ALREADY_LINKED") throw error;
+
       logger.error("Failed to upsert user mapping", {
         lineUserId: line_user_id.substring(0, 10) + "***",
         primaUsername: prima_username.replace(/./g, "*"),
         error: error.message,
       });
+      // Another LINE user may have linked the phone while this ran
+      if (prima_phone && error instanceof DatabaseError) {
+        await this.assertPhoneAvailable(prima_phone, line_user_id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse a phone number linked to a different LINE user
+   * @param {string} phone - Normalized phone number
+   * @param {string} lineUserId - LINE User ID linking it
+   * @throws {AppError} PHONE_ALREADY_LINKED (409)
+   */
+  async assertPhoneAvailable(phone, lineUserId) {
+    const result = await this.query(
+      `SELECT 1 FROM user_accounts
+       WHERE prima_phone = $1
+         AND line_user_id IS NOT NULL
+         AND line_user_id <> $2`,
+      [phone, lineUserId]
+    );
+
+    if (result.rows.length > 0) {
+      throw new AppError(
+        "This phone number is linked to another LINE account",
+        409,
+        "PHONE_ALREADY_LINKED"
+      );
+    }
+  }
+
+  /**
+   * Create or update a member identified only by Prima789 phone number
+   *
+   * Updates the user_accounts row for the phone (linked or not); when there
+   * is none an unlinked row is created that /user/sync can later claim.
+   * The stored member_tier is kept unless one is passed; tierService assigns it.
+   * @param {Object} memberData - Member data from Prima789
+   * @returns {Promise<Object>} Created/updated member
+   */
+  async upsertMemberByPhone(memberData) {
+    const {
+      prima_phone,
+      prima_username,
+      first_name,
+      last_name,
+      member_tier,
+      credit_balance,
+    } = memberData;
+
+    if (!prima_phone || typeof prima_phone !== "string") {
+      throw new ValidationError("Phone number is required", "phone");
+    }
+
+    if (!prima_username || typeof prima_username !== "string") {
+      throw new ValidationError("Prima username is required");
+    }
+
+    const params = [
+      prima_phone,
+      prima_username,
+      first_name || null,
+      last_name || null,
+      member_tier || null,
+      credit_balance || "0.00",
+    ];
+
+    try {
+      const result = await this.query(
+        `INSERT INTO user_accounts (
+           prima_phone, prima_username, first_name, last_name,
+           member_tier, credit_balance, last_sync
+         )
+         VALUES ($1, $2, $3, $4, COALESCE($5, 'Standard'), $6, CURRENT_TIMESTAMP)
+         ON CONFLICT (prima_phone)
+         DO UPDATE SET
+           prima_username = EXCLUDED.prima_username,
+           first_name = COALESCE(EXCLUDED.first_name, user_accounts.first_name),
+           last_name = COALESCE(EXCLUDED.last_name, user_accounts.last_name),
+           member_tier = COALESCE($5, user_accounts.member_tier),
+           credit_balance = EXCLUDED.credit_balance,
+           is_active = true,
+           last_sync = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING ${MEMBER_COLUMNS}`,
+        params
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error("Failed to upsert member by phone", {
+        phone: prima_phone.replace(/\d(?=\d{4})/g, "*"),
+        error: error.message,
+      });
       throw error;
     }
   }
@@ -323,61 +492,6 @@ class DatabaseService {
     }
   }
 
-  /**
-   * Setup database tables
-   * @returns {Promise<void>}
-   */
-  async setupTables() {
-    const userAccountsTable = `
-      CREATE TABLE IF NOT EXISTS user_accounts (
-        id SERIAL PRIMARY KEY,
-        line_user_id VARCHAR(255) UNIQUE NOT NULL,
-        line_display_name VARCHAR(255),
-        prima_username VARCHAR(255) NOT NULL,
-        prima_phone VARCHAR(20),
-        member_tier VARCHAR(50) DEFAULT 'Standard',
-        credit_balance DECIMAL(15,2) DEFAULT 0.00,
-        last_sync TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
-    const sessionLogsTable = `
-      CREATE TABLE IF NOT EXISTS session_logs (
-        id SERIAL PRIMARY KEY,
-        line_user_id VARCHAR(255) NOT NULL,
-        action VARCHAR(100) NOT NULL,
-        ip_address INET,
-        user_agent TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `;
-
-    const indexes = [
-      "CREATE INDEX IF NOT EXISTS idx_user_accounts_line_user_id ON user_accounts(line_user_id);",
-      "CREATE INDEX IF NOT EXISTS idx_user_accounts_prima_username ON user_accounts(prima_username);",
-      "CREATE INDEX IF NOT EXISTS idx_session_logs_line_user_id ON session_logs(line_user_id);",
-      "CREATE INDEX IF NOT EXISTS idx_session_logs_created_at ON session_logs(created_at);",
-    ];
-
-    try {
-      await this.query(userAccountsTable);
-      await this.query(sessionLogsTable);
-
-      for (const indexQuery of indexes) {
-        await this.query(indexQuery);
-      }
-
-      logger.info("Database tables setup completed successfully");
-    } catch (error) {
-      logger.error("Failed to setup database tables", {
-        error: error.message,
-      });
-      throw error;
-    }
-  }
-
   /**
    * Health check for database
    * @returns {Promise<boolean>} True if database is healthy
@@ -0,0 +1,231 @@
+// services/erasureService.js - Member data erasure (Thai PDPA deletion requests)
+//
+// Erasing a member removes the linked account and everything hanging off it
+// (balance history, tier history, notification preferences and deliveries
+// cascade from user_accounts), deletes their refresh tokens and follow state,
+// and anonymizes their session_logs rows: the action and time are kept for
+// usage statistics, the LINE User ID, IP address and user agent are not. The
+// PIN attempt counter and lockouts of the LINE user are deleted; lockouts of
+// the linked phone number keep only the count and time, so the phone stays
+// protected against PIN guessing. The rows keyed by LINE User ID are erased
+// whether or not an account is linked. It all runs as one statement, so a
+// failure leaves nothing half-erased, and the same statement writes the
+// erasure receipt.
+//
+// The rich menu is reverted afterwards through EVENTS.MEMBER_UNLINKED.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { eventBus, EVENTS } = require("../utils/events");
+const databaseService = require("./databaseService");
+const pinAttemptService = require("./pinAttemptService");
+const { AppError, ValidationError } = require("../utils/errors");
+
+// session_logs.line_user_id is NOT NULL, anonymized rows carry this instead
+const ERASED_USER_ID = "erased";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ErasureService {
+  /**
+   * Receipt subject for a LINE user; the same user always gets the same hash.
+   * Keyed with ERASURE_SUBJECT_SALT alone so rotating JWT_SECRET does not
+   * orphan the receipts already issued.
+   * @param {string} lineUserId - LINE User ID
+   * @returns {string} Hex HMAC-SHA256
+   * @throws {AppError} ERASURE_NOT_CONFIGURED when the salt is not set
+   */
+  subjectHash(lineUserId) {
+    const salt = config.security.erasureSubjectSalt;
+    if (!salt) {
+      throw new AppError(
+        "Data erasure is not configured",
+        503,
+        "ERASURE_NOT_CONFIGURED"
+      );
+    }
+    return crypto.createHmac("sha256", salt).update(lineUserId).digest("hex");
+  }
+
+  /**
+   * Erase a member and everything stored about them. A LINE user who never
+   * linked an account (or whose account is gone) still has their session
+   * logs, refresh tokens, follow state and PIN attempts erased and gets a
+   * receipt.
+   * @param {string} lineUserId - LINE User ID
+   * @param {Object} options
+   * @param {string} options.requestedVia - "member" (LIFF) or "support" (CLI)
+   * @returns {Promise<Object>} Receipt { receiptId, erasedAt, requestedVia,
+   *   items, richMenuReverted }
+   * @throws {AppError} USER_NOT_FOUND when nothing is stored about the user
+   */
+  async eraseMember(lineUserId, { requestedVia = "member" } = {}) {
+    const linked = await databaseService.query(
+      "SELECT prima_phone FROM user_accounts WHERE line_user_id = $1",
+      [lineUserId]
+    );
+    const phone = linked.rows[0]?.prima_phone;
+
+    const result = await databaseService.query(
+      `WITH account AS (
+         SELECT id FROM user_accounts WHERE line_user_id = $1
+       ),
+       counted AS (
+         SELECT
+           (SELECT COUNT(*) FROM balance_snapshots
+            WHERE account_id IN (SELECT id FROM account)) AS balance_snapshots,
+           (SELECT COUNT(*) FROM tier_history
+            WHERE account_id IN (SELECT id FROM account)) AS tier_history,
+           (SELECT COUNT(*) FROM notification_preferences
+            WHERE account_id IN (SELECT id FROM account)) AS notification_preferences,
+           (SELECT COUNT(*) FROM notification_deliveries
+            WHERE account_id IN (SELECT id FROM account)) AS notification_deliveries
+       ),
+       logs AS (
+         UPDATE session_logs
+         SET line_user_id = $5, ip_address = NULL, user_agent = NULL
+         WHERE line_user_id = $1
+         RETURNING 1
+       ),
+       tokens AS (
+         DELETE FROM refresh_tokens
+         WHERE line_user_id = $1
+         RETURNING 1
+       ),
+       followers AS (
+         DELETE FROM line_followers
+         WHERE line_user_id = $1
+         RETURNING 1
+       ),
+       pin_counters AS (
+         DELETE FROM pin_attempts WHERE subject_hash = $6
+         RETURNING 1
+       ),
+       pin_locks AS (
+         DELETE FROM pin_lockouts WHERE subject_hash = $6
+         RETURNING 1
+       ),
+       phone_locks AS (
+         UPDATE pin_lockouts
+         SET subject_label = NULL, ip_address = NULL, user_agent = NULL
+         WHERE subject_hash = $7
+         RETURNING 1
+       ),
+       accounts AS (
+         DELETE FROM user_accounts WHERE id IN (SELECT id FROM account)
+         RETURNING 1
+       )
+       INSERT INTO erasure_receipts (receipt_id, subject_hash, requested_via, items)
+       SELECT $2, $3, $4, jsonb_build_object(
+         'account', (SELECT COUNT(*) FROM accounts),
+         'balanceSnapshots', counted.balance_snapshots,
+         'tierHistory', counted.tier_history,
+         'notificationPreferences', counted.notification_preferences,
+         'notificationDeliveries', counted.notification_deliveries,
+         'refreshTokens', (SELECT COUNT(*) FROM tokens),
+         'followState', (SELECT COUNT(*) FROM followers),
+         'sessionLogsAnonymized', (SELECT COUNT(*) FROM logs),
+         'pinAttempts', (SELECT COUNT(*) FROM pin_counters),
+         'pinLockouts', (SELECT COUNT(*) FROM pin_locks),
+         'pinLockoutsAnonymized', (SELECT COUNT(*) FROM phone_locks)
+       )
+       FROM counted
+       WHERE EXISTS (SELECT 1 FROM accounts)
+          OR EXISTS (SELECT 1 FROM tokens)
+          OR EXISTS (SELECT 1 FROM followers)
+          OR EXISTS (SELECT 1 FROM logs)
+          OR EXISTS (SELECT 1 FROM pin_counters)
+          OR EXISTS (SELECT 1 FROM pin_locks)
+       RETURNING receipt_id, requested_via, items, erased_at`,
+      [
+        lineUserId,
+        crypto.randomUUID(),
+        this.subjectHash(lineUserId),
+        requestedVia,
+        ERASED_USER_ID,
+        pinAttemptService.subjectOf({ lineUserId }).hash,
+        phone ? pinAttemptService.subjectOf({ phone }).hash : null,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(
+        "Nothing is stored for this LINE user",
+        404,
+        "USER_NOT_FOUND"
+      );
+    }
+
+    const receipt = this.fromRow(result.rows[0]);
+
+    // After the erasure is committed; a failed rich menu switch is reported
+    // on the receipt instead of undoing it
+    const failed = await eventBus.publish(EVENTS.MEMBER_UNLINKED, {
+      lineUserId,
+    });
+    receipt.richMenuReverted = failed === 0;
+
+    logger.info("Member data erased", {
+      receiptId: receipt.receiptId,
+      requestedVia,
+      items: receipt.items,
+      richMenuReverted: receipt.richMenuReverted,
+    });
+    return receipt;
+  }
+
+  /**
+   * Look up an erasure receipt
+   * @param {string} receiptId - Receipt ID (UUID)
+   * @returns {Promise<Object|null>} Receipt, null when unknown
+   * @throws {ValidationError} If the receipt ID is not a UUID
+   */
+  async getReceipt(receiptId) {
+    if (!UUID_PATTERN.test(receiptId || "")) {
+      throw new ValidationError("Receipt ID must be a UUID", "receiptId");
+    }
+
+    const result = await databaseService.query(
+      `SELECT receipt_id, subject_hash, requested_via, items, erased_at
+       FROM erasure_receipts
+       WHERE receipt_id = $1`,
+      [receiptId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Receipts issued for a LINE user
+   * @param {string} lineUserId - LINE User ID
+   * @returns {Promise<Array>} Receipts, newest first
+   */
+  async findReceipts(lineUserId) {
+    const result = await databaseService.query(
+      `SELECT receipt_id, subject_hash, requested_via, items, erased_at
+       FROM erasure_receipts
+       WHERE subject_hash = $1
+       ORDER BY erased_at DESC`,
+      [this.subjectHash(lineUserId)]
+    );
+    return result.rows.map((row) => this.fromRow(row));
+  }
+
+  fromRow(row) {
+    const items = {};
+    for (const [name, count] of Object.entries(row.items || {})) {
+      items[name] = parseInt(count) || 0;
+    }
+
+    return {
+      receiptId: row.receipt_id,
+      erasedAt: row.erased_at,
+      requestedVia: row.requested_via,
+      items,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ErasureService();
@@ -0,0 +1,434 @@
+// services/ipReputationService.js - Persisted IP blocklist, allowlist and reputation
+//
+// Rules live in ip_rules so they survive cold starts, can be reviewed and
+// can be removed. A rule covers one address or CIDR range and is on one list:
+//
+// block   - requests are refused
+// allow   - never blocked, neither by a block rule nor automatically
+// suspect - suspicious activity recorded for review; changes nothing
+//
+// Each function instance matches requests against a copy of the live block
+// and allow rules with net.BlockList, so a request costs no query; the copy
+// is reloaded every cacheTtl, so rules added on another instance apply within
+// that time. Hits on block rules are counted in memory
+// and written with the next reload. Entries the security middleware makes
+// are "auto" and expire; they never overwrite a live "admin" entry.
+
+const net = require("net");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const databaseService = require("./databaseService");
+const { ValidationError } = require("../utils/errors");
+
+const LISTS = ["block", "allow", "suspect"];
+
+// An automatic update keeps the reason, source and expiry of a live admin entry
+const KEEPS_ADMIN_ENTRY = `ip_rules.source = 'admin'
+  AND EXCLUDED.source = 'auto'
+  AND (ip_rules.expires_at IS NULL OR ip_rules.expires_at > CURRENT_TIMESTAMP)`;
+
+class IpReputationService {
+  constructor() {
+    this.cacheTtl = config.ipRules.cacheTtl;
+    this.autoBlockDuration = config.ipRules.autoBlockDuration;
+    this.suspectDuration = config.ipRules.suspectDuration;
+    this.cache = null;
+    this.pendingHits = new Map(); // rule id -> hits not written yet
+    this.recentFlags = new Map(); // ip -> time it was last flagged
+  }
+
+  /**
+   * Parse an address or CIDR range
+   * @param {string} value - e.g. "203.0.113.7", "203.0.113.0/24", "2001:db8::/32"
+   * @returns {Object} { address, prefix, family }
+   * @throws {ValidationError} If it is neither
+   */
+  parseCidr(value) {
+    const [address, prefix, ...rest] = String(value || "")
+      .trim()
+      .split("/");
+    const version = net.isIP(address);
+    const maxPrefix = version === 6 ? 128 : 32;
+    const bits = prefix === undefined ? maxPrefix : parseInt(prefix, 10);
+
+    if (
+      !version ||
+      rest.length > 0 ||
+      (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) ||
+      bits > maxPrefix
+    ) {
+      throw new ValidationError(
+        `"${value}" is not an IP address or CIDR range`,
+        "cidr"
+      );
+    }
+    return {
+      address,
+      prefix: bits,
+      family: version === 6 ? "ipv6" : "ipv4",
+    };
+  }
+
+  /**
+   * Parse an expiry given to the admin API or CLI
+   * @param {string|null} value - ISO time, or null/undefined for never
+   * @returns {Date|null} Expiry
+   * @throws {ValidationError} If it is not a time in the future
+   */
+  parseExpiry(value) {
+    if (value === undefined || value === null) return null;
+
+    const expiresAt = new Date(value);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new ValidationError(
+        "expiresAt must be a time in the future",
+        "expiresAt"
+      );
+    }
+    return expiresAt;
+  }
+
+  /**
+   * Rule for the admin API and CLI
+   * @param {Object} row - ip_rules row
+   * @returns {Object} Rule
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      cidr: row.cidr,
+      list: row.list,
+      reason: row.reason,
+      source: row.source,
+      hits: row.hits,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at,
+      expiresAt: row.expires_at,
+    };
+  }
+
+  /**
+   * Live block and allow rules, reloaded every cacheTtl
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} { rule, blockList } per rule
+   */
+  async loadRules(now = new Date()) {
+    if (this.cache && now.getTime() - this.cache.loadedAt < this.cacheTtl) {
+      return this.cache.rules;
+    }
+
+    await this.flushHits(now);
+
+    const result = await databaseService.query(
+      `SELECT id, cidr, list, reason, source, hits, first_seen_at,
+              last_seen_at, expires_at
+       FROM ip_rules
+       WHERE list IN ('block', 'allow')
+         AND (expires_at IS NULL OR expires_at > $1)`,
+      [now]
+    );
+
+    const rules = result.rows.map((row) => {
+      const { address, prefix, family } = this.parseCidr(row.cidr);
+      const blockList = new net.BlockList();
+      blockList.addSubnet(address, prefix, family);
+      return { rule: this.fromRow(row), blockList };
+    });
+
+    this.cache = { rules, loadedAt: now.getTime() };
+    return rules;
+  }
+
+  /**
+   * Drop the cached rules so the next check reloads them
+   */
+  clearCache() {
+    this.cache = null;
+  }
+
+  /**
+   * Match a client IP against the block and allow rules, counting a hit on
+   * the block rule that refuses it. An allow rule wins over block rules.
+   * @param {string|null} ip - Client IP
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { allowRule, blockRule }, each null for none
+   */
+  async check(ip, now = new Date()) {
+    const address = this.normalizeIp(ip);
+    if (!address) return { allowRule: null, blockRule: null };
+
+    let rules;
+    try {
+      rules = await this.loadRules(now);
+    } catch (error) {
+      // Keep serving with the last rules known; retry after cacheTtl
+      logger.error("IP rules unavailable, using the last rules loaded", {
+        error: error.message,
+      });
+      rules = this.cache ? this.cache.rules : [];
+      this.cache = { rules, loadedAt: now.getTime() };
+    }
+
+    const family = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+    const matching = rules
+      .filter(
+        ({ rule, blockList }) =>
+          (!rule.expiresAt || new Date(rule.expiresAt) > now) &&
+          blockList.check(address, family)
+      )
+      .map(({ rule }) => rule);
+
+    const allowRule = matching.find((rule) => rule.list === "allow") || null;
+    const blockRule = allowRule
+      ? null
+      : matching.find((rule) => rule.list === "block") || null;
+
+    if (blockRule) {
+      this.pendingHits.set(
+        blockRule.id,
+        (this.pendingHits.get(blockRule.id) || 0) + 1
+      );
+    }
+    return { allowRule, blockRule };
+  }
+
+  /**
+   * Write the hits counted since the last reload
+   * @param {Date} now - Current time
+   */
+  async flushHits(now = new Date()) {
+    if (this.pendingHits.size === 0) return;
+
+    const hits = [...this.pendingHits];
+    this.pendingHits.clear();
+
+    try {
+      await databaseService.query(
+        `UPDATE ip_rules
+         SET hits = ip_rules.hits + pending.hits, last_seen_at = $3
+         FROM UNNEST($1::INTEGER[], $2::INTEGER[]) AS pending(id, hits)
+         WHERE ip_rules.id = pending.id`,
+        [hits.map(([id]) => id), hits.map(([, count]) => count), now]
+      );
+    } catch (error) {
+      // Hit counts are informational; losing some is acceptable
+      logger.warn("Failed to write IP rule hits", { error: error.message });
+    }
+  }
+
+  /**
+   * Plain address of a client IP (IPv4-mapped IPv6 becomes IPv4)
+   * @param {string|null} ip - Client IP
+   * @returns {string|null} Address, null if it is not an IP address
+   */
+  normalizeIp(ip) {
+    const address = String(ip || "")
+      .trim()
+      .replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+    return net.isIP(address) ? address : null;
+  }
+
+  /**
+   * Add or update the entry for a range on a list
+   * @param {string} list - "block", "allow" or "suspect"
+   * @param {string} cidr - Address or CIDR range
+   * @param {Object} options
+   * @param {string|null} options.reason - Why, for review
+   * @param {string} options.source - "admin" or "auto"
+   * @param {Date|null} options.expiresAt - Expiry, null for never
+   * @param {number} options.hits - Hits to add
+   * @returns {Promise<Object>} Rule
+   */
+  async record(
+    list,
+    cidr,
+    { reason = null, source = "admin", expiresAt = null, hits = 0 } = {}
+  ) {
+    if (!LISTS.includes(list)) {
+      throw new ValidationError(
+        `list must be one of: ${LISTS.join(", ")}`,
+        "list"
+      );
+    }
+    const { address, prefix } = this.parseCidr(cidr);
+
+    const result = await databaseService.query(
+      `INSERT INTO ip_rules (cidr, list, reason, source, hits, expires_at)
+       VALUES (network($1::INET), $2, $3, $4, $5, $6)
+       ON CONFLICT (cidr, list) DO UPDATE SET
+         hits = ip_rules.hits + EXCLUDED.hits,
+         last_seen_at = CURRENT_TIMESTAMP,
+         reason = CASE WHEN ${KEEPS_ADMIN_ENTRY}
+           THEN ip_rules.reason ELSE EXCLUDED.reason END,
+         expires_at = CASE WHEN ${KEEPS_ADMIN_ENTRY}
+           THEN ip_rules.expires_at ELSE EXCLUDED.expires_at END,
+         source = CASE WHEN ${KEEPS_ADMIN_ENTRY}
+           THEN ip_rules.source ELSE EXCLUDED.source END
+       RETURNING *`,
+      [
+        `${address}/${prefix}`,
+        list,
+        reason ? String(reason).substring(0, 500) : null,
+        source,
+        hits,
+        expiresAt,
+      ]
+    );
+
+    if (list !== "suspect") {
+      this.clearCache();
+    }
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Block an address or range (admin)
+   * @param {string} cidr - Address or CIDR range
+   * @param {Object} options - { reason, expiresAt }
+   * @returns {Promise<Object>} Rule
+   */
+  async block(cidr, { reason = null, expiresAt = null } = {}) {
+    const rule = await this.record("block", cidr, { reason, expiresAt });
+    logger.info("IP rule added", { list: "block", cidr: rule.cidr, reason });
+    return rule;
+  }
+
+  /**
+   * Allowlist an address or range (admin)
+   * @param {string} cidr - Address or CIDR range
+   * @param {Object} options - { reason, expiresAt }
+   * @returns {Promise<Object>} Rule
+   */
+  async allow(cidr, { reason = null, expiresAt = null } = {}) {
+    const rule = await this.record("allow", cidr, { reason, expiresAt });
+    logger.info("IP rule added", { list: "allow", cidr: rule.cidr, reason });
+    return rule;
+  }
+
+  /**
+   * Block a client IP for autoBlockDuration (security middleware). Never
+   * throws: blocking must not fail the request that triggered it.
+   * @param {string} ip - Client IP
+   * @param {string} reason - Why
+   * @returns {Promise<Object|null>} Rule, null if not recorded
+   */
+  async autoBlock(ip, reason) {
+    const address = this.normalizeIp(ip);
+    if (!address) return null;
+
+    try {
+      const rule = await this.record("block", address, {
+        reason,
+        source: "auto",
+        expiresAt: new Date(Date.now() + this.autoBlockDuration),
+        hits: 1,
+      });
+      logger.warn("IP blocked automatically", { ip: address, reason });
+      return rule;
+    } catch (error) {
+      logger.error("Failed to block IP", { ip: address, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record suspicious activity from a client IP, at most once per cacheTtl
+   * per IP and instance. Never throws.
+   * @param {string} ip - Client IP
+   * @param {string} reason - Why
+   * @returns {Promise<Object|null>} Rule, null if not recorded
+   */
+  async flag(ip, reason) {
+    const address = this.normalizeIp(ip);
+    if (!address) return null;
+
+    const now = Date.now();
+    if (now - (this.recentFlags.get(address) || 0) < this.cacheTtl) {
+      return null;
+    }
+    this.recentFlags.set(address, now);
+    if (this.recentFlags.size > 1000) {
+      for (const [flagged, at] of this.recentFlags) {
+        if (now - at >= this.cacheTtl) this.recentFlags.delete(flagged);
+      }
+    }
+
+    try {
+      return await this.record("suspect", address, {
+        reason,
+        source: "auto",
+        expiresAt: new Date(now + this.suspectDuration),
+        hits: 1,
+      });
+    } catch (error) {
+      logger.error("Failed to flag IP", { ip: address, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Rules for review
+   * @param {Object} options
+   * @param {string|null} options.list - Only this list
+   * @param {boolean} options.includeExpired - Also expired entries
+   * @returns {Promise<Array<Object>>} Rules, most recently seen first
+   */
+  async list({ list = null, includeExpired = false } = {}) {
+    if (list && !LISTS.includes(list)) {
+      throw new ValidationError(
+        `list must be one of: ${LISTS.join(", ")}`,
+        "list"
+      );
+    }
+
+    const result = await databaseService.query(
+      `SELECT id, cidr, list, reason, source, hits, first_seen_at,
+              last_seen_at, expires_at
+       FROM ip_rules
+       WHERE ($1::VARCHAR IS NULL OR list = $1)
+         AND ($2 OR expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       ORDER BY last_seen_at DESC`,
+      [list, includeExpired]
+    );
+    return result.rows.map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Remove a rule (unblock, or take off the allowlist)
+   * @param {number} id - Rule ID
+   * @returns {Promise<Object|null>} Removed rule, null if there was none
+   */
+  async remove(id) {
+    const ruleId = parseInt(id, 10);
+    if (!Number.isInteger(ruleId) || String(ruleId) !== String(id).trim()) {
+      throw new ValidationError("Rule ID must be a number", "id");
+    }
+
+    const result = await databaseService.query(
+      "DELETE FROM ip_rules WHERE id = $1 RETURNING *",
+      [ruleId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const rule = this.fromRow(result.rows[0]);
+    this.clearCache();
+    logger.info("IP rule removed", { list: rule.list, cidr: rule.cidr });
+    return rule;
+  }
+
+  /**
+   * Delete entries that expired more than a number of days ago
+   * @param {number} days - Days to keep expired entries for review
+   * @returns {Promise<number>} Entries deleted
+   */
+  async purgeExpired(days = 30) {
+    const result = await databaseService.query(
+      "DELETE FROM ip_rules WHERE expires_at < $1",
+      [new Date(Date.now() - days * 24 * 60 * 60 * 1000)]
+    );
+    return result.rowCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new IpReputationService();
@@ -1,6 +1,8 @@
 // services/lineAuthService.js - Production-ready LINE authentication service
 
+const crypto = require("crypto");
 const axios = require("axios");
+const jwt = require("jsonwebtoken");
 const config = require("../config/config");
 const logger = require("../utils/logger");
 const { AuthenticationError, ExternalAPIError } = require("../utils/errors");
@@ -9,6 +11,17 @@ class LineAuthService {
   constructor() {
     this.verifyUrl = config.line.verifyUrl;
     this.liffId = config.line.liffId;
+    this.channelId = config.line.channelId;
+    this.loginChannelSecret = config.line.loginChannelSecret;
+    this.issuer = config.line.issuer;
+    this.jwksUrl = config.line.jwksUrl;
+    this.verifyMode = config.line.idTokenVerifyMode;
+    this.jwksCacheTtl = config.line.jwksCacheTtl;
+
+    // Cached LINE signing keys (kid -> KeyObject)
+    this.signingKeys = new Map();
+    this.keysFetchedAt = 0;
+    this.keysRefreshPromise = null;
 
     // Configure axios with timeout and retry logic
     this.httpClient = axios.create({
@@ -74,12 +87,186 @@ class LineAuthService {
       throw new AuthenticationError("Invalid ID Token format");
     }
 
+    if (this.verifyMode === "remote") {
+      return this.verifyIdTokenRemote(idToken);
+    }
+
+    try {
+      return await this.verifyIdTokenLocal(idToken);
+    } catch (error) {
+      // Signing keys unavailable: let LINE verify the token instead
+      if (error instanceof ExternalAPIError) {
+        logger.warn("Local ID Token verification unavailable, using remote", {
+          error: error.message,
+        });
+        return this.verifyIdTokenRemote(idToken);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify LINE ID Token signature and claims locally
+   * ES256 tokens are checked against LINE's JWKS, HS256 tokens against the
+   * LINE Login channel secret.
+   * @param {string} idToken - LINE ID Token
+   * @returns {Promise<Object>} Standardized token data
+   * @throws {AuthenticationError} If token is invalid
+   * @throws {ExternalAPIError} If signing keys cannot be fetched
+   */
+  async verifyIdTokenLocal(idToken) {
+    const startTime = Date.now();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !decoded.header) {
+      throw new AuthenticationError("Invalid ID Token format");
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+
+    if (alg === "ES256") {
+      key = await this.getSigningKey(kid);
+    } else if (alg === "HS256") {
+      if (!this.loginChannelSecret) {
+        throw new AuthenticationError(
+          "HS256 ID Tokens require LINE_LOGIN_CHANNEL_SECRET"
+        );
+      }
+      key = this.loginChannelSecret;
+    } else {
+      throw new AuthenticationError(`Unsupported ID Token algorithm: ${alg}`);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: [alg],
+        issuer: this.issuer,
+        audience: this.channelId,
+        clockTolerance: 5,
+      });
+    } catch (error) {
+      logger.logAuth("unknown", "token_verify", false, {
+        duration: `${Date.now() - startTime}ms`,
+        mode: "local",
+        error: error.message,
+      });
+
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new AuthenticationError("Invalid or expired ID Token");
+      }
+      throw new AuthenticationError(`Invalid ID Token: ${error.message}`);
+    }
+
+    if (!payload.sub) {
+      throw new AuthenticationError("ID Token has no subject");
+    }
+
+    logger.logAuth(payload.sub, "token_verify", true, {
+      duration: `${Date.now() - startTime}ms`,
+      mode: "local",
+      alg,
+    });
+
+    return this.formatTokenData(payload);
+  }
+
+  /**
+   * Get the LINE public key for a key ID, refreshing the cached key set when
+   * it is stale or the key is unknown (LINE rotated its keys)
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject>} Public key
+   * @throws {AuthenticationError} If LINE does not publish the key
+   * @throws {ExternalAPIError} If the key set cannot be fetched
+   */
+  async getSigningKey(kid) {
+    if (!kid) {
+      throw new AuthenticationError("ID Token header has no key ID");
+    }
+
+    const isStale = Date.now() - this.keysFetchedAt > this.jwksCacheTtl;
+    if (isStale || !this.signingKeys.has(kid)) {
+      await this.refreshSigningKeys();
+    }
+
+    const key = this.signingKeys.get(kid);
+    if (!key) {
+      throw new AuthenticationError("ID Token signed with an unknown key");
+    }
+    return key;
+  }
+
+  /**
+   * Fetch LINE's JWKS and replace the cached key set
+   * Concurrent callers share one request; refreshes are throttled to one
+   * per minute so forged key IDs cannot be used to hammer LINE.
+   * @param {boolean} force - Ignore the refresh throttle
+   * @returns {Promise<void>}
+   * @throws {ExternalAPIError} If the key set cannot be fetched
+   */
+  async refreshSigningKeys(force = false) {
+    if (this.keysRefreshPromise) {
+      return this.keysRefreshPromise;
+    }
+
+    if (!force && Date.now() - this.keysFetchedAt < 60 * 1000) {
+      return;
+    }
+
+    this.keysRefreshPromise = (async () => {
+      try {
+        const response = await this.httpClient.get(this.jwksUrl);
+        const keys = new Map();
+
+        for (const jwk of response.data?.keys || []) {
+          try {
+            keys.set(
+              jwk.kid,
+              crypto.createPublicKey({ key: jwk, format: "jwk" })
+            );
+          } catch (error) {
+            logger.warn("Skipping unusable LINE signing key", {
+              kid: jwk.kid,
+              error: error.message,
+            });
+          }
+        }
+
+        if (keys.size === 0) {
+          throw new Error("JWKS contains no usable keys");
+        }
+
+        this.signingKeys = keys;
+        this.keysFetchedAt = Date.now();
+        logger.debug("LINE signing keys refreshed", { keys: keys.size });
+      } catch (error) {
+        throw new ExternalAPIError(
+          `Failed to fetch LINE signing keys: ${error.message}`,
+          "LINE"
+        );
+      } finally {
+        this.keysRefreshPromise = null;
+      }
+    })();
+
+    return this.keysRefreshPromise;
+  }
+
+  /**
+   * Verify LINE ID Token through LINE's verify endpoint
+   * @param {string} idToken - LINE ID Token
+   * @returns {Promise<Object>} Standardized token data
+   * @throws {AuthenticationError} If token is invalid
+   * @throws {ExternalAPIError} If LINE API fails
+   */
+  async verifyIdTokenRemote(idToken) {
     const startTime = Date.now();
 
     try {
       const params = new URLSearchParams({
         id_token: idToken,
-        client_id: this.liffId,
+        client_id: this.channelId,
       });
 
       const response = await this.httpClient.post(this.verifyUrl, params);
@@ -94,21 +281,16 @@ class LineAuthService {
 
       logger.logAuth(tokenData.sub, "token_verify", true, {
         duration: `${duration}ms`,
+        mode: "remote",
         aud: tokenData.aud,
       });
 
-      // Return standardized user info
-      return {
-        lineUserId: tokenData.sub,
-        clientId: tokenData.aud,
-        issuer: tokenData.iss,
-        expiresAt: tokenData.exp,
-        issuedAt: tokenData.iat,
-        name: tokenData.name,
-        picture: tokenData.picture,
-        email: tokenData.email,
-      };
+      return this.formatTokenData(tokenData);
     } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+
       const duration = Date.now() - startTime;
 
       if (error.response) {
@@ -153,12 +335,30 @@ class LineAuthService {
   }
 
   /**
-   * Middleware for verifying LINE ID Token in requests
+   * Convert verified ID Token claims into standardized user info
+   * @param {Object} tokenData - Verified token claims
+   * @returns {Object} Standardized user info
+   */
+  formatTokenData(tokenData) {
+    return {
+      lineUserId: tokenData.sub,
+      clientId: tokenData.aud,
+      issuer: tokenData.iss,
+      expiresAt: tokenData.exp,
+      issuedAt: tokenData.iat,
+      name: tokenData.name,
+      picture: tokenData.picture,
+      email: tokenData.email,
+    };
+  }
+
+  /**
+   * Extract the Bearer token from request headers
    * @param {Object} headers - Request headers
-   * @returns {Promise<string>} LINE User ID
-   * @throws {AuthenticationError} If authentication fails
+   * @returns {string} Bearer token
+   * @throws {AuthenticationError} If the header is missing or malformed
    */
-  async authenticateRequest(headers) {
+  getBearerToken(headers) {
     const authHeader = headers.authorization;
 
     if (!authHeader) {
@@ -171,15 +371,26 @@ class LineAuthService {
       );
     }
 
-    const idToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    if (!idToken) {
+    if (!token) {
       throw new AuthenticationError("Bearer token is empty");
     }
 
+    return token;
+  }
+
+  /**
+   * Verify the Bearer LINE ID Token carried by a request
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Standardized token data (lineUserId, name, ...)
+   * @throws {AuthenticationError} If authentication fails
+   */
+  async verifyRequest(headers) {
+    const idToken = this.getBearerToken(headers);
+
     try {
-      const tokenData = await this.verifyIdToken(idToken);
-      return tokenData.lineUserId;
+      return await this.verifyIdToken(idToken);
     } catch (error) {
       // Re-throw with additional context
       if (
@@ -192,6 +403,17 @@ class LineAuthService {
     }
   }
 
+  /**
+   * Middleware for verifying LINE ID Token in requests
+   * @param {Object} headers - Request headers
+   * @returns {Promise<string>} LINE User ID
+   * @throws {AuthenticationError} If authentication fails
+   */
+  async authenticateRequest(headers) {
+    const tokenData = await this.verifyRequest(headers);
+    return tokenData.lineUserId;
+  }
+
   /**
    * Health check for LINE API connectivity
    * @returns {Promise<boolean>} True if LINE API is accessible
@@ -203,7 +425,7 @@ class LineAuthService {
         this.verifyUrl,
         new URLSearchParams({
           id_token: "dummy_token",
-          client_id: this.liffId,
+          client_id: this.channelId,
         })
       );
       return false; // Should not reach here
@@ -0,0 +1,184 @@
+// services/lineMessagingService.js - LINE Messaging API client
+//
+// Replies and pushes are retried when LINE answers 429, waiting for the
+// Retry-After header when present and backing off exponentially otherwise.
+// Pushes carry an X-Line-Retry-Key so a retried push is never delivered
+// twice. config.line.messagingTransport picks where requests go:
+//   "http" - the real Messaging API at config.line.messagingApiUrl and
+//            config.line.messagingDataApiUrl (default)
+//   "stub" - the in-process stub from lineMessagingStub.js
+
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { LineMessagingStub } = require("./lineMessagingStub");
+const { ExternalAPIError } = require("../utils/errors");
+
+class LineMessagingService {
+  constructor() {
+    this.channelAccessToken = config.line.channelAccessToken;
+    this.transport = config.line.messagingTransport;
+    this.maxRetries = config.line.messagingMaxRetries;
+    this.retryDelay = config.line.messagingRetryDelay;
+    this.dataApiUrl = config.line.messagingDataApiUrl;
+
+    if (this.transport !== "http" && this.transport !== "stub") {
+      throw new Error(`Unknown LINE messaging transport: ${this.transport}`);
+    }
+    this.stub =
+      this.transport === "stub"
+        ? new LineMessagingStub({ channelAccessToken: this.channelAccessToken })
+        : null;
+
+    this.httpClient = axios.create({
+      baseURL: config.line.messagingApiUrl,
+      timeout: 10000,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Prima789-LIFF/1.0",
+      },
+      ...(this.stub && { adapter: this.stub.adapter() }),
+    });
+  }
+
+  /**
+   * Reply to a webhook event
+   * @param {string} replyToken - Token from the webhook event (single use)
+   * @param {Array<Object>} messages - Up to 5 message objects
+   * @returns {Promise<void>}
+   * @throws {ExternalAPIError} If LINE rejects the reply
+   */
+  async reply(replyToken, messages) {
+    await this.send("/message/reply", { replyToken, messages });
+  }
+
+  /**
+   * Push messages to a LINE user outside a webhook reply
+   * @param {string} to - LINE User ID
+   * @param {Array<Object>} messages - Up to 5 message objects
+   * @returns {Promise<void>}
+   * @throws {ExternalAPIError} If LINE rejects the push
+   */
+  async push(to, messages) {
+    await this.send(
+      "/message/push",
+      { to, messages },
+      { "X-Line-Retry-Key": crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Send messages, retrying on 429
+   * @param {string} path - API path
+   * @param {Object} body - Request body with messages
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<void>}
+   * @throws {ExternalAPIError} LINE_RATE_LIMITED after the last retry,
+   *   LINE_API_ERROR for other failures
+   */
+  async send(path, body, headers = {}) {
+    await this.request("POST", path, body, { headers });
+    logger.debug("LINE message sent", {
+      path,
+      messages: body.messages.length,
+    });
+  }
+
+  /**
+   * Call the Messaging API, retrying on 429
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {*} data - Request body
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers
+   * @param {boolean} options.dataApi - Use the api-data host (content uploads)
+   * @returns {Promise<*>} Response body
+   * @throws {ExternalAPIError} LINE_RATE_LIMITED after the last retry,
+   *   LINE_API_ERROR for other failures
+   */
+  async request(method, path, data, { headers = {}, dataApi = false } = {}) {
+    if (!this.channelAccessToken) {
+      throw new ExternalAPIError(
+        "LINE_BOT_CHANNEL_ACCESS_TOKEN is not set",
+        "LINE",
+        "LINE_NOT_CONFIGURED"
+      );
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.httpClient.request({
+          method,
+          url: dataApi ? `${this.dataApiUrl}${path}` : path,
+          data,
+          headers: {
+            Authorization: `Bearer ${this.channelAccessToken}`,
+            ...headers,
+          },
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+
+        // A retried push LINE had already accepted
+        if (status === 409 && headers["X-Line-Retry-Key"]) {
+          logger.debug("LINE push already accepted", { path });
+          return error.response.data;
+        }
+
+        if (status === 429 && attempt < this.maxRetries) {
+          const wait = this.getRetryWait(error.response, attempt);
+          logger.warn("LINE rate limited, retrying", {
+            path,
+            attempt: attempt + 1,
+            wait,
+          });
+          await this.delay(wait);
+          continue;
+        }
+
+        logger.error("LINE request failed", {
+          method,
+          path,
+          status,
+          data: error.response?.data,
+          error: error.message,
+        });
+        throw new ExternalAPIError(
+          `LINE ${path} failed: ${
+            error.response?.data?.message || error.message
+          }`,
+          "LINE",
+          status === 429 ? "LINE_RATE_LIMITED" : "LINE_API_ERROR"
+        );
+      }
+    }
+  }
+
+  /**
+   * How long to wait before retrying a rate limited request
+   * @param {Object} response - 429 response
+   * @param {number} attempt - Attempts made so far minus one
+   * @returns {number} Milliseconds
+   */
+  getRetryWait(response, attempt) {
+    const retryAfter = parseInt(response?.headers?.["retry-after"], 10);
+    if (Number.isInteger(retryAfter) && retryAfter >= 0) {
+      return retryAfter * 1000;
+    }
+    return this.retryDelay * 2 ** attempt;
+  }
+
+  /**
+   * Utility function for delay
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise} Promise that resolves after delay
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+// Export singleton instance
+module.exports = new LineMessagingService();
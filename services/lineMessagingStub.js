@@ -0,0 +1,408 @@
+// services/lineMessagingStub.js - In-process stub of the LINE Messaging API
+//
+// Answers /message/reply, /message/push and the rich menu endpoints the way
+// the real API does for the cases the app relies on (auth, message limits,
+// single-use reply tokens, X-Line-Retry-Key, 429 rate limiting, rich menu
+// limits and per-user links) and records every accepted message, so
+// rendering and sending can be tested offline. Select it with
+// LINE_MESSAGING_TRANSPORT=stub.
+
+const crypto = require("crypto");
+
+const MAX_MESSAGES = 5;
+const MAX_ALT_TEXT = 400;
+const USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+const MAX_RICH_MENU_AREAS = 20;
+const MAX_CHAT_BAR_TEXT = 14;
+const MAX_BULK_LINK_USERS = 500;
+const IMAGE_TYPES = ["image/png", "image/jpeg"];
+
+class LineMessagingStub {
+  /**
+   * @param {Object} options
+   * @param {string} options.channelAccessToken - Token requests must carry
+   */
+  constructor({ channelAccessToken } = {}) {
+    this.channelAccessToken = channelAccessToken;
+    this.reset();
+  }
+
+  /**
+   * Forget recorded requests, used reply tokens, queued failures and rich
+   * menus
+   */
+  reset() {
+    this.requests = [];
+    this.usedReplyTokens = new Set();
+    this.acceptedRetryKeys = new Map();
+    this.failures = [];
+    this.richMenus = new Map();
+    this.defaultRichMenuId = null;
+    this.userRichMenus = new Map();
+  }
+
+  /**
+   * Make the next `count` requests fail before they are accepted
+   * @param {number} count - Requests to fail
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (default 429)
+   * @param {number} options.retryAfter - Retry-After header (seconds)
+   */
+  failNext(count, { status = 429, retryAfter = null } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, retryAfter });
+    }
+  }
+
+  /**
+   * Accepted push and reply requests
+   * @param {string} type - "push" or "reply" to filter
+   * @returns {Array<Object>} Recorded requests
+   */
+  sent(type) {
+    return type
+      ? this.requests.filter((request) => request.type === type)
+      : this.requests;
+  }
+
+  /**
+   * Rich menu a user currently sees
+   * @param {string} userId - LINE User ID
+   * @returns {string|null} Rich menu ID (per-user link, else the default)
+   */
+  richMenuOf(userId) {
+    return this.userRichMenus.get(userId) || this.defaultRichMenuId;
+  }
+
+  /**
+   * Handle one API request
+   * @param {Object} request - { method, path, headers, data }
+   * @returns {Object} { status, headers, data }
+   */
+  handle({ method, path, headers = {}, data = {} }) {
+    const header = (name) =>
+      headers[name] ?? headers[name.toLowerCase()] ?? null;
+
+    if (header("Authorization") !== `Bearer ${this.channelAccessToken}`) {
+      return this.error(
+        401,
+        "Authentication failed. Confirm that the access token in the authorization header is valid."
+      );
+    }
+
+    const failure = this.failures.shift();
+    if (failure) {
+      return this.error(
+        failure.status,
+        failure.status === 429 ? "Too Many Requests" : "Internal Server Error",
+        failure.retryAfter ? { "retry-after": String(failure.retryAfter) } : {}
+      );
+    }
+
+    const route = `${method.toUpperCase()} ${path}`;
+
+    if (route === "POST /message/reply") {
+      return this.reply(data);
+    }
+    if (route === "POST /message/push") {
+      return this.push(data, header("X-Line-Retry-Key"));
+    }
+    if (path.startsWith("/richmenu") || path.startsWith("/user/")) {
+      return this.richMenu(route, data, header("Content-Type"));
+    }
+
+    return this.error(404, "Not found");
+  }
+
+  reply(data) {
+    const invalid = this.validateMessages(data.messages);
+    if (invalid) return this.error(400, invalid);
+
+    if (!data.replyToken || this.usedReplyTokens.has(data.replyToken)) {
+      return this.error(400, "Invalid reply token");
+    }
+    this.usedReplyTokens.add(data.replyToken);
+    return this.accept({
+      type: "reply",
+      replyToken: data.replyToken,
+      messages: data.messages,
+    });
+  }
+
+  push(data, retryKey) {
+    const invalid = this.validateMessages(data.messages);
+    if (invalid) return this.error(400, invalid);
+
+    if (!USER_ID_PATTERN.test(data.to || "")) {
+      return this.error(
+        400,
+        "The property, 'to', in the request body is invalid"
+      );
+    }
+
+    if (retryKey && this.acceptedRetryKeys.has(retryKey)) {
+      return this.error(409, "The retry key is already accepted", {
+        "x-line-accepted-request-id": this.acceptedRetryKeys.get(retryKey),
+      });
+    }
+
+    const response = this.accept({
+      type: "push",
+      to: data.to,
+      messages: data.messages,
+      retryKey,
+    });
+    if (retryKey) {
+      this.acceptedRetryKeys.set(
+        retryKey,
+        response.headers["x-line-request-id"]
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Rich menu endpoints: create, upload image, set default, link / unlink
+   * per user (single and bulk), list and delete
+   * @param {string} route - "METHOD /path"
+   * @param {*} data - Request body
+   * @param {string} contentType - Content-Type header
+   * @returns {Object} { status, headers, data }
+   */
+  richMenu(route, data, contentType) {
+    let match;
+
+    if (route === "POST /richmenu") {
+      const invalid = this.validateRichMenu(data);
+      if (invalid) return this.error(400, invalid);
+
+      const richMenuId = `richmenu-${crypto.randomBytes(16).toString("hex")}`;
+      this.richMenus.set(richMenuId, { definition: data, image: null });
+      return this.ok({ richMenuId });
+    }
+
+    if (route === "GET /richmenu/list") {
+      return this.ok({
+        richmenus: [...this.richMenus].map(([richMenuId, menu]) => ({
+          richMenuId,
+          ...menu.definition,
+        })),
+      });
+    }
+
+    if (route === "POST /richmenu/bulk/link") {
+      const menu = this.richMenus.get(data.richMenuId);
+      if (!menu?.image) return this.error(400, "Invalid rich menu ID");
+      const userIds = data.userIds || [];
+      if (userIds.length === 0 || userIds.length > MAX_BULK_LINK_USERS) {
+        return this.error(
+          400,
+          `userIds must contain 1 to ${MAX_BULK_LINK_USERS} items`
+        );
+      }
+      userIds.forEach((userId) =>
+        this.userRichMenus.set(userId, data.richMenuId)
+      );
+      return { status: 202, headers: {}, data: {} };
+    }
+
+    if ((match = route.match(/^POST \/richmenu\/([^/]+)\/content$/))) {
+      const menu = this.richMenus.get(match[1]);
+      if (!menu) return this.error(404, "Not found");
+      if (!IMAGE_TYPES.includes(contentType)) {
+        return this.error(415, "Content-Type must be image/png or image/jpeg");
+      }
+      if (menu.image) {
+        return this.error(400, "An image has already been uploaded");
+      }
+      menu.image = { contentType, size: data?.length || 0 };
+      return this.ok({});
+    }
+
+    if ((match = route.match(/^DELETE \/richmenu\/([^/]+)$/))) {
+      if (!this.richMenus.delete(match[1])) {
+        return this.error(404, "Not found");
+      }
+      if (this.defaultRichMenuId === match[1]) this.defaultRichMenuId = null;
+      for (const [userId, richMenuId] of this.userRichMenus) {
+        if (richMenuId === match[1]) this.userRichMenus.delete(userId);
+      }
+      return this.ok({});
+    }
+
+    if ((match = route.match(/^POST \/user\/([^/]+)\/richmenu\/([^/]+)$/))) {
+      const [, userId, richMenuId] = match;
+      if (!this.richMenus.get(richMenuId)?.image) {
+        return this.error(400, "Invalid rich menu ID");
+      }
+      if (userId === "all") {
+        this.defaultRichMenuId = richMenuId;
+      } else if (USER_ID_PATTERN.test(userId)) {
+        this.userRichMenus.set(userId, richMenuId);
+      } else {
+        return this.error(400, "Invalid user ID");
+      }
+      return this.ok({});
+    }
+
+    if ((match = route.match(/^GET \/user\/([^/]+)\/richmenu$/))) {
+      const richMenuId = this.userRichMenus.get(match[1]);
+      return richMenuId
+        ? this.ok({ richMenuId })
+        : this.error(404, "the user has no richmenu");
+    }
+
+    if ((match = route.match(/^DELETE \/user\/([^/]+)\/richmenu$/))) {
+      this.userRichMenus.delete(match[1]);
+      return this.ok({});
+    }
+
+    return this.error(404, "Not found");
+  }
+
+  /**
+   * Check a rich menu object the way the API rejects it
+   * @param {Object} menu - Rich menu object
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateRichMenu(menu) {
+    const { size, name, chatBarText, areas } = menu || {};
+
+    if (
+      !size ||
+      size.width < 800 ||
+      size.width > 2500 ||
+      size.height < 250 ||
+      size.width / size.height < 1.45
+    ) {
+      return "size must be 800-2500 wide with an aspect ratio of at least 1.45";
+    }
+    if (typeof menu.selected !== "boolean") {
+      return "selected must be a boolean";
+    }
+    if (!name || name.length > 300) {
+      return "name must be 1 to 300 characters";
+    }
+    if (!chatBarText || chatBarText.length > MAX_CHAT_BAR_TEXT) {
+      return `chatBarText must be 1 to ${MAX_CHAT_BAR_TEXT} characters`;
+    }
+    if (
+      !Array.isArray(areas) ||
+      areas.length === 0 ||
+      areas.length > MAX_RICH_MENU_AREAS
+    ) {
+      return `areas must contain 1 to ${MAX_RICH_MENU_AREAS} items`;
+    }
+
+    for (const { bounds, action } of areas) {
+      if (
+        !bounds ||
+        bounds.x < 0 ||
+        bounds.y < 0 ||
+        bounds.x + bounds.width > size.width ||
+        bounds.y + bounds.height > size.height
+      ) {
+        return "area bounds must lie inside the rich menu";
+      }
+      if (!action?.type) {
+        return "area action requires a type";
+      }
+      if (
+        action.type === "uri" &&
+        !/^(https?|line|tel):/.test(action.uri || "")
+      ) {
+        return "uri action requires an http(s), line or tel URI";
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the message list the way the API rejects it
+   * @param {Array<Object>} messages - Message objects
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateMessages(messages) {
+    if (
+      !Array.isArray(messages) ||
+      messages.length === 0 ||
+      messages.length > MAX_MESSAGES
+    ) {
+      return `messages must contain 1 to ${MAX_MESSAGES} items`;
+    }
+
+    for (const message of messages) {
+      if (message.type === "text" && !message.text) {
+        return "text message requires text";
+      }
+      if (message.type === "flex") {
+        if (!message.altText || message.altText.length > MAX_ALT_TEXT) {
+          return `flex message altText must be 1 to ${MAX_ALT_TEXT} characters`;
+        }
+        if (!["bubble", "carousel"].includes(message.contents?.type)) {
+          return "flex message contents must be a bubble or carousel";
+        }
+      }
+    }
+    return null;
+  }
+
+  accept(request) {
+    const requestId = crypto.randomUUID();
+    this.requests.push({ ...request, requestId });
+    return {
+      status: 200,
+      headers: { "x-line-request-id": requestId },
+      data: {},
+    };
+  }
+
+  ok(data) {
+    return { status: 200, headers: {}, data };
+  }
+
+  error(status, message, headers = {}) {
+    return { status, headers, data: { message } };
+  }
+
+  /**
+   * axios adapter answering requests from this stub
+   * @returns {Function} Adapter for axios.create({ adapter })
+   */
+  adapter() {
+    return async (axiosConfig) => {
+      const result = this.handle({
+        method: axiosConfig.method,
+        // Content uploads use an absolute api-data URL
+        path: axiosConfig.url.replace(/^https?:\/\/[^/]+\/v2\/bot/, ""),
+        headers: axiosConfig.headers?.toJSON
+          ? axiosConfig.headers.toJSON()
+          : { ...axiosConfig.headers },
+        data:
+          typeof axiosConfig.data === "string"
+            ? JSON.parse(axiosConfig.data)
+            : axiosConfig.data || {},
+      });
+
+      const response = {
+        ...result,
+        statusText: String(result.status),
+        config: axiosConfig,
+        request: {},
+      };
+
+      if (result.status >= 400) {
+        const error = new Error(
+          `Request failed with status code ${result.status}`
+        );
+        error.isAxiosError = true;
+        error.config = axiosConfig;
+        error.response = response;
+        throw error;
+      }
+      return response;
+    };
+  }
+}
+
+module.exports = { LineMessagingStub };
@@ -0,0 +1,198 @@
+// services/lineWebhookService.js - LINE Messaging API webhook events
+//
+// Requests are accepted only with a valid X-Line-Signature (HMAC-SHA256 of
+// the raw body with the channel secret). Events are handled one at a time in
+// delivery order; a failing event is logged and does not fail the others, so
+// LINE always gets a 200 and does not redeliver the batch.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const databaseService = require("./databaseService");
+const lineMessagingService = require("./lineMessagingService");
+const memberCardService = require("./memberCardService");
+const { AppError, AuthenticationError } = require("../utils/errors");
+
+// Text messages that ask for the member card
+const BALANCE_KEYWORDS = ["balance", "ยอด", "ยอดเงิน", "เช็คยอด"];
+
+// Postback data sent by buttons that ask for the member card
+const BALANCE_POSTBACK = "action=balance";
+
+class LineWebhookService {
+  constructor() {
+    this.channelSecret = config.line.channelSecret;
+
+    this.handlers = {
+      follow: (event) => this.handleFollow(event),
+      unfollow: (event) => this.handleUnfollow(event),
+      message: (event) => this.handleMessage(event),
+      postback: (event) => this.handlePostback(event),
+    };
+  }
+
+  /**
+   * Check the X-Line-Signature header against the raw request body
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} signature - X-Line-Signature header
+   * @throws {AppError} If the channel secret is not configured
+   * @throws {AuthenticationError} If the signature is missing or wrong
+   */
+  verifySignature(rawBody, signature) {
+    if (!this.channelSecret) {
+      throw new AppError(
+        "LINE webhook is not configured",
+        503,
+        "WEBHOOK_NOT_CONFIGURED"
+      );
+    }
+
+    if (!signature || typeof signature !== "string") {
+      throw new AuthenticationError(
+        "X-Line-Signature header is required",
+        "INVALID_SIGNATURE"
+      );
+    }
+
+    const expected = crypto
+      .createHmac("sha256", this.channelSecret)
+      .update(rawBody || "", "utf8")
+      .digest();
+    const received = Buffer.from(signature, "base64");
+
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      throw new AuthenticationError(
+        "Invalid LINE webhook signature",
+        "INVALID_SIGNATURE"
+      );
+    }
+  }
+
+  /**
+   * Handle the events of one webhook request in order
+   * @param {Array<Object>} events - Webhook events
+   * @returns {Promise<Object>} handled, failed and ignored counts
+   */
+  async dispatch(events) {
+    const summary = { handled: 0, failed: 0, ignored: 0 };
+
+    for (const event of events) {
+      const handler = this.handlers[event.type];
+
+      if (!handler || !event.source?.userId) {
+        summary.ignored++;
+        continue;
+      }
+
+      try {
+        await handler(event);
+        summary.handled++;
+      } catch (error) {
+        summary.failed++;
+        logger.error("LINE webhook event failed", {
+          type: event.type,
+          webhookEventId: event.webhookEventId,
+          error: error.message,
+          code: error.code,
+        });
+      }
+    }
+
+    logger.info("LINE webhook processed", {
+      events: events.length,
+      ...summary,
+    });
+    return summary;
+  }
+
+  /**
+   * Store whether a LINE user follows the official account, ignoring events
+   * older than the one already applied
+   * @param {string} lineUserId - LINE User ID
+   * @param {boolean} isFollowing - true for follow, false for unfollow
+   * @param {number} timestamp - Event time (ms since epoch)
+   * @returns {Promise<void>}
+   */
+  async recordFollowState(lineUserId, isFollowing, timestamp) {
+    await databaseService.query(
+      `INSERT INTO line_followers (
+         line_user_id, is_following, followed_at, unfollowed_at, last_event_at
+       )
+       VALUES (
+         $1, $2,
+         CASE WHEN $2::BOOLEAN THEN $3::TIMESTAMP END,
+         CASE WHEN NOT $2::BOOLEAN THEN $3::TIMESTAMP END,
+         $3
+       )
+       ON CONFLICT (line_user_id) DO UPDATE SET
+         is_following = EXCLUDED.is_following,
+         followed_at = COALESCE(EXCLUDED.followed_at, line_followers.followed_at),
+         unfollowed_at = COALESCE(EXCLUDED.unfollowed_at, line_followers.unfollowed_at),
+         last_event_at = EXCLUDED.last_event_at,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE line_followers.last_event_at < EXCLUDED.last_event_at`,
+      [lineUserId, isFollowing, new Date(timestamp || Date.now())]
+    );
+  }
+
+  /**
+   * follow - the user added (or unblocked) the official account
+   * @param {Object} event - Webhook event
+   */
+  async handleFollow(event) {
+    await this.recordFollowState(event.source.userId, true, event.timestamp);
+    await this.replyWithCard(event);
+  }
+
+  /**
+   * unfollow - the user blocked the official account (no reply possible)
+   * @param {Object} event - Webhook event
+   */
+  async handleUnfollow(event) {
+    await this.recordFollowState(event.source.userId, false, event.timestamp);
+  }
+
+  /**
+   * message - replies with the member card when asked for the balance
+   * @param {Object} event - Webhook event
+   */
+  async handleMessage(event) {
+    if (event.message?.type !== "text") return;
+
+    const text = event.message.text.trim().toLowerCase();
+    if (BALANCE_KEYWORDS.includes(text)) {
+      await this.replyWithCard(event);
+    }
+  }
+
+  /**
+   * postback - button and rich menu actions
+   * @param {Object} event - Webhook event
+   */
+  async handlePostback(event) {
+    if (event.postback?.data === BALANCE_POSTBACK) {
+      await this.replyWithCard(event);
+      return;
+    }
+
+    logger.debug("Unhandled LINE postback", { data: event.postback?.data });
+  }
+
+  /**
+   * Reply with the Flex member card, or a link prompt when not linked
+   * @param {Object} event - Webhook event carrying a replyToken
+   */
+  async replyWithCard(event) {
+    const account = await databaseService.findUserMapping(event.source.userId);
+    await lineMessagingService.reply(
+      event.replyToken,
+      await memberCardService.buildMessages(account)
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new LineWebhookService();
@@ -0,0 +1,235 @@
+// services/memberCardService.js - Member card data and its LINE rendering
+//
+// toCardPayload() is the card data the API returns and displayMemberCard()
+// renders in the LIFF page; renderFlexMessage() draws the same data as a
+// LINE Flex Message so the card can be sent in chat.
+
+const config = require("../config/config");
+const databaseService = require("./databaseService");
+const lineMessagingService = require("./lineMessagingService");
+const tierService = require("./tierService");
+const { AppError } = require("../utils/errors");
+
+// Colors of the LIFF member card (Tailwind gray / amber)
+const COLORS = {
+  background: "#1f2937",
+  panel: "#374151",
+  text: "#f9fafb",
+  muted: "#9ca3af",
+  subtle: "#6b7280",
+  accent: "#fbbf24",
+  button: "#f59e0b",
+  badgeText: "#111827",
+};
+
+class MemberCardService {
+  constructor() {
+    this.liffUrl = `https://liff.line.me/${config.line.liffId}`;
+  }
+
+  /**
+   * Convert a user_accounts row into the member card payload
+   * @param {Object} account - user_accounts row
+   * @returns {Promise<Object>} Card data rendered by displayMemberCard()
+   */
+  async toCardPayload(account) {
+    return {
+      username: account.prima_username,
+      name:
+        `${account.first_name || ""} ${account.last_name || ""}`.trim() ||
+        account.prima_username,
+      phone: account.prima_phone,
+      level: account.member_tier,
+      tier: await tierService.describe(account),
+      balance: parseFloat(account.credit_balance) || 0,
+      lastUpdated: account.last_sync || account.updated_at,
+      source: "database",
+    };
+  }
+
+  /**
+   * Hide the middle digits of a phone number (081-XXX-5678)
+   * @param {string} phone - Phone number
+   * @returns {string} Masked phone
+   */
+  maskPhone(phone) {
+    const digits = String(phone || "").replace(/\D/g, "");
+    if (digits.length < 7) return "-";
+    return `${digits.slice(0, 3)}-XXX-${digits.slice(-4)}`;
+  }
+
+  /**
+   * Render the member card as a Flex Message
+   * @param {Object} card - Payload from toCardPayload()
+   * @returns {Object} Flex message object
+   */
+  renderFlexMessage(card) {
+    const balance = `฿${card.balance.toLocaleString("th-TH", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+    const lastUpdated = new Date(card.lastUpdated || Date.now()).toLocaleString(
+      "th-TH",
+      { timeZone: "Asia/Bangkok" }
+    );
+    const level = card.level || "-";
+
+    return {
+      type: "flex",
+      altText: `บัตรสมาชิก Prima789 ระดับ ${level} เครดิต ${balance}`,
+      contents: {
+        type: "bubble",
+        styles: {
+          body: { backgroundColor: COLORS.background },
+          footer: { backgroundColor: COLORS.background },
+        },
+        body: {
+          type: "box",
+          layout: "vertical",
+          spacing: "sm",
+          contents: [
+            {
+              type: "box",
+              layout: "horizontal",
+              alignItems: "center",
+              contents: [
+                {
+                  type: "text",
+                  text: "PRIMA789",
+                  weight: "bold",
+                  size: "sm",
+                  color: COLORS.accent,
+                  flex: 1,
+                },
+                {
+                  type: "box",
+                  layout: "vertical",
+                  flex: 0,
+                  cornerRadius: "xxl",
+                  paddingStart: "md",
+                  paddingEnd: "md",
+                  paddingTop: "xs",
+                  paddingBottom: "xs",
+                  backgroundColor: card.tier?.badgeColor || COLORS.accent,
+                  contents: [
+                    {
+                      type: "text",
+                      text: level,
+                      size: "xs",
+                      weight: "bold",
+                      color: card.tier?.textColor || COLORS.badgeText,
+                    },
+                  ],
+                },
+              ],
+            },
+            {
+              type: "text",
+              text: card.name || card.username || "-",
+              weight: "bold",
+              size: "lg",
+              color: COLORS.text,
+              wrap: true,
+              margin: "md",
+            },
+            {
+              type: "text",
+              text: this.maskPhone(card.phone),
+              size: "sm",
+              color: COLORS.muted,
+            },
+            {
+              type: "box",
+              layout: "vertical",
+              margin: "lg",
+              paddingAll: "md",
+              cornerRadius: "md",
+              backgroundColor: COLORS.panel,
+              contents: [
+                {
+                  type: "text",
+                  text: "ยอดเครดิตคงเหลือ",
+                  size: "xs",
+                  color: COLORS.muted,
+                  align: "center",
+                },
+                {
+                  type: "text",
+                  text: balance,
+                  size: "xxl",
+                  weight: "bold",
+                  color: COLORS.accent,
+                  align: "center",
+                },
+              ],
+            },
+            {
+              type: "text",
+              text: `อัพเดทล่าสุด: ${lastUpdated}`,
+              size: "xxs",
+              color: COLORS.subtle,
+              align: "center",
+              margin: "md",
+            },
+          ],
+        },
+        footer: {
+          type: "box",
+          layout: "vertical",
+          contents: [
+            {
+              type: "button",
+              style: "primary",
+              color: COLORS.button,
+              height: "sm",
+              action: {
+                type: "uri",
+                label: "เปิดบัตรสมาชิก",
+                uri: this.liffUrl,
+              },
+            },
+          ],
+        },
+      },
+    };
+  }
+
+  /**
+   * Messages answering a request for the card: the Flex card, or a link
+   * prompt when the LINE user has not linked an account
+   * @param {Object|null} account - user_accounts row
+   * @returns {Promise<Array<Object>>} Message objects
+   */
+  async buildMessages(account) {
+    if (!account) {
+      return [
+        {
+          type: "text",
+          text: `ยังไม่ได้เชื่อมต่อบัญชี Prima789\nเชื่อมต่อได้ที่ ${this.liffUrl}`,
+        },
+      ];
+    }
+    return [this.renderFlexMessage(await this.toCardPayload(account))];
+  }
+
+  /**
+   * Push the member card to a linked LINE user
+   * @param {string} lineUserId - LINE User ID
+   * @returns {Promise<Object>} The card that was sent
+   * @throws {AppError} USER_NOT_FOUND if the LINE user is not linked
+   * @throws {ExternalAPIError} If LINE rejects the push
+   */
+  async pushCard(lineUserId) {
+    const account = await databaseService.findUserMapping(lineUserId);
+    if (!account) {
+      throw new AppError("User is not linked", 404, "USER_NOT_FOUND");
+    }
+
+    const card = await this.toCardPayload(account);
+    await lineMessagingService.push(lineUserId, [this.renderFlexMessage(card)]);
+    return card;
+  }
+}
+
+// Export singleton instance
+module.exports = new MemberCardService();
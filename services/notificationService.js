@@ -0,0 +1,546 @@
+// services/notificationService.js - Balance and tier change notifications
+//
+// Subscribes to EVENTS.BALANCE_SYNCED and EVENTS.TIER_CHANGED and turns them
+// into LINE pushes according to each member's notification_preferences.
+// Every notification is written to notification_deliveries before it is
+// sent: a notification with the same dedup key in the same dedup window is
+// recorded as a duplicate instead of being sent again, and one produced
+// during the member's quiet hours is deferred until flushDeferred() runs
+// after they end.
+
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { eventBus, EVENTS } = require("../utils/events");
+const databaseService = require("./databaseService");
+const lineMessagingService = require("./lineMessagingService");
+const memberCardService = require("./memberCardService");
+
+const TYPES = {
+  BALANCE_BELOW: "balance_below",
+  BALANCE_ABOVE: "balance_above",
+  TIER_UPGRADE: "tier_upgrade",
+  TIER_DOWNGRADE: "tier_downgrade",
+};
+
+const STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+  DEFERRED: "deferred",
+  PENDING: "pending",
+  DUPLICATE: "duplicate",
+  UNREACHABLE: "unreachable",
+};
+
+const DEFAULT_PREFERENCES = {
+  enabled: true,
+  balanceBelow: null,
+  balanceAbove: null,
+  tierUpgrade: true,
+  tierDowngrade: true,
+  quietHours: null,
+};
+
+// Quiet hours are Bangkok wall-clock times; Thailand has no daylight saving
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+function formatBaht(amount) {
+  return `฿${Number(amount).toLocaleString("th-TH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+class NotificationService {
+  constructor() {
+    this.dedupWindow = config.notifications.dedupWindow;
+    this.flushLimit = config.notifications.flushLimit;
+    this.unsubscribers = null;
+  }
+
+  /**
+   * Start turning domain events into notifications (idempotent)
+   * @param {EventBus} bus - Event bus to subscribe to
+   * @returns {NotificationService} this
+   */
+  listen(bus = eventBus) {
+    if (!this.unsubscribers) {
+      this.unsubscribers = [
+        bus.subscribe(EVENTS.BALANCE_SYNCED, (event) =>
+          this.handleBalanceSynced(event)
+        ),
+        bus.subscribe(EVENTS.TIER_CHANGED, (event) =>
+          this.handleTierChanged(event)
+        ),
+      ];
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening to domain events
+   */
+  stop() {
+    (this.unsubscribers || []).forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = null;
+  }
+
+  /**
+   * Convert a notification_preferences row (or its absence) to preferences
+   * @param {Object|null} row - Row with the notification_preferences columns
+   * @returns {Object} Preferences
+   */
+  fromRow(row) {
+    if (!row || row.enabled == null) {
+      return { ...DEFAULT_PREFERENCES };
+    }
+
+    const amount = (value) => (value == null ? null : parseFloat(value));
+    return {
+      enabled: row.enabled,
+      balanceBelow: amount(row.balance_below),
+      balanceAbove: amount(row.balance_above),
+      tierUpgrade: row.tier_upgrade,
+      tierDowngrade: row.tier_downgrade,
+      quietHours: row.quiet_hours_start
+        ? {
+            start: String(row.quiet_hours_start).slice(0, 5),
+            end: String(row.quiet_hours_end).slice(0, 5),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Notification preferences of an account
+   * @param {number} accountId - user_accounts ID
+   * @returns {Promise<Object>} Stored preferences, or the defaults
+   */
+  async getPreferences(accountId) {
+    const result = await databaseService.query(
+      `SELECT * FROM notification_preferences WHERE account_id = $1`,
+      [accountId]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Merge a (partial) preferences update into the current ones
+   * @param {Object} body - Request body, validated by the route schema
+   * @param {Object} current - Current preferences
+   * @returns {Object} Merged preferences
+   */
+  mergePreferences(body, current = DEFAULT_PREFERENCES) {
+    const preferences = { ...current };
+
+    for (const field of Object.keys(DEFAULT_PREFERENCES)) {
+      if (body[field] !== undefined) {
+        preferences[field] = body[field];
+      }
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Store the notification preferences of an account
+   * @param {number} accountId - user_accounts ID
+   * @param {Object} preferences - Validated preferences
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async savePreferences(accountId, preferences) {
+    const result = await databaseService.query(
+      `INSERT INTO notification_preferences (
+         account_id, enabled, balance_below, balance_above,
+         tier_upgrade, tier_downgrade, quiet_hours_start, quiet_hours_end
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (account_id) DO UPDATE SET
+         enabled = EXCLUDED.enabled,
+         balance_below = EXCLUDED.balance_below,
+         balance_above = EXCLUDED.balance_above,
+         tier_upgrade = EXCLUDED.tier_upgrade,
+         tier_downgrade = EXCLUDED.tier_downgrade,
+         quiet_hours_start = EXCLUDED.quiet_hours_start,
+         quiet_hours_end = EXCLUDED.quiet_hours_end,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        accountId,
+        preferences.enabled,
+        preferences.balanceBelow,
+        preferences.balanceAbove,
+        preferences.tierUpgrade,
+        preferences.tierDowngrade,
+        preferences.quietHours?.start || null,
+        preferences.quietHours?.end || null,
+      ]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : preferences;
+  }
+
+  /**
+   * Threshold notifications for a balance change; a threshold fires only
+   * when the balance crosses it, not on every sync beyond it
+   * @param {Object} preferences - Member preferences
+   * @param {Object} change - previousBalance, balance
+   * @returns {Array<Object>} Notifications { type, dedupKey, text }
+   */
+  balanceNotifications(preferences, { previousBalance, balance }) {
+    if (!preferences.enabled || previousBalance == null) return [];
+
+    const notifications = [];
+    const { balanceBelow, balanceAbove } = preferences;
+
+    if (
+      balanceBelow != null &&
+      previousBalance >= balanceBelow &&
+      balance < balanceBelow
+    ) {
+      notifications.push({
+        type: TYPES.BALANCE_BELOW,
+        dedupKey: `${TYPES.BALANCE_BELOW}:${balanceBelow}`,
+        text: `⚠️ ยอดเครดิตของคุณต่ำกว่า ${formatBaht(
+          balanceBelow
+        )}\nคงเหลือ ${formatBaht(balance)}`,
+      });
+    }
+
+    if (
+      balanceAbove != null &&
+      previousBalance < balanceAbove &&
+      balance >= balanceAbove
+    ) {
+      notifications.push({
+        type: TYPES.BALANCE_ABOVE,
+        dedupKey: `${TYPES.BALANCE_ABOVE}:${balanceAbove}`,
+        text: `💰 ยอดเครดิตของคุณถึง ${formatBaht(
+          balanceAbove
+        )} แล้ว\nคงเหลือ ${formatBaht(balance)}`,
+      });
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Notification for a tier change; the first tier assigned to a new
+   * member is not announced
+   * @param {Object} preferences - Member preferences
+   * @param {Object} change - EVENTS.TIER_CHANGED payload
+   * @returns {Object|null} Notification { type, dedupKey, text }
+   */
+  tierNotification(preferences, { from, to, direction, reason }) {
+    if (!preferences.enabled || reason === "initial") return null;
+
+    if (direction === "upgrade" && preferences.tierUpgrade) {
+      return {
+        type: TYPES.TIER_UPGRADE,
+        dedupKey: `${TYPES.TIER_UPGRADE}:${to}`,
+        text: `🎉 ยินดีด้วย! คุณได้เลื่อนระดับสมาชิกเป็น ${to}`,
+      };
+    }
+
+    if (direction === "downgrade" && preferences.tierDowngrade) {
+      return {
+        type: TYPES.TIER_DOWNGRADE,
+        dedupKey: `${TYPES.TIER_DOWNGRADE}:${to}`,
+        text: `ระดับสมาชิกของคุณเปลี่ยนจาก ${from} เป็น ${to}`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * When the member's quiet hours end, if they are in them right now
+   * @param {Object|null} quietHours - { start, end } as HH:MM, Bangkok time
+   * @param {Date} now - Current time
+   * @returns {Date|null} End of the current quiet period, or null
+   */
+  quietHoursEnd(quietHours, now = new Date()) {
+    if (!quietHours) return null;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const local = new Date(now.getTime() + BANGKOK_OFFSET_MS);
+    const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+    const quiet =
+      start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+    if (!quiet) return null;
+
+    const endsAt = new Date(
+      now.getTime() +
+        ((end - minute + MINUTES_PER_DAY) % MINUTES_PER_DAY) * 60000
+    );
+    endsAt.setUTCSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Linked LINE user, follow state and preferences of an account
+   * @param {number} accountId - user_accounts ID
+   * @returns {Promise<Object|null>} Recipient, or null when not linked
+   */
+  async getRecipient(accountId) {
+    const result = await databaseService.query(
+      `SELECT a.id, a.line_user_id, f.is_following, p.*
+       FROM user_accounts a
+       LEFT JOIN notification_preferences p ON p.account_id = a.id
+       LEFT JOIN line_followers f ON f.line_user_id = a.line_user_id
+       WHERE a.id = $1 AND a.line_user_id IS NOT NULL AND a.is_active = true`,
+      [accountId]
+    );
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      accountId: row.id,
+      lineUserId: row.line_user_id,
+      // Members who never sent a follow event predate line_followers
+      following: row.is_following !== false,
+      preferences: this.fromRow(row),
+    };
+  }
+
+  /**
+   * EVENTS.BALANCE_SYNCED subscriber
+   * @param {Object} event - accountId, previousBalance, balance
+   */
+  async handleBalanceSynced(event) {
+    if (event.previousBalance == null) return;
+
+    const recipient = await this.getRecipient(event.accountId);
+    if (!recipient) return;
+
+    for (const notification of this.balanceNotifications(
+      recipient.preferences,
+      event
+    )) {
+      await this.deliver(recipient, notification);
+    }
+  }
+
+  /**
+   * EVENTS.TIER_CHANGED subscriber
+   * @param {Object} event - accountId, from, to, direction, reason
+   */
+  async handleTierChanged(event) {
+    const recipient = await this.getRecipient(event.accountId);
+    if (!recipient) return;
+
+    const notification = this.tierNotification(recipient.preferences, event);
+    if (notification) {
+      await this.deliver(recipient, notification);
+    }
+  }
+
+  /**
+   * Record a notification and send it, unless it is a duplicate, the member
+   * cannot be reached or it falls in their quiet hours
+   * @param {Object} recipient - From getRecipient()
+   * @param {Object} notification - { type, dedupKey, text }
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} Resulting STATUS value
+   */
+  async deliver(recipient, notification, now = new Date()) {
+    if (!recipient.following) {
+      await this.record(recipient, notification, STATUS.UNREACHABLE);
+      return STATUS.UNREACHABLE;
+    }
+
+    const messages = await this.buildMessages(recipient, notification);
+    const deliverAfter = this.quietHoursEnd(
+      recipient.preferences.quietHours,
+      now
+    );
+
+    // Claim the dedup key and record the notification in one statement; the
+    // unique index on open rows per dedup window makes a concurrent claim of
+    // the same key conflict instead of inserting a second row
+    const claimed = await databaseService.query(
+      `INSERT INTO notification_deliveries (
+         account_id, line_user_id, type, dedup_key, dedup_bucket, status,
+         messages, deliver_after
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (account_id, dedup_key, dedup_bucket)
+         WHERE status IN ('sent', 'deferred', 'pending')
+         DO NOTHING
+       RETURNING id`,
+      [
+        recipient.accountId,
+        recipient.lineUserId,
+        notification.type,
+        notification.dedupKey,
+        Math.floor(now.getTime() / this.dedupWindow),
+        deliverAfter ? STATUS.DEFERRED : STATUS.PENDING,
+        JSON.stringify(messages),
+        deliverAfter,
+      ]
+    );
+
+    if (claimed.rows.length === 0) {
+      await this.record(recipient, notification, STATUS.DUPLICATE);
+      return STATUS.DUPLICATE;
+    }
+
+    if (deliverAfter) {
+      logger.info("Notification deferred for quiet hours", {
+        accountId: recipient.accountId,
+        type: notification.type,
+        deliverAfter,
+      });
+      return STATUS.DEFERRED;
+    }
+
+    return this.send(claimed.rows[0].id, recipient.lineUserId, messages);
+  }
+
+  /**
+   * Notification text followed by the current member card
+   * @param {Object} recipient - From getRecipient()
+   * @param {Object} notification - { text }
+   * @returns {Promise<Array<Object>>} Message objects
+   */
+  async buildMessages(recipient, notification) {
+    const messages = [{ type: "text", text: notification.text }];
+
+    const account = await databaseService.findUserMapping(recipient.lineUserId);
+    if (account) {
+      messages.push(
+        memberCardService.renderFlexMessage(
+          await memberCardService.toCardPayload(account)
+        )
+      );
+    }
+    return messages;
+  }
+
+  /**
+   * Log a notification that is not going to be sent
+   * @param {Object} recipient - From getRecipient()
+   * @param {Object} notification - { type, dedupKey }
+   * @param {string} status - STATUS.DUPLICATE or STATUS.UNREACHABLE
+   */
+  async record(recipient, notification, status) {
+    await databaseService.query(
+      `INSERT INTO notification_deliveries (
+         account_id, line_user_id, type, dedup_key, status
+       )
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        recipient.accountId,
+        recipient.lineUserId,
+        notification.type,
+        notification.dedupKey,
+        status,
+      ]
+    );
+
+    logger.debug("Notification not sent", {
+      accountId: recipient.accountId,
+      type: notification.type,
+      status,
+    });
+  }
+
+  /**
+   * Push a recorded notification and store the outcome
+   * @param {number} deliveryId - notification_deliveries ID
+   * @param {string} lineUserId - LINE User ID
+   * @param {Array<Object>} messages - Message objects
+   * @returns {Promise<string>} STATUS.SENT or STATUS.FAILED
+   */
+  async send(deliveryId, lineUserId, messages) {
+    try {
+      await lineMessagingService.push(lineUserId, messages);
+    } catch (error) {
+      logger.warn("Notification push failed", {
+        deliveryId,
+        error: error.message,
+        code: error.code,
+      });
+      await databaseService.query(
+        `UPDATE notification_deliveries
+         SET status = $2, error = $3
+         WHERE id = $1`,
+        [deliveryId, STATUS.FAILED, error.message]
+      );
+      return STATUS.FAILED;
+    }
+
+    await databaseService.query(
+      `UPDATE notification_deliveries
+       SET status = $2, sent_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [deliveryId, STATUS.SENT]
+    );
+    return STATUS.SENT;
+  }
+
+  /**
+   * Send deferred notifications whose quiet hours have ended
+   * @param {Object} options
+   * @param {number} options.limit - Most notifications to send
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} sent and failed counts
+   */
+  async flushDeferred({ limit = this.flushLimit, now = new Date() } = {}) {
+    // SKIP LOCKED lets overlapping runs split the backlog instead of
+    // sending the same notification twice
+    const claimed = await databaseService.query(
+      `UPDATE notification_deliveries
+       SET status = $3
+       WHERE id IN (
+         SELECT id FROM notification_deliveries
+         WHERE status = $4 AND deliver_after <= $1
+         ORDER BY deliver_after
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, line_user_id, messages`,
+      [now, limit, STATUS.PENDING, STATUS.DEFERRED]
+    );
+
+    const summary = { sent: 0, failed: 0 };
+    for (const row of claimed.rows) {
+      const status = await this.send(row.id, row.line_user_id, row.messages);
+      summary[status]++;
+    }
+
+    logger.info("Deferred notifications flushed", summary);
+    return summary;
+  }
+
+  /**
+   * Recent deliveries for a LINE user, newest first (support)
+   * @param {string} lineUserId - LINE User ID
+   * @param {number} limit - Most rows to return
+   * @returns {Promise<Array>} notification_deliveries rows without messages
+   */
+  async getDeliveries(lineUserId, limit = 50) {
+    const result = await databaseService.query(
+      `SELECT id, type, dedup_key, status, deliver_after, error,
+              created_at, sent_at
+       FROM notification_deliveries
+       WHERE line_user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [lineUserId, limit]
+    );
+    return result.rows;
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
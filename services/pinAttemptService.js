@@ -0,0 +1,452 @@
+// services/pinAttemptService.js - Brute-force protection for Prima789 PINs
+//
+// A PIN is 4 digits, so every check against Prima789 is counted per phone
+// number and, when signed in, per LINE user; these counters are separate
+// from the IP-based limits, which an attacker can spread across addresses.
+// An attempt is counted before the PIN is checked and a correct PIN clears
+// the counter, so it holds the failures since the last correct PIN plus any
+// attempts in flight. After freeFailures each further attempt must wait a
+// delay that doubles per failure; maxFailures locks PIN entry for
+// lockoutDuration, doubling with every failure after that. Attempts older
+// than failureWindow are forgotten. Every lockout is written to pin_lockouts.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const databaseService = require("./databaseService");
+const prima789Service = require("./prima789Service");
+const memberCardService = require("./memberCardService");
+const {
+  TooManyAttemptsError,
+  normalizePhoneNumber,
+} = require("../utils/errors");
+
+// Compare-and-set attempts before a contended attempt is refused
+const MAX_CLAIM_ATTEMPTS = 5;
+
+const SUBJECTS = {
+  PHONE: "phone",
+  LINE_USER: "line_user",
+};
+
+class PinAttemptService {
+  constructor() {
+    this.freeFailures = config.pinAttempts.freeFailures;
+    this.retryDelay = config.pinAttempts.retryDelay;
+    this.maxFailures = config.pinAttempts.maxFailures;
+    this.lockoutDuration = config.pinAttempts.lockoutDuration;
+    this.maxLockout = config.pinAttempts.maxLockout;
+    this.failureWindow = config.pinAttempts.failureWindow;
+  }
+
+  /**
+   * Check a PIN with Prima789, counting the attempt against the phone
+   * number and the LINE user
+   * @param {Object} attempt
+   * @param {string} attempt.phone - Phone number as entered
+   * @param {string} attempt.pin - PIN
+   * @param {string|null} attempt.lineUserId - Signed-in LINE user, if any
+   * @param {string} attempt.route - "sync" or "verify", for the audit trail
+   * @param {string|null} attempt.ip - Client IP
+   * @param {string|null} attempt.userAgent - Client User-Agent
+   * @returns {Promise<Object>} Prima789 member data
+   * @throws {TooManyAttemptsError} PIN_RETRY_DELAY or PIN_LOCKED
+   * @throws {ExternalAPIError} PRIMA789_INVALID_CREDENTIALS with
+   *   attemptsRemaining before the lockout
+   */
+  async authenticate({ phone, pin, lineUserId = null, route, ip, userAgent }) {
+    // Malformed input never reaches Prima789 and is not counted
+    prima789Service.validateCredentials(phone, pin);
+
+    const subjects = this.subjectsFor({ phone, lineUserId });
+    const claims = await this.claim(subjects);
+
+    let primaData;
+    try {
+      primaData = await prima789Service.authenticateUser(phone, pin);
+    } catch (error) {
+      if (error.code !== "PRIMA789_INVALID_CREDENTIALS") {
+        // The PIN was never checked, so the attempt does not count
+        await this.release(claims);
+        throw error;
+      }
+
+      const lockedUntil = await this.recordFailure(claims, {
+        route,
+        ip,
+        userAgent,
+      });
+      if (lockedUntil) {
+        throw this.lockedError(lockedUntil);
+      }
+      error.attemptsRemaining = Math.min(
+        ...claims.map((claim) => Math.max(0, this.maxFailures - claim.failures))
+      );
+      throw error;
+    }
+
+    await this.recordSuccess(subjects);
+    return primaData;
+  }
+
+  /**
+   * Counter subjects for an attempt
+   * @param {Object} attempt - { phone, lineUserId }
+   * @returns {Array<Object>} { type, hash, label } for the phone number and,
+   *   when given, the LINE user
+   */
+  subjectsFor({ phone, lineUserId = null }) {
+    const subjects = [this.subjectOf({ phone })];
+    if (lineUserId) {
+      subjects.push(this.subjectOf({ lineUserId }));
+    }
+    return subjects;
+  }
+
+  /**
+   * Counter subject for a phone number or a LINE user
+   * @param {Object} subject - { phone } or { lineUserId }
+   * @returns {Object} { type, hash, label }
+   */
+  subjectOf({ phone, lineUserId }) {
+    if (lineUserId) {
+      return {
+        type: SUBJECTS.LINE_USER,
+        hash: this.subjectHash(SUBJECTS.LINE_USER, lineUserId),
+        label: null,
+      };
+    }
+
+    // +66 81-234-5678 and 0812345678 are the same phone number
+    const digits =
+      normalizePhoneNumber(phone) || String(phone || "").replace(/\D/g, "");
+    return {
+      type: SUBJECTS.PHONE,
+      hash: this.subjectHash(SUBJECTS.PHONE, digits),
+      label: memberCardService.maskPhone(digits),
+    };
+  }
+
+  /**
+   * Keyed with PIN_SUBJECT_SALT alone so rotating JWT_SECRET does not clear
+   * every counter and lockout
+   * @param {string} type - SUBJECTS value
+   * @param {string} value - Phone digits or LINE User ID
+   * @returns {string} Hex HMAC-SHA256
+   */
+  subjectHash(type, value) {
+    return crypto
+      .createHmac("sha256", config.security.pinSubjectSalt)
+      .update(`${type}:${value}`)
+      .digest("hex");
+  }
+
+  /**
+   * Delay before the next attempt after a number of failures
+   * @param {number} failures - Recent failures
+   * @returns {number} Delay (ms), 0 for none
+   */
+  delayAfter(failures) {
+    if (failures <= this.freeFailures) return 0;
+    return this.retryDelay * 2 ** (failures - this.freeFailures - 1);
+  }
+
+  /**
+   * Lockout after a number of failures
+   * @param {number} failures - Recent failures
+   * @returns {number} Lockout (ms), 0 for none
+   */
+  lockoutAfter(failures) {
+    if (failures < this.maxFailures) return 0;
+    return Math.min(
+      this.maxLockout,
+      this.lockoutDuration * 2 ** (failures - this.maxFailures)
+    );
+  }
+
+  lockedError(lockedUntil) {
+    return new TooManyAttemptsError(
+      "Too many incorrect PINs. PIN entry is locked until the time shown.",
+      lockedUntil,
+      "PIN_LOCKED"
+    );
+  }
+
+  /**
+   * Lockout and delay in force for a counter
+   * @param {number} failures - Attempts since the last correct PIN
+   * @param {Date|null} lastAttemptAt - Time of the last attempt
+   * @param {Date} now - Current time
+   * @returns {Object} { lockedUntil, retryAt }, each null when not in force
+   */
+  restrictions(failures, lastAttemptAt, now = new Date()) {
+    if (!failures || !lastAttemptAt) {
+      return { lockedUntil: null, retryAt: null };
+    }
+
+    const last = lastAttemptAt.getTime();
+    const lockout = this.lockoutAfter(failures);
+    const lockedUntil = new Date(last + lockout);
+    const retryAt = new Date(last + this.delayAfter(failures));
+    return {
+      lockedUntil: lockout && lockedUntil > now ? lockedUntil : null,
+      retryAt: retryAt > now ? retryAt : null,
+    };
+  }
+
+  /**
+   * Count an attempt against every subject before the PIN is checked, so
+   * concurrent requests cannot try more PINs than the limits allow
+   * @param {Array<Object>} subjects - From subjectsFor()
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} Claims: subject with failures and
+   *   attemptAt as written
+   * @throws {TooManyAttemptsError} PIN_RETRY_DELAY or PIN_LOCKED
+   */
+  async claim(subjects, now = new Date()) {
+    const claims = [];
+    try {
+      for (const subject of subjects) {
+        claims.push(await this.claimSubject(subject, now));
+      }
+    } catch (error) {
+      await this.release(claims);
+      throw error;
+    }
+    return claims;
+  }
+
+  /**
+   * Read a counter, refuse the attempt if it is restricted and otherwise
+   * write it back incremented, only if no other attempt changed it since the
+   * read (compare-and-set on failures and last_attempt_at)
+   * @param {Object} subject - From subjectsFor()
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Claim
+   */
+  async claimSubject(subject, now) {
+    const windowStart = now.getTime() - this.failureWindow;
+
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+      const result = await databaseService.query(
+        `SELECT failures, last_attempt_at
+         FROM pin_attempts
+         WHERE subject_hash = $1`,
+        [subject.hash]
+      );
+      const row = result.rows[0];
+      const lastAttemptAt = row ? new Date(row.last_attempt_at) : null;
+      // Attempts older than failureWindow are forgotten
+      const failures =
+        row && lastAttemptAt.getTime() > windowStart ? row.failures : 0;
+
+      const { lockedUntil, retryAt } = this.restrictions(
+        failures,
+        lastAttemptAt,
+        now
+      );
+      if (lockedUntil) {
+        throw this.lockedError(lockedUntil);
+      }
+      if (retryAt) {
+        throw this.retryError(retryAt);
+      }
+
+      const claimed = await databaseService.query(
+        `INSERT INTO pin_attempts (subject_hash, subject_type, failures, last_attempt_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (subject_hash) DO UPDATE SET
+           failures = EXCLUDED.failures,
+           last_attempt_at = EXCLUDED.last_attempt_at
+         WHERE pin_attempts.failures = $5
+           AND pin_attempts.last_attempt_at = $6
+         RETURNING failures`,
+        [
+          subject.hash,
+          subject.type,
+          failures + 1,
+          now,
+          row ? row.failures : null,
+          lastAttemptAt,
+        ]
+      );
+      if (claimed.rows.length > 0) {
+        return { ...subject, failures: failures + 1, attemptAt: now };
+      }
+    }
+
+    // Another attempt keeps winning the race: make this one wait
+    logger.warn("PIN attempt counter contended, attempt refused", {
+      subjectType: subject.type,
+      subject: subject.label,
+    });
+    throw this.retryError(new Date(now.getTime() + this.retryDelay));
+  }
+
+  retryError(retryAt) {
+    return new TooManyAttemptsError(
+      "Incorrect PIN. Please wait before trying again.",
+      retryAt,
+      "PIN_RETRY_DELAY"
+    );
+  }
+
+  /**
+   * Give back attempts whose PIN was never checked (Prima789 unavailable)
+   * @param {Array<Object>} claims - From claim()
+   */
+  async release(claims) {
+    if (claims.length === 0) return;
+
+    try {
+      await databaseService.query(
+        `UPDATE pin_attempts SET failures = failures - 1
+         WHERE subject_hash = ANY($1) AND failures > 0`,
+        [claims.map((claim) => claim.hash)]
+      );
+    } catch (error) {
+      // Counting one attempt too many is the safe side to fail on
+      logger.error("Failed to release PIN attempts", { error: error.message });
+    }
+  }
+
+  /**
+   * Lock the subjects whose claimed attempt was incorrect and reached
+   * maxFailures, writing each lockout to the audit trail
+   * @param {Array<Object>} claims - From claim()
+   * @param {Object} context - { route, ip, userAgent } for the audit trail
+   * @returns {Promise<Date|null>} End of the longest lockout, null for none
+   */
+  async recordFailure(claims, { route, ip = null, userAgent = null }) {
+    let lockedUntil = null;
+
+    for (const claim of claims) {
+      const lockout = this.lockoutAfter(claim.failures);
+      if (!lockout) continue;
+
+      const until = new Date(claim.attemptAt.getTime() + lockout);
+      await this.lock(claim, until, { route, ip, userAgent });
+      if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+    }
+
+    return lockedUntil;
+  }
+
+  /**
+   * Write a lockout to the audit trail. The lock itself follows from the
+   * counter, so nothing else needs to be stored.
+   * @param {Object} claim - From claim()
+   * @param {Date} lockedUntil - End of the lockout
+   * @param {Object} context - { route, ip, userAgent }
+   */
+  async lock(claim, lockedUntil, { route, ip, userAgent }) {
+    await databaseService.query(
+      `INSERT INTO pin_lockouts (
+         subject_hash, subject_type, subject_label, failures, locked_until,
+         route, ip_address, user_agent
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        claim.hash,
+        claim.type,
+        claim.label,
+        claim.failures,
+        lockedUntil,
+        route,
+        ip,
+        userAgent,
+      ]
+    );
+
+    logger.warn("PIN entry locked", {
+      subjectType: claim.type,
+      subject: claim.label,
+      failures: claim.failures,
+      lockedUntil: lockedUntil.toISOString(),
+      route,
+      ip,
+    });
+  }
+
+  /**
+   * Forget the failures of every subject after a correct PIN
+   * @param {Array<Object>} subjects - From subjectsFor()
+   */
+  async recordSuccess(subjects) {
+    await databaseService.query(
+      "DELETE FROM pin_attempts WHERE subject_hash = ANY($1)",
+      [subjects.map((subject) => subject.hash)]
+    );
+  }
+
+  /**
+   * Current counter of a phone number or LINE user
+   * @param {Object} subject - { phone } or { lineUserId }
+   * @returns {Promise<Object|null>} { failures, lastAttemptAt, lockedUntil,
+   *   retryAt }
+   */
+  async getStatus({ phone, lineUserId }) {
+    const subject = this.subjectOf({ phone, lineUserId });
+
+    const result = await databaseService.query(
+      `SELECT failures, last_attempt_at
+       FROM pin_attempts
+       WHERE subject_hash = $1 AND last_attempt_at > $2`,
+      [subject.hash, new Date(Date.now() - this.failureWindow)]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const lastAttemptAt = new Date(row.last_attempt_at);
+    return {
+      failures: row.failures,
+      lastAttemptAt,
+      ...this.restrictions(row.failures, lastAttemptAt),
+    };
+  }
+
+  /**
+   * Clear the counter of a phone number or LINE user (support)
+   * @param {Object} subject - { phone } or { lineUserId }
+   * @returns {Promise<boolean>} false when there was nothing to clear
+   */
+  async unlock({ phone, lineUserId }) {
+    const subject = this.subjectOf({ phone, lineUserId });
+
+    const result = await databaseService.query(
+      "DELETE FROM pin_attempts WHERE subject_hash = $1",
+      [subject.hash]
+    );
+    logger.info("PIN entry unlocked", {
+      subjectType: subject.type,
+      subject: subject.label,
+      cleared: result.rowCount > 0,
+    });
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Recent lockouts from the audit trail
+   * @param {Object} options
+   * @param {Object} options.subject - { phone } or { lineUserId } to filter
+   * @param {number} options.limit - Maximum rows
+   * @returns {Promise<Array>} Lockouts, newest first
+   */
+  async getLockouts({ subject = null, limit = 50 } = {}) {
+    const hash = subject ? this.subjectOf(subject).hash : null;
+
+    const result = await databaseService.query(
+      `SELECT subject_type, subject_label, failures, locked_until, route,
+              ip_address, user_agent, created_at
+       FROM pin_lockouts
+       WHERE ($1::CHAR(64) IS NULL OR subject_hash = $1)
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [hash, limit]
+    );
+    return result.rows;
+  }
+}
+
+// Export singleton instance
+module.exports = new PinAttemptService();
@@ -0,0 +1,306 @@
+// services/prima789FakeServer.js - In-process fake Prima789 Socket.IO server
+//
+// Speaks the same events as the real server (login, cus return / customer_data,
+// credit_push, login_status) so the integration can be developed and tested
+// without network access. Select it with PRIMA789_TRANSPORT=fake.
+
+const EventEmitter = require("events");
+
+const SCENARIOS = [
+  "success", // login succeeds, member data and credit follow
+  "wrong_pin", // login is rejected
+  "slow", // responses arrive after `latency` + `slowDelay` ms
+  "disconnect", // server drops the connection right after login
+  "malformed", // payloads are missing fields or not objects at all
+  "connect_error", // connection is refused
+  "silent", // connects but never answers the login
+];
+
+const DIALECTS = ["cus_return", "customer_data"];
+
+const WRONG_PIN_MESSAGE = "ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง";
+
+let nextSocketId = 1;
+
+/**
+ * Client side of a fake connection; mirrors the parts of the socket.io-client
+ * Socket API the Prima789 service uses (on, emit, disconnect, id, connected)
+ */
+class FakePrima789Socket {
+  constructor(server, url) {
+    this.server = server;
+    this.url = url;
+    this.id = `fake-${nextSocketId++}`;
+    this.connected = false;
+    this.listeners = new EventEmitter();
+    this.timers = new Set();
+  }
+
+  on(event, listener) {
+    this.listeners.on(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Send an event to the fake server
+   */
+  emit(event, payload) {
+    if (this.connected) {
+      this.server.receive(this, event, payload);
+    }
+    return this;
+  }
+
+  disconnect() {
+    this.close("io client disconnect");
+    return this;
+  }
+
+  /**
+   * Deliver a server event to the client listeners after a delay
+   * @param {number} ms - Delay in milliseconds
+   * @param {string} event - Event name
+   * @param {...any} args - Event arguments
+   */
+  deliver(ms, event, ...args) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.listeners.emit(event, ...args);
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  close(reason) {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    if (this.connected) {
+      this.connected = false;
+      this.server.clients.delete(this);
+      this.listeners.emit("disconnect", reason);
+    }
+  }
+}
+
+class FakePrima789Server {
+  /**
+   * @param {Object} options
+   * @param {string} options.scenario - One of SCENARIOS
+   * @param {string} options.dialect - "cus_return" or "customer_data"
+   * @param {number} options.latency - Delay before each server event (ms)
+   * @param {number} options.slowDelay - Extra delay for the "slow" scenario (ms)
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      scenario: "success",
+      dialect: "cus_return",
+      latency: 20,
+      slowDelay: 30000,
+      ...options,
+    };
+    this.reset();
+  }
+
+  /**
+   * Restore the default scenario and forget accounts and recorded logins
+   * @returns {FakePrima789Server} this
+   */
+  reset() {
+    this.accounts = new Map();
+    this.clients = new Set();
+    this.logins = [];
+    return this.configure(this.defaults);
+  }
+
+  /**
+   * Change how the server behaves for subsequent connections
+   * @param {Object} options - scenario, dialect, latency, slowDelay
+   * @returns {FakePrima789Server} this
+   */
+  configure({ scenario, dialect, latency, slowDelay } = {}) {
+    if (scenario !== undefined) {
+      if (!SCENARIOS.includes(scenario)) {
+        throw new Error(`Unknown fake Prima789 scenario: ${scenario}`);
+      }
+      this.scenario = scenario;
+    }
+    if (dialect !== undefined) {
+      if (!DIALECTS.includes(dialect)) {
+        throw new Error(`Unknown fake Prima789 dialect: ${dialect}`);
+      }
+      this.dialect = dialect;
+    }
+    if (latency !== undefined) this.latency = latency;
+    if (slowDelay !== undefined) this.slowDelay = slowDelay;
+    return this;
+  }
+
+  /**
+   * Shorthand for configure({ scenario, ...options })
+   * @param {string} scenario - One of SCENARIOS
+   * @param {Object} options - Other configure() options
+   * @returns {FakePrima789Server} this
+   */
+  setScenario(scenario, options = {}) {
+    return this.configure({ ...options, scenario });
+  }
+
+  /**
+   * Register a member; logins for a registered phone must use its PIN
+   * @param {Object} account - tel, pin, mm_user, first_name, last_name, credit
+   * @returns {FakePrima789Server} this
+   */
+  addAccount(account) {
+    this.accounts.set(account.tel, { ...account });
+    return this;
+  }
+
+  /**
+   * Member record for a phone. Unregistered phones get a generated member so
+   * any well-formed login works during local development.
+   * @param {string} tel - Phone number
+   * @returns {Object} Account
+   */
+  getAccount(tel) {
+    return (
+      this.accounts.get(tel) || {
+        tel,
+        pin: null,
+        mm_user: `DEV${String(tel).slice(-4)}`,
+        first_name: "Dev",
+        last_name: "Member",
+        credit: 12345.67,
+      }
+    );
+  }
+
+  /**
+   * Open a client connection (the fake counterpart of io(url, options))
+   * @param {string} url - Server URL (recorded only)
+   * @returns {FakePrima789Socket} Client socket
+   */
+  connect(url) {
+    const socket = new FakePrima789Socket(this, url);
+
+    if (this.scenario === "connect_error") {
+      const error = new Error("xhr poll error");
+      error.type = "TransportError";
+      socket.deliver(this.latency, "connect_error", error);
+      return socket;
+    }
+
+    socket.connected = true;
+    this.clients.add(socket);
+    socket.deliver(this.latency, "connect");
+    return socket;
+  }
+
+  /**
+   * Handle an event emitted by a client
+   */
+  receive(socket, event, payload) {
+    if (event === "login") {
+      this.handleLogin(socket, payload || {});
+    }
+  }
+
+  handleLogin(socket, { tel, pin }) {
+    this.logins.push({ tel, at: new Date().toISOString() });
+
+    if (this.scenario === "silent") {
+      return;
+    }
+
+    if (this.scenario === "disconnect") {
+      const timer = setTimeout(
+        () => socket.close("io server disconnect"),
+        this.latency
+      );
+      socket.timers.add(timer);
+      return;
+    }
+
+    const delay =
+      this.scenario === "slow" ? this.latency + this.slowDelay : this.latency;
+
+    if (this.scenario === "malformed") {
+      this.sendMalformed(socket, delay);
+      return;
+    }
+
+    const account = this.getAccount(tel);
+    const pinAccepted = account.pin === null || account.pin === pin;
+
+    if (this.scenario === "wrong_pin" || !pinAccepted) {
+      this.sendRejected(socket, delay);
+      return;
+    }
+
+    this.sendMember(socket, delay, account);
+  }
+
+  sendMember(socket, delay, account) {
+    const member = {
+      mm_user: account.mm_user,
+      first_name: account.first_name,
+      last_name: account.last_name,
+      tel: account.tel,
+    };
+    const credit = { success: true, data: { total_credit: account.credit } };
+
+    if (this.dialect === "customer_data") {
+      socket.deliver(delay, "login_status", true);
+      socket.deliver(delay, "customer_data", member);
+      socket.deliver(delay, "credit_push", credit);
+      return;
+    }
+
+    socket.deliver(delay, "cus return", { success: true, data: member });
+    socket.deliver(delay, "credit_push", credit);
+  }
+
+  sendRejected(socket, delay) {
+    if (this.dialect === "customer_data") {
+      socket.deliver(delay, "login_status", false);
+      return;
+    }
+
+    socket.deliver(delay, "cus return", {
+      success: false,
+      data: { message: WRONG_PIN_MESSAGE },
+    });
+  }
+
+  sendMalformed(socket, delay) {
+    if (this.dialect === "customer_data") {
+      socket.deliver(delay, "login_status", "yes");
+      socket.deliver(delay, "customer_data", "<html>502 Bad Gateway</html>");
+    } else {
+      socket.deliver(delay, "cus return", { success: true, data: null });
+    }
+    socket.deliver(delay, "credit_push", { success: true, data: "n/a" });
+  }
+
+  /**
+   * Drop every open connection
+   */
+  disconnectAll() {
+    for (const socket of [...this.clients]) {
+      socket.close("io server disconnect");
+    }
+  }
+}
+
+module.exports = {
+  FakePrima789Server,
+  FakePrima789Socket,
+  SCENARIOS,
+  DIALECTS,
+};
@@ -0,0 +1,290 @@
+// services/prima789Protocol.js - Versioned adapter for the Prima789 socket protocol
+//
+// Prima789 servers answer a `login` event in one of two dialects:
+//   cus_return    - "cus return" { success, data: { mm_user, ... } }, then credit_push
+//   customer_data - login_status <boolean>, customer_data { mm_user, ... }, then credit_push
+// A login session listens for both, normalizes whichever arrives into one
+// member DTO and records the dialect the server spoke.
+
+const logger = require("../utils/logger");
+const { ExternalAPIError } = require("../utils/errors");
+
+const PROTOCOL_VERSION = 2;
+
+const DIALECTS = {
+  CUS_RETURN: "cus_return",
+  CUSTOMER_DATA: "customer_data",
+};
+
+const EVENTS = {
+  LOGIN: "login",
+  CUS_RETURN: "cus return",
+  CUSTOMER_DATA: "customer_data",
+  LOGIN_STATUS: "login_status",
+  CREDIT_PUSH: "credit_push",
+};
+
+// Event that carries the member fields in each dialect
+const MEMBER_EVENTS = {
+  [DIALECTS.CUS_RETURN]: `"${EVENTS.CUS_RETURN}"`,
+  [DIALECTS.CUSTOMER_DATA]: `"${EVENTS.CUSTOMER_DATA}"`,
+  unknown: `"${EVENTS.CUS_RETURN}"/"${EVENTS.CUSTOMER_DATA}"`,
+};
+
+const INVALID_CREDENTIALS_MESSAGE = "ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง";
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function protocolError(message, code) {
+  return new ExternalAPIError(message, "Prima789", code);
+}
+
+/**
+ * Normalize the member fields of a "cus return" or customer_data payload
+ * @param {string} event - Event the payload arrived on
+ * @param {Object} data - Member fields (mm_user, first_name, last_name)
+ * @returns {Object} primaUsername, firstName, lastName
+ * @throws {ExternalAPIError} If the payload has no username
+ */
+function normalizeMember(event, data) {
+  if (!isObject(data) || !data.mm_user) {
+    throw protocolError(
+      `Prima789 sent a malformed "${event}" payload (missing mm_user)`,
+      "PRIMA789_MALFORMED_PAYLOAD"
+    );
+  }
+
+  return {
+    primaUsername: String(data.mm_user),
+    firstName: data.first_name || "",
+    lastName: data.last_name || "",
+  };
+}
+
+/**
+ * Normalize a credit_push payload into a numeric balance
+ * @param {Object} response - { success, data: { total_credit } }
+ * @returns {number} Credit balance
+ * @throws {ExternalAPIError} If the payload carries no usable balance
+ */
+function normalizeCredit(response) {
+  const balance = parseFloat(
+    isObject(response) && isObject(response.data)
+      ? response.data.total_credit
+      : NaN
+  );
+
+  if (!isObject(response) || !response.success || isNaN(balance)) {
+    throw protocolError(
+      `Prima789 sent a malformed "${EVENTS.CREDIT_PUSH}" payload (missing total_credit)`,
+      "PRIMA789_MALFORMED_PAYLOAD"
+    );
+  }
+
+  return balance;
+}
+
+/**
+ * One login exchange over a connected socket
+ */
+class Prima789LoginSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.phone - Member phone number
+   * @param {string} options.pin - Member PIN
+   * @param {number} options.timeout - Time allowed for the whole exchange (ms)
+   */
+  constructor({ phone, pin, timeout }) {
+    this.phone = phone;
+    this.pin = pin;
+    this.timeout = timeout;
+    this.dialect = null;
+    this.connected = false;
+    this.member = null;
+    this.balance = undefined;
+    this.received = [];
+  }
+
+  /**
+   * Run the login exchange and resolve with the member DTO
+   * @param {Object} socket - Socket from a Prima789 transport
+   * @returns {Promise<Object>} Member DTO
+   * @throws {ExternalAPIError} With a PRIMA789_* code describing the failure
+   */
+  run(socket) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        socket.disconnect();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const guard = (event, handler) => {
+        socket.on(event, (payload) => {
+          this.received.push(event);
+          logger.debug("Prima789 event received", {
+            event,
+            dialect: this.dialect,
+          });
+          try {
+            handler(payload);
+            if (this.isComplete()) {
+              finish(null, this.toMember());
+            }
+          } catch (error) {
+            finish(error);
+          }
+        });
+      };
+
+      const timeoutId = setTimeout(
+        () => finish(this.incompleteError(`within ${this.timeout}ms`)),
+        this.timeout
+      );
+
+      socket.on("connect", () => {
+        this.connected = true;
+        socket.emit(EVENTS.LOGIN, { tel: this.phone, pin: this.pin });
+      });
+
+      guard(EVENTS.CUS_RETURN, (response) => {
+        this.setDialect(DIALECTS.CUS_RETURN);
+        if (!isObject(response)) {
+          throw protocolError(
+            `Prima789 sent a malformed "${EVENTS.CUS_RETURN}" payload`,
+            "PRIMA789_MALFORMED_PAYLOAD"
+          );
+        }
+        if (response.success === false) {
+          throw protocolError(
+            response.data?.message || INVALID_CREDENTIALS_MESSAGE,
+            "PRIMA789_INVALID_CREDENTIALS"
+          );
+        }
+        this.member = normalizeMember(EVENTS.CUS_RETURN, response.data);
+      });
+
+      guard(EVENTS.LOGIN_STATUS, (status) => {
+        this.setDialect(DIALECTS.CUSTOMER_DATA);
+        if (status === false) {
+          throw protocolError(
+            INVALID_CREDENTIALS_MESSAGE,
+            "PRIMA789_INVALID_CREDENTIALS"
+          );
+        }
+        if (status !== true) {
+          throw protocolError(
+            `Prima789 sent a malformed "${EVENTS.LOGIN_STATUS}" payload`,
+            "PRIMA789_MALFORMED_PAYLOAD"
+          );
+        }
+      });
+
+      guard(EVENTS.CUSTOMER_DATA, (data) => {
+        this.setDialect(DIALECTS.CUSTOMER_DATA);
+        this.member = normalizeMember(EVENTS.CUSTOMER_DATA, data);
+      });
+
+      guard(EVENTS.CREDIT_PUSH, (response) => {
+        this.balance = normalizeCredit(response);
+      });
+
+      socket.on("connect_error", (error) => {
+        logger.error("Prima789 connection error", {
+          error: error.message,
+          type: error.type,
+        });
+        finish(
+          protocolError(
+            "ไม่สามารถเชื่อมต่อกับเซิร์ฟเวอร์ Prima789 ได้",
+            "PRIMA789_CONNECT_FAILED"
+          )
+        );
+      });
+
+      socket.on("disconnect", (reason) => {
+        logger.debug("Prima789 socket disconnected", { reason });
+        if (reason !== "io client disconnect") {
+          finish(this.incompleteError(`before disconnecting (${reason})`));
+        }
+      });
+    });
+  }
+
+  setDialect(dialect) {
+    if (!this.dialect) {
+      this.dialect = dialect;
+    }
+  }
+
+  isComplete() {
+    return !!this.member && this.balance !== undefined;
+  }
+
+  /**
+   * Events still required to complete the login
+   * @returns {Array<string>} Quoted names of the missing events
+   */
+  missingEvents() {
+    const missing = [];
+    if (!this.member) {
+      missing.push(MEMBER_EVENTS[this.dialect] || MEMBER_EVENTS.unknown);
+    }
+    if (this.balance === undefined) {
+      missing.push(`"${EVENTS.CREDIT_PUSH}"`);
+    }
+    return missing;
+  }
+
+  /**
+   * Error for an exchange that ended before every required event arrived
+   * @param {string} when - How the exchange ended, for the message
+   * @returns {ExternalAPIError} Error naming the missing events
+   */
+  incompleteError(when) {
+    if (!this.connected) {
+      return protocolError(
+        `Prima789 connection was not established ${when}`,
+        "PRIMA789_CONNECT_TIMEOUT"
+      );
+    }
+
+    const missing = this.missingEvents().join(" and ");
+    const error = protocolError(
+      `Prima789 did not send ${missing} ${when}`,
+      "PRIMA789_EVENT_MISSING"
+    );
+    error.dialect = this.dialect;
+    error.receivedEvents = [...this.received];
+    return error;
+  }
+
+  toMember() {
+    return {
+      ...this.member,
+      phone: this.phone,
+      balance: this.balance,
+      dialect: this.dialect,
+      protocolVersion: PROTOCOL_VERSION,
+    };
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  DIALECTS,
+  EVENTS,
+  Prima789LoginSession,
+  normalizeMember,
+  normalizeCredit,
+};
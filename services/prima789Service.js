@@ -1,10 +1,17 @@
 // services/prima789Service.js - Fixed Production-ready Prima789 integration service
 
-const { io } = require("socket.io-client");
 const config = require("../config/config");
 const logger = require("../utils/logger");
+const { CircuitBreaker } = require("../utils/circuitBreaker");
+const { Bulkhead } = require("../utils/bulkhead");
+const { createTransport } = require("./prima789Transport");
+const {
+  Prima789LoginSession,
+  PROTOCOL_VERSION,
+} = require("./prima789Protocol");
 const {
   ExternalAPIError,
+  ServiceUnavailableError,
   ValidationError,
   validatePhoneNumber,
   validatePIN,
@@ -16,6 +23,23 @@ class Prima789Service {
     this.timeout = config.prima789.timeout;
     this.retryAttempts = config.prima789.retryAttempts;
     this.retryDelay = config.prima789.retryDelay;
+    this.socketPath = config.prima789.socketPath;
+    this.transport = createTransport(config.prima789);
+    this.lastDialect = null;
+    this.lastDialectAt = null;
+
+    // Rejected logins prove Prima789 is up, so they don't trip the breaker
+    this.breaker = new CircuitBreaker({
+      name: "Prima789",
+      ...config.prima789.circuitBreaker,
+      isFailure: (error) =>
+        !(error instanceof ValidationError) &&
+        error.code !== "PRIMA789_INVALID_CREDENTIALS",
+    });
+    this.bulkhead = new Bulkhead({
+      name: "Prima789",
+      ...config.prima789.bulkhead,
+    });
   }
 
   /**
@@ -44,11 +68,16 @@ class Prima789Service {
           maxAttempts: this.retryAttempts,
         });
 
-        const userData = await this.performAuthentication(phone, pin);
+        // The cap sits outside the breaker: its own rejections say nothing
+        // about Prima789's health and must not open the circuit
+        const userData = await this.bulkhead.run(() =>
+          this.breaker.execute(() => this.performAuthentication(phone, pin))
+        );
         const duration = Date.now() - startTime;
 
         logger.logPrimaAPI("authenticate", true, duration, {
           username: userData.primaUsername,
+          dialect: userData.dialect,
           attempts,
         });
 
@@ -62,10 +91,12 @@ class Prima789Service {
           phone: phone.replace(/\d(?=\d{4})/g, "*"),
         });
 
-        // Don't retry for validation errors or authentication failures
+        // Don't retry for validation errors, authentication failures or
+        // when Prima789 is known to be unavailable
         if (
           error instanceof ValidationError ||
-          error.message.includes("ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง")
+          error instanceof ServiceUnavailableError ||
+          error.code === "PRIMA789_INVALID_CREDENTIALS"
         ) {
           break;
         }
@@ -81,6 +112,8 @@ class Prima789Service {
     logger.logPrimaAPI("authenticate", false, duration, {
       attempts,
       error: lastError?.message,
+      code: lastError?.code,
+      dialect: this.lastDialect,
     });
 
     throw (
@@ -121,143 +154,85 @@ class Prima789Service {
   }
 
   /**
-   * Perform actual authentication via Socket.IO
+   * Perform actual authentication over the configured transport
    * @param {string} phone - Phone number
    * @param {string} pin - PIN code
    * @returns {Promise<Object>} User data
    */
   async performAuthentication(phone, pin) {
-    return new Promise((resolve, reject) => {
-      const socket = io(this.apiUrl, {
-        transports: ["polling", "websocket"],
-        timeout: this.timeout,
-        forceNew: true,
-      });
-
-      let isResolved = false;
-      const fullMemberData = {};
-
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        if (!isResolved) {
-          isResolved = true;
-          socket.disconnect();
-          reject(
-            new ExternalAPIError("Prima789 connection timeout", "Prima789")
-          );
-        }
-      }, this.timeout);
-
-      // Connection successful
-      socket.on("connect", () => {
-        logger.debug("Prima789 Socket.IO connected", {
-          socketId: socket.id,
-          transport: socket.io.engine.transport.name,
-        });
-
-        socket.emit("login", {
-          tel: phone,
-          pin: pin,
-        });
-      });
+    const socket = this.transport.connect(this.apiUrl, {
+      path: this.socketPath,
+      transports: ["polling", "websocket"],
+      timeout: this.timeout,
+    });
 
-      // Handle customer data response
-      socket.on("cus return", (response) => {
-        logger.debug("Prima789 cus return received", {
-          success: response?.success,
-          hasData: !!response?.data,
-        });
+    logger.debug("Prima789 connecting", {
+      transport: this.transport.name,
+      socketId: socket.id,
+    });
 
-        if (response && response.success && response.data) {
-          const data = response.data;
-          fullMemberData.primaUsername = data.mm_user;
-          fullMemberData.firstName = data.first_name;
-          fullMemberData.lastName = data.last_name;
-          fullMemberData.phone = phone;
-
-          // Check if we have all required data
-          if (fullMemberData.creditBalance !== undefined && !isResolved) {
-            isResolved = true;
-            clearTimeout(timeoutId);
-            socket.disconnect();
-            resolve(this.formatUserData(fullMemberData));
-          }
-        } else {
-          if (!isResolved) {
-            isResolved = true;
-            clearTimeout(timeoutId);
-            socket.disconnect();
-            reject(
-              new ExternalAPIError(
-                response?.data?.message || "ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง",
-                "Prima789"
-              )
-            );
-          }
-        }
-      });
+    const session = new Prima789LoginSession({
+      phone,
+      pin,
+      timeout: this.timeout,
+    });
 
-      // Handle credit data response
-      socket.on("credit_push", (response) => {
-        logger.debug("Prima789 credit_push received", {
-          success: response?.success,
-          hasData: !!response?.data,
-        });
+    try {
+      const member = await session.run(socket);
+      this.recordDialect(member.dialect);
+      return this.formatUserData(member);
+    } catch (error) {
+      if (session.dialect) {
+        this.recordDialect(session.dialect);
+      }
+      throw error;
+    }
+  }
 
-        if (response && response.success && response.data) {
-          fullMemberData.creditBalance =
-            parseFloat(response.data.total_credit) || 0;
-
-          // Check if we have all required data
-          if (fullMemberData.primaUsername && !isResolved) {
-            isResolved = true;
-            clearTimeout(timeoutId);
-            socket.disconnect();
-            resolve(this.formatUserData(fullMemberData));
-          }
-        }
+  /**
+   * Remember which protocol dialect the server spoke most recently
+   * @param {string} dialect - cus_return or customer_data
+   */
+  recordDialect(dialect) {
+    if (this.lastDialect && this.lastDialect !== dialect) {
+      logger.warn("Prima789 protocol dialect changed", {
+        from: this.lastDialect,
+        to: dialect,
       });
+    }
+    this.lastDialect = dialect;
+    this.lastDialectAt = new Date().toISOString();
+  }
 
-      // Handle connection errors
-      socket.on("connect_error", (error) => {
-        logger.error("Prima789 connection error", {
-          error: error.message,
-          type: error.type,
-        });
-
-        if (!isResolved) {
-          isResolved = true;
-          clearTimeout(timeoutId);
-          reject(
-            new ExternalAPIError(
-              "ไม่สามารถเชื่อมต่อกับเซิร์ฟเวอร์ Prima789 ได้",
-              "Prima789"
-            )
-          );
-        }
-      });
+  /**
+   * Protocol details for health reporting
+   * @returns {Object} Adapter version and last dialect seen
+   */
+  getProtocolInfo() {
+    return {
+      protocolVersion: PROTOCOL_VERSION,
+      transport: this.transport.name,
+      lastDialect: this.lastDialect,
+      lastDialectAt: this.lastDialectAt,
+    };
+  }
 
-      // Handle disconnection
-      socket.on("disconnect", (reason) => {
-        logger.debug("Prima789 socket disconnected", { reason });
-
-        if (!isResolved && reason !== "io client disconnect") {
-          isResolved = true;
-          clearTimeout(timeoutId);
-          reject(
-            new ExternalAPIError(
-              "การเชื่อมต่อกับ Prima789 ถูกตัดขาด",
-              "Prima789"
-            )
-          );
-        }
-      });
-    });
+  /**
+   * Whether Prima789 calls are currently admitted
+   * @returns {Object} available, retryAfter and circuit/bulkhead state
+   */
+  getAvailability() {
+    return {
+      available: !this.breaker.isOpen(),
+      retryAfter: this.breaker.getRetryAfter(),
+      circuit: this.breaker.getState(),
+      bulkhead: this.bulkhead.getState(),
+    };
   }
 
   /**
    * Format user data for consistent response
-   * @param {Object} rawData - Raw data from Prima789
+   * @param {Object} rawData - Member DTO from the protocol adapter
    * @returns {Object} Formatted user data
    */
   formatUserData(rawData) {
@@ -268,8 +243,10 @@ class Prima789Service {
       lastName: rawData.lastName || "",
       fullName:
         `${rawData.firstName || ""} ${rawData.lastName || ""}`.trim() || "N/A",
-      creditBalance: this.formatCreditBalance(rawData.creditBalance),
-      memberTier: this.determineMemberTier(rawData.creditBalance),
+      creditBalance: this.formatCreditBalance(rawData.balance),
+      balance: parseFloat(rawData.balance) || 0,
+      dialect: rawData.dialect,
+      protocolVersion: rawData.protocolVersion,
       lastUpdated: new Date().toISOString(),
     };
   }
@@ -295,29 +272,6 @@ class Prima789Service {
     });
   }
 
-  /**
-   * Determine member tier based on credit balance
-   * @param {number|string} balance - Credit balance
-   * @returns {string} Member tier
-   */
-  determineMemberTier(balance) {
-    const numericBalance = parseFloat(balance);
-
-    if (isNaN(numericBalance)) {
-      return "Standard";
-    }
-
-    if (numericBalance >= 100000) {
-      return "Platinum";
-    } else if (numericBalance >= 50000) {
-      return "Gold";
-    } else if (numericBalance >= 10000) {
-      return "Silver";
-    } else {
-      return "Standard";
-    }
-  }
-
   /**
    * Utility function for delay
    * @param {number} ms - Milliseconds to delay
@@ -333,10 +287,10 @@ class Prima789Service {
    */
   async healthCheck() {
     return new Promise((resolve) => {
-      const socket = io(this.apiUrl, {
+      const socket = this.transport.connect(this.apiUrl, {
+        path: this.socketPath,
         transports: ["polling"],
         timeout: 5000,
-        forceNew: true,
       });
 
       const timeoutId = setTimeout(() => {
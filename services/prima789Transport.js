@@ -0,0 +1,75 @@
+// services/prima789Transport.js - Connection transports for the Prima789 service
+//
+// A transport opens a socket-like connection to Prima789 that exposes
+// on(event, listener), emit(event, payload), disconnect() and id.
+// config.prima789.transport picks the implementation:
+//   "socketio" - the real Prima789 server over socket.io-client (default)
+//   "fake"     - the in-process server from prima789FakeServer.js
+
+const { io } = require("socket.io-client");
+const { FakePrima789Server } = require("./prima789FakeServer");
+
+class SocketIoTransport {
+  constructor() {
+    this.name = "socketio";
+  }
+
+  /**
+   * Open a Socket.IO connection
+   * @param {string} url - Prima789 server URL
+   * @param {Object} options - socket.io-client options
+   * @returns {Object} socket.io-client Socket
+   */
+  connect(url, options = {}) {
+    return io(url, { forceNew: true, ...options });
+  }
+
+  /**
+   * Name of the underlying engine transport (polling / websocket)
+   * @param {Object} socket - Connected socket
+   * @returns {string|undefined} Engine transport name
+   */
+  describe(socket) {
+    return socket.io?.engine?.transport?.name;
+  }
+}
+
+class FakeTransport {
+  /**
+   * @param {Object} options - FakePrima789Server options
+   */
+  constructor(options = {}) {
+    this.name = "fake";
+    this.server = new FakePrima789Server(options);
+  }
+
+  connect(url) {
+    return this.server.connect(url);
+  }
+
+  describe() {
+    return `fake:${this.server.scenario}`;
+  }
+}
+
+/**
+ * Build the transport selected in config
+ * @param {Object} prima789Config - config.prima789
+ * @returns {SocketIoTransport|FakeTransport} Transport
+ * @throws {Error} If the transport name is unknown
+ */
+function createTransport(prima789Config = {}) {
+  const name = prima789Config.transport || "socketio";
+
+  if (name === "socketio") {
+    return new SocketIoTransport();
+  }
+
+  if (name === "fake") {
+    return new FakeTransport(prima789Config.fake);
+  }
+
+  throw new Error(`Unknown Prima789 transport: ${name}`);
+}
+
+module.exports = { createTransport, SocketIoTransport, FakeTransport };
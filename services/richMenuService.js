@@ -0,0 +1,313 @@
+// services/richMenuService.js - Rich menus for linked and unlinked members
+//
+// Menus are defined in richmenus/<name>.json as LINE rich menu objects, with
+// the image next to them as <name>.png or <name>.jpg; "{{LIFF_URL}}" in a
+// definition is replaced with the LIFF app URL. deploy() uploads the menus
+// whose definition or image changed and records their IDs in rich_menus.
+//
+// "unlinked" is the default menu every follower sees. Members are linked to
+// the "linked" menu when they link their Prima789 account
+// (EVENTS.MEMBER_LINKED) and fall back to the default when they unlink
+// (EVENTS.MEMBER_UNLINKED).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { eventBus, EVENTS } = require("../utils/events");
+const databaseService = require("./databaseService");
+const lineMessagingService = require("./lineMessagingService");
+const memberCardService = require("./memberCardService");
+const { AppError } = require("../utils/errors");
+
+const MENU_DIR = path.join(__dirname, "..", "richmenus");
+
+const MENUS = {
+  LINKED: "linked",
+  UNLINKED: "unlinked",
+};
+
+const IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg" };
+
+// Most user IDs LINE accepts in one bulk link request
+const BULK_LINK_SIZE = 500;
+
+class RichMenuService {
+  constructor() {
+    this.cacheTtl = config.line.richMenuCacheTtl;
+    this.cache = null;
+    this.unsubscribers = null;
+  }
+
+  /**
+   * Switch members' rich menus when they link or unlink (idempotent)
+   * @param {EventBus} bus - Event bus to subscribe to
+   * @returns {RichMenuService} this
+   */
+  listen(bus = eventBus) {
+    if (!this.unsubscribers) {
+      this.unsubscribers = [
+        bus.subscribe(EVENTS.MEMBER_LINKED, (event) =>
+          this.linkMember(event.lineUserId)
+        ),
+        bus.subscribe(EVENTS.MEMBER_UNLINKED, (event) =>
+          this.unlinkMember(event.lineUserId)
+        ),
+      ];
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening to domain events
+   */
+  stop() {
+    (this.unsubscribers || []).forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = null;
+  }
+
+  /**
+   * Read a menu definition and its image from disk
+   * @param {string} name - MENUS value
+   * @param {string} dir - Directory holding the menus
+   * @returns {Object} { name, definition, image, contentType, hash }
+   * @throws {AppError} RICH_MENU_INVALID if a file is missing or unreadable
+   */
+  loadMenu(name, dir = MENU_DIR) {
+    let definition;
+    try {
+      definition = JSON.parse(
+        fs
+          .readFileSync(path.join(dir, `${name}.json`), "utf8")
+          .split("{{LIFF_URL}}")
+          .join(memberCardService.liffUrl)
+      );
+    } catch (error) {
+      throw new AppError(
+        `Rich menu ${name}.json could not be read: ${error.message}`,
+        500,
+        "RICH_MENU_INVALID"
+      );
+    }
+
+    const extension = Object.keys(IMAGE_TYPES).find((ext) =>
+      fs.existsSync(path.join(dir, `${name}${ext}`))
+    );
+    if (!extension) {
+      throw new AppError(
+        `Rich menu image ${name}.png or ${name}.jpg is missing ` +
+          `(${definition.size.width}x${definition.size.height})`,
+        500,
+        "RICH_MENU_INVALID"
+      );
+    }
+    const image = fs.readFileSync(path.join(dir, `${name}${extension}`));
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(definition))
+      .update(image)
+      .digest("hex");
+
+    return {
+      name,
+      definition,
+      image,
+      contentType: IMAGE_TYPES[extension],
+      hash,
+    };
+  }
+
+  /**
+   * Deployed rich menus by name (cached)
+   * @returns {Promise<Object>} { [name]: { richMenuId, hash, deployedAt } }
+   */
+  async getDeployed() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.cacheTtl) {
+      return this.cache.menus;
+    }
+
+    const result = await databaseService.query(
+      `SELECT name, rich_menu_id, definition_hash, deployed_at
+       FROM rich_menus`
+    );
+
+    const menus = {};
+    for (const row of result.rows) {
+      menus[row.name] = {
+        richMenuId: row.rich_menu_id,
+        hash: row.definition_hash,
+        deployedAt: row.deployed_at,
+      };
+    }
+
+    this.cache = { menus, loadedAt: Date.now() };
+    return menus;
+  }
+
+  /**
+   * Drop cached rich menu IDs
+   */
+  clearCache() {
+    this.cache = null;
+  }
+
+  /**
+   * Upload the menus that changed since the last deploy and switch users to
+   * them. Linked members are re-linked to a new "linked" menu before the old
+   * one is deleted.
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the menus
+   * @param {boolean} options.force - Upload even when unchanged
+   * @returns {Promise<Array>} { name, status, richMenuId, relinked } per menu
+   */
+  async deploy({ dir = MENU_DIR, force = false } = {}) {
+    const menus = Object.values(MENUS).map((name) => this.loadMenu(name, dir));
+
+    this.clearCache();
+    const deployed = await this.getDeployed();
+    const results = [];
+
+    for (const menu of menus) {
+      const previous = deployed[menu.name];
+      if (previous && previous.hash === menu.hash && !force) {
+        results.push({
+          name: menu.name,
+          status: "unchanged",
+          richMenuId: previous.richMenuId,
+          relinked: 0,
+        });
+        continue;
+      }
+
+      const { richMenuId } = await lineMessagingService.request(
+        "POST",
+        "/richmenu",
+        menu.definition
+      );
+      await lineMessagingService.request(
+        "POST",
+        `/richmenu/${richMenuId}/content`,
+        menu.image,
+        { headers: { "Content-Type": menu.contentType }, dataApi: true }
+      );
+
+      let relinked = 0;
+      if (menu.name === MENUS.UNLINKED) {
+        await lineMessagingService.request(
+          "POST",
+          `/user/all/richmenu/${richMenuId}`
+        );
+      } else {
+        relinked = await this.linkAllMembers(richMenuId);
+      }
+
+      await databaseService.query(
+        `INSERT INTO rich_menus (name, rich_menu_id, definition_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (name) DO UPDATE SET
+           rich_menu_id = EXCLUDED.rich_menu_id,
+           definition_hash = EXCLUDED.definition_hash,
+           deployed_at = CURRENT_TIMESTAMP`,
+        [menu.name, richMenuId, menu.hash]
+      );
+
+      if (previous) {
+        await this.deleteMenu(previous.richMenuId);
+      }
+
+      logger.info("Rich menu deployed", {
+        name: menu.name,
+        richMenuId,
+        replaced: previous?.richMenuId || null,
+        relinked,
+      });
+      results.push({
+        name: menu.name,
+        status: "deployed",
+        richMenuId,
+        relinked,
+      });
+    }
+
+    this.clearCache();
+    return results;
+  }
+
+  /**
+   * Link every linked member to a rich menu, in bulk
+   * @param {string} richMenuId - LINE rich menu ID
+   * @returns {Promise<number>} Members linked
+   */
+  async linkAllMembers(richMenuId) {
+    const result = await databaseService.query(
+      `SELECT line_user_id FROM user_accounts
+       WHERE line_user_id IS NOT NULL AND is_active = true
+       ORDER BY id`
+    );
+    const userIds = result.rows.map((row) => row.line_user_id);
+
+    for (let i = 0; i < userIds.length; i += BULK_LINK_SIZE) {
+      await lineMessagingService.request("POST", "/richmenu/bulk/link", {
+        richMenuId,
+        userIds: userIds.slice(i, i + BULK_LINK_SIZE),
+      });
+    }
+    return userIds.length;
+  }
+
+  /**
+   * Delete a replaced rich menu; a menu already gone is not an error
+   * @param {string} richMenuId - LINE rich menu ID
+   */
+  async deleteMenu(richMenuId) {
+    try {
+      await lineMessagingService.request("DELETE", `/richmenu/${richMenuId}`);
+    } catch (error) {
+      logger.warn("Replaced rich menu could not be deleted", {
+        richMenuId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Show the "linked" menu to a member
+   * @param {string} lineUserId - LINE User ID
+   * @returns {Promise<boolean>} false when no linked menu is deployed
+   */
+  async linkMember(lineUserId) {
+    const menu = (await this.getDeployed())[MENUS.LINKED];
+    if (!menu) {
+      logger.debug("No linked rich menu deployed, skipping", {
+        lineUserId: lineUserId.substring(0, 10) + "***",
+      });
+      return false;
+    }
+
+    await lineMessagingService.request(
+      "POST",
+      `/user/${lineUserId}/richmenu/${menu.richMenuId}`
+    );
+    return true;
+  }
+
+  /**
+   * Return a member to the default ("unlinked") menu
+   * @param {string} lineUserId - LINE User ID
+   * @returns {Promise<boolean>} false when no linked menu is deployed
+   */
+  async unlinkMember(lineUserId) {
+    if (!(await this.getDeployed())[MENUS.LINKED]) return false;
+
+    await lineMessagingService.request(
+      "DELETE",
+      `/user/${lineUserId}/richmenu`
+    );
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new RichMenuService();
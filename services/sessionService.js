@@ -0,0 +1,273 @@
+// services/sessionService.js - Session tokens issued after LINE login
+
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const securityUtils = require("../utils/security");
+const databaseService = require("./databaseService");
+const { AuthenticationError } = require("../utils/errors");
+
+const ACCESS_TOKEN_AUDIENCE = "prima789-api";
+
+class SessionService {
+  constructor() {
+    this.secret = config.security.jwtSecret;
+    this.issuer = config.security.jwtIssuer;
+    this.accessTokenTtl = config.security.accessTokenTtl;
+    this.refreshTokenTtl = config.security.refreshTokenTtl;
+  }
+
+  /**
+   * Check whether a bearer token was issued by this service
+   * @param {string} token - Bearer token
+   * @returns {boolean} True for our own access tokens
+   */
+  isSessionToken(token) {
+    const decoded = jwt.decode(token);
+    return !!decoded && decoded.iss === this.issuer;
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @param {string} lineUserId - LINE User ID
+   * @param {Object} profile - Verified LINE profile claims
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(lineUserId, profile = {}) {
+    return jwt.sign({ name: profile.name, typ: "access" }, this.secret, {
+      algorithm: "HS256",
+      subject: lineUserId,
+      issuer: this.issuer,
+      audience: ACCESS_TOKEN_AUDIENCE,
+      expiresIn: this.accessTokenTtl,
+    });
+  }
+
+  /**
+   * Verify an access token issued by this service
+   * @param {string} token - Access token
+   * @returns {Object} Standardized token data (lineUserId, name, ...)
+   * @throws {AuthenticationError} If the token is invalid or expired
+   */
+  verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret, {
+        algorithms: ["HS256"],
+        issuer: this.issuer,
+        audience: ACCESS_TOKEN_AUDIENCE,
+      });
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new AuthenticationError(
+          "Access token has expired",
+          "TOKEN_EXPIRED"
+        );
+      }
+      throw new AuthenticationError("Invalid access token");
+    }
+
+    if (payload.typ !== "access" || !payload.sub) {
+      throw new AuthenticationError("Invalid access token");
+    }
+
+    return {
+      lineUserId: payload.sub,
+      name: payload.name,
+      issuer: payload.iss,
+      expiresAt: payload.exp,
+      issuedAt: payload.iat,
+    };
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {string} Token hash
+   */
+  hashRefreshToken(refreshToken) {
+    return securityUtils.generateHash(refreshToken, "refresh_token");
+  }
+
+  /**
+   * Store a new refresh token
+   * @param {string} lineUserId - LINE User ID
+   * @param {string} familyId - Token family (one per LINE login)
+   * @param {Object} meta - Client IP address and user agent
+   * @returns {Promise<Object>} Raw token and its row ID
+   */
+  async createRefreshToken(lineUserId, familyId, meta = {}) {
+    const refreshToken = securityUtils.generateToken(48);
+
+    const result = await databaseService.query(
+      `INSERT INTO refresh_tokens (
+         line_user_id, token_hash, family_id, expires_at, ip_address, user_agent
+       )
+       VALUES ($1, $2, $3, NOW() + ($4 || ' seconds')::INTERVAL, $5, $6)
+       RETURNING id`,
+      [
+        lineUserId,
+        this.hashRefreshToken(refreshToken),
+        familyId,
+        String(this.refreshTokenTtl),
+        meta.ipAddress || null,
+        meta.userAgent || null,
+      ]
+    );
+
+    return { refreshToken, id: result.rows[0].id };
+  }
+
+  /**
+   * Build the token response returned to the client
+   * @param {string} accessToken - Signed access token
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} Token pair
+   */
+  formatTokens(accessToken, refreshToken) {
+    return {
+      accessToken,
+      tokenType: "Bearer",
+      expiresIn: this.accessTokenTtl,
+      refreshToken,
+      refreshExpiresIn: this.refreshTokenTtl,
+    };
+  }
+
+  /**
+   * Start a session for a LINE user whose ID Token was verified
+   * @param {Object} tokenData - Verified LINE ID Token data
+   * @param {Object} meta - Client IP address and user agent
+   * @returns {Promise<Object>} Access and refresh token pair
+   */
+  async issueSession(tokenData, meta = {}) {
+    const familyId = securityUtils.generateToken(16);
+    const { refreshToken } = await this.createRefreshToken(
+      tokenData.lineUserId,
+      familyId,
+      meta
+    );
+
+    logger.logAuth(tokenData.lineUserId, "session_issue", true);
+
+    return this.formatTokens(
+      this.signAccessToken(tokenData.lineUserId, tokenData),
+      refreshToken
+    );
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   *
+   * The presented token is revoked and replaced. Presenting a token that was
+   * already rotated means it leaked, so its whole family is revoked.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} meta - Client IP address and user agent
+   * @returns {Promise<Object>} New access and refresh token pair
+   * @throws {AuthenticationError} If the token is invalid, expired or reused
+   */
+  async refreshSession(refreshToken, meta = {}) {
+    if (!refreshToken || typeof refreshToken !== "string") {
+      throw new AuthenticationError("Refresh token is required");
+    }
+
+    const tokenHash = this.hashRefreshToken(refreshToken);
+
+    // Claim the token atomically so concurrent refreshes cannot both succeed
+    const claimed = await databaseService.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING id, line_user_id, family_id`,
+      [tokenHash]
+    );
+
+    if (claimed.rows.length === 0) {
+      const existing = await databaseService.query(
+        "SELECT line_user_id, family_id, revoked_at FROM refresh_tokens WHERE token_hash = $1",
+        [tokenHash]
+      );
+      const record = existing.rows[0];
+
+      if (record && record.revoked_at) {
+        await this.revokeFamily(record.family_id);
+        logger.logAuth(record.line_user_id, "session_refresh", false, {
+          reason: "refresh_token_reuse",
+        });
+      }
+
+      throw new AuthenticationError(
+        "Refresh token is invalid or expired",
+        "INVALID_REFRESH_TOKEN"
+      );
+    }
+
+    const { id, line_user_id, family_id } = claimed.rows[0];
+    const next = await this.createRefreshToken(line_user_id, family_id, meta);
+
+    await databaseService.query(
+      "UPDATE refresh_tokens SET replaced_by = $2 WHERE id = $1",
+      [id, next.id]
+    );
+
+    logger.logAuth(line_user_id, "session_refresh", true);
+
+    return this.formatTokens(
+      this.signAccessToken(line_user_id),
+      next.refreshToken
+    );
+  }
+
+  /**
+   * Revoke a single refresh token (logout)
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async revokeRefreshToken(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return false;
+    }
+
+    const result = await databaseService.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [this.hashRefreshToken(refreshToken)]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every token descended from one LINE login
+   * @param {string} familyId - Token family
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId) {
+    const result = await databaseService.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke all refresh tokens of a LINE user
+   * @param {string} lineUserId - LINE User ID
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeAllForUser(lineUserId) {
+    const result = await databaseService.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE line_user_id = $1 AND revoked_at IS NULL`,
+      [lineUserId]
+    );
+
+    logger.logAuth(lineUserId, "session_revoke_all", true, {
+      revoked: result.rowCount,
+    });
+    return result.rowCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
@@ -0,0 +1,350 @@
+// services/tierService.js - Member tier rules engine
+//
+// Tier definitions live in the member_tiers table and are the only place
+// thresholds are defined; the browser shows whatever tier is returned here.
+// A member qualifies for the highest tier whose min_balance their
+// qualifying balance reaches: the current balance, or with
+// rolling_window_days the average of the snapshots in that window. Falling
+// below the current tier only takes effect after its downgrade_grace_days.
+// Every upgrade or downgrade is written to tier_history and published as
+// EVENTS.TIER_CHANGED for other features to react to.
+
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const { eventBus, EVENTS } = require("../utils/events");
+const databaseService = require("./databaseService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a tier changed, stored in tier_history.reason
+const CHANGE_REASONS = {
+  INITIAL: "initial", // stored tier was not a known tier
+  THRESHOLD_REACHED: "threshold_reached",
+  BELOW_THRESHOLD: "below_threshold", // tier has no grace period
+  GRACE_PERIOD_ENDED: "grace_period_ended",
+};
+
+class TierService {
+  constructor() {
+    this.cacheTtl = config.tiers.cacheTtl;
+    this.tiers = null;
+    this.tiersFetchedAt = 0;
+  }
+
+  /**
+   * Active tier rules, lowest threshold first (cached per function instance)
+   * @returns {Promise<Array>} Tier rules
+   */
+  async getTiers() {
+    const isStale = Date.now() - this.tiersFetchedAt > this.cacheTtl;
+
+    if (!this.tiers || isStale) {
+      const result = await databaseService.query(
+        `SELECT name, min_balance, rolling_window_days, downgrade_grace_days,
+                badge_color, text_color
+         FROM member_tiers
+         WHERE is_active = true
+         ORDER BY min_balance ASC`
+      );
+
+      this.tiers = result.rows.map((row) => ({
+        name: row.name,
+        minBalance: parseFloat(row.min_balance),
+        rollingWindowDays: row.rolling_window_days,
+        downgradeGraceDays: row.downgrade_grace_days,
+        badgeColor: row.badge_color,
+        textColor: row.text_color,
+      }));
+      this.tiersFetchedAt = Date.now();
+    }
+
+    return this.tiers;
+  }
+
+  /**
+   * Drop cached rules so the next call re-reads member_tiers
+   */
+  clearCache() {
+    this.tiers = null;
+    this.tiersFetchedAt = 0;
+  }
+
+  /**
+   * Find a tier rule by name; stored names from older releases were upper case
+   * @param {Array} tiers - Tier rules
+   * @param {string} name - Tier name
+   * @returns {Object|null} Tier rule
+   */
+  findTier(tiers, name) {
+    if (!name) return null;
+    const wanted = name.toLowerCase();
+    return tiers.find((tier) => tier.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Average balance per rolling window, counting the balance being synced
+   * as one more sample
+   * @param {number} accountId - user_accounts ID
+   * @param {Array} tiers - Tier rules
+   * @param {number} balance - Balance just reported by Prima789
+   * @returns {Promise<Object>} Average balance keyed by window length (days)
+   */
+  async getWindowAverages(accountId, tiers, balance) {
+    const windows = [
+      ...new Set(
+        tiers.map((tier) => tier.rollingWindowDays).filter((days) => days > 0)
+      ),
+    ];
+    if (windows.length === 0) return {};
+
+    const result = await databaseService.query(
+      `SELECT w.days,
+              COALESCE(SUM(s.credit_balance), 0) AS total,
+              COUNT(s.id) AS samples
+       FROM unnest($2::INTEGER[]) AS w(days)
+       LEFT JOIN balance_snapshots s
+         ON s.account_id = $1
+        AND s.recorded_at >= NOW() - make_interval(days => w.days)
+       GROUP BY w.days`,
+      [accountId, windows]
+    );
+
+    return result.rows.reduce((averages, row) => {
+      const samples = parseInt(row.samples, 10) + 1;
+      averages[row.days] = (parseFloat(row.total) + balance) / samples;
+      return averages;
+    }, {});
+  }
+
+  /**
+   * Apply the tier rules to a balance (no I/O)
+   * @param {Object} input
+   * @param {Array} input.tiers - Tier rules, lowest threshold first
+   * @param {number} input.balance - Current balance
+   * @param {Object} input.averages - Window averages from getWindowAverages()
+   * @param {string} input.currentTier - Tier the member holds now
+   * @param {Date|string} input.belowSince - When the member fell below it
+   * @param {Date} input.now - Evaluation time
+   * @returns {Object} tier, belowSince and reason (upgrade, downgrade,
+   *   unchanged or grace)
+   */
+  evaluate({
+    tiers,
+    balance,
+    averages = {},
+    currentTier,
+    belowSince = null,
+    now = new Date(),
+  }) {
+    const qualifies = (tier) => {
+      const qualifyingBalance =
+        tier.rollingWindowDays > 0 &&
+        averages[tier.rollingWindowDays] !== undefined
+          ? averages[tier.rollingWindowDays]
+          : balance;
+      return qualifyingBalance >= tier.minBalance;
+    };
+
+    // The lowest tier is the floor even if its threshold is above zero
+    const qualified =
+      [...tiers].reverse().find((tier) => qualifies(tier)) || tiers[0];
+    const current = this.findTier(tiers, currentTier);
+
+    if (!current || qualified.minBalance >= current.minBalance) {
+      let reason = "unchanged";
+      if (!current || qualified.minBalance > current.minBalance) {
+        reason = "upgrade";
+      }
+      return { tier: qualified, belowSince: null, reason };
+    }
+
+    const since = belowSince ? new Date(belowSince) : now;
+    const graceEndsAt = new Date(
+      since.getTime() + current.downgradeGraceDays * DAY_MS
+    );
+
+    if (now >= graceEndsAt) {
+      return { tier: qualified, belowSince: null, reason: "downgrade" };
+    }
+
+    return { tier: current, belowSince: since, reason: "grace" };
+  }
+
+  /**
+   * Evaluate and store the tier for an account after a new balance
+   * @param {Object} account - user_accounts row
+   * @param {number} balance - Balance just reported by Prima789
+   * @param {string} source - "sync" or "verify"
+   * @returns {Promise<Object>} Updated account and the tier change (or null)
+   */
+  async assignTier(account, balance, source) {
+    const tiers = await this.getTiers();
+
+    if (tiers.length === 0) {
+      logger.warn("No active member tiers configured, keeping stored tier", {
+        accountId: account.id,
+      });
+      return { account, change: null };
+    }
+
+    const averages = await this.getWindowAverages(account.id, tiers, balance);
+    const result = this.evaluate({
+      tiers,
+      balance,
+      averages,
+      currentTier: account.member_tier,
+      belowSince: account.tier_below_since,
+    });
+
+    await databaseService.query(
+      `UPDATE user_accounts
+       SET member_tier = $2, tier_below_since = $3
+       WHERE id = $1`,
+      [account.id, result.tier.name, result.belowSince]
+    );
+
+    let change = null;
+    if (result.reason === "upgrade" || result.reason === "downgrade") {
+      change = await this.recordChange(account, {
+        to: result.tier.name,
+        direction: result.reason,
+        reason: this.changeReason(tiers, account, result.reason),
+        balance,
+        source,
+      });
+    }
+
+    return {
+      account: {
+        ...account,
+        member_tier: result.tier.name,
+        tier_below_since: result.belowSince,
+      },
+      change,
+    };
+  }
+
+  /**
+   * Why an upgrade or downgrade happened
+   * @param {Array} tiers - Tier rules
+   * @param {Object} account - user_accounts row before the change
+   * @param {string} direction - "upgrade" or "downgrade"
+   * @returns {string} CHANGE_REASONS value
+   */
+  changeReason(tiers, account, direction) {
+    if (!this.findTier(tiers, account.member_tier)) {
+      return CHANGE_REASONS.INITIAL;
+    }
+    if (direction === "upgrade") {
+      return CHANGE_REASONS.THRESHOLD_REACHED;
+    }
+    return account.tier_below_since
+      ? CHANGE_REASONS.GRACE_PERIOD_ENDED
+      : CHANGE_REASONS.BELOW_THRESHOLD;
+  }
+
+  /**
+   * Write a tier change to tier_history and publish EVENTS.TIER_CHANGED
+   * @param {Object} account - user_accounts row before the change
+   * @param {Object} change - to, direction, reason, balance, source
+   * @returns {Promise<Object>} The published event payload
+   */
+  async recordChange(account, { to, direction, reason, balance, source }) {
+    const result = await databaseService.query(
+      `INSERT INTO tier_history (
+         account_id, from_tier, to_tier, direction, reason,
+         credit_balance, source
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, changed_at`,
+      [
+        account.id,
+        account.member_tier || null,
+        to,
+        direction,
+        reason,
+        balance,
+        source,
+      ]
+    );
+
+    const event = {
+      id: result.rows[0].id,
+      accountId: account.id,
+      lineUserId: account.line_user_id || null,
+      from: account.member_tier || null,
+      to,
+      direction,
+      reason,
+      balance,
+      source,
+      changedAt: result.rows[0].changed_at,
+    };
+
+    logger.info("Member tier changed", {
+      accountId: account.id,
+      from: event.from,
+      to,
+      reason,
+      source,
+    });
+
+    await eventBus.publish(EVENTS.TIER_CHANGED, event);
+    return event;
+  }
+
+  /**
+   * Tier changes for an account, newest first
+   * @param {number} accountId - user_accounts ID
+   * @param {number} limit - Most changes to return
+   * @returns {Promise<Array>} tier_history rows
+   */
+  async getHistory(accountId, limit = 20) {
+    const result = await databaseService.query(
+      `SELECT id, from_tier, to_tier, direction, reason, credit_balance,
+              source, changed_at
+       FROM tier_history
+       WHERE account_id = $1
+       ORDER BY changed_at DESC
+       LIMIT $2`,
+      [accountId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Display data for the tier an account holds
+   * @param {Object} account - user_accounts row
+   * @returns {Promise<Object>} name, colors and pending downgrade date
+   */
+  async describe(account) {
+    const tiers = await this.getTiers();
+    const tier = this.findTier(tiers, account.member_tier);
+
+    if (!tier) {
+      return {
+        name: account.member_tier,
+        badgeColor: null,
+        textColor: null,
+        downgradeAt: null,
+      };
+    }
+
+    const downgradeAt = account.tier_below_since
+      ? new Date(
+          new Date(account.tier_below_since).getTime() +
+            tier.downgradeGraceDays * DAY_MS
+        ).toISOString()
+      : null;
+
+    return {
+      name: tier.name,
+      badgeColor: tier.badgeColor,
+      textColor: tier.textColor,
+      downgradeAt,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TierService();
@@ -0,0 +1,102 @@
+// utils/bulkhead.js - Concurrency cap for calls to external services
+//
+// Limits how many calls (e.g. open Prima789 sockets) run at once in this
+// function instance. Calls beyond the cap wait in a short queue and are
+// rejected with ServiceUnavailableError when the queue is full or the wait
+// exceeds queueTimeout.
+
+const logger = require("./logger");
+const { ServiceUnavailableError } = require("./errors");
+
+class Bulkhead {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Service name used in errors and logs
+   * @param {number} options.maxConcurrent - Calls allowed to run at once
+   * @param {number} options.maxQueue - Calls allowed to wait for a slot
+   * @param {number} options.queueTimeout - Longest wait for a slot (ms)
+   */
+  constructor({ name, maxConcurrent = 10, maxQueue = 0, queueTimeout = 5000 }) {
+    this.name = name;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.queueTimeout = queueTimeout;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a call once a slot is free
+   * @param {Function} fn - Async function performing the call
+   * @returns {Promise<any>} Result of fn
+   * @throws {ServiceUnavailableError} If no slot frees up in time
+   */
+  async run(fn) {
+    await this.acquire();
+
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      logger.warn("Bulkhead rejected call", {
+        service: this.name,
+        active: this.active,
+        queued: this.queue.length,
+      });
+      return Promise.reject(this.rejection());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timeoutId = setTimeout(() => {
+        this.queue = this.queue.filter((queued) => queued !== waiter);
+        reject(this.rejection());
+      }, this.queueTimeout);
+      this.queue.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.queue.shift();
+
+    if (next) {
+      // Hand the slot straight to the next waiter
+      clearTimeout(next.timeoutId);
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  rejection() {
+    return new ServiceUnavailableError(
+      this.name,
+      Math.max(1, Math.ceil(this.queueTimeout / 1000)),
+      "concurrency_limit"
+    );
+  }
+
+  /**
+   * Current load for health reporting
+   * @returns {Object} active, queued, maxConcurrent
+   */
+  getState() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+    };
+  }
+}
+
+module.exports = { Bulkhead };
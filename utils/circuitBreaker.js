@@ -0,0 +1,191 @@
+// utils/circuitBreaker.js - Circuit breaker for calls to external services
+//
+// closed    - calls pass through; consecutive failures are counted
+// open      - calls fail fast with ServiceUnavailableError until resetTimeout
+// half-open - a limited number of trial calls decide whether to close again
+//
+// State lives in the function instance, like the in-memory rate limiter, so
+// each warm instance trips independently.
+
+const logger = require("./logger");
+const { ServiceUnavailableError } = require("./errors");
+
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Service name used in errors and logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Time the circuit stays open (ms)
+   * @param {number} options.halfOpenMaxCalls - Trial calls allowed while half-open
+   * @param {Function} options.isFailure - Decides whether an error counts as a failure
+   */
+  constructor({
+    name,
+    failureThreshold = 5,
+    resetTimeout = 30000,
+    halfOpenMaxCalls = 1,
+    isFailure = () => true,
+  }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.isFailure = isFailure;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function performing the call
+   * @returns {Promise<any>} Result of fn
+   * @throws {ServiceUnavailableError} If the circuit is open
+   */
+  async execute(fn) {
+    const trial = this.beforeCall();
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial && this.halfOpenCalls > 0) {
+        this.halfOpenCalls--;
+      }
+    }
+  }
+
+  /**
+   * Admit a call or fail fast
+   * @returns {boolean} True if the call is a half-open trial
+   * @throws {ServiceUnavailableError} If the call is not admitted
+   */
+  beforeCall() {
+    if (this.state === STATES.OPEN) {
+      if (this.isOpen()) {
+        throw new ServiceUnavailableError(
+          this.name,
+          this.getRetryAfter(),
+          "circuit_open"
+        );
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        throw new ServiceUnavailableError(
+          this.name,
+          Math.ceil(this.resetTimeout / 1000),
+          "circuit_half_open"
+        );
+      }
+      this.halfOpenCalls++;
+      return true;
+    }
+
+    return false;
+  }
+
+  onSuccess() {
+    this.failures = 0;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  onFailure(error) {
+    this.failures++;
+
+    if (
+      this.state === STATES.HALF_OPEN ||
+      (this.state === STATES.CLOSED && this.failures >= this.failureThreshold)
+    ) {
+      this.transition(STATES.OPEN, { error: error.message });
+    }
+  }
+
+  transition(state, details = {}) {
+    const from = this.state;
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+    if (state !== STATES.HALF_OPEN) {
+      this.halfOpenCalls = 0;
+    }
+
+    const log = state === STATES.OPEN ? logger.warn : logger.info;
+    log.call(logger, "Circuit breaker state changed", {
+      service: this.name,
+      from,
+      to: state,
+      failures: this.failures,
+      ...details,
+    });
+  }
+
+  /**
+   * Whether a call made now would fail fast
+   * @returns {boolean} True while open and within resetTimeout
+   */
+  isOpen() {
+    return (
+      this.state === STATES.OPEN &&
+      Date.now() - this.openedAt < this.resetTimeout
+    );
+  }
+
+  /**
+   * Seconds until an open circuit lets a trial call through
+   * @returns {number|null} Seconds, or null when not open
+   */
+  getRetryAfter() {
+    if (!this.isOpen()) {
+      return null;
+    }
+    const remaining = this.resetTimeout - (Date.now() - this.openedAt);
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  /**
+   * Current breaker state for health reporting
+   * @returns {Object} state, failures, retryAfter
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAfter: this.getRetryAfter(),
+    };
+  }
+
+  reset() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
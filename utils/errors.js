@@ -70,6 +70,37 @@ class ExternalAPIError extends AppError {
   }
 }
 
+/**
+ * Service Unavailable Error Class
+ * Raised without contacting the external service (open circuit breaker or
+ * concurrency cap reached)
+ */
+class ServiceUnavailableError extends ExternalAPIError {
+  constructor(service = "unknown", retryAfter = null, reason = "unavailable") {
+    super(`${service} temporarily unavailable`, service, "SERVICE_UNAVAILABLE");
+    this.name = "ServiceUnavailableError";
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Too Many Attempts Error Class
+ * Raised before a PIN is checked for a phone number or LINE user with too
+ * many recent failures
+ */
+class TooManyAttemptsError extends AppError {
+  constructor(message, unlockAt, code = "PIN_LOCKED") {
+    super(message, 429, code);
+    this.name = "TooManyAttemptsError";
+    this.unlockAt = unlockAt;
+    this.retryAfter = Math.max(
+      1,
+      Math.ceil((unlockAt.getTime() - Date.now()) / 1000)
+    );
+  }
+}
+
 /**
  * Async handler wrapper for better error handling
  * @param {Function} fn - Async function to wrap
@@ -129,17 +160,33 @@ function validateRequired(value, fieldName) {
  * @returns {boolean} True if valid
  */
 function validatePhoneNumber(phone) {
+  return normalizePhoneNumber(phone) !== null;
+}
+
+/**
+ * Normalize a Thai mobile number to its 10-digit local form (0XXXXXXXXX)
+ * Accepts spaces, dashes, dots and parentheses, the +66 / 66 country code
+ * and numbers written without the leading 0
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} Normalized number, or null if it is not a Thai
+ *   mobile number (08x, 09x or 06x)
+ */
+function normalizePhoneNumber(phone) {
   if (!phone || typeof phone !== "string") {
-    return false;
+    return null;
   }
 
-  // Clean phone number (remove spaces, dashes, parentheses)
-  const cleanPhone = phone.replace(/[-\s\(\)]/g, "");
+  let digits = phone.replace(/[-\s().]/g, "");
+  if (digits.startsWith("+66")) {
+    digits = digits.substring(3);
+  } else if (/^66\d{9}$/.test(digits)) {
+    digits = digits.substring(2);
+  }
+  if (!digits.startsWith("0")) {
+    digits = `0${digits}`;
+  }
 
-  // Validate Thai mobile number format
-  // Patterns: 08x, 09x, 06x (10 digits total)
-  const phonePattern = /^0[689]\d{8}$/;
-  return phonePattern.test(cleanPhone);
+  return /^0[689]\d{8}$/.test(digits) ? digits : null;
 }
 
 /**
@@ -244,12 +291,18 @@ function createErrorResponse(error, defaultStatus = 500) {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Headers": "Content-Type, Authorization",
       "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      ...(error.retryAfter && { "Retry-After": String(error.retryAfter) }),
     },
     body: JSON.stringify({
       error: {
         message: error.message,
         code: error.code || "UNKNOWN_ERROR",
         ...(error.field && { field: error.field }),
+        ...(error.retryAfter && { retryAfter: error.retryAfter }),
+        ...(error.unlockAt && { unlockAt: error.unlockAt.toISOString() }),
+        ...(error.attemptsRemaining !== undefined && {
+          attemptsRemaining: error.attemptsRemaining,
+        }),
         ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
       },
     }),
@@ -285,6 +338,8 @@ function handleError(error, event = {}) {
     return createErrorResponse(error, 500);
   } else if (error instanceof ExternalAPIError) {
     return createErrorResponse(error, 503);
+  } else if (error instanceof AppError) {
+    return createErrorResponse(error, error.statusCode);
   } else {
     // Unknown error - don't expose internal details
     const safeError = new AppError(
@@ -307,6 +362,8 @@ module.exports = {
   AuthorizationError,
   DatabaseError,
   ExternalAPIError,
+  ServiceUnavailableError,
+  TooManyAttemptsError,
 
   // Utility functions
   asyncHandler,
@@ -325,5 +382,6 @@ module.exports = {
   validatePINOrThrow,
 
   // Utility functions
+  normalizePhoneNumber,
   sanitizeInput,
 };
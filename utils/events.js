@@ -0,0 +1,68 @@
+// utils/events.js - In-process domain events
+//
+// Features subscribe to domain events (e.g. a tier change) instead of being
+// called directly by the code that causes them. publish() waits for every
+// subscriber so work finishes before the function returns, and a failing
+// subscriber is logged without failing the publisher or other subscribers.
+
+const logger = require("./logger");
+
+const EVENTS = {
+  TIER_CHANGED: "tier.changed",
+  BALANCE_SYNCED: "balance.synced",
+  MEMBER_LINKED: "member.linked",
+  MEMBER_UNLINKED: "member.unlinked",
+};
+
+class EventBus {
+  constructor() {
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Register a handler for an event
+   * @param {string} event - Event name from EVENTS
+   * @param {Function} handler - Async function receiving the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(event, handler) {
+    if (!this.subscribers.has(event)) {
+      this.subscribers.set(event, new Set());
+    }
+    this.subscribers.get(event).add(handler);
+
+    return () => this.subscribers.get(event).delete(handler);
+  }
+
+  /**
+   * Deliver an event to every subscriber
+   * @param {string} event - Event name from EVENTS
+   * @param {Object} payload - Event data
+   * @returns {Promise<number>} Number of subscribers that failed
+   */
+  async publish(event, payload) {
+    const handlers = [...(this.subscribers.get(event) || [])];
+
+    const results = await Promise.allSettled(
+      handlers.map((handler) => handler(payload))
+    );
+
+    const failures = results.filter((result) => result.status === "rejected");
+    for (const failure of failures) {
+      logger.error("Event subscriber failed", {
+        event,
+        error: failure.reason?.message,
+      });
+    }
+
+    logger.debug("Event published", {
+      event,
+      subscribers: handlers.length,
+      failed: failures.length,
+    });
+
+    return failures.length;
+  }
+}
+
+module.exports = { EventBus, eventBus: new EventBus(), EVENTS };
@@ -88,14 +88,9 @@ class Logger {
     });
   }
 
-  // Get client IP (works with Netlify Functions)
+  // Client IP resolved by the caller (the router passes ctx.ip)
   getClientIP(req) {
-    return (
-      req.headers["x-forwarded-for"] ||
-      req.headers["x-real-ip"] ||
-      req.connection?.remoteAddress ||
-      "unknown"
-    );
+    return req.ip || req.connection?.remoteAddress || "unknown";
   }
 }
 
@@ -0,0 +1,239 @@
+// utils/middleware.js - Middleware chain building blocks for the API router
+//
+// Every middleware receives the request context built by utils/router.js and
+// either returns a response object to short-circuit the chain or null to continue.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const securityUtils = require("./security");
+const rateLimiter = require("./rateLimiter");
+const { validate } = require("./schema");
+const lineAuthService = require("../services/lineAuthService");
+const sessionService = require("../services/sessionService");
+const lineWebhookService = require("../services/lineWebhookService");
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+} = require("./errors");
+
+/**
+ * Block suspicious or malformed requests and blocklisted IPs
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object|null>} Security response or null to continue
+ */
+function security(ctx) {
+  return securityUtils.securityMiddleware(ctx.event);
+}
+
+/**
+ * Enforce the per-client request rate limit. A route's `rateLimit` setting
+ * gives it a limit of its own ({ limit, windowMs, algorithm }), or exempts it
+ * with `false`; other requests share the default limit.
+ * @param {Object} ctx - Request context
+ * @returns {Promise<Object|null>} 429 response or null to continue
+ */
+async function rateLimit(ctx) {
+  const setting = ctx.route?.rateLimit;
+  if (setting === false) {
+    return null;
+  }
+
+  const result = await rateLimiter.isAllowed(
+    ctx.event,
+    setting && { bucket: `${ctx.route.method} ${ctx.route.path}`, ...setting }
+  );
+  if (!result.allowed) {
+    return rateLimiter.createLimitedResponse(result);
+  }
+
+  Object.assign(ctx.responseHeaders, rateLimiter.getHeaders(result));
+  return null;
+}
+
+/**
+ * Parse the JSON request body into ctx.body
+ * @param {Object} ctx - Request context
+ * @returns {null} Always continues
+ * @throws {ValidationError} If the body is not valid JSON
+ */
+function parseJsonBody(ctx) {
+  if (!ctx.rawBody) {
+    ctx.body = {};
+    return null;
+  }
+
+  try {
+    ctx.body = JSON.parse(ctx.rawBody);
+  } catch (error) {
+    throw new ValidationError("Request body must be valid JSON", "body");
+  }
+
+  if (!ctx.body || typeof ctx.body !== "object" || Array.isArray(ctx.body)) {
+    throw new ValidationError("Request body must be a JSON object", "body");
+  }
+
+  return null;
+}
+
+/**
+ * Validate path parameters, query string and body against the route's
+ * schema and replace them with the cleaned values: unknown fields stripped,
+ * defaults filled in, query values converted and phone numbers normalized.
+ * Runs after parseJsonBody.
+ * @param {Object} ctx - Request context
+ * @returns {null} Always continues
+ * @throws {ValidationError} With the path of the first invalid field
+ */
+function validateRequest(ctx) {
+  const schema = ctx.route?.schema || {};
+
+  if (schema.params) {
+    ctx.params = validate(schema.params, ctx.params, { coerce: true });
+  }
+  if (schema.query) {
+    ctx.query = validate(schema.query, ctx.query, { coerce: true });
+  }
+  if (schema.body) {
+    ctx.body = validate(schema.body, ctx.body || {});
+  }
+  return null;
+}
+
+/**
+ * Accept only webhook requests signed with the LINE channel secret
+ * @param {Object} ctx - Request context
+ * @returns {Promise<null>} Always continues
+ * @throws {AuthenticationError} If X-Line-Signature does not match the body
+ */
+async function verifyLineSignature(ctx) {
+  try {
+    lineWebhookService.verifySignature(
+      ctx.rawBody,
+      ctx.headers["x-line-signature"]
+    );
+  } catch (error) {
+    if (error.code === "INVALID_SIGNATURE") {
+      await securityUtils.logSecurityEvent("INVALID_WEBHOOK_SIGNATURE", {
+        ip: ctx.ip,
+        userAgent: ctx.userAgent,
+        path: ctx.path,
+      });
+    }
+    throw error;
+  }
+  return null;
+}
+
+/**
+ * Reject requests whose X-LINE-User-ID header names someone other than the
+ * verified caller. The header is never used for identity; a mismatch means
+ * a forged or stale client and is logged as a security event.
+ * @param {Object} ctx - Authenticated request context
+ * @throws {AuthorizationError} If the header disagrees with the credential
+ */
+async function assertClaimedIdentity(ctx) {
+  const claimedUserId = ctx.headers["x-line-user-id"];
+
+  if (claimedUserId && claimedUserId !== ctx.lineUserId) {
+    await securityUtils.logSecurityEvent("IDENTITY_HEADER_MISMATCH", {
+      ip: ctx.ip,
+      userAgent: ctx.userAgent,
+      path: ctx.path,
+      authMethod: ctx.authMethod,
+      lineUserId: ctx.lineUserId.substring(0, 10) + "***",
+      claimedUserId: String(claimedUserId).substring(0, 10) + "***",
+    });
+
+    throw new AuthorizationError(
+      "LINE user does not match the presented credential",
+      "IDENTITY_MISMATCH"
+    );
+  }
+}
+
+/**
+ * Authenticate the caller with their LINE ID Token only
+ * Used where a fresh LINE login is required (e.g. starting a session).
+ * Sets ctx.lineUserId and ctx.lineProfile (verified token claims)
+ * @param {Object} ctx - Request context
+ * @returns {Promise<null>} Always continues
+ * @throws {AuthenticationError} If the token is missing or invalid
+ */
+async function authenticateLine(ctx) {
+  const tokenData = await lineAuthService.verifyRequest(ctx.headers);
+  ctx.lineUserId = tokenData.lineUserId;
+  ctx.lineProfile = tokenData;
+  ctx.authMethod = "line_id_token";
+  await assertClaimedIdentity(ctx);
+  return null;
+}
+
+/**
+ * Authenticate the caller with our session access token, or with a LINE ID
+ * Token for clients that have not exchanged one yet
+ * Sets ctx.lineUserId and ctx.lineProfile
+ * @param {Object} ctx - Request context
+ * @returns {Promise<null>} Always continues
+ * @throws {AuthenticationError} If the token is missing or invalid
+ */
+async function authenticate(ctx) {
+  const token = lineAuthService.getBearerToken(ctx.headers);
+
+  if (!sessionService.isSessionToken(token)) {
+    return authenticateLine(ctx);
+  }
+
+  const tokenData = sessionService.verifyAccessToken(token);
+  ctx.lineUserId = tokenData.lineUserId;
+  ctx.lineProfile = tokenData;
+  ctx.authMethod = "session";
+  await assertClaimedIdentity(ctx);
+  return null;
+}
+
+/**
+ * Accept only requests carrying the admin API key in X-Admin-Key
+ * @param {Object} ctx - Request context
+ * @returns {Promise<null>} Always continues
+ * @throws {AppError} 404 when ADMIN_API_KEY is not configured
+ * @throws {AuthenticationError} If the key is missing or wrong
+ */
+async function requireAdmin(ctx) {
+  if (!config.security.adminApiKey) {
+    throw new AppError("Endpoint not found", 404, "NOT_FOUND");
+  }
+
+  // Compare digests so the comparison takes the same time for any key
+  const digest = (value) =>
+    crypto
+      .createHash("sha256")
+      .update(String(value || ""))
+      .digest();
+  if (
+    !crypto.timingSafeEqual(
+      digest(ctx.headers["x-admin-key"]),
+      digest(config.security.adminApiKey)
+    )
+  ) {
+    await securityUtils.logSecurityEvent("INVALID_ADMIN_KEY", {
+      ip: ctx.ip,
+      userAgent: ctx.userAgent,
+      path: ctx.path,
+    });
+    throw new AuthenticationError("Invalid admin key", "INVALID_ADMIN_KEY");
+  }
+  return null;
+}
+
+module.exports = {
+  security,
+  rateLimit,
+  parseJsonBody,
+  validateRequest,
+  verifyLineSignature,
+  authenticateLine,
+  authenticate,
+  requireAdmin,
+};
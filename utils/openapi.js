@@ -0,0 +1,219 @@
+// utils/openapi.js - OpenAPI 3 document built from the route table
+//
+// Paths, parameters, request bodies and responses come from each route's
+// schema (see routes/schemas.js). Security and the error responses every
+// route can give (validation, authentication, security check, rate limit)
+// are derived from its middleware and rate limit setting.
+
+const { STATUS_CODES } = require("http");
+const { version } = require("../package.json");
+const {
+  parseJsonBody,
+  validateRequest,
+  verifyLineSignature,
+  authenticateLine,
+  authenticate,
+  requireAdmin,
+} = require("./middleware");
+
+const SECURITY_SCHEMES = {
+  session: {
+    type: "http",
+    scheme: "bearer",
+    bearerFormat: "JWT",
+    description:
+      "Session access token from POST /auth/token; a LINE ID Token is also accepted",
+  },
+  lineIdToken: {
+    type: "http",
+    scheme: "bearer",
+    description: "LINE ID Token from liff.getIDToken()",
+  },
+  adminKey: {
+    type: "apiKey",
+    in: "header",
+    name: "X-Admin-Key",
+    description: "ADMIN_API_KEY; the admin endpoints answer 404 without one",
+  },
+  lineSignature: {
+    type: "apiKey",
+    in: "header",
+    name: "X-Line-Signature",
+    description: "HMAC-SHA256 of the body with the LINE channel secret",
+  },
+};
+
+// Middleware that authenticates the caller, and the scheme it accepts
+const AUTH_MIDDLEWARE = new Map([
+  [authenticate, "session"],
+  [authenticateLine, "lineIdToken"],
+  [requireAdmin, "adminKey"],
+  [verifyLineSignature, "lineSignature"],
+]);
+
+const ERROR_REF = { $ref: "#/components/schemas/Error" };
+
+/**
+ * Convert a router path (/admin/ip-rules/:id) to OpenAPI (/admin/ip-rules/{id})
+ * @param {string} path - Route path
+ * @returns {string} OpenAPI path
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * Describe the properties of a params or query schema as parameters
+ * @param {Object} schema - Object schema
+ * @param {string} location - "path" or "query"
+ * @returns {Array<Object>} Parameter objects
+ */
+function toParameters(schema, location) {
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.includes(name),
+      ...(description && { description }),
+      schema: propertySchema,
+    };
+  });
+}
+
+/**
+ * Response object for a JSON body
+ * @param {string} status - HTTP status code
+ * @param {Object} schema - Response schema
+ * @param {Object} errorSchema - Shared error schema, referenced when used
+ * @returns {Object} OpenAPI response
+ */
+function toResponse(status, schema, errorSchema) {
+  const { description, ...bodySchema } = schema;
+  const isError =
+    errorSchema && bodySchema.properties === errorSchema.properties;
+
+  return {
+    description: description || STATUS_CODES[status],
+    content: {
+      "application/json": { schema: isError ? ERROR_REF : bodySchema },
+    },
+  };
+}
+
+/**
+ * Error responses a route can give whatever its handler does
+ * @param {Object} route - Route definition
+ * @param {string|null} scheme - Security scheme of the route
+ * @returns {Object} Descriptions by status code
+ */
+function standardErrors(route, scheme) {
+  const middleware = route.middleware || [];
+
+  return {
+    ...((middleware.includes(parseJsonBody) ||
+      middleware.includes(validateRequest)) && {
+      400: "VALIDATION_ERROR; error.field names the invalid field",
+    }),
+    ...(scheme && { 401: "Missing or invalid credentials" }),
+    403: "Refused by the security checks (SECURITY_VIOLATION)",
+    ...(route.rateLimit !== false && {
+      429: "Too many requests; Retry-After gives the seconds to wait",
+    }),
+    500: "Unexpected error",
+  };
+}
+
+/**
+ * Operation object for one route
+ * @param {Object} route - Route definition
+ * @param {Object} errorSchema - Shared error schema
+ * @returns {Object} OpenAPI operation
+ */
+function toOperation(route, errorSchema) {
+  const schema = route.schema || {};
+  const scheme =
+    (route.middleware || [])
+      .map((fn) => AUTH_MIDDLEWARE.get(fn))
+      .find(Boolean) || null;
+
+  const parameters = [
+    ...(schema.params ? toParameters(schema.params, "path") : []),
+    ...(schema.query ? toParameters(schema.query, "query") : []),
+  ];
+
+  const responses = {};
+  for (const [status, responseSchema] of Object.entries(
+    schema.response || {}
+  )) {
+    responses[status] = toResponse(status, responseSchema, errorSchema);
+  }
+  for (const [status, description] of Object.entries(
+    standardErrors(route, scheme)
+  )) {
+    if (responses[status]) continue;
+    responses[status] = {
+      description,
+      content: { "application/json": { schema: ERROR_REF } },
+    };
+  }
+
+  return {
+    tags: [route.tag || route.path.split("/")[1]],
+    summary: route.summary,
+    operationId: route.handler.name,
+    ...(scheme && { security: [{ [scheme]: [] }] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(schema.body && {
+      requestBody: {
+        required: (schema.body.required || []).length > 0,
+        content: { "application/json": { schema: schema.body } },
+      },
+    }),
+    responses,
+  };
+}
+
+/**
+ * Build the OpenAPI document for a route table
+ * @param {Array<Object>} routes - Route definitions (routes/index.js)
+ * @param {Object} options
+ * @param {Object} options.errorSchema - Schema of error responses, published
+ *   as components.schemas.Error
+ * @param {string} options.serverUrl - Base URL the paths are relative to
+ * @returns {Object} OpenAPI 3.0 document (plain JSON)
+ */
+function buildOpenApiSpec(routes, { errorSchema, serverUrl = "/api" } = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = toOperation(route, errorSchema);
+  }
+
+  const spec = {
+    openapi: "3.0.3",
+    info: {
+      title: "Prima789 LIFF Member Card API",
+      version,
+      description:
+        "Member card, account linking and notification API behind the Prima789 LINE LIFF app.",
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: errorSchema ? { Error: errorSchema } : {},
+      securitySchemes: SECURITY_SCHEMES,
+    },
+  };
+
+  // Plain JSON: no shared references between the schemas of different routes
+  return JSON.parse(JSON.stringify(spec));
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  toOpenApiPath,
+};
@@ -0,0 +1,142 @@
+// utils/rateLimitStore.js - Where rate limit state lives
+//
+// A store keeps one JSON state per key with a version number. The rate
+// limiter reads a state, computes the next one and writes it back only if the
+// version has not changed since the read (compare-and-set), retrying on a
+// conflict, so concurrent function instances counting the same client never
+// overwrite each other's requests.
+//
+// memory   - per function instance, reset on every cold start (development)
+// postgres - rate_limits table shared by every instance
+
+const databaseService = require("../services/databaseService");
+
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.sweepInterval - Minimum time between sweeps of
+   *   expired keys (ms)
+   */
+  constructor({ sweepInterval = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    this.sweepInterval = sweepInterval;
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Current state of a key
+   * @param {string} key - Rate limit key
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} { state, version }; state is null when the
+   *   key is unknown or expired
+   */
+  async get(key, now = Date.now()) {
+    this.sweep(now);
+
+    const entry = this.entries.get(key);
+    if (!entry) return { state: null, version: 0 };
+    return {
+      state: entry.expiresAt > now ? entry.state : null,
+      version: entry.version,
+    };
+  }
+
+  /**
+   * Store a state if the key is still at the version that was read
+   * @param {string} key - Rate limit key
+   * @param {number} version - Version returned by get()
+   * @param {Object} state - New state
+   * @param {number} expiresAt - Time after which the state can be dropped (ms)
+   * @returns {Promise<boolean>} false when another request updated the key
+   */
+  async compareAndSet(key, version, state, expiresAt) {
+    if ((this.entries.get(key)?.version || 0) !== version) return false;
+
+    this.entries.set(key, { state, version: version + 1, expiresAt });
+    return true;
+  }
+
+  /**
+   * Drop expired keys, at most once per sweepInterval
+   * @param {number} now - Current time (ms)
+   */
+  sweep(now = Date.now()) {
+    if (now - this.lastSweep < this.sweepInterval) return;
+    this.lastSweep = now;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+class PostgresRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.cleanupProbability - Share of writes that also
+   *   delete expired rows
+   */
+  constructor({ cleanupProbability = 0.01 } = {}) {
+    this.cleanupProbability = cleanupProbability;
+  }
+
+  async get(key, now = Date.now()) {
+    const result = await databaseService.query(
+      `SELECT state, version, expires_at > $2 AS live
+       FROM rate_limits
+       WHERE key = $1`,
+      [key, new Date(now)]
+    );
+
+    const row = result.rows[0];
+    if (!row) return { state: null, version: 0 };
+    return { state: row.live ? row.state : null, version: row.version };
+  }
+
+  async compareAndSet(key, version, state, expiresAt) {
+    const result = await databaseService.query(
+      `INSERT INTO rate_limits (key, state, version, expires_at)
+       VALUES ($1, $2, 1, $4)
+       ON CONFLICT (key) DO UPDATE SET
+         state = EXCLUDED.state,
+         version = rate_limits.version + 1,
+         expires_at = EXCLUDED.expires_at
+       WHERE rate_limits.version = $3
+       RETURNING version`,
+      [key, JSON.stringify(state), version, new Date(expiresAt)]
+    );
+
+    if (Math.random() < this.cleanupProbability) {
+      await databaseService.query(
+        "DELETE FROM rate_limits WHERE expires_at < $1",
+        [new Date()]
+      );
+    }
+
+    return result.rows.length > 0;
+  }
+}
+
+const STORES = {
+  memory: MemoryRateLimitStore,
+  postgres: PostgresRateLimitStore,
+};
+
+/**
+ * Create the store selected by name
+ * @param {string} name - "memory" or "postgres"
+ * @returns {MemoryRateLimitStore|PostgresRateLimitStore} Store
+ */
+function createStore(name) {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(
+      `Unknown rate limit store "${name}" (expected ${Object.keys(STORES).join(
+        " or "
+      )})`
+    );
+  }
+  return new Store();
+}
+
+module.exports = { MemoryRateLimitStore, PostgresRateLimitStore, createStore };
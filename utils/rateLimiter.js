@@ -1,25 +1,120 @@
-// utils/rateLimiter.js - Simple in-memory rate limiter for Netlify Functions
+// utils/rateLimiter.js - Rate limiter for Netlify Functions
+//
+// Requests are counted per client (IP + User-Agent hash) and bucket. Routes
+// without their own limit share the "default" bucket with the limit from
+// API_RATE_LIMIT / API_RATE_WINDOW; a route with a rateLimit setting counts
+// in a bucket of its own. State is kept in the store selected by
+// API_RATE_STORE (see utils/rateLimitStore.js).
+//
+// sliding-window - counts in fixed windows and weighs the previous window by
+//                  how much of it still overlaps the last windowMs
+// token-bucket   - `limit` tokens, refilled evenly over windowMs; allows
+//                  bursts up to the limit after a quiet period
 
 const config = require("../config/config");
 const logger = require("./logger");
+const securityUtils = require("./security");
+const { createStore } = require("./rateLimitStore");
+
+// Compare-and-set attempts before a contended request is refused
+const MAX_ATTEMPTS = 5;
+// How long a refused contended request is asked to wait (ms)
+const CONTENDED_RETRY_MS = 1000;
+
+/**
+ * Sliding window counter
+ * @param {Object|null} state - { start, count, previous } or null
+ * @param {Object} options - { limit, windowMs }
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { allowed, remaining, resetTime, state, expiresAt }
+ */
+function slidingWindow(state, { limit, windowMs }, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  let count = 0;
+  let previous = 0;
+
+  if (state && state.start === start) {
+    count = state.count;
+    previous = state.previous;
+  } else if (state && state.start === start - windowMs) {
+    previous = state.count;
+  }
+
+  const overlap = 1 - (now - start) / windowMs;
+  const used = Math.floor(previous * overlap) + count;
+
+  if (used >= limit) {
+    // First moment the weighted previous window has decayed enough
+    const resetTime =
+      count < limit
+        ? start + Math.ceil(windowMs * (1 - (limit - count) / previous))
+        : start + windowMs + Math.ceil(windowMs * (1 - limit / count)) + 1;
+    return { allowed: false, remaining: 0, resetTime };
+  }
+
+  return {
+    allowed: true,
+    remaining: limit - used - 1,
+    resetTime: start + windowMs,
+    state: { start, count: count + 1, previous },
+    expiresAt: start + 2 * windowMs,
+  };
+}
+
+/**
+ * Token bucket
+ * @param {Object|null} state - { tokens, updatedAt } or null (full bucket)
+ * @param {Object} options - { limit, windowMs }
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { allowed, remaining, resetTime, state, expiresAt }
+ */
+function tokenBucket(state, { limit, windowMs }, now) {
+  const refillRate = limit / windowMs; // tokens per ms
+  const tokens = state
+    ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillRate)
+    : limit;
+
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      remaining: 0,
+      resetTime: now + Math.ceil((1 - tokens) / refillRate),
+    };
+  }
+
+  const left = tokens - 1;
+  const fullAt = now + Math.ceil((limit - left) / refillRate);
+  return {
+    allowed: true,
+    remaining: Math.floor(left),
+    resetTime: fullAt,
+    state: { tokens: left, updatedAt: now },
+    // A full bucket is the same as no state
+    expiresAt: fullAt,
+  };
+}
+
+const ALGORITHMS = {
+  "sliding-window": slidingWindow,
+  "token-bucket": tokenBucket,
+};
 
 class RateLimiter {
   constructor() {
-    this.requests = new Map();
     this.maxRequests = config.security.rateLimitRequests;
     this.windowMs = config.security.rateLimitWindow;
-
-    // Cleanup old entries every 5 minutes
-    setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    this.algorithm = config.security.rateLimitAlgorithm;
+    this.store = createStore(config.security.rateLimitStore);
   }
 
   // Get client identifier (IP + User-Agent hash for better uniqueness)
   getClientId(event) {
-    const ip =
-      event.headers["x-forwarded-for"] ||
-      event.headers["x-real-ip"] ||
-      "unknown";
-    const userAgent = event.headers["user-agent"] || "unknown";
+    const headers = event.headers || {};
+    const ip = (securityUtils.getClientIp(headers) || "unknown").substring(
+      0,
+      64
+    );
+    const userAgent = headers["user-agent"] || "unknown";
     return `${ip}-${this.simpleHash(userAgent)}`;
   }
 
@@ -34,108 +129,164 @@ class RateLimiter {
     return Math.abs(hash).toString(16);
   }
 
-  // Check if request should be allowed
-  isAllowed(event) {
-    const clientId = this.getClientId(event);
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
+  /**
+   * Fill in a route's rateLimit setting with the defaults
+   * @param {Object} options - { bucket, limit, windowMs, algorithm }
+   * @returns {Object} Complete options
+   * @throws {Error} If the algorithm is unknown
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      bucket: options.bucket || "default",
+      limit: options.limit || this.maxRequests,
+      windowMs: options.windowMs || this.windowMs,
+      algorithm: options.algorithm || this.algorithm,
+    };
 
-    // Get or create client record
-    if (!this.requests.has(clientId)) {
-      this.requests.set(clientId, []);
+    if (!ALGORITHMS[resolved.algorithm]) {
+      throw new Error(
+        `Unknown rate limit algorithm "${
+          resolved.algorithm
+        }" (expected ${Object.keys(ALGORITHMS).join(" or ")})`
+      );
     }
+    return resolved;
+  }
 
-    const clientRequests = this.requests.get(clientId);
+  /**
+   * Count one request against a key
+   * @param {string} key - Store key
+   * @param {Object} options - Resolved options
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} { allowed, remaining, resetTime }
+   */
+  async consume(key, options, now = Date.now()) {
+    const algorithm = ALGORITHMS[options.algorithm];
 
-    // Remove old requests outside the window
-    const validRequests = clientRequests.filter(
-      (timestamp) => timestamp > windowStart
-    );
-    this.requests.set(clientId, validRequests);
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const { state, version } = await this.store.get(key, now);
+      const result = algorithm(state, options, now);
 
-    // Check if limit exceeded
-    if (validRequests.length >= this.maxRequests) {
-      const oldestRequest = Math.min(...validRequests);
-      const resetTime = oldestRequest + this.windowMs;
+      // Refused requests leave the state as it is
+      if (!result.allowed) return result;
 
-      logger.warn("Rate limit exceeded", {
-        clientId,
-        requests: validRequests.length,
-        maxRequests: this.maxRequests,
-        resetTime: new Date(resetTime).toISOString(),
-      });
+      if (
+        await this.store.compareAndSet(
+          key,
+          version,
+          result.state,
+          result.expiresAt
+        )
+      ) {
+        return result;
+      }
+    }
+
+    // Other requests keep winning the race: make this one wait rather than
+    // let it through uncounted
+    logger.warn("Rate limit state contended, request refused", { key });
+    return {
+      allowed: false,
+      remaining: 0,
+      resetTime: now + CONTENDED_RETRY_MS,
+    };
+  }
 
+  /**
+   * Check if a request should be allowed, counting it when it is
+   * @param {Object} event - Netlify event object
+   * @param {Object} routeOptions - Route's rateLimit setting
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetTime }
+   */
+  async isAllowed(event, routeOptions) {
+    const options = this.resolveOptions(routeOptions);
+    const clientId = this.getClientId(event);
+    const key = `${options.bucket}:${clientId}`;
+
+    let result;
+    try {
+      result = await this.consume(key, options);
+    } catch (error) {
+      // The limiter must not take the API down with its store
+      logger.error("Rate limit store failed, request allowed", {
+        bucket: options.bucket,
+        error: error.message,
+      });
       return {
-        allowed: false,
-        resetTime,
-        remaining: 0,
+        allowed: true,
+        limit: options.limit,
+        remaining: options.limit,
+        resetTime: Date.now() + options.windowMs,
       };
     }
 
-    // Add current request
-    validRequests.push(now);
-    this.requests.set(clientId, validRequests);
+    if (!result.allowed) {
+      logger.warn("Rate limit exceeded", {
+        clientId,
+        bucket: options.bucket,
+        algorithm: options.algorithm,
+        maxRequests: options.limit,
+        resetTime: new Date(result.resetTime).toISOString(),
+      });
+    }
 
     return {
-      allowed: true,
-      resetTime: now + this.windowMs,
-      remaining: this.maxRequests - validRequests.length,
+      allowed: result.allowed,
+      limit: options.limit,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
     };
   }
 
-  // Cleanup old entries
-  cleanup() {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    let cleanedCount = 0;
-
-    for (const [clientId, requests] of this.requests.entries()) {
-      const validRequests = requests.filter(
-        (timestamp) => timestamp > windowStart
-      );
+  /**
+   * X-RateLimit-* headers for a result of isAllowed()
+   * @param {Object} result - { limit, remaining, resetTime }
+   * @returns {Object} Headers
+   */
+  getHeaders(result) {
+    return {
+      "X-RateLimit-Limit": result.limit.toString(),
+      "X-RateLimit-Remaining": result.remaining.toString(),
+      "X-RateLimit-Reset": result.resetTime.toString(),
+    };
+  }
 
-      if (validRequests.length === 0) {
-        this.requests.delete(clientId);
-        cleanedCount++;
-      } else {
-        this.requests.set(clientId, validRequests);
-      }
-    }
+  /**
+   * 429 response for a refused request
+   * @param {Object} result - Refused result of isAllowed()
+   * @returns {Object} Netlify response object
+   */
+  createLimitedResponse(result) {
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((result.resetTime - Date.now()) / 1000)
+    );
 
-    if (cleanedCount > 0) {
-      logger.debug("Rate limiter cleanup completed", {
-        cleanedEntries: cleanedCount,
-        remainingEntries: this.requests.size,
-      });
-    }
+    return {
+      statusCode: 429,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Retry-After": retryAfter.toString(),
+        ...this.getHeaders(result),
+      },
+      body: JSON.stringify({
+        error: {
+          message: "Too many requests, please try again later",
+          code: "RATE_LIMIT_EXCEEDED",
+          retryAfter,
+        },
+      }),
+    };
   }
 
   // Middleware function for Netlify Functions
   middleware() {
-    return (event) => {
-      const result = this.isAllowed(event);
+    return async (event, routeOptions) => {
+      const result = await this.isAllowed(event, routeOptions);
 
       if (!result.allowed) {
-        return {
-          statusCode: 429,
-          headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-            "Retry-After": Math.ceil(
-              (result.resetTime - Date.now()) / 1000
-            ).toString(),
-            "X-RateLimit-Limit": this.maxRequests.toString(),
-            "X-RateLimit-Remaining": "0",
-            "X-RateLimit-Reset": result.resetTime.toString(),
-          },
-          body: JSON.stringify({
-            error: {
-              message: "Too many requests, please try again later",
-              code: "RATE_LIMIT_EXCEEDED",
-              retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000),
-            },
-          }),
-        };
+        return this.createLimitedResponse(result);
       }
 
       return null; // Allow request to continue
@@ -0,0 +1,326 @@
+// utils/router.js - Declarative router for Netlify Functions
+
+const config = require("../config/config");
+const logger = require("./logger");
+const securityUtils = require("./security");
+const { findProblems } = require("./schema");
+const { AppError, ValidationError, handleError } = require("./errors");
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Max-Age": "86400",
+};
+
+// Prefixes Netlify may leave in event.path depending on how the function was reached
+const BASE_PATHS = ["/.netlify/functions/api", "/api"];
+
+/**
+ * Create a JSON response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response payload
+ * @param {Object} headers - Additional headers
+ * @returns {Object} Netlify response object
+ */
+function createResponse(statusCode, data, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: data === undefined ? "" : JSON.stringify(data),
+  };
+}
+
+/**
+ * Compile a path pattern such as /user/:id into a matcher
+ * @param {string} pattern - Path pattern
+ * @returns {Object} Regex and parameter names
+ */
+function compilePath(pattern) {
+  const paramNames = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":")) {
+        paramNames.push(segment.substring(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+
+  return { regex: new RegExp(`^${source}/?$`), paramNames };
+}
+
+class Router {
+  /**
+   * @param {Object} options - Router options
+   * @param {Array<Function>} options.middleware - Middleware run before every route
+   */
+  constructor({ middleware = [] } = {}) {
+    this.routes = [];
+    this.middleware = middleware;
+  }
+
+  /**
+   * Register a route
+   * @param {Object} route - Route definition
+   * @param {string} route.method - HTTP method
+   * @param {string} route.path - Path pattern (supports :params)
+   * @param {Array<Function>} route.middleware - Route specific middleware
+   * @param {Function} route.handler - Async handler receiving the request context
+   * @param {Object} route.schema - Request and response schemas
+   *   ({ params, query, body, response: { [status]: schema } })
+   * @returns {Router} This router for chaining
+   */
+  add(route) {
+    if (!route.method || !route.path || typeof route.handler !== "function") {
+      throw new Error(`Invalid route definition: ${route.method} ${route.path}`);
+    }
+
+    this.routes.push({
+      ...route,
+      method: route.method.toUpperCase(),
+      middleware: route.middleware || [],
+      ...compilePath(route.path),
+    });
+    return this;
+  }
+
+  /**
+   * Register a list of routes
+   * @param {Array<Object>} routes - Route definitions
+   * @returns {Router} This router for chaining
+   */
+  addAll(routes) {
+    routes.forEach((route) => this.add(route));
+    return this;
+  }
+
+  /**
+   * Strip the function base path from the incoming path
+   * @param {string} path - Raw event path
+   * @returns {string} Route path
+   */
+  normalizePath(path = "/") {
+    for (const basePath of BASE_PATHS) {
+      if (path === basePath || path.startsWith(`${basePath}/`)) {
+        return path.substring(basePath.length) || "/";
+      }
+    }
+    return path || "/";
+  }
+
+  /**
+   * Find the route matching method and path
+   * @param {string} method - HTTP method
+   * @param {string} path - Normalized path
+   * @returns {Object} Match result with route, params and allowed methods,
+   *   plus paramError when a path parameter cannot be decoded
+   */
+  match(method, path) {
+    const allowedMethods = [];
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(path);
+      if (!result) continue;
+
+      if (route.method !== method) {
+        allowedMethods.push(route.method);
+        continue;
+      }
+
+      const params = {};
+      for (const [index, name] of route.paramNames.entries()) {
+        try {
+          params[name] = decodeURIComponent(result[index + 1]);
+        } catch (error) {
+          // Malformed percent-encoding (e.g. %E0) is the client's mistake
+          const paramError = new ValidationError(
+            `${name} is not valid URL encoding`,
+            name
+          );
+          return { route, params, allowedMethods, paramError };
+        }
+      }
+      return { route, params, allowedMethods };
+    }
+
+    return { route: null, params: {}, allowedMethods };
+  }
+
+  /**
+   * Build the request context passed to middleware and handlers
+   * @param {Object} event - Netlify event object
+   * @param {Object} context - Netlify context object
+   * @param {string} path - Normalized path
+   * @param {Object} params - Path parameters
+   * @param {Object|null} route - Matched route
+   * @returns {Object} Request context
+   */
+  createContext(event, context, path, params, route = null) {
+    const headers = {};
+    for (const [key, value] of Object.entries(event.headers || {})) {
+      headers[key.toLowerCase()] = value;
+    }
+
+    return {
+      event,
+      context,
+      method: event.httpMethod,
+      path,
+      route,
+      params,
+      query: event.queryStringParameters || {},
+      headers,
+      body: null,
+      rawBody: event.isBase64Encoded
+        ? Buffer.from(event.body || "", "base64").toString("utf8")
+        : event.body || "",
+      ip: securityUtils.getClientIp(headers),
+      userAgent: headers["user-agent"] || "",
+      lineUserId: null,
+      lineProfile: null,
+      authMethod: null,
+      // Added to the response whatever it is (e.g. X-RateLimit-*)
+      responseHeaders: {},
+    };
+  }
+
+  /**
+   * Run middleware in order; the first one returning a response short-circuits
+   * @param {Array<Function>} middleware - Middleware chain
+   * @param {Object} ctx - Request context
+   * @returns {Promise<Object|null>} Response or null to continue
+   */
+  async runMiddleware(middleware, ctx) {
+    for (const fn of middleware) {
+      const response = await fn(ctx);
+      if (response) {
+        return response;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply CORS and security headers to a response
+   * @param {Object} response - Netlify response object
+   * @param {Object} ctx - Request context
+   * @returns {Object} Response with headers
+   */
+  finalize(response, ctx) {
+    const isLiff = securityUtils.isLiffUserAgent(ctx.userAgent);
+
+    return {
+      ...response,
+      headers: {
+        ...securityUtils.getSecurityHeaders(isLiff),
+        ...ctx.responseHeaders,
+        ...response.headers,
+        ...CORS_HEADERS,
+      },
+    };
+  }
+
+  /**
+   * Log responses that differ from the schema declared for their status,
+   * so the schemas (and the documentation built from them) stay accurate
+   * @param {Object} route - Matched route
+   * @param {Object} response - Netlify response object
+   */
+  checkResponse(route, response) {
+    const schema = route.schema?.response?.[response.statusCode];
+    if (!schema || !response.body) return;
+
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (error) {
+      data = response.body;
+    }
+
+    const problems = findProblems(schema, data);
+    if (problems.length > 0) {
+      logger.warn("Response does not match its schema", {
+        route: `${route.method} ${route.path}`,
+        statusCode: response.statusCode,
+        problems: problems.map((problem) => problem.message),
+      });
+    }
+  }
+
+  /**
+   * Handle a Netlify Function invocation
+   * @param {Object} event - Netlify event object
+   * @param {Object} context - Netlify context object
+   * @returns {Promise<Object>} Netlify response object
+   */
+  async handle(event, context) {
+    const startTime = Date.now();
+    const method = (event.httpMethod || "GET").toUpperCase();
+    const path = this.normalizePath(event.path);
+    const { route, params, allowedMethods, paramError } = this.match(
+      method,
+      path
+    );
+    const ctx = this.createContext(event, context, path, params, route);
+
+    let response;
+
+    try {
+      if (method === "OPTIONS") {
+        response = { statusCode: 204, headers: {}, body: "" };
+      } else {
+        response = await this.runMiddleware(this.middleware, ctx);
+
+        if (!response && !route) {
+          if (allowedMethods.length > 0) {
+            throw new AppError(
+              `Method ${method} not allowed`,
+              405,
+              "METHOD_NOT_ALLOWED"
+            );
+          }
+          throw new AppError("Endpoint not found", 404, "NOT_FOUND");
+        }
+
+        if (!response && paramError) {
+          throw paramError;
+        }
+
+        if (!response) {
+          response = await this.runMiddleware(route.middleware, ctx);
+        }
+
+        if (!response) {
+          response = await route.handler(ctx);
+
+          if (config.app.environment !== "production") {
+            this.checkResponse(route, response);
+          }
+        }
+      }
+    } catch (error) {
+      response = handleError(error, event);
+    }
+
+    logger.logRequest(
+      { method, url: path, headers: ctx.headers, ip: ctx.ip },
+      response,
+      startTime
+    );
+
+    return this.finalize(response, ctx);
+  }
+}
+
+module.exports = {
+  Router,
+  createResponse,
+  compilePath,
+  CORS_HEADERS,
+};
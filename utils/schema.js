@@ -0,0 +1,296 @@
+// utils/schema.js - Declarative request and response schemas
+//
+// Schemas are plain objects in the OpenAPI 3.0 flavour of JSON Schema, so the
+// same definitions validate requests and describe the API. Supported keywords:
+// type (object, array, string, integer, number, boolean), nullable,
+// properties, required, additionalProperties, items, maxItems, enum,
+// minLength, maxLength, pattern, format, minimum, maximum and default, plus
+// the extension x-distinct (object properties that must not hold the same
+// value); description and example are documentation only.
+
+const { ValidationError, normalizePhoneNumber } = require("./errors");
+
+// String formats; a format may return a normalized value
+const FORMATS = {
+  "thai-mobile": {
+    message: "must be a Thai mobile number (08x, 09x or 06x)",
+    check: normalizePhoneNumber,
+  },
+  pin: {
+    message: "must be exactly 4 digits",
+    check: (value) => (/^\d{4}$/.test(value) ? value : null),
+  },
+  time: {
+    message: "must be a time as HH:MM",
+    check: (value) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : null),
+  },
+  date: {
+    message: "must be a date as YYYY-MM-DD",
+    check: (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+        ? value
+        : null,
+  },
+  "date-time": {
+    message: "must be an ISO 8601 date and time",
+    check: (value) => (isNaN(Date.parse(value)) ? null : value),
+  },
+};
+
+const TYPE_NAMES = {
+  object: "an object",
+  array: "an array",
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "true or false",
+};
+
+/**
+ * Convert a query string or path parameter to the declared type
+ * @param {string} type - Schema type
+ * @param {any} value - Raw value
+ * @returns {any} Converted value, or the value unchanged if it does not convert
+ */
+function coerce(type, value) {
+  if (typeof value !== "string") return value;
+
+  if (type === "integer" && /^-?\d+$/.test(value)) return parseInt(value, 10);
+  if (type === "number" && value.trim() !== "" && isFinite(value)) {
+    return Number(value);
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+function hasType(type, value) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+class SchemaWalker {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - "request" throws on the first problem and
+   *   strips unknown fields; "response" collects problems and reports them
+   * @param {boolean} options.coerce - Convert strings to the declared type
+   */
+  constructor({ mode, coerce: coerceStrings = false }) {
+    this.mode = mode;
+    this.coerce = coerceStrings;
+    this.problems = [];
+  }
+
+  fail(path, message) {
+    const field = path || null;
+    const text = `${path || "value"} ${message}`;
+
+    if (this.mode === "request") {
+      throw new ValidationError(text, field);
+    }
+    this.problems.push({ field, message: text });
+  }
+
+  walk(schema, value, path) {
+    if (this.coerce) {
+      value = coerce(schema.type, value);
+    }
+
+    if (value === null) {
+      if (!schema.nullable) {
+        this.fail(path, `must be ${TYPE_NAMES[schema.type] || "set"}`);
+      }
+      return null;
+    }
+
+    if (schema.type && !hasType(schema.type, value)) {
+      this.fail(path, `must be ${TYPE_NAMES[schema.type]}`);
+      return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      this.fail(path, `must be one of: ${schema.enum.join(", ")}`);
+      return value;
+    }
+
+    switch (schema.type) {
+      case "object":
+        return this.walkObject(schema, value, path);
+      case "array":
+        return this.walkArray(schema, value, path);
+      case "string":
+        return this.walkString(schema, value, path);
+      case "integer":
+      case "number":
+        return this.walkNumber(schema, value, path);
+      default:
+        return value;
+    }
+  }
+
+  walkObject(schema, value, path) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = {};
+
+    // Declared order, so the first problem reported is the first field
+    for (const [key, property] of Object.entries(properties)) {
+      let item = value[key];
+      if (this.coerce && item === "") {
+        item = undefined;
+      }
+
+      if (item === undefined) {
+        if (this.mode === "request" && property.default !== undefined) {
+          result[key] = structuredClone(property.default);
+        } else if (required.includes(key)) {
+          this.fail(join(path, key), "is required");
+        }
+        continue;
+      }
+      result[key] = this.walk(property, item, join(path, key));
+    }
+
+    for (const key of Object.keys(value)) {
+      if (key in properties) continue;
+
+      const { additionalProperties } = schema;
+      if (additionalProperties === true) {
+        result[key] = value[key];
+      } else if (additionalProperties) {
+        result[key] = this.walk(
+          additionalProperties,
+          value[key],
+          join(path, key)
+        );
+      } else if (this.mode === "response") {
+        this.fail(join(path, key), "is not in the schema");
+      }
+      // Unknown request fields are dropped
+    }
+
+    // The first property repeating an earlier one's value is reported
+    const distinct = (schema["x-distinct"] || []).filter(
+      (key) => result[key] !== undefined
+    );
+    for (const [index, key] of distinct.entries()) {
+      const same = distinct
+        .slice(0, index)
+        .find((earlier) => result[earlier] === result[key]);
+      if (same) {
+        this.fail(join(path, key), `must differ from ${join(path, same)}`);
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  walkArray(schema, value, path) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      this.fail(path, `must have at most ${schema.maxItems} items`);
+      return value;
+    }
+    if (!schema.items) return value;
+
+    return value.map((item, index) =>
+      this.walk(schema.items, item, `${path}[${index}]`)
+    );
+  }
+
+  walkString(schema, value, path) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      this.fail(
+        path,
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters`
+      );
+      return value;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      this.fail(path, `must be at most ${schema.maxLength} characters`);
+      return value;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      this.fail(path, `must match ${schema.pattern}`);
+      return value;
+    }
+
+    const format = FORMATS[schema.format];
+    if (format) {
+      const normalized = format.check(value);
+      if (normalized === null) {
+        this.fail(path, format.message);
+        return value;
+      }
+      return this.mode === "request" ? normalized : value;
+    }
+    return value;
+  }
+
+  walkNumber(schema, value, path) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this.fail(path, `must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      this.fail(path, `must be at most ${schema.maximum}`);
+    }
+    return value;
+  }
+}
+
+/**
+ * Validate request input against a schema
+ * Unknown object fields are stripped, defaults filled in and formats
+ * normalized (e.g. +66 81-234-5678 becomes 0812345678).
+ * @param {Object} schema - Schema definition
+ * @param {any} value - Input to validate
+ * @param {Object} options
+ * @param {boolean} options.coerce - Convert strings to the declared types
+ *   (query strings and path parameters)
+ * @returns {any} Cleaned value
+ * @throws {ValidationError} On the first problem, with its field path
+ *   (e.g. "quietHours.start")
+ */
+function validate(schema, value, { coerce: coerceStrings = false } = {}) {
+  return new SchemaWalker({ mode: "request", coerce: coerceStrings }).walk(
+    schema,
+    value,
+    ""
+  );
+}
+
+/**
+ * List every way a value differs from a schema, including fields the
+ * schema does not declare. Used to check responses against their schema.
+ * @param {Object} schema - Schema definition
+ * @param {any} value - Value to check
+ * @returns {Array<Object>} Problems as { field, message }, empty if it matches
+ */
+function findProblems(schema, value) {
+  const walker = new SchemaWalker({ mode: "response" });
+  walker.walk(schema, value, "");
+  return walker.problems;
+}
+
+module.exports = {
+  validate,
+  findProblems,
+  FORMATS,
+};
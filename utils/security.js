@@ -3,12 +3,12 @@
 const crypto = require("crypto");
 const config = require("../config/config");
 const logger = require("./logger");
+const ipReputationService = require("../services/ipReputationService");
+const { sanitizeInput, validatePhoneNumber, validatePIN } = require("./errors");
 
 class SecurityUtils {
   constructor() {
     this.rateLimitMap = new Map();
-    this.suspiciousIPs = new Set();
-    this.blockedIPs = new Set();
     this.whitelistedUserAgents = new Set([
       "LINE",
       "LIFF",
@@ -26,14 +26,8 @@ class SecurityUtils {
    * @returns {string} Sanitized string
    */
   sanitizeInput(input) {
-    if (typeof input !== "string") return input;
-
-    return input
-      .trim()
-      .replace(/[<>]/g, "") // Remove potential HTML tags
-      .replace(/['"]/g, "") // Remove quotes
-      .replace(/[\\]/g, "") // Remove backslashes
-      .substring(0, 1000); // Limit length
+    // Same rules as utils/errors.js; non-strings pass through unchanged
+    return typeof input === "string" ? sanitizeInput(input) : input;
   }
 
   /**
@@ -42,10 +36,7 @@ class SecurityUtils {
    * @returns {boolean} True if valid
    */
   validatePhoneNumber(phone) {
-    if (!phone || typeof phone !== "string") return false;
-
-    const cleanPhone = phone.replace(/[-\s\(\)]/g, "");
-    return /^(0[689]\d{8}|[689]\d{8})$/.test(cleanPhone);
+    return validatePhoneNumber(phone);
   }
 
   /**
@@ -54,8 +45,7 @@ class SecurityUtils {
    * @returns {boolean} True if valid
    */
   validatePIN(pin) {
-    if (!pin || typeof pin !== "string") return false;
-    return /^\d{4}$/.test(pin);
+    return validatePIN(pin);
   }
 
   /**
@@ -100,7 +90,8 @@ class SecurityUtils {
   }
 
   /**
-   * Detect suspicious activity patterns (LIFF-aware)
+   * Detect suspicious activity patterns (LIFF-aware). Blocklist and
+   * allowlist entries are checked by securityMiddleware.
    * @param {string} ip - Client IP address
    * @param {string} userAgent - User agent string
    * @param {string} action - Action being performed
@@ -114,16 +105,6 @@ class SecurityUtils {
       isLiff: this.isLiffUserAgent(userAgent),
     };
 
-    // Check if IP is already blocked
-    if (this.blockedIPs.has(ip)) {
-      // Don't block LIFF users unless absolutely necessary
-      if (!assessment.isLiff) {
-        assessment.shouldBlock = true;
-        assessment.reasons.push("IP_BLOCKED");
-        return assessment;
-      }
-    }
-
     // More lenient rate limiting for LIFF
     const ipKey = `${ip}_${action}`;
     const now = Date.now();
@@ -138,11 +119,6 @@ class SecurityUtils {
     if (recentRequests.length > limit) {
       assessment.isSuspicious = true;
       assessment.reasons.push("RAPID_REQUESTS");
-
-      // Only add to suspicious if not LIFF
-      if (!assessment.isLiff) {
-        this.suspiciousIPs.add(ip);
-      }
     }
 
     // Update rate limit map
@@ -159,7 +135,6 @@ class SecurityUtils {
     if (this.hasAttackPatterns(userAgent)) {
       assessment.shouldBlock = true;
       assessment.reasons.push("ATTACK_PATTERN");
-      this.blockedIPs.add(ip);
     }
 
     // Log suspicious activity
@@ -176,6 +151,23 @@ class SecurityUtils {
     return assessment;
   }
 
+  /**
+   * Record a security event and flag the source IP as suspicious
+   * @param {string} type - Event type (e.g. IDENTITY_HEADER_MISMATCH)
+   * @param {Object} details - Event details; `ip` marks the source
+   */
+  async logSecurityEvent(type, details = {}) {
+    if (details.ip) {
+      await ipReputationService.flag(details.ip, type);
+    }
+
+    logger.warn("Security event", {
+      type,
+      ...details,
+      userAgent: details.userAgent?.substring(0, 100),
+    });
+  }
+
   /**
    * Check if user agent is suspicious (LIFF-aware)
    * @param {string} userAgent - User agent string
@@ -197,6 +189,7 @@ class SecurityUtils {
       /Edge/i,
       /Firefox/i,
       /Opera/i,
+      /LineBotWebhook/i, // LINE webhook deliveries (signature-checked)
     ];
 
     if (legitimatePatterns.some((pattern) => pattern.test(userAgent))) {
@@ -240,21 +233,73 @@ class SecurityUtils {
     return attackPatterns.some((pattern) => pattern.test(userAgent));
   }
 
+  /**
+   * 403 response for a blocked request
+   * @returns {Object} Netlify response object
+   */
+  createDeniedResponse() {
+    return {
+      statusCode: 403,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+      body: JSON.stringify({
+        error: {
+          message: "Access denied",
+          code: "SECURITY_VIOLATION",
+        },
+      }),
+    };
+  }
+
+  /**
+   * Client IP as seen by Netlify's edge. Clients can send any
+   * X-Forwarded-For they like, and the proxy appends the address it saw, so
+   * only Netlify's connection header or the last X-Forwarded-For hop can be
+   * trusted; the first entry cannot.
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {string|null} Client IP, null when no proxy header is present
+   */
+  getClientIp(headers = {}) {
+    const connectionIp = headers["x-nf-client-connection-ip"];
+    if (connectionIp) {
+      return connectionIp.trim();
+    }
+
+    const hops = (headers["x-forwarded-for"] || "")
+      .split(",")
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+    return hops.length > 0 ? hops[hops.length - 1] : null;
+  }
+
   /**
    * Security middleware for Netlify Functions (LIFF-aware)
    * @param {Object} event - Netlify event object
-   * @returns {Object|null} Security response or null to continue
+   * @returns {Promise<Object|null>} Security response or null to continue
    */
-  securityMiddleware(event) {
-    const ip =
-      event.headers["x-forwarded-for"] ||
-      event.headers["x-real-ip"] ||
-      event.headers["cf-connecting-ip"] || // Cloudflare
-      "unknown";
-    const userAgent = event.headers["user-agent"] || "";
+  async securityMiddleware(event) {
+    const headers = event.headers || {};
+    const ip = this.getClientIp(headers) || "unknown";
+    const userAgent = headers["user-agent"] || "";
     const method = event.httpMethod || "UNKNOWN";
     const path = event.path || "";
 
+    // Persisted blocklist and allowlist (ip_rules)
+    const { allowRule, blockRule } = await ipReputationService.check(ip);
+    if (blockRule) {
+      logger.warn("Request blocked by IP rule", {
+        ip,
+        ruleId: blockRule.id,
+        cidr: blockRule.cidr,
+        source: blockRule.source,
+        method,
+        path,
+      });
+      return this.createDeniedResponse();
+    }
+
     // Basic security checks
     const assessment = this.detectSuspiciousActivity(
       ip,
@@ -262,8 +307,8 @@ class SecurityUtils {
       `${method}_${path}`
     );
 
-    // Be more lenient with LIFF traffic
-    if (assessment.shouldBlock && !assessment.isLiff) {
+    // Allowlisted clients and LIFF traffic are never blocked automatically
+    if (assessment.shouldBlock && !assessment.isLiff && !allowRule) {
       logger.error("Request blocked by security middleware", {
         ip,
         userAgent: userAgent.substring(0, 100),
@@ -272,19 +317,16 @@ class SecurityUtils {
         reasons: assessment.reasons,
       });
 
-      return {
-        statusCode: 403,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-        },
-        body: JSON.stringify({
-          error: {
-            message: "Access denied",
-            code: "SECURITY_VIOLATION",
-          },
-        }),
-      };
+      await ipReputationService.autoBlock(ip, assessment.reasons.join(","));
+      return this.createDeniedResponse();
+    }
+
+    if (
+      assessment.reasons.includes("RAPID_REQUESTS") &&
+      !assessment.isLiff &&
+      !allowRule
+    ) {
+      await ipReputationService.flag(ip, "RAPID_REQUESTS");
     }
 
     // Check request size (more lenient for LIFF)
@@ -324,8 +366,8 @@ class SecurityUtils {
           });
 
           // Don't auto-block LIFF users for minor infractions
-          if (!assessment.isLiff) {
-            this.blockedIPs.add(ip);
+          if (!assessment.isLiff && !allowRule) {
+            await ipReputationService.autoBlock(ip, "SQL_INJECTION");
           }
 
           return {
@@ -424,13 +466,6 @@ class SecurityUtils {
         this.rateLimitMap.set(key, recentRequests);
       }
     }
-
-    // Clean suspicious IPs (reset every hour)
-    if (this.lastCleanup && now - this.lastCleanup > 3600000) {
-      this.suspiciousIPs.clear();
-    }
-
-    this.lastCleanup = now;
   }
 }
 